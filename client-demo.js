@@ -146,7 +146,7 @@ class ShoppingListClient {
                 console.log(`\n${itemsResponse.data.length} itens encontrados:`);
                 itemsResponse.data.forEach((item, index) => {
                     console.log(`${index + 1}. ${item.name} - R$ ${item.price}`);
-                    console.log(`   Categoria: ${item.category}`);
+                    console.log(`   Categoria: ${item.category?.name || item.category}`);
                     console.log(`   Descrição: ${item.description || 'Sem descrição'}`);
                     console.log(`   ID: ${item.id}\n`);
                 });
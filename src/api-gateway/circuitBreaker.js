@@ -0,0 +1,225 @@
+// api-gateway/circuitBreaker.js
+// Circuit breaker de uma rota do gateway.
+//
+// closed    -> chamadas passam; o resultado entra numa janela deslizante (`window` ms).
+//              Com pelo menos `minCalls` chamadas na janela, abre se a taxa de falhas
+//              passar de `failureRate` % ou a de chamadas lentas (> `slowCall` ms) passar
+//              de `slowCallRate` %.
+// open      -> recusa tudo por `openDuration` ms, dobrando a cada reabertura seguida
+//              (até `maxOpenDuration`).
+// half-open -> deixa passar só `halfOpenCalls` chamadas de teste. Se todas terminarem bem
+//              o circuito fecha; uma falha ou chamada lenta reabre. Uma chamada de teste
+//              cancelada sem resultado (release) devolve a vaga.
+//
+// Falha = erro de rede, timeout ou resposta 5xx. Respostas 4xx são sucesso (erro do cliente).
+const log = require('../shared/logging').child({ component: 'circuit-breaker' });
+
+const DEFAULTS = {
+    failureRate: 50,
+    slowCallRate: 80,
+    slowCall: 5000,
+    minCalls: 5,
+    window: 30000,
+    openDuration: 10000,
+    maxOpenDuration: 300000,
+    halfOpenCalls: 3
+};
+
+// Padrões do gateway a partir das variáveis de ambiente
+function defaultsFromEnv(env = process.env) {
+    const fromEnv = {
+        failureRate: env.CIRCUIT_BREAKER_FAILURE_RATE,
+        slowCallRate: env.CIRCUIT_BREAKER_SLOW_CALL_RATE,
+        slowCall: env.CIRCUIT_BREAKER_SLOW_CALL_MS,
+        minCalls: env.CIRCUIT_BREAKER_MIN_CALLS,
+        window: env.CIRCUIT_BREAKER_WINDOW_MS,
+        openDuration: env.CIRCUIT_BREAKER_OPEN_MS,
+        maxOpenDuration: env.CIRCUIT_BREAKER_MAX_OPEN_MS,
+        halfOpenCalls: env.CIRCUIT_BREAKER_HALF_OPEN_CALLS
+    };
+
+    return Object.fromEntries(Object.entries(DEFAULTS).map(([key, value]) => {
+        const configured = Number(fromEnv[key]);
+        return [key, fromEnv[key] !== undefined && fromEnv[key] !== '' && configured >= 0 ? configured : value];
+    }));
+}
+
+class CircuitBreaker {
+    constructor(name, service, config = {}) {
+        this.name = name;
+        this.service = service;
+        this.config = { ...DEFAULTS, ...config };
+
+        this.state = 'closed';
+        this.buckets = [];          // [{ second, calls, failures, slow }] dentro da janela
+        this.openUntil = null;
+        this.consecutiveOpens = 0;
+        this.trial = { started: 0, succeeded: 0 };
+        this.lastFailure = null;
+        this.lastStateChange = new Date().toISOString();
+        this.totals = { calls: 0, failures: 0, slow: 0, rejected: 0 };
+    }
+
+    configure(service, config = {}) {
+        this.service = service;
+        this.config = { ...DEFAULTS, ...config };
+    }
+
+    // true se a chamada pode seguir; em half-open conta como uma das chamadas de teste
+    tryAcquire(now = Date.now()) {
+        if (this.state === 'open') {
+            if (now < this.openUntil) {
+                this.totals.rejected++;
+                return false;
+            }
+            this.transition('half-open');
+            this.trial = { started: 0, succeeded: 0 };
+        }
+
+        if (this.state === 'half-open') {
+            if (this.trial.started >= this.config.halfOpenCalls) {
+                this.totals.rejected++;
+                return false;
+            }
+            this.trial.started++;
+        }
+        return true;
+    }
+
+    // Chamada cancelada antes do resultado (ex: a perdedora de um hedge). `trial` é a rodada
+    // de teste em que ela entrou (breaker.trial quando começou); de outra rodada, nada muda.
+    release(trial) {
+        if (this.state === 'half-open' && trial === this.trial && trial.started > trial.succeeded) {
+            trial.started--;
+        }
+    }
+
+    onSuccess(duration) {
+        this.record(false, duration);
+    }
+
+    onFailure(duration, error) {
+        this.lastFailure = {
+            at: new Date().toISOString(),
+            error: error ? (error.response ? `HTTP ${error.response.status}` : error.code || error.message) : null
+        };
+        this.record(true, duration);
+    }
+
+    record(failed, duration, now = Date.now()) {
+        const slow = duration > this.config.slowCall;
+        this.totals.calls++;
+        if (failed) this.totals.failures++;
+        if (slow) this.totals.slow++;
+
+        if (this.state === 'half-open') {
+            if (failed || slow) {
+                this.open(now);
+            } else if (++this.trial.succeeded >= this.config.halfOpenCalls) {
+                this.close();
+            }
+            return;
+        }
+        // Chamada iniciada antes de o circuito abrir: não muda nada
+        if (this.state === 'open') return;
+
+        const second = Math.floor(now / 1000);
+        let bucket = this.buckets[this.buckets.length - 1];
+        if (!bucket || bucket.second !== second) {
+            bucket = { second, calls: 0, failures: 0, slow: 0 };
+            this.buckets.push(bucket);
+        }
+        bucket.calls++;
+        if (failed) bucket.failures++;
+        if (slow) bucket.slow++;
+
+        const window = this.windowStats(now);
+        if (window.calls < this.config.minCalls) return;
+
+        if (window.failureRate >= this.config.failureRate) {
+            this.open(now, `${window.failureRate}% de falhas em ${window.calls} chamadas`);
+        } else if (window.slowCallRate >= this.config.slowCallRate) {
+            this.open(now, `${window.slowCallRate}% de chamadas lentas (> ${this.config.slowCall}ms) em ${window.calls} chamadas`);
+        }
+    }
+
+    windowStats(now = Date.now()) {
+        const oldest = Math.floor((now - this.config.window) / 1000);
+        this.buckets = this.buckets.filter(bucket => bucket.second > oldest);
+
+        const totals = this.buckets.reduce((sum, bucket) => ({
+            calls: sum.calls + bucket.calls,
+            failures: sum.failures + bucket.failures,
+            slow: sum.slow + bucket.slow
+        }), { calls: 0, failures: 0, slow: 0 });
+
+        return {
+            ...totals,
+            failureRate: totals.calls ? Math.round((totals.failures / totals.calls) * 100) : 0,
+            slowCallRate: totals.calls ? Math.round((totals.slow / totals.calls) * 100) : 0
+        };
+    }
+
+    open(now = Date.now(), reason = 'falha na chamada de teste') {
+        this.consecutiveOpens++;
+        const duration = Math.min(
+            this.config.openDuration * 2 ** (this.consecutiveOpens - 1),
+            this.config.maxOpenDuration
+        );
+        this.openUntil = now + duration;
+        this.buckets = [];
+        this.transition('open', `${reason}; aberto por ${duration}ms`);
+    }
+
+    close() {
+        this.consecutiveOpens = 0;
+        this.openUntil = null;
+        this.buckets = [];
+        this.transition('closed');
+    }
+
+    reset() {
+        this.close();
+        this.trial = { started: 0, succeeded: 0 };
+    }
+
+    transition(state, detail) {
+        if (this.state === state) return;
+        this.state = state;
+        this.lastStateChange = new Date().toISOString();
+
+        // Abrir é sinal de problema no serviço; fechar e meia-abertura são recuperação
+        log[state === 'open' ? 'warn' : 'info'](`Circuit breaker ${state}`, {
+            circuitBreaker: this.name,
+            serviceName: this.service,
+            state,
+            detail
+        });
+    }
+
+    // Segundos até a próxima chamada de teste (header Retry-After de uma chamada recusada)
+    retryAfter(now = Date.now()) {
+        return this.state === 'open' ? Math.max(1, Math.ceil((this.openUntil - now) / 1000)) : 1;
+    }
+
+    toJSON() {
+        return {
+            name: this.name,
+            service: this.service,
+            state: this.state,
+            openUntil: this.openUntil ? new Date(this.openUntil).toISOString() : null,
+            consecutiveOpens: this.consecutiveOpens,
+            window: this.windowStats(),
+            halfOpenTrial: this.state === 'half-open' ? this.trial : null,
+            lastFailure: this.lastFailure,
+            lastStateChange: this.lastStateChange,
+            totals: this.totals,
+            config: this.config
+        };
+    }
+}
+
+CircuitBreaker.DEFAULTS = DEFAULTS;
+CircuitBreaker.defaultsFromEnv = defaultsFromEnv;
+
+module.exports = CircuitBreaker;
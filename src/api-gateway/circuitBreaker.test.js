@@ -0,0 +1,119 @@
+// api-gateway/circuitBreaker.test.js
+// Vagas de teste do half-open com hedge: chamadas canceladas não podem prender o circuito.
+// O registry aponta para uma porta fechada para o teste não tocar em shared/services-registry.json.
+process.env.REGISTRY_URL = 'http://127.0.0.1:9';
+process.env.LOG_LEVEL = 'silent';
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const logging = require('../shared/logging');
+const serviceRegistry = require('../shared/serviceRegistry');
+const CircuitBreaker = require('./circuitBreaker');
+const APIGateway = require('./server');
+
+const PRIMARY = { id: 'localhost:3003', url: 'http://localhost:3003' };
+const SECOND = { id: 'localhost:3013', url: 'http://localhost:3013' };
+const ROUTE = { service: 'product-service', attemptTimeout: 1000, hedge: { delay: 10 } };
+
+// Gateway só com o necessário para forwardHedged: `delays` é o tempo de resposta de cada instância
+function gatewayWith(delays) {
+    const gateway = Object.create(APIGateway.prototype);
+    gateway.calls = [];
+    gateway.discoverForRequest = () => ({ service: SECOND });
+    gateway.forward = (serviceName, service, targetPath, req, { signal }) => new Promise((resolve, reject) => {
+        gateway.calls.push(service.id);
+        const timer = setTimeout(() => resolve({ status: 200, instance: service.id }), delays[service.id]);
+        signal.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(new axios.CanceledError());
+        });
+    });
+    return gateway;
+}
+
+function hedge(gateway, breaker) {
+    const req = { method: 'GET', log: logging.root };
+    return gateway.forwardHedged(ROUTE, breaker, PRIMARY, '/items', req, Date.now() + 1000, { replayable: true });
+}
+
+// Circuito em half-open com a primeira vaga de teste ocupada (a chamada original)
+function halfOpenBreaker() {
+    const breaker = new CircuitBreaker('products', 'product-service', { halfOpenCalls: 3, openDuration: 1 });
+    breaker.open(Date.now() - 10);
+    assert.equal(breaker.tryAcquire(), true);
+    assert.equal(breaker.state, 'half-open');
+    return breaker;
+}
+
+describe('circuit breaker: half-open e hedge', () => {
+    after(() => serviceRegistry.close());
+
+    it('release devolve a vaga da rodada de teste atual', () => {
+        const breaker = halfOpenBreaker();
+        breaker.release(breaker.trial);
+        assert.deepEqual(breaker.trial, { started: 0, succeeded: 0 });
+    });
+
+    it('release de uma rodada anterior não mexe na atual', () => {
+        const breaker = halfOpenBreaker();
+        const previous = breaker.trial;
+        breaker.onFailure(10, new Error('falhou'));
+        breaker.open(Date.now() - 10);
+        assert.equal(breaker.tryAcquire(), true);
+
+        breaker.release(previous);
+        assert.deepEqual(breaker.trial, { started: 1, succeeded: 0 });
+    });
+
+    it('não faz chamada extra em half-open e a chamada de teste conta', async () => {
+        const breaker = halfOpenBreaker();
+        const gateway = gatewayWith({ [PRIMARY.id]: 40, [SECOND.id]: 1 });
+
+        const { service } = await hedge(gateway, breaker);
+        assert.equal(service, PRIMARY);
+        assert.deepEqual(gateway.calls, [PRIMARY.id]);
+        assert.deepEqual(breaker.trial, { started: 1, succeeded: 1 });
+    });
+
+    it('fecha depois das chamadas de teste mesmo com hedge configurado', async () => {
+        const breaker = halfOpenBreaker();
+        const gateway = gatewayWith({ [PRIMARY.id]: 20, [SECOND.id]: 1 });
+
+        await hedge(gateway, breaker);
+        for (let call = 2; call <= 3; call++) {
+            assert.equal(breaker.tryAcquire(), true);
+            await hedge(gateway, breaker);
+        }
+        assert.equal(breaker.state, 'closed');
+    });
+
+    it('chamada de teste cancelada devolve a vaga', async () => {
+        const breaker = halfOpenBreaker();
+        const gateway = gatewayWith({ [PRIMARY.id]: 1000 });
+        const controller = new AbortController();
+
+        const call = gateway.forwardRecorded(breaker, PRIMARY, '/items', {}, { signal: controller.signal });
+        controller.abort();
+        await assert.rejects(call, error => axios.isCancel(error));
+
+        assert.deepEqual(breaker.trial, { started: 0, succeeded: 0 });
+        assert.equal(breaker.state, 'half-open');
+        for (let call = 1; call <= 3; call++) {
+            assert.equal(breaker.tryAcquire(), true);
+        }
+    });
+
+    it('em closed o hedge continua valendo e a chamada perdedora não conta', async () => {
+        const breaker = new CircuitBreaker('products', 'product-service');
+        assert.equal(breaker.tryAcquire(), true);
+        const gateway = gatewayWith({ [PRIMARY.id]: 200, [SECOND.id]: 1 });
+
+        const { service } = await hedge(gateway, breaker);
+        assert.equal(service, SECOND);
+        assert.deepEqual(gateway.calls, [PRIMARY.id, SECOND.id]);
+        await new Promise(resolve => setImmediate(resolve));
+        assert.equal(breaker.totals.calls, 1);
+        assert.equal(breaker.state, 'closed');
+    });
+});
@@ -0,0 +1,77 @@
+// api-gateway/graphql/index.js
+// Endpoint GraphQL do gateway: POST /graphql com { query, variables, operationName }
+// ou GET /graphql?query=...&variables=... A resposta segue a especificação
+// ({ data, errors }); consultas inválidas recebem 400.
+const { parse, validate, execute, GraphQLError } = require('graphql');
+const { createSchema } = require('./schema');
+const { createLoaders } = require('./loaders');
+
+function badRequest(res, errors) {
+    return res.status(400).json({ errors });
+}
+
+function graphqlHandler(gateway) {
+    const schema = createSchema();
+
+    return async (req, res, next) => {
+        const params = req.method === 'GET' ? req.query : (req.body || {});
+        const { query, operationName } = params;
+        if (typeof query !== 'string' || !query.trim()) {
+            return badRequest(res, [new GraphQLError('Parâmetro "query" é obrigatório')]);
+        }
+
+        let variables = params.variables || {};
+        if (typeof variables === 'string') {
+            try {
+                variables = JSON.parse(variables);
+            } catch (error) {
+                return badRequest(res, [new GraphQLError('"variables" deve ser um JSON válido')]);
+            }
+        }
+
+        let document;
+        try {
+            document = parse(query);
+        } catch (syntaxError) {
+            return badRequest(res, [syntaxError]);
+        }
+
+        const validationErrors = validate(schema, document);
+        if (validationErrors.length > 0) {
+            return badRequest(res, validationErrors);
+        }
+
+        // Token inválido não impede consultas públicas; os campos que exigem usuário explicam o erro
+        const authError = gateway.authenticate(req);
+        const authHeader = req.user ? req.header('Authorization') : null;
+
+        try {
+            const result = await execute({
+                schema,
+                document,
+                variableValues: variables,
+                operationName,
+                contextValue: {
+                    user: req.user,
+                    authError,
+                    loaders: createLoaders(gateway, { authHeader, user: req.user, req })
+                }
+            });
+
+            if (result.errors) {
+                req.log.warn('Consulta GraphQL com erros', {
+                    operationName,
+                    errors: result.errors.length,
+                    firstError: result.errors[0].message
+                });
+            }
+            res.json(result);
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+module.exports = {
+    graphqlHandler
+};
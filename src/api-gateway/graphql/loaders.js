@@ -0,0 +1,62 @@
+// api-gateway/graphql/loaders.js
+// DataLoaders de uma requisição GraphQL: as buscas por id feitas pelos resolvers no
+// mesmo tick viram uma chamada por serviço (produtos) ou chamadas únicas por id
+// (usuários, listas), e o mesmo id não é buscado duas vezes na requisição.
+// As chamadas levam o token e a identidade do cliente, então cada serviço aplica as
+// suas próprias regras de acesso.
+const DataLoader = require('dataloader');
+
+// 403/404 viram null no campo; outros erros (serviço fora do ar...) sobem para o GraphQL
+function notFoundAsNull(error) {
+    const status = error.response && error.response.status;
+    if (status === 403 || status === 404) return null;
+    throw error;
+}
+
+function createLoaders(gateway, { authHeader, user, req }) {
+    const call = (serviceName, servicePath, params = {}) =>
+        gateway.callService(serviceName, servicePath, 'GET', authHeader, params, user, req);
+
+    // GET /items?ids=a,b,c: um lote por tick
+    const products = new DataLoader(async ids => {
+        const response = await call('product-service', '/items', { ids: ids.join(','), limit: ids.length });
+        const byId = new Map(response.data.map(product => [product.id, product]));
+        return ids.map(id => byId.get(id) || null);
+    }, { maxBatchSize: 100 });
+
+    // Sem rota de lote no user-service e no list-service: uma chamada por id distinto
+    const byIdLoader = (serviceName, pathFor, unwrap) => new DataLoader(ids => Promise.all(ids.map(id =>
+        call(serviceName, pathFor(id)).then(unwrap).catch(notFoundAsNull).catch(error => error))));
+
+    const users = byIdLoader('user-service', id => `/users/${encodeURIComponent(id)}`, response => response.data);
+    const lists = byIdLoader('list-service', id => `/lists/${encodeURIComponent(id)}`, response => response);
+
+    return {
+        products,
+        users,
+        lists,
+
+        // Listas do usuário autenticado (o list-service só devolve as do próprio usuário)
+        myLists: () => call('list-service', '/lists').then(found => {
+            found.forEach(list => lists.prime(list.id, list));
+            return found;
+        }),
+
+        // Consultas de catálogo; os produtos encontrados entram no loader
+        productPage: async params => {
+            const response = await call('product-service', '/items', params);
+            response.data.forEach(product => products.prime(product.id, product));
+            return response;
+        },
+        searchProducts: async params => {
+            const response = await call('product-service', '/search', params);
+            response.data.results.forEach(product => products.prime(product.id, product));
+            return response.data.results;
+        },
+        categories: () => call('product-service', '/categories').then(response => response.data)
+    };
+}
+
+module.exports = {
+    createLoaders
+};
@@ -0,0 +1,186 @@
+// api-gateway/graphql/schema.js
+// Schema GraphQL do gateway: usuários (user-service), produtos e categorias
+// (product-service) e listas de compras (list-service), resolvidos com os loaders
+// da requisição (ver loaders.js).
+const { buildSchema, GraphQLError } = require('graphql');
+
+const typeDefs = `
+    type User {
+        id: ID!
+        username: String!
+        email: String
+        firstName: String
+        lastName: String
+        role: String
+        status: String
+        createdAt: String
+        "Só para o próprio usuário"
+        lists: [ShoppingList!]
+    }
+
+    type Category {
+        name: String!
+        slug: String!
+        productCount: Int
+        products(limit: Int = 10): [Product!]!
+    }
+
+    type Product {
+        id: ID!
+        name: String!
+        description: String
+        price: Float
+        stock: Int
+        category: Category
+        tags: [String!]!
+        images: [String!]!
+        active: Boolean
+        featured: Boolean
+        createdAt: String
+        updatedAt: String
+    }
+
+    type ProductPage {
+        items: [Product!]!
+        page: Int!
+        limit: Int!
+        total: Int!
+        pages: Int!
+    }
+
+    type ListItem {
+        itemId: ID!
+        itemName: String
+        quantity: Float
+        unit: String
+        estimatedPrice: Float
+        purchased: Boolean
+        notes: String
+        addedAt: String
+        "Produto atual no catálogo (null se foi removido)"
+        product: Product
+    }
+
+    type ListSummary {
+        totalItems: Int
+        purchasedItems: Int
+        estimatedTotal: Float
+    }
+
+    type ShoppingList {
+        id: ID!
+        name: String
+        description: String
+        status: String
+        owner: User
+        items: [ListItem!]!
+        summary: ListSummary
+        createdAt: String
+        updatedAt: String
+    }
+
+    type Query {
+        "Usuário autenticado"
+        me: User
+        user(id: ID!): User
+        product(id: ID!): Product
+        products(category: String, search: String, page: Int = 1, limit: Int = 10): ProductPage!
+        categories: [Category!]!
+        search(q: String!, category: String, limit: Int = 20): [Product!]!
+        lists: [ShoppingList!]
+        list(id: ID!): ShoppingList
+    }
+`;
+
+// Campos que exigem token: o erro explica por que não há usuário
+function requireUser(context) {
+    if (!context.user) {
+        throw new GraphQLError(context.authError || 'Token obrigatório', {
+            extensions: { code: 'UNAUTHENTICATED' }
+        });
+    }
+    return context.user;
+}
+
+// Produtos antigos guardam a categoria como texto
+function toCategory(category) {
+    if (!category) return null;
+    if (typeof category === 'string') {
+        return { name: category, slug: category.toLowerCase().replace(/\s+/g, '-') };
+    }
+    return { ...category, slug: category.slug || category.name.toLowerCase().replace(/\s+/g, '-') };
+}
+
+const resolvers = {
+    Query: {
+        me: (parent, args, context) => context.loaders.users.load(requireUser(context).id),
+        user: (parent, { id }, context) => {
+            requireUser(context);
+            return context.loaders.users.load(id);
+        },
+        product: (parent, { id }, context) => context.loaders.products.load(id),
+        products: async (parent, { category, search, page, limit }, context) => {
+            const params = { page, limit };
+            if (category) params.category = category;
+            if (search) params.search = search;
+
+            const response = await context.loaders.productPage(params);
+            return { items: response.data, ...response.pagination };
+        },
+        categories: (parent, args, context) => context.loaders.categories(),
+        search: (parent, { q, category, limit }, context) =>
+            context.loaders.searchProducts(category ? { q, category, limit } : { q, limit }),
+        lists: (parent, args, context) => {
+            requireUser(context);
+            return context.loaders.myLists();
+        },
+        list: (parent, { id }, context) => {
+            requireUser(context);
+            return context.loaders.lists.load(id);
+        }
+    },
+
+    User: {
+        lists: (user, args, context) => (context.user && context.user.id === user.id ? context.loaders.myLists() : null)
+    },
+
+    Category: {
+        products: async (category, { limit }, context) => {
+            const response = await context.loaders.productPage({ category: category.slug, limit });
+            return response.data;
+        }
+    },
+
+    Product: {
+        category: product => toCategory(product.category),
+        tags: product => product.tags || [],
+        images: product => product.images || []
+    },
+
+    ListItem: {
+        product: (item, args, context) => context.loaders.products.load(item.itemId)
+    },
+
+    ShoppingList: {
+        owner: (list, args, context) => context.loaders.users.load(list.userId),
+        items: list => list.items || []
+    }
+};
+
+// Liga os resolvers aos campos do schema gerado a partir do SDL
+function createSchema() {
+    const schema = buildSchema(typeDefs);
+    Object.entries(resolvers).forEach(([typeName, fields]) => {
+        const type = schema.getType(typeName);
+        Object.entries(fields).forEach(([fieldName, resolve]) => {
+            type.getFields()[fieldName].resolve = resolve;
+        });
+    });
+    return schema;
+}
+
+module.exports = {
+    typeDefs,
+    resolvers,
+    createSchema
+};
@@ -0,0 +1,261 @@
+// api-gateway/openapi/OpenApiAggregator.js
+// Especificação OpenAPI única do gateway, montada com os documentos de cada serviço
+// (GET /openapi.json) e a tabela de rotas:
+//   - os caminhos do serviço viram os caminhos do gateway desfazendo o rewrite da rota
+//     ("^/api/items" -> "/items": /items/{id} vira /api/items/{id}); caminhos que nenhuma
+//     rota expõe, ou métodos fora de "methods", ficam de fora;
+//   - components ganham o nome do serviço (product-service.Item) e os $ref acompanham;
+//   - "security" segue o "auth" da rota, que é quem exige o token.
+// Os documentos são buscados a cada OPENAPI_REFRESH_MS (padrão 60s); serviço sem documento
+// é buscado de novo quando a especificação é pedida. Um documento que não chega mais
+// continua valendo até o serviço responder.
+const gatewaySpec = require('./gateway.json');
+const RequestValidator = require('./RequestValidator');
+const log = require('../../shared/logging').child({ component: 'openapi' });
+
+const METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+const COMPONENT_KINDS = ['schemas', 'parameters', 'responses', 'requestBodies', 'headers', 'examples', 'links', 'callbacks'];
+const RETRY_MISSING_MS = 5000;
+
+class OpenApiAggregator {
+    // fetchSpec(serviceName) -> Promise<documento OpenAPI do serviço>
+    constructor({ routeTable, fetchSpec, refreshInterval, info = {} }) {
+        this.routeTable = routeTable;
+        this.fetchSpec = fetchSpec;
+        this.refreshInterval = refreshInterval || parseInt(process.env.OPENAPI_REFRESH_MS) || 60000;
+        this.info = info;
+
+        this.specs = new Map();     // serviço -> { spec, json, fetchedAt }
+        this.errors = new Map();    // serviço -> mensagem da última falha
+        this.revision = 0;          // muda quando algum documento muda
+        this.built = null;          // { key, document, validator }
+        this.refreshing = null;
+        this.lastMissingRefresh = 0;
+        this.timer = null;
+    }
+
+    // Serviços com rota no gateway
+    services() {
+        return [...new Set(this.routeTable.routes.map(route => route.service))];
+    }
+
+    async refresh() {
+        if (this.refreshing) return this.refreshing;
+
+        this.refreshing = Promise.all(this.services().map(async serviceName => {
+            try {
+                const spec = await this.fetchSpec(serviceName);
+                if (!spec || typeof spec.paths !== 'object') {
+                    throw new Error('documento sem "paths"');
+                }
+
+                const json = JSON.stringify(spec);
+                const known = this.specs.get(serviceName);
+                if (!known || known.json !== json) {
+                    this.revision++;
+                    log.info(known ? 'OpenAPI atualizado' : 'OpenAPI carregado', { serviceName, version: spec.info && spec.info.version });
+                }
+                this.specs.set(serviceName, { spec, json, fetchedAt: new Date().toISOString() });
+                this.errors.delete(serviceName);
+            } catch (error) {
+                if (!this.errors.has(serviceName)) {
+                    log.warn('OpenAPI indisponível', { serviceName, keepingLast: this.specs.has(serviceName), error: error.message });
+                }
+                this.errors.set(serviceName, error.message);
+            }
+        })).finally(() => {
+            this.refreshing = null;
+        });
+        return this.refreshing;
+    }
+
+    // Busca os documentos que faltam (no máximo a cada RETRY_MISSING_MS)
+    refreshMissing() {
+        const missing = this.services().some(serviceName => !this.specs.has(serviceName));
+        if (!missing || Date.now() - this.lastMissingRefresh < RETRY_MISSING_MS) {
+            return this.refreshing || Promise.resolve();
+        }
+        this.lastMissingRefresh = Date.now();
+        return this.refresh();
+    }
+
+    // Especificação agregada (remontada quando a tabela de rotas ou um documento muda)
+    document() {
+        return this.build().document;
+    }
+
+    // Validador de requisições da especificação atual (ver RequestValidator.js)
+    validator() {
+        return this.build().validator;
+    }
+
+    build() {
+        this.refreshMissing();
+
+        const key = `${this.routeTable.loadedAt}|${this.revision}`;
+        if (!this.built || this.built.key !== key) {
+            const document = this.merge();
+            this.built = { key, document, validator: new RequestValidator(document) };
+        }
+        return this.built;
+    }
+
+    merge() {
+        const document = {
+            openapi: '3.1.0',
+            info: {
+                title: 'API Gateway',
+                version: this.info.version || '1.0.0',
+                description: [
+                    this.info.description || 'Especificação agregada dos microsserviços',
+                    ...[...this.specs].map(([serviceName, { spec }]) => `- ${serviceName} ${(spec.info && spec.info.version) || ''}`.trim())
+                ].join('\n')
+            },
+            servers: [{ url: '/' }],
+            tags: [...gatewaySpec.tags],
+            paths: clone(gatewaySpec.paths),
+            components: clone(gatewaySpec.components)
+        };
+
+        this.routeTable.routes
+            .slice()
+            .sort((a, b) => a.prefix.localeCompare(b.prefix))
+            .forEach(route => {
+                const known = this.specs.get(route.service);
+                if (!known) return;
+
+                const spec = namespaced(known.spec, route.service);
+                let exposed = 0;
+                Object.entries(spec.paths).forEach(([servicePath, pathItem]) => {
+                    const gatewayPath = this.gatewayPath(route, servicePath);
+                    if (!gatewayPath || document.paths[gatewayPath]) return;
+
+                    const merged = this.mergePathItem(route, spec, pathItem);
+                    if (merged) {
+                        document.paths[gatewayPath] = merged;
+                        exposed++;
+                    }
+                });
+
+                if (exposed > 0) {
+                    document.tags.push({ name: route.name, description: `${route.description} (${route.service})`.trim() });
+                }
+                mergeComponents(document.components, spec.components);
+            });
+
+        return document;
+    }
+
+    // Caminho do gateway que chega em `servicePath` do serviço pela rota, ou null
+    gatewayPath(route, servicePath) {
+        const candidates = route.rewrite
+            .map(rule => {
+                const literal = /^\^((?:\/[\w.~-]+)+)$/.exec(rule.source);
+                if (!literal) return null;
+                const to = rule.to.replace(/\/+$/, '');
+                if (servicePath !== to && !servicePath.startsWith(`${to}/`)) return null;
+                return literal[1] + servicePath.slice(to.length);
+            })
+            .filter(Boolean);
+        if (route.rewrite.length === 0) candidates.push(servicePath);
+
+        // Confere com a própria tabela: a rota tem que ser a escolhida e o rewrite tem que
+        // levar de volta ao caminho do serviço
+        const sample = template => template.replace(/\{([^}]+)\}/g, '$1');
+        return candidates.find(candidate => {
+            const match = this.routeTable.match('GET', sample(candidate));
+            return match && match.route === route && match.targetPath === sample(servicePath);
+        }) || null;
+    }
+
+    mergePathItem(route, spec, pathItem) {
+        const merged = {};
+        Object.entries(pathItem).forEach(([key, value]) => {
+            if (!METHODS.includes(key)) {
+                merged[key] = value;
+                return;
+            }
+
+            const method = key.toUpperCase();
+            if (route.methods && !route.methods.includes(method)) return;
+
+            const operation = { ...value, tags: [route.name] };
+            if (value.operationId) {
+                operation.operationId = `${route.name}.${value.operationId}`;
+            }
+            operation.security = this.routeTable.requiresAuth(route, method) ? [{ bearerAuth: [] }] : [];
+
+            const hasInput = operation.requestBody || operation.parameters || pathItem.parameters;
+            if (route.validate && hasInput) {
+                operation.responses = { ...operation.responses };
+                if (!operation.responses['400']) {
+                    operation.responses['400'] = { $ref: '#/components/responses/ValidationFailed' };
+                }
+            }
+            merged[key] = operation;
+        });
+
+        return METHODS.some(method => merged[method]) ? merged : null;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.refresh();
+        this.timer = setInterval(() => this.refresh(), this.refreshInterval);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    status() {
+        return {
+            refreshInterval: this.refreshInterval,
+            services: Object.fromEntries(this.services().map(serviceName => {
+                const known = this.specs.get(serviceName);
+                return [serviceName, {
+                    version: known && known.spec.info ? known.spec.info.version : null,
+                    fetchedAt: known ? known.fetchedAt : null,
+                    error: this.errors.get(serviceName) || null
+                }];
+            }))
+        };
+    }
+}
+
+function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+// Cópia do documento com os components prefixados pelo serviço ("Item" -> "product-service.Item").
+// securitySchemes ficam de fora: o gateway tem o seu (bearerAuth).
+function namespaced(spec, serviceName) {
+    const copy = clone({ paths: spec.paths, components: spec.components || {} });
+    const rename = value => {
+        if (Array.isArray(value)) return value.forEach(rename);
+        if (!value || typeof value !== 'object') return;
+
+        if (typeof value.$ref === 'string') {
+            value.$ref = value.$ref.replace(/^#\/components\/([^/]+)\/(.+)$/, (ref, kind, name) =>
+                (COMPONENT_KINDS.includes(kind) ? `#/components/${kind}/${serviceName}.${name}` : ref));
+        }
+        Object.values(value).forEach(rename);
+    };
+    rename(copy);
+
+    copy.components = Object.fromEntries(COMPONENT_KINDS
+        .filter(kind => copy.components[kind])
+        .map(kind => [kind, Object.fromEntries(Object.entries(copy.components[kind])
+            .map(([name, component]) => [`${serviceName}.${name}`, component]))]));
+    return copy;
+}
+
+function mergeComponents(target, components) {
+    Object.entries(components).forEach(([kind, entries]) => {
+        target[kind] = { ...target[kind], ...entries };
+    });
+}
+
+module.exports = OpenApiAggregator;
@@ -0,0 +1,263 @@
+// api-gateway/openapi/RequestValidator.js
+// Validação das requisições contra a especificação agregada, antes do proxy:
+// parâmetros de caminho, query e header (convertidos de texto para o tipo do schema)
+// e o corpo JSON. Os schemas são validados pelo shared/SchemaValidator; palavras-chave
+// só do OpenAPI (example, readOnly, nullable...) são convertidas ou descartadas.
+// Uma operação cujo schema usa algo que o SchemaValidator não suporta não é validada
+// (o serviço continua validando) e o motivo fica no log.
+//
+// validate() devolve a lista de problemas, [] quando a requisição é válida:
+//   [{ in: 'path' | 'query' | 'header' | 'body', path: 'price', message: 'deve ser > 0' }]
+const SchemaValidator = require('../../shared/SchemaValidator');
+const log = require('../../shared/logging').child({ component: 'openapi' });
+
+const METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+// Anotações do OpenAPI sem efeito na validação
+const OPENAPI_ONLY = ['example', 'readOnly', 'writeOnly', 'deprecated', 'xml', 'externalDocs', 'discriminator', 'contentMediaType', 'contentEncoding'];
+
+// Formatos que o SchemaValidator confere; os demais (uuid, int64, binary...) são só anotação
+const CHECKED_FORMATS = ['date-time', 'email'];
+
+const JSON_MEDIA_TYPE = /^application\/(?:[\w.+-]+\+)?json$/;
+
+class RequestValidator {
+    constructor(document) {
+        this.document = document;
+        this.operations = [];
+
+        Object.entries(document.paths || {}).forEach(([template, pathItem]) => {
+            METHODS.filter(method => pathItem[method]).forEach(method => {
+                this.operations.push(this.compile(template, method.toUpperCase(), pathItem, pathItem[method]));
+            });
+        });
+
+        // Caminhos fixos antes dos com parâmetros: /api/items/changes antes de /api/items/{id}
+        this.operations.sort((a, b) => a.params.length - b.params.length);
+    }
+
+    compile(template, method, pathItem, operation) {
+        const params = [];
+        const pattern = template
+            .split(/(\{[^}]+\})/)
+            .map(part => {
+                const param = /^\{([^}]+)\}$/.exec(part);
+                if (!param) return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                params.push(param[1]);
+                return '([^/]+)';
+            })
+            .join('');
+
+        const compiled = {
+            id: `${method} ${template}`,
+            method,
+            template,
+            regex: new RegExp(`^${pattern}/?$`),
+            params,
+            parameters: [],
+            body: null,
+            skipped: null
+        };
+
+        try {
+            // Parâmetros da operação substituem os do caminho com o mesmo nome e local
+            const byKey = new Map();
+            [...(pathItem.parameters || []), ...(operation.parameters || [])]
+                .map(parameter => this.resolve(parameter))
+                .forEach(parameter => byKey.set(`${parameter.in}:${parameter.name}`, parameter));
+
+            compiled.parameters = [...byKey.values()]
+                .filter(parameter => ['path', 'query', 'header'].includes(parameter.in))
+                .map(parameter => {
+                    const schema = this.toJsonSchema(parameter.schema || {});
+                    return {
+                        name: parameter.name,
+                        in: parameter.in,
+                        required: parameter.in === 'path' || Boolean(parameter.required),
+                        schema,
+                        validator: new SchemaValidator(`${compiled.id} ${parameter.in}.${parameter.name}`, schema)
+                    };
+                });
+
+            if (operation.requestBody) {
+                const requestBody = this.resolve(operation.requestBody);
+                const mediaTypes = Object.keys(requestBody.content || {});
+                const jsonType = mediaTypes.find(mediaType => JSON_MEDIA_TYPE.test(mediaType));
+                const schema = jsonType && requestBody.content[jsonType].schema
+                    ? this.toJsonSchema(requestBody.content[jsonType].schema)
+                    : null;
+
+                compiled.body = {
+                    required: Boolean(requestBody.required),
+                    mediaTypes,
+                    validator: schema ? new SchemaValidator(`${compiled.id} body`, schema) : null
+                };
+            }
+        } catch (error) {
+            compiled.skipped = error.message;
+            log.warn('Operação não será validada no gateway', { operation: compiled.id, error: error.message });
+        }
+
+        return compiled;
+    }
+
+    // Operação da especificação para a requisição (null se não documentada)
+    match(method, requestPath) {
+        for (const operation of this.operations) {
+            if (operation.method !== method) continue;
+            const found = operation.regex.exec(requestPath);
+            if (found) {
+                return {
+                    operation,
+                    pathParams: Object.fromEntries(operation.params.map((name, i) => [name, safeDecode(found[i + 1])]))
+                };
+            }
+        }
+        return null;
+    }
+
+    // `body`: null (sem corpo), Buffer ou stream (corpo grande, não validado)
+    validate(req, match, body) {
+        const { operation, pathParams } = match;
+        if (operation.skipped) return [];
+
+        const errors = [];
+        const sources = {
+            path: name => pathParams[name],
+            query: name => req.query[name],
+            header: name => req.header(name)
+        };
+
+        operation.parameters.forEach(parameter => {
+            const raw = sources[parameter.in](parameter.name);
+            if (raw === undefined || raw === '') {
+                if (parameter.required) {
+                    errors.push({ in: parameter.in, path: parameter.name, message: 'é obrigatório' });
+                }
+                return;
+            }
+
+            const value = coerce(parameter.schema, raw);
+            parameter.validator.validate(value).forEach(error => {
+                errors.push({ in: parameter.in, path: joinPath(parameter.name, error.path), message: error.message });
+            });
+        });
+
+        if (operation.body) {
+            errors.push(...this.validateBody(operation.body, req, body));
+        }
+        return errors;
+    }
+
+    validateBody(expected, req, body) {
+        if (!body) {
+            return expected.required ? [{ in: 'body', path: '', message: 'é obrigatório' }] : [];
+        }
+
+        const mediaType = String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+        const accepted = expected.mediaTypes.some(candidate => candidate === mediaType || candidate === '*/*'
+            || (candidate.endsWith('/*') && mediaType.startsWith(candidate.slice(0, -1))));
+        if (!accepted) {
+            return [{ in: 'header', path: 'content-type', message: `deve ser ${expected.mediaTypes.join(' ou ')}` }];
+        }
+
+        // Corpo grande vai em stream para o serviço sem passar pela validação
+        if (!JSON_MEDIA_TYPE.test(mediaType) || !expected.validator || !Buffer.isBuffer(body)) {
+            return [];
+        }
+
+        let document;
+        try {
+            document = JSON.parse(body.toString('utf8'));
+        } catch (error) {
+            return [{ in: 'body', path: '', message: `JSON inválido (${error.message})` }];
+        }
+        return expected.validator.validate(document).map(error => ({ in: 'body', path: error.path, message: error.message }));
+    }
+
+    // Objeto apontado por um $ref local (#/components/...)
+    resolve(value, seen = new Set()) {
+        if (!value || typeof value.$ref !== 'string') return value;
+        if (seen.has(value.$ref)) {
+            throw new Error(`$ref circular ${value.$ref}`);
+        }
+        if (!value.$ref.startsWith('#/')) {
+            throw new Error(`$ref externo não suportado ${value.$ref}`);
+        }
+
+        const target = value.$ref.slice(2).split('/')
+            .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+            .reduce((node, part) => (node ? node[part] : undefined), this.document);
+        if (target === undefined) {
+            throw new Error(`$ref inexistente ${value.$ref}`);
+        }
+        return this.resolve(target, new Set([...seen, value.$ref]));
+    }
+
+    // Schema do OpenAPI -> schema aceito pelo SchemaValidator, com os $ref resolvidos
+    toJsonSchema(schema, seen = new Set()) {
+        if (typeof schema === 'boolean') return schema;
+        if (schema.$ref) {
+            if (seen.has(schema.$ref)) {
+                throw new Error(`$ref circular ${schema.$ref}`);
+            }
+            return this.toJsonSchema(this.resolve(schema), new Set([...seen, schema.$ref]));
+        }
+
+        const converted = {};
+        Object.entries(schema).forEach(([keyword, value]) => {
+            if (OPENAPI_ONLY.includes(keyword) || keyword.startsWith('x-')) return;
+            if (keyword === 'nullable') return;
+            if (keyword === 'format' && !CHECKED_FORMATS.includes(value)) return;
+
+            if (keyword === 'properties') {
+                converted.properties = Object.fromEntries(Object.entries(value)
+                    .map(([name, child]) => [name, this.toJsonSchema(child, seen)]));
+            } else if (keyword === 'items' || keyword === 'additionalProperties') {
+                converted[keyword] = this.toJsonSchema(value, seen);
+            } else if (keyword === 'anyOf' || keyword === 'oneOf') {
+                converted[keyword] = value.map(child => this.toJsonSchema(child, seen));
+            } else {
+                converted[keyword] = value;
+            }
+        });
+
+        // OpenAPI 3.0: nullable: true equivale a incluir 'null' em type
+        if (schema.nullable === true && converted.type) {
+            converted.type = [...new Set([...[].concat(converted.type), 'null'])];
+        }
+        return converted;
+    }
+}
+
+// Parâmetros chegam como texto: '10' vira 10 quando o schema pede número, 'true' vira true...
+function coerce(schema, raw) {
+    const types = [].concat(schema.type || []);
+    if (types.includes('array')) {
+        const values = Array.isArray(raw) ? raw : String(raw).split(',');
+        return values.map(value => coerce(schema.items || {}, value));
+    }
+    if (Array.isArray(raw) || typeof raw !== 'string') return raw;
+
+    if ((types.includes('number') || types.includes('integer')) && /^-?\d+(\.\d+)?([eE][+-]?\d+)?$/.test(raw)) {
+        return Number(raw);
+    }
+    if (types.includes('boolean') && (raw === 'true' || raw === 'false')) {
+        return raw === 'true';
+    }
+    return raw;
+}
+
+function safeDecode(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+function joinPath(name, path) {
+    return path ? `${name}.${path}` : name;
+}
+
+module.exports = RequestValidator;
@@ -0,0 +1,52 @@
+// api-gateway/openapi/docs.js
+// Swagger UI em /docs, lendo a especificação agregada de /openapi.json. Os arquivos
+// vêm do pacote swagger-ui-dist; a inicialização fica em um script próprio porque a
+// Content-Security-Policy do helmet não permite scripts inline.
+const express = require('express');
+const helmet = require('helmet');
+const swaggerUi = require('swagger-ui-dist');
+
+const PAGE = `<!DOCTYPE html>
+<html lang="pt-BR">
+  <head>
+    <meta charset="UTF-8">
+    <title>API Gateway - Documentação</title>
+    <link rel="stylesheet" type="text/css" href="/docs/assets/swagger-ui.css" />
+    <link rel="icon" type="image/png" href="/docs/assets/favicon-32x32.png" sizes="32x32" />
+  </head>
+  <body>
+    <div id="swagger-ui"></div>
+    <script src="/docs/assets/swagger-ui-bundle.js" charset="UTF-8"></script>
+    <script src="/docs/assets/swagger-ui-standalone-preset.js" charset="UTF-8"></script>
+    <script src="/docs/init.js" charset="UTF-8"></script>
+  </body>
+</html>
+`;
+
+const INIT = `window.onload = function () {
+  window.ui = SwaggerUIBundle({
+    url: '/openapi.json',
+    dom_id: '#swagger-ui',
+    deepLinking: true,
+    persistAuthorization: true,
+    presets: [SwaggerUIBundle.presets.apis, SwaggerUIStandalonePreset],
+    layout: 'StandaloneLayout'
+  });
+};
+`;
+
+function docsRouter() {
+    const router = express.Router();
+
+    // Sem upgrade-insecure-requests: o gateway roda em http (localhost, rede interna)
+    router.use(helmet.contentSecurityPolicy({ directives: { upgradeInsecureRequests: null } }));
+
+    router.get('/', (req, res) => res.type('html').send(PAGE));
+    router.get('/init.js', (req, res) => res.type('js').send(INIT));
+    router.use('/assets', express.static(swaggerUi.getAbsoluteFSPath(), { index: false }));
+    return router;
+}
+
+module.exports = {
+    docsRouter
+};
@@ -0,0 +1,14 @@
+// api-gateway/openapi/index.js
+// Especificação OpenAPI agregada do gateway (GET /openapi.json), validação das
+// requisições contra ela antes do proxy e a documentação navegável em /docs.
+// Cada serviço mantém o seu documento (openapi.json na pasta do serviço, servido em
+// GET /openapi.json, ver shared/openapi.js).
+const OpenApiAggregator = require('./OpenApiAggregator');
+const RequestValidator = require('./RequestValidator');
+const { docsRouter } = require('./docs');
+
+module.exports = {
+    OpenApiAggregator,
+    RequestValidator,
+    docsRouter
+};
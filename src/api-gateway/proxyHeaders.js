@@ -0,0 +1,65 @@
+// api-gateway/proxyHeaders.js
+// Headers repassados pelo proxy nos dois sentidos. Headers hop-by-hop (RFC 9110, 7.6.1)
+// valem só para uma conexão: não são repassados, nem os nomeados em Connection.
+const HOP_BY_HOP = [
+    'connection',
+    'keep-alive',
+    'proxy-authenticate',
+    'proxy-authorization',
+    'proxy-connection',
+    'te',
+    'trailer',
+    'transfer-encoding',
+    'upgrade'
+];
+
+// Cópia dos headers sem os hop-by-hop
+function endToEnd(headers) {
+    const listed = String(headers.connection || '')
+        .split(',')
+        .map(name => name.trim().toLowerCase())
+        .filter(Boolean);
+
+    return Object.fromEntries(Object.entries(headers).filter(([name, value]) => {
+        const lower = name.toLowerCase();
+        return value !== undefined && value !== null && !HOP_BY_HOP.includes(lower) && !listed.includes(lower);
+    }));
+}
+
+// Headers da requisição ao serviço: os do cliente (sem Host) mais X-Forwarded-*.
+// X-Forwarded-For acumula os IPs; Host e Proto são os vistos pelo gateway, que é a borda.
+function upstream(req) {
+    const headers = endToEnd(req.headers);
+    delete headers.host;
+
+    const clientIp = req.socket.remoteAddress;
+    headers['x-forwarded-for'] = req.headers['x-forwarded-for']
+        ? `${req.headers['x-forwarded-for']}, ${clientIp}`
+        : clientIp;
+    headers['x-forwarded-host'] = req.headers.host;
+    headers['x-forwarded-proto'] = req.protocol;
+    return headers;
+}
+
+// Headers da resposta do serviço a repassar ao cliente (Set-Cookie continua uma lista).
+// X-Request-Id fica de fora: vale o do gateway, e uma resposta em cache não leva o de outra requisição.
+function downstream(headers) {
+    const copy = endToEnd(typeof headers.toJSON === 'function' ? headers.toJSON() : headers);
+    Object.keys(copy)
+        .filter(name => name.toLowerCase() === 'x-request-id')
+        .forEach(name => delete copy[name]);
+    return copy;
+}
+
+// true se a requisição tem corpo (Content-Length > 0 ou chunked)
+function hasBody(req) {
+    return req.headers['transfer-encoding'] !== undefined || parseInt(req.headers['content-length']) > 0;
+}
+
+module.exports = {
+    HOP_BY_HOP,
+    endToEnd,
+    upstream,
+    downstream,
+    hasBody
+};
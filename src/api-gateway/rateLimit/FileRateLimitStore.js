@@ -0,0 +1,76 @@
+// api-gateway/rateLimit/FileRateLimitStore.js
+// Token buckets em memória gravados em um arquivo JSON a cada `flushInterval` ms e ao
+// fechar, para que os limites sobrevivam a um restart do gateway. Pensado para um
+// único gateway: vários processos no mesmo arquivo sobrescrevem os contadores uns dos outros.
+const fs = require('fs');
+const path = require('path');
+const MemoryRateLimitStore = require('./MemoryRateLimitStore');
+const log = require('../../shared/logging').child({ component: 'rate-limit' });
+
+class FileRateLimitStore extends MemoryRateLimitStore {
+    constructor({ file, flushInterval = 5000 } = {}) {
+        super();
+        this.type = 'file';
+        this.durable = true;
+        this.file = file || path.join(__dirname, '..', 'data', 'rate-limits.json');
+        this.dirty = false;
+
+        this.load();
+        this.flushTimer = setInterval(() => this.flush(), flushInterval);
+        this.flushTimer.unref();
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            Object.entries(saved.buckets || {}).forEach(([key, bucket]) => this.buckets.set(key, bucket));
+            this.sweep();
+            log.info('Buckets restaurados', { buckets: this.buckets.size, file: this.file });
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                log.warn('Não foi possível ler os buckets; começando do zero', { file: this.file, error: error.message });
+            }
+        }
+    }
+
+    async take(key, bucket, now) {
+        this.dirty = true;
+        return super.take(key, bucket, now);
+    }
+
+    async reset(prefix) {
+        this.dirty = true;
+        return super.reset(prefix);
+    }
+
+    // Escrita atômica (arquivo temporário + rename), síncrona para funcionar também na saída
+    flush() {
+        if (!this.dirty) return;
+        this.sweep();
+
+        try {
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+            const tempFile = `${this.file}.${process.pid}.tmp`;
+            fs.writeFileSync(tempFile, JSON.stringify({
+                savedAt: new Date().toISOString(),
+                buckets: Object.fromEntries(this.buckets)
+            }));
+            fs.renameSync(tempFile, this.file);
+            this.dirty = false;
+        } catch (error) {
+            log.error('Erro ao gravar os buckets', { file: this.file, error: error.message });
+        }
+    }
+
+    stats() {
+        return { ...super.stats(), file: this.file };
+    }
+
+    async close() {
+        clearInterval(this.flushTimer);
+        this.flush();
+        await super.close();
+    }
+}
+
+module.exports = FileRateLimitStore;
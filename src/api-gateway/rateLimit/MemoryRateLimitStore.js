@@ -0,0 +1,66 @@
+// api-gateway/rateLimit/MemoryRateLimitStore.js
+// Token buckets em memória. Os contadores se perdem quando o gateway reinicia.
+class MemoryRateLimitStore {
+    constructor() {
+        this.type = 'memory';
+        this.durable = false;
+        this.buckets = new Map();   // key -> { tokens, updatedAt, capacity, refillPerMs }
+        this.sweepTimer = setInterval(() => this.sweep(), 60000);
+        this.sweepTimer.unref();
+    }
+
+    // Retira `cost` fichas do bucket `key`, que enche `refillPerMs` fichas por ms até `capacity`
+    async take(key, { capacity, refillPerMs, cost = 1 }, now = Date.now()) {
+        const bucket = this.refill(key, capacity, refillPerMs, now);
+        const allowed = bucket.tokens >= cost;
+        if (allowed) {
+            bucket.tokens -= cost;
+        }
+
+        return {
+            allowed,
+            remaining: Math.floor(bucket.tokens),
+            resetMs: Math.ceil((capacity - bucket.tokens) / refillPerMs),
+            retryAfterMs: allowed ? 0 : Math.ceil((cost - bucket.tokens) / refillPerMs)
+        };
+    }
+
+    refill(key, capacity, refillPerMs, now) {
+        let bucket = this.buckets.get(key);
+        if (!bucket) {
+            bucket = { tokens: capacity, updatedAt: now };
+            this.buckets.set(key, bucket);
+        }
+
+        bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+        bucket.updatedAt = now;
+        bucket.capacity = capacity;
+        bucket.refillPerMs = refillPerMs;
+        return bucket;
+    }
+
+    // Bucket cheio equivale a bucket inexistente: não precisa ficar na memória
+    sweep(now = Date.now()) {
+        this.buckets.forEach((bucket, key) => {
+            if (bucket.tokens + (now - bucket.updatedAt) * bucket.refillPerMs >= bucket.capacity) {
+                this.buckets.delete(key);
+            }
+        });
+    }
+
+    async reset(prefix = '') {
+        [...this.buckets.keys()]
+            .filter(key => key.startsWith(prefix))
+            .forEach(key => this.buckets.delete(key));
+    }
+
+    stats() {
+        return { type: this.type, durable: this.durable, buckets: this.buckets.size };
+    }
+
+    async close() {
+        clearInterval(this.sweepTimer);
+    }
+}
+
+module.exports = MemoryRateLimitStore;
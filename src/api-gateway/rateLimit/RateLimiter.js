@@ -0,0 +1,67 @@
+// api-gateway/rateLimit/RateLimiter.js
+// Aplica as políticas de rate limit de routes.json (seção "rateLimits") com um store
+// de token buckets.
+//
+// Uma política tem um limite por tipo de cliente:
+//   anonymous: por IP; user: por id do usuário; admin: por id (null = sem limite)
+// Cada limite é { limit, window, burst }: `limit` requisições a cada `window` ms, com
+// até `burst` (padrão `limit`) de uma vez. Tipos ausentes vêm da política "default".
+class RateLimiter {
+    constructor(store) {
+        this.store = store;
+    }
+
+    // Tipo de cliente e identidade do bucket (req.user é preenchido pelo gateway ao validar o token)
+    identify(req) {
+        if (req.user) {
+            return { tier: req.user.role === 'admin' ? 'admin' : 'user', id: `user:${req.user.id}` };
+        }
+        return { tier: 'anonymous', id: `ip:${req.ip}` };
+    }
+
+    limitFor(policies, policyName, tier) {
+        const policy = policies[policyName];
+        if (policy && policy[tier] !== undefined) return policy[tier];
+
+        const fallback = policies.default;
+        return fallback && fallback[tier] !== undefined ? fallback[tier] : null;
+    }
+
+    // null se o cliente não tem limite; senão { allowed, remaining, resetMs, retryAfterMs, tier, limit }.
+    // `scope` separa os buckets: rotas com a mesma política nomeada dividem o limite.
+    async check(policies, policyName, scope, req, now = Date.now()) {
+        const { tier, id } = this.identify(req);
+        const limit = this.limitFor(policies, policyName, tier);
+        if (!limit) return null;
+
+        const result = await this.store.take(`${scope}|${tier}|${id}`, {
+            capacity: limit.burst,
+            refillPerMs: limit.limit / limit.window
+        }, now);
+        return { ...result, tier, limit };
+    }
+
+    // Headers RateLimit-* (draft da IETF) e, na recusa, Retry-After (segundos)
+    headers(result) {
+        const headers = {
+            'RateLimit-Limit': String(result.limit.burst),
+            'RateLimit-Remaining': String(result.remaining),
+            'RateLimit-Reset': String(Math.ceil(result.resetMs / 1000)),
+            'RateLimit-Policy': `${result.limit.limit};w=${Math.ceil(result.limit.window / 1000)};burst=${result.limit.burst}`
+        };
+        if (!result.allowed) {
+            headers['Retry-After'] = String(Math.max(1, Math.ceil(result.retryAfterMs / 1000)));
+        }
+        return headers;
+    }
+
+    stats() {
+        return this.store.stats();
+    }
+
+    close() {
+        return this.store.close();
+    }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,181 @@
+// api-gateway/rateLimit/RateLimiter.test.js
+// Token buckets do rate limit: conta de fichas, políticas com fallback para "default",
+// headers RateLimit-* e buckets do FileRateLimitStore depois de um restart.
+// O tempo é passado em `now`.
+process.env.LOG_LEVEL = 'silent';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { RateLimiter, MemoryRateLimitStore, FileRateLimitStore } = require('./index');
+
+const START = Date.parse('2026-01-01T12:00:00Z');
+
+// Formato compilado por routeTable.js (burst já preenchido)
+const policies = {
+    default: {
+        anonymous: { limit: 10, window: 60000, burst: 5 },
+        user: { limit: 600, window: 60000, burst: 600 },
+        admin: null
+    },
+    search: {
+        anonymous: { limit: 2, window: 1000, burst: 2 }
+    }
+};
+
+const anonymous = (ip = '10.0.0.1') => ({ ip });
+const user = (id = 'u1', role = 'user') => ({ ip: '10.0.0.1', user: { id, role } });
+
+describe('RateLimiter', () => {
+    let limiter;
+
+    beforeEach(() => {
+        limiter = new RateLimiter(new MemoryRateLimitStore());
+    });
+
+    afterEach(() => limiter.close());
+
+    it('identify separa anônimos por IP e usuários pelo id', () => {
+        assert.deepEqual(limiter.identify(anonymous()), { tier: 'anonymous', id: 'ip:10.0.0.1' });
+        assert.deepEqual(limiter.identify(user()), { tier: 'user', id: 'user:u1' });
+        assert.deepEqual(limiter.identify(user('a1', 'admin')), { tier: 'admin', id: 'user:a1' });
+    });
+
+    it('gasta o burst e devolve uma ficha a cada window/limit ms', async () => {
+        const check = now => limiter.check(policies, 'default', 'rota', anonymous(), now);
+
+        for (let i = 4; i >= 0; i--) {
+            const result = await check(START);
+            assert.equal(result.allowed, true);
+            assert.equal(result.remaining, i);
+        }
+
+        // 10 por minuto: uma ficha a cada 6s
+        const denied = await check(START + 1000);
+        assert.equal(denied.allowed, false);
+        assert.equal(denied.retryAfterMs, 5000);
+        assert.equal(denied.resetMs, 29000);
+
+        assert.equal((await check(START + 7000)).allowed, true);
+        assert.equal((await check(START + 7000)).allowed, false);
+
+        // Parado por muito tempo o bucket enche só até o burst
+        const refilled = await check(START + 10 * 60000);
+        assert.deepEqual([refilled.allowed, refilled.remaining], [true, 4]);
+    });
+
+    it('cada cliente e cada escopo tem o seu bucket', async () => {
+        const drain = async (scope, req) => {
+            for (let i = 0; i < 5; i++) await limiter.check(policies, 'default', scope, req, START);
+        };
+        await drain('rota', anonymous('10.0.0.1'));
+
+        assert.equal((await limiter.check(policies, 'default', 'rota', anonymous('10.0.0.1'), START)).allowed, false);
+        assert.equal((await limiter.check(policies, 'default', 'rota', anonymous('10.0.0.2'), START)).allowed, true);
+        assert.equal((await limiter.check(policies, 'default', 'outra', anonymous('10.0.0.1'), START)).allowed, true);
+        assert.equal((await limiter.check(policies, 'default', 'rota', user(), START)).allowed, true);
+    });
+
+    it('tipos ausentes da política vêm de "default"', async () => {
+        const search = await limiter.check(policies, 'search', 'busca', anonymous(), START);
+        assert.deepEqual(search.limit, policies.search.anonymous);
+
+        const fallback = await limiter.check(policies, 'search', 'busca', user(), START);
+        assert.equal(fallback.tier, 'user');
+        assert.deepEqual(fallback.limit, policies.default.user);
+
+        const unknown = await limiter.check(policies, 'inexistente', 'rota', anonymous(), START);
+        assert.deepEqual(unknown.limit, policies.default.anonymous);
+    });
+
+    it('null ou tipo ausente também do "default" não limita', async () => {
+        assert.equal(await limiter.check(policies, 'search', 'busca', user('a1', 'admin'), START), null);
+        assert.equal(await limiter.check({}, 'default', 'rota', anonymous(), START), null);
+        assert.equal(await limiter.check({ search: policies.search }, 'search', 'busca', user(), START), null);
+    });
+
+    it('headers RateLimit-* e Retry-After só na recusa', async () => {
+        const first = await limiter.check(policies, 'default', 'rota', anonymous(), START);
+        assert.deepEqual(limiter.headers(first), {
+            'RateLimit-Limit': '5',
+            'RateLimit-Remaining': '4',
+            'RateLimit-Reset': '6',
+            'RateLimit-Policy': '10;w=60;burst=5'
+        });
+
+        for (let i = 0; i < 4; i++) await limiter.check(policies, 'default', 'rota', anonymous(), START);
+        const denied = limiter.headers(await limiter.check(policies, 'default', 'rota', anonymous(), START + 5500));
+        assert.equal(denied['RateLimit-Remaining'], '0');
+        assert.equal(denied['Retry-After'], '1');
+
+        const later = limiter.headers(await limiter.check(policies, 'default', 'rota', anonymous('10.0.0.9'), START));
+        assert.equal('Retry-After' in later, false);
+    });
+
+    it('Retry-After arredonda para cima em segundos', async () => {
+        for (let i = 0; i < 5; i++) await limiter.check(policies, 'default', 'rota', anonymous(), START);
+        const denied = await limiter.check(policies, 'default', 'rota', anonymous(), START + 100);
+
+        assert.equal(denied.retryAfterMs, 5900);
+        assert.equal(limiter.headers(denied)['Retry-After'], '6');
+    });
+});
+
+describe('FileRateLimitStore', () => {
+    let dir;
+    let file;
+    const stores = [];
+
+    const open = () => {
+        const store = new FileRateLimitStore({ file });
+        stores.push(store);
+        return store;
+    };
+
+    beforeEach(async t => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'rate-limit-'));
+        file = path.join(dir, 'rate-limits.json');
+        // load() descarta buckets cheios pela hora atual
+        t.mock.method(Date, 'now', () => START);
+    });
+
+    afterEach(async () => {
+        await Promise.all(stores.splice(0).map(store => store.close()));
+        await fs.remove(dir);
+    });
+
+    it('restaura os buckets gravados depois de um restart', async () => {
+        const before = new RateLimiter(open());
+        for (let i = 0; i < 5; i++) await before.check(policies, 'default', 'rota', anonymous(), START);
+        await before.close();
+
+        const saved = await fs.readJson(file);
+        assert.deepEqual(Object.keys(saved.buckets), ['rota|anonymous|ip:10.0.0.1']);
+
+        const after = new RateLimiter(open());
+        assert.equal(after.stats().buckets, 1);
+        assert.equal((await after.check(policies, 'default', 'rota', anonymous(), START)).allowed, false);
+        assert.equal((await after.check(policies, 'default', 'rota', anonymous(), START + 7000)).allowed, true);
+    });
+
+    it('só grava quando algo mudou e descarta buckets que já encheram', async t => {
+        const store = open();
+        store.flush();
+        assert.equal(await fs.pathExists(file), false);
+
+        await store.take('cheio-logo', { capacity: 2, refillPerMs: 1 / 1000 }, START);
+        await store.take('cheio-depois', { capacity: 2, refillPerMs: 1 / 60000 }, START);
+        await store.close();
+
+        t.mock.method(Date, 'now', () => START + 5000);
+        const reopened = open();
+        assert.deepEqual([...reopened.buckets.keys()], ['cheio-depois']);
+    });
+
+    it('arquivo corrompido começa do zero', async () => {
+        await fs.writeFile(file, '{ nao e json');
+        assert.equal(open().stats().buckets, 0);
+    });
+});
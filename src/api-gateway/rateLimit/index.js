@@ -0,0 +1,36 @@
+// api-gateway/rateLimit/index.js
+// Rate limiting do gateway com token buckets. Os stores implementam a mesma interface:
+//   take(key, { capacity, refillPerMs, cost? })
+//       -> Promise<{ allowed, remaining, resetMs, retryAfterMs }>
+//   reset(prefix?), stats(), close()
+// e expõem `type` e `durable` (sobrevive a um restart do gateway).
+// take() é assíncrono e faz a conta inteira no store, então um store Redis pode
+// implementá-lo de forma atômica (ex: script Lua) e ser compartilhado por vários gateways.
+const MemoryRateLimitStore = require('./MemoryRateLimitStore');
+const FileRateLimitStore = require('./FileRateLimitStore');
+const RateLimiter = require('./RateLimiter');
+
+const stores = {
+    memory: MemoryRateLimitStore,
+    file: FileRateLimitStore
+};
+
+// `store` pode ser o nome de um store ('memory', 'file') ou uma instância pronta
+function createRateLimitStore(store, options = {}) {
+    if (store && typeof store === 'object') {
+        return store;
+    }
+
+    const Store = stores[store || 'memory'];
+    if (!Store) {
+        throw new Error(`Store de rate limit desconhecido: ${store} (use ${Object.keys(stores).join(', ')})`);
+    }
+    return new Store(options);
+}
+
+module.exports = {
+    createRateLimitStore,
+    RateLimiter,
+    MemoryRateLimitStore,
+    FileRateLimitStore
+};
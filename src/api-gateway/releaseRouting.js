@@ -0,0 +1,137 @@
+// api-gateway/releaseRouting.js
+// Roteamento por versão entre instâncias de um serviço (blue/green e canary),
+// usando os seletores do service registry (shared/registry/selectors.js).
+//
+// Política por serviço:
+//   {
+//     stable: { version: '^1' },                     // versão ativa; blue/green = trocar este seletor
+//     canary: { version: '^2', tags: ['canary'] },   // opcional
+//     canaryWeight: 10,                              // % das requisições enviadas ao canary (0-100)
+//     sticky: true                                   // o mesmo cliente fica sempre na mesma trilha
+//   }
+// O header X-Release-Track: canary|stable força a trilha (útil para testar o canary).
+const crypto = require('crypto');
+const { satisfies, parseTags, describeSelector } = require('../shared/registry/selectors');
+const log = require('../shared/logging').child({ component: 'routing' });
+
+const TRACKS = ['stable', 'canary'];
+
+class ReleaseRouting {
+    constructor() {
+        this.policies = new Map();
+    }
+
+    // Política inicial do product-service a partir das variáveis de ambiente
+    static fromEnv(env = process.env) {
+        const routing = new ReleaseRouting();
+
+        if (env.PRODUCTS_STABLE_VERSION || env.PRODUCTS_CANARY_VERSION) {
+            routing.set('product-service', {
+                stable: { version: env.PRODUCTS_STABLE_VERSION || undefined },
+                canary: env.PRODUCTS_CANARY_VERSION
+                    ? { version: env.PRODUCTS_CANARY_VERSION, tags: env.PRODUCTS_CANARY_TAGS }
+                    : null,
+                canaryWeight: env.PRODUCTS_CANARY_WEIGHT !== undefined ? Number(env.PRODUCTS_CANARY_WEIGHT) : 0
+            });
+        }
+
+        return routing;
+    }
+
+    // Valida e grava a política; erros de validação lançam Error com a mensagem para o cliente
+    set(serviceName, policy = {}) {
+        const normalized = {
+            stable: this.normalizeSelector(policy.stable || {}, 'stable'),
+            canary: policy.canary ? this.normalizeSelector(policy.canary, 'canary') : null,
+            canaryWeight: policy.canaryWeight === undefined ? 0 : Number(policy.canaryWeight),
+            sticky: policy.sticky !== false,
+            updatedAt: new Date().toISOString()
+        };
+
+        if (!Number.isFinite(normalized.canaryWeight) || normalized.canaryWeight < 0 || normalized.canaryWeight > 100) {
+            throw new Error('canaryWeight deve ser um número entre 0 e 100');
+        }
+        if (normalized.canaryWeight > 0 && !normalized.canary) {
+            throw new Error('canaryWeight maior que zero exige o seletor canary');
+        }
+
+        this.policies.set(serviceName, normalized);
+        log.info('Política de roteamento definida', {
+            serviceName,
+            stable: describeSelector(normalized.stable) || 'qualquer versão',
+            canary: normalized.canary ? describeSelector(normalized.canary) : undefined,
+            canaryWeight: normalized.canary ? normalized.canaryWeight : undefined
+        });
+        return normalized;
+    }
+
+    normalizeSelector(selector, track) {
+        if (typeof selector !== 'object' || Array.isArray(selector)) {
+            throw new Error(`Seletor ${track} deve ser um objeto, ex: { "version": "^2", "tags": ["canary"] }`);
+        }
+
+        const normalized = {};
+        if (selector.version) {
+            try {
+                satisfies('0.0.0', selector.version);
+            } catch (error) {
+                throw new Error(`Seletor ${track}: ${error.message}`);
+            }
+            normalized.version = String(selector.version);
+        }
+        if (parseTags(selector.tags).length > 0) {
+            normalized.tags = parseTags(selector.tags);
+        }
+        if (selector.protocol) {
+            normalized.protocol = selector.protocol;
+        }
+        return normalized;
+    }
+
+    get(serviceName) {
+        return this.policies.get(serviceName) || null;
+    }
+
+    remove(serviceName) {
+        return this.policies.delete(serviceName);
+    }
+
+    list() {
+        return Object.fromEntries(this.policies);
+    }
+
+    // Seletor da versão ativa (chamadas internas do gateway, sem canary)
+    stableSelector(serviceName) {
+        const policy = this.get(serviceName);
+        return policy ? policy.stable : {};
+    }
+
+    // Trilha e seletor para uma requisição, ou null se o serviço não tem política
+    select(serviceName, req) {
+        const policy = this.get(serviceName);
+        if (!policy) return null;
+
+        const forced = String(req.headers['x-release-track'] || '').toLowerCase();
+        let track = 'stable';
+
+        if (TRACKS.includes(forced)) {
+            track = forced;
+        } else if (policy.canary && policy.canaryWeight > 0) {
+            const roll = policy.sticky ? this.bucketOf(req) : Math.random() * 100;
+            track = roll < policy.canaryWeight ? 'canary' : 'stable';
+        }
+
+        if (track === 'canary' && !policy.canary) {
+            track = 'stable';
+        }
+        return { track, selector: policy[track], fallback: track === 'canary' ? policy.stable : null };
+    }
+
+    // 0-99 estável por cliente (token ou IP): o mesmo usuário não alterna entre versões
+    bucketOf(req) {
+        const key = req.headers.authorization || req.ip || '';
+        return crypto.createHash('md5').update(key).digest().readUInt32BE(0) % 100;
+    }
+}
+
+module.exports = ReleaseRouting;
@@ -0,0 +1,137 @@
+// api-gateway/responseCache.js
+// Cache HTTP do gateway para leituras (GET) de rotas com "cache" em routes.json.
+//
+// As entradas guardam a resposta JSON do serviço com um ETag calculado pelo corpo e
+// valem por `ttl` ms. Com `varyByAuth` (padrão) cada usuário tem a sua entrada e a
+// resposta é `private`; sem ele a entrada é compartilhada e `public`.
+// Escritas bem-sucedidas num serviço (via gateway) descartam as entradas desse serviço.
+const crypto = require('crypto');
+
+// Headers da resposta do serviço que não são guardados: o gateway gera os seus
+// (ETag, Cache-Control...) e cookies nunca são compartilhados
+const UNCACHED_HEADERS = ['content-length', 'content-type', 'etag', 'cache-control', 'age', 'date', 'vary', 'set-cookie'];
+
+class ResponseCache {
+    constructor({ maxEntries = 1000 } = {}) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map();   // key -> { service, status, headers, data, etag, storedAt, expiresAt }
+        this.hits = 0;
+        this.misses = 0;
+        this.invalidated = 0;       // entradas descartadas por invalidação
+    }
+
+    // Chave de uma leitura: URL completa, cliente (se a rota varia por autenticação) e trilha de release
+    keyFor(req, { varyByAuth }, track) {
+        const client = !varyByAuth ? '*' : (req.user ? `user:${req.user.id}` : 'anonymous');
+        return `${client}|${track || 'stable'}|${req.originalUrl}`;
+    }
+
+    // Entrada válida ou null. A ordem do Map serve de LRU: a entrada lida vai para o fim.
+    get(key, now = Date.now()) {
+        const entry = this.entries.get(key);
+        if (!entry || entry.expiresAt <= now) {
+            if (entry) this.entries.delete(key);
+            this.misses++;
+            return null;
+        }
+
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        this.hits++;
+        return entry;
+    }
+
+    set(key, { service, status, headers = {}, data, ttl }, now = Date.now()) {
+        const entry = {
+            service,
+            status,
+            headers: Object.fromEntries(Object.entries(headers)
+                .filter(([name]) => !UNCACHED_HEADERS.includes(name.toLowerCase()))),
+            data,
+            etag: ResponseCache.etag(data),
+            storedAt: now,
+            expiresAt: now + ttl
+        };
+
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+        return entry;
+    }
+
+    // Descarta as entradas de um serviço (ou todas). Retorna quantas saíram.
+    invalidate(service) {
+        let removed = 0;
+        this.entries.forEach((entry, key) => {
+            if (!service || entry.service === service) {
+                this.entries.delete(key);
+                removed++;
+            }
+        });
+        this.invalidated += removed;
+        return removed;
+    }
+
+    // Headers de uma resposta servida a partir da entrada
+    headers(entry, { varyByAuth }, now = Date.now()) {
+        const maxAge = Math.max(0, Math.floor((entry.expiresAt - now) / 1000));
+        const headers = {
+            'ETag': entry.etag,
+            'Cache-Control': `${varyByAuth ? 'private' : 'public'}, max-age=${maxAge}`,
+            'Age': String(Math.floor((now - entry.storedAt) / 1000))
+        };
+        if (varyByAuth) {
+            headers['Vary'] = 'Authorization';
+        }
+        return headers;
+    }
+
+    stats() {
+        return {
+            entries: this.entries.size,
+            maxEntries: this.maxEntries,
+            hits: this.hits,
+            misses: this.misses,
+            invalidated: this.invalidated
+        };
+    }
+
+    // ETag fraco: o corpo é reserializado pelo gateway, só o conteúdo importa
+    static etag(data) {
+        const hash = crypto.createHash('sha1').update(JSON.stringify(data)).digest('base64url');
+        return `W/"${hash}"`;
+    }
+
+    // If-None-Match com o ETag da entrada (comparação fraca, aceita lista e *)
+    static notModified(req, etag) {
+        const header = req.headers['if-none-match'];
+        if (!header) return false;
+        if (header.trim() === '*') return true;
+
+        const opaque = tag => tag.trim().replace(/^W\//, '');
+        return header.split(',').some(tag => opaque(tag) === opaque(etag));
+    }
+
+    // Diretivas do cliente: no-cache busca de novo no serviço; no-store nem lê nem grava
+    static requestDirectives(req) {
+        const header = `${req.headers['cache-control'] || ''},${req.headers.pragma || ''}`.toLowerCase();
+        return {
+            noCache: /(^|,)\s*no-cache\b/.test(header),
+            noStore: /(^|,)\s*no-store\b/.test(header)
+        };
+    }
+
+    // Só respostas 200 em JSON (streams como /items/changes ficam de fora); o serviço pode
+    // recusar o cache com Cache-Control
+    static storable(response) {
+        const headers = response.headers || {};
+        const cacheControl = String(headers['cache-control'] || '').toLowerCase();
+        return response.status === 200
+            && String(headers['content-type'] || '').includes('application/json')
+            && !/no-store|private/.test(cacheControl);
+    }
+}
+
+module.exports = ResponseCache;
@@ -0,0 +1,156 @@
+// api-gateway/responseCache.test.js
+// Cache de leituras do gateway: chaves por usuário, TTL, LRU, invalidação por serviço,
+// If-None-Match e diretivas do cliente. O tempo é passado em `now`.
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ResponseCache = require('./responseCache');
+
+const START = Date.parse('2026-01-01T12:00:00Z');
+
+const request = ({ url = '/api/items?page=1', user, headers = {} } = {}) => ({ originalUrl: url, user, headers });
+const response = (data, service = 'product-service') => ({ service, status: 200, headers: {}, data, ttl: 30000 });
+
+describe('ResponseCache', () => {
+    it('com varyByAuth dois usuários nunca dividem a entrada', () => {
+        const cache = new ResponseCache();
+        const options = { varyByAuth: true };
+        const maria = cache.keyFor(request({ user: { id: 'u1' } }), options);
+        const joao = cache.keyFor(request({ user: { id: 'u2' } }), options);
+        const anonymous = cache.keyFor(request(), options);
+
+        assert.equal(new Set([maria, joao, anonymous]).size, 3);
+
+        cache.set(maria, response({ lists: ['da maria'] }), START);
+        assert.equal(cache.get(joao, START), null);
+        assert.equal(cache.get(anonymous, START), null);
+        assert.deepEqual(cache.get(maria, START).data, { lists: ['da maria'] });
+    });
+
+    it('sem varyByAuth todos compartilham a entrada, mas não entre trilhas de release', () => {
+        const cache = new ResponseCache();
+        const options = { varyByAuth: false };
+
+        assert.equal(cache.keyFor(request({ user: { id: 'u1' } }), options), cache.keyFor(request(), options));
+        assert.notEqual(cache.keyFor(request(), options, 'canary'), cache.keyFor(request(), options));
+        assert.notEqual(cache.keyFor(request({ url: '/api/items?page=2' }), options), cache.keyFor(request(), options));
+    });
+
+    it('a entrada expira depois do ttl', () => {
+        const cache = new ResponseCache();
+        cache.set('chave', response({ id: 1 }), START);
+
+        assert.ok(cache.get('chave', START + 29999));
+        assert.equal(cache.get('chave', START + 30000), null);
+        assert.deepEqual([cache.stats().hits, cache.stats().misses, cache.stats().entries], [1, 1, 0]);
+    });
+
+    it('acima de maxEntries sai a entrada usada há mais tempo', () => {
+        const cache = new ResponseCache({ maxEntries: 2 });
+        cache.set('a', response('a'), START);
+        cache.set('b', response('b'), START);
+
+        // Ler "a" a torna a mais recente: quem sai é "b"
+        cache.get('a', START);
+        cache.set('c', response('c'), START);
+
+        assert.deepEqual([...cache.entries.keys()], ['a', 'c']);
+        assert.equal(cache.get('b', START), null);
+    });
+
+    it('invalidate descarta só as entradas do serviço, ou todas sem serviço', () => {
+        const cache = new ResponseCache();
+        cache.set('item', response('item', 'product-service'), START);
+        cache.set('produto', response('produto', 'product-service'), START);
+        cache.set('usuario', response('usuario', 'user-service'), START);
+
+        assert.equal(cache.invalidate('product-service'), 2);
+        assert.deepEqual([...cache.entries.keys()], ['usuario']);
+        assert.equal(cache.invalidate('list-service'), 0);
+        assert.equal(cache.invalidate(), 1);
+        assert.equal(cache.stats().invalidated, 3);
+    });
+
+    it('não guarda headers que o gateway gera nem cookies', () => {
+        const cache = new ResponseCache();
+        const entry = cache.set('chave', {
+            ...response({ id: 1 }),
+            headers: { 'Set-Cookie': 'sessao=1', 'content-type': 'application/json', etag: '"x"', 'x-total-count': '10' }
+        }, START);
+
+        assert.deepEqual(entry.headers, { 'x-total-count': '10' });
+        assert.equal(entry.etag, ResponseCache.etag({ id: 1 }));
+    });
+
+    it('headers: max-age pelo tempo restante, private e Vary só com varyByAuth', () => {
+        const cache = new ResponseCache();
+        const entry = cache.set('chave', response({ id: 1 }), START);
+
+        assert.deepEqual(cache.headers(entry, { varyByAuth: true }, START + 10500), {
+            'ETag': entry.etag,
+            'Cache-Control': 'private, max-age=19',
+            'Age': '10',
+            'Vary': 'Authorization'
+        });
+        assert.equal(cache.headers(entry, { varyByAuth: false }, START)['Cache-Control'], 'public, max-age=30');
+        assert.equal('Vary' in cache.headers(entry, { varyByAuth: false }, START), false);
+    });
+
+    it('etag depende só do conteúdo e é fraco', () => {
+        assert.equal(ResponseCache.etag({ a: 1 }), ResponseCache.etag({ a: 1 }));
+        assert.notEqual(ResponseCache.etag({ a: 1 }), ResponseCache.etag({ a: 2 }));
+        assert.match(ResponseCache.etag({ a: 1 }), /^W\/".+"$/);
+    });
+
+    describe('notModified', () => {
+        const etag = ResponseCache.etag({ id: 1 });
+        const strong = etag.replace(/^W\//, '');
+        const check = header => ResponseCache.notModified(request({ headers: header === undefined ? {} : { 'if-none-match': header } }), etag);
+
+        it('compara de forma fraca: com ou sem W/', () => {
+            assert.equal(check(etag), true);
+            assert.equal(check(strong), true);
+            assert.equal(check('W/"outro"'), false);
+        });
+
+        it('aceita uma lista de ETags', () => {
+            assert.equal(check(`W/"velho", ${etag}`), true);
+            assert.equal(check(`"velho",${strong}`), true);
+            assert.equal(check('W/"a", W/"b"'), false);
+        });
+
+        it('* vale para qualquer entrada; sem header nunca', () => {
+            assert.equal(check('*'), true);
+            assert.equal(check(' * '), true);
+            assert.equal(check(undefined), false);
+            assert.equal(check(''), false);
+        });
+    });
+
+    describe('requestDirectives', () => {
+        const directives = headers => ResponseCache.requestDirectives(request({ headers }));
+
+        it('lê no-cache e no-store do Cache-Control', () => {
+            assert.deepEqual(directives({}), { noCache: false, noStore: false });
+            assert.deepEqual(directives({ 'cache-control': 'no-cache' }), { noCache: true, noStore: false });
+            assert.deepEqual(directives({ 'cache-control': 'max-age=0, No-Store' }), { noCache: false, noStore: true });
+        });
+
+        it('aceita Pragma: no-cache dos clientes HTTP/1.0', () => {
+            assert.deepEqual(directives({ pragma: 'no-cache' }), { noCache: true, noStore: false });
+        });
+
+        it('não confunde outras diretivas', () => {
+            assert.deepEqual(directives({ 'cache-control': 'x-no-cache-please, max-stale' }), { noCache: false, noStore: false });
+        });
+    });
+
+    it('storable: só 200 em JSON que o serviço não marcou como no-store ou private', () => {
+        const json = { 'content-type': 'application/json; charset=utf-8' };
+
+        assert.equal(ResponseCache.storable({ status: 200, headers: json }), true);
+        assert.equal(ResponseCache.storable({ status: 404, headers: json }), false);
+        assert.equal(ResponseCache.storable({ status: 200, headers: { 'content-type': 'text/event-stream' } }), false);
+        assert.equal(ResponseCache.storable({ status: 200, headers: { ...json, 'cache-control': 'private' } }), false);
+        assert.equal(ResponseCache.storable({ status: 200, headers: { ...json, 'cache-control': 'No-Store' } }), false);
+    });
+});
@@ -0,0 +1,317 @@
+// api-gateway/routeTable.js
+// Tabela de rotas do gateway, lida de um arquivo JSON (padrão api-gateway/routes.json,
+// ou GATEWAY_ROUTES) e recarregada quando o arquivo muda.
+//
+// Cada rota:
+//   {
+//     "name": "lists",
+//     "prefix": "/api/lists",                           // casa /api/lists e /api/lists/...
+//     "service": "list-service",                        // nome no service registry
+//     "rewrite": [{ "from": "^/api/lists", "to": "/lists" }],   // regex aplicadas em ordem
+//     "methods": ["GET", "POST", "PUT", "DELETE"],      // opcional (padrão: todos)
+//     "auth": true,                                     // exige token válido (ou lista de métodos, ex: ["POST"])
+//     "timeout": 10000,                                 // prazo total da requisição (ms), com as retentativas
+//     "attemptTimeout": 3000,                           // opcional: limite de cada tentativa (ms)
+//     "retry": { "attempts": 2, "delay": 100, "maxDelay": 1000, "jitter": true },  // só métodos idempotentes
+//     "hedge": { "delay": 300 },                        // opcional: GET lento ganha uma 2ª chamada a outra instância
+//     "circuitBreaker": { "failureRate": 50, "slowCall": 3000 },  // opcional, ver circuitBreaker.js
+//     "rateLimit": "login",                             // opcional: política de "rateLimits" (false = sem limite)
+//     "cache": { "ttl": 30000, "varyByAuth": true },    // opcional: cache dos GET no gateway, ver responseCache.js
+//     "invalidates": ["product-service"],               // opcional: outros serviços cujo cache uma escrita na rota descarta
+//     "validate": true,                                 // valida parâmetros e corpo pelo OpenAPI do serviço (padrão), ver openapi/
+//     "description": "Listas de compras"
+//   }
+// Políticas de rate limit (ver rateLimit/RateLimiter.js), "default" vale para todas as rotas:
+//   "rateLimits": { "default": { "anonymous": { "limit": 120, "window": 60000 }, "admin": null } }
+// Vale o prefixo mais longo. Um arquivo inválido não substitui a tabela em uso.
+const fs = require('fs');
+const path = require('path');
+const CircuitBreaker = require('./circuitBreaker');
+const log = require('../shared/logging').child({ component: 'routes' });
+
+const METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'];
+const RATE_LIMIT_TIERS = ['anonymous', 'user', 'admin'];
+const DEFAULT_TIMEOUT = 10000;
+const DEFAULT_MAX_DELAY = 2000;
+
+class RouteTable {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.routes = [];
+        this.rateLimits = {};
+        this.loadedAt = null;
+        this.watcher = null;
+        this.reloadTimer = null;
+    }
+
+    // Lê e valida o arquivo. Lança Error com todos os problemas encontrados.
+    load() {
+        let config;
+        try {
+            config = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Não foi possível ler ${this.filePath}: ${error.message}`);
+        }
+
+        const errors = [];
+        const routes = (Array.isArray(config.routes) ? config.routes : [])
+            .map((route, i) => this.compile(route, i, errors));
+
+        if (!Array.isArray(config.routes)) {
+            errors.push('"routes" deve ser uma lista');
+        }
+        const names = routes.map(route => route.name);
+        names.filter((name, i) => names.indexOf(name) !== i).forEach(name => {
+            errors.push(`nome de rota repetido: ${name}`);
+        });
+
+        const rateLimits = this.compileRateLimits(config.rateLimits || {}, errors);
+        routes.filter(route => route.rateLimit && !rateLimits[route.rateLimit]).forEach(route => {
+            errors.push(`rota ${route.name}: política de rate limit inexistente ${route.rateLimit}`);
+        });
+
+        if (errors.length > 0) {
+            throw new Error(`Tabela de rotas inválida (${this.filePath}): ${errors.join('; ')}`);
+        }
+
+        // Prefixo mais longo primeiro: /api/users/auth antes de /api/users
+        this.routes = routes.sort((a, b) => b.prefix.length - a.prefix.length);
+        this.rateLimits = rateLimits;
+        this.loadedAt = new Date().toISOString();
+        log.info('Tabela de rotas carregada', { routes: this.routes.length, file: this.filePath });
+        return this.routes;
+    }
+
+    compile(route, i, errors) {
+        const label = route && route.name ? `rota ${route.name}` : `rota ${i}`;
+        if (!route || typeof route !== 'object') {
+            errors.push(`${label}: deve ser um objeto`);
+            return {};
+        }
+
+        if (!route.name) errors.push(`${label}: "name" é obrigatório`);
+        if (!route.service) errors.push(`${label}: "service" é obrigatório`);
+        if (typeof route.prefix !== 'string' || !route.prefix.startsWith('/')) {
+            errors.push(`${label}: "prefix" deve começar com /`);
+        }
+
+        const methods = route.methods ? route.methods.map(method => String(method).toUpperCase()) : null;
+        (methods || []).filter(method => !METHODS.includes(method)).forEach(method => {
+            errors.push(`${label}: método desconhecido ${method}`);
+        });
+
+        const rewrite = (route.rewrite || []).map(rule => {
+            try {
+                return { from: new RegExp(rule.from), to: rule.to || '', source: rule.from };
+            } catch (error) {
+                errors.push(`${label}: rewrite inválido ${rule.from} (${error.message})`);
+                return null;
+            }
+        }).filter(Boolean);
+
+        let auth = Boolean(route.auth);
+        if (Array.isArray(route.auth)) {
+            auth = route.auth.map(method => String(method).toUpperCase());
+            auth.filter(method => !METHODS.includes(method)).forEach(method => {
+                errors.push(`${label}: método desconhecido em "auth": ${method}`);
+            });
+        }
+
+        const timeout = route.timeout === undefined ? DEFAULT_TIMEOUT : Number(route.timeout);
+        if (!Number.isFinite(timeout) || timeout <= 0) {
+            errors.push(`${label}: "timeout" deve ser um número positivo (ms)`);
+        }
+
+        const attemptTimeout = route.attemptTimeout === undefined ? timeout : Number(route.attemptTimeout);
+        if (!Number.isFinite(attemptTimeout) || attemptTimeout <= 0) {
+            errors.push(`${label}: "attemptTimeout" deve ser um número positivo (ms)`);
+        }
+
+        const retry = {
+            attempts: Number((route.retry && route.retry.attempts) || 0),
+            delay: Number((route.retry && route.retry.delay) || 0),
+            maxDelay: Number((route.retry && route.retry.maxDelay) || DEFAULT_MAX_DELAY),
+            jitter: !route.retry || route.retry.jitter !== false
+        };
+        if (!Number.isInteger(retry.attempts) || retry.attempts < 0) {
+            errors.push(`${label}: "retry.attempts" deve ser um inteiro >= 0`);
+        }
+        if (!Number.isFinite(retry.delay) || retry.delay < 0 || !Number.isFinite(retry.maxDelay) || retry.maxDelay < 0) {
+            errors.push(`${label}: "retry.delay" e "retry.maxDelay" devem ser números >= 0 (ms)`);
+        }
+
+        let hedge = null;
+        if (route.hedge) {
+            hedge = { delay: Number(route.hedge.delay) };
+            if (!Number.isFinite(hedge.delay) || hedge.delay <= 0) {
+                errors.push(`${label}: "hedge.delay" deve ser um número positivo (ms)`);
+            }
+        }
+
+        const circuitBreaker = route.circuitBreaker || {};
+        if (typeof circuitBreaker !== 'object' || Array.isArray(circuitBreaker)) {
+            errors.push(`${label}: "circuitBreaker" deve ser um objeto`);
+        } else {
+            Object.entries(circuitBreaker).forEach(([key, value]) => {
+                if (!(key in CircuitBreaker.DEFAULTS)) {
+                    errors.push(`${label}: opção de circuitBreaker desconhecida ${key}`);
+                } else if (typeof value !== 'number' || value < 0) {
+                    errors.push(`${label}: "circuitBreaker.${key}" deve ser um número >= 0`);
+                }
+            });
+        }
+
+        if (route.rateLimit !== undefined && route.rateLimit !== false && typeof route.rateLimit !== 'string') {
+            errors.push(`${label}: "rateLimit" deve ser o nome de uma política ou false`);
+        }
+
+        let cache = null;
+        if (route.cache) {
+            cache = { ttl: Number(route.cache.ttl), varyByAuth: route.cache.varyByAuth !== false };
+            if (!Number.isFinite(cache.ttl) || cache.ttl <= 0) {
+                errors.push(`${label}: "cache.ttl" deve ser um número positivo (ms)`);
+            }
+        }
+
+        const invalidates = route.invalidates === undefined ? [] : route.invalidates;
+        if (!Array.isArray(invalidates) || invalidates.some(service => typeof service !== 'string' || !service)) {
+            errors.push(`${label}: "invalidates" deve ser uma lista de nomes de serviço`);
+        }
+
+        if (route.validate !== undefined && typeof route.validate !== 'boolean') {
+            errors.push(`${label}: "validate" deve ser true ou false`);
+        }
+
+        return {
+            name: route.name,
+            prefix: typeof route.prefix === 'string' ? route.prefix.replace(/\/+$/, '') || '/' : route.prefix,
+            service: route.service,
+            rewrite,
+            methods,
+            auth,
+            timeout,
+            attemptTimeout: Math.min(attemptTimeout, timeout),
+            retry,
+            hedge,
+            circuitBreaker,
+            rateLimit: route.rateLimit === undefined ? null : route.rateLimit,
+            cache,
+            invalidates,
+            validate: route.validate !== false,
+            description: route.description || ''
+        };
+    }
+
+    // { nome: { anonymous: { limit, window, burst } | null, user: ..., admin: ... } }
+    compileRateLimits(config, errors) {
+        if (typeof config !== 'object' || Array.isArray(config)) {
+            errors.push('"rateLimits" deve ser um objeto');
+            return {};
+        }
+
+        return Object.fromEntries(Object.entries(config).map(([name, policy]) => {
+            const compiled = {};
+            Object.entries(policy || {}).forEach(([tier, limit]) => {
+                const label = `rateLimits.${name}.${tier}`;
+                if (!RATE_LIMIT_TIERS.includes(tier)) {
+                    errors.push(`${label}: tipo de cliente desconhecido (use ${RATE_LIMIT_TIERS.join(', ')})`);
+                    return;
+                }
+                if (limit === null) {
+                    compiled[tier] = null;
+                    return;
+                }
+
+                const normalized = {
+                    limit: Number(limit && limit.limit),
+                    window: Number(limit && limit.window),
+                    burst: Number(limit && (limit.burst === undefined ? limit.limit : limit.burst))
+                };
+                if (!Object.values(normalized).every(value => Number.isFinite(value) && value > 0)) {
+                    errors.push(`${label}: "limit", "window" (ms) e "burst" devem ser números positivos`);
+                }
+                compiled[tier] = normalized;
+            });
+            return [name, compiled];
+        }));
+    }
+
+    // Rota para um caminho (sem query string). Retorna { route, targetPath, allowed }.
+    match(method, requestPath) {
+        const route = this.routes.find(candidate => requestPath === candidate.prefix
+            || requestPath.startsWith(candidate.prefix.endsWith('/') ? candidate.prefix : `${candidate.prefix}/`));
+        if (!route) return null;
+
+        return {
+            route,
+            targetPath: this.rewrite(route, requestPath),
+            allowed: !route.methods || route.methods.includes(method)
+        };
+    }
+
+    // true se a rota exige token para o método
+    requiresAuth(route, method) {
+        return Array.isArray(route.auth) ? route.auth.includes(method) : route.auth;
+    }
+
+    // A primeira regra que casa é aplicada
+    rewrite(route, requestPath) {
+        const rule = route.rewrite.find(candidate => candidate.from.test(requestPath));
+        const targetPath = rule ? requestPath.replace(rule.from, rule.to) : requestPath;
+        return targetPath.startsWith('/') ? targetPath : `/${targetPath}`;
+    }
+
+    // Recarrega quando o arquivo muda (editores costumam gravar em várias etapas)
+    watch() {
+        if (this.watcher) return;
+
+        const fileName = path.basename(this.filePath);
+        this.watcher = fs.watch(path.dirname(this.filePath), (eventType, changed) => {
+            if (changed && changed !== fileName) return;
+
+            clearTimeout(this.reloadTimer);
+            this.reloadTimer = setTimeout(() => this.reload(), 200);
+        });
+        this.watcher.unref();
+    }
+
+    reload() {
+        try {
+            this.load();
+            return true;
+        } catch (error) {
+            log.error('Tabela de rotas inválida; mantendo as rotas atuais', { routes: this.routes.length, error: error.message });
+            return false;
+        }
+    }
+
+    close() {
+        clearTimeout(this.reloadTimer);
+        if (this.watcher) {
+            this.watcher.close();
+            this.watcher = null;
+        }
+    }
+
+    // Resumo para / e para o 404: { nome: 'GET,POST /api/lists/*' }
+    describe() {
+        return Object.fromEntries(this.routes
+            .slice()
+            .sort((a, b) => a.prefix.localeCompare(b.prefix))
+            .map(route => [route.name, `${route.methods ? route.methods.join(',') : 'ALL'} ${route.prefix}/*`]));
+    }
+
+    toJSON() {
+        return {
+            file: this.filePath,
+            loadedAt: this.loadedAt,
+            rateLimits: this.rateLimits,
+            routes: this.routes.map(route => ({
+                ...route,
+                rewrite: route.rewrite.map(rule => ({ from: rule.source, to: rule.to }))
+            }))
+        };
+    }
+}
+
+module.exports = RouteTable;
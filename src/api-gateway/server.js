@@ -1,19 +1,80 @@
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const morgan = require('morgan');
 const axios = require('axios');
+const path = require('path');
+const stream = require('stream');
 
 // Importar service registry
 const serviceRegistry = require('../shared/serviceRegistry');
+const identity = require('../shared/identity');
+const ReleaseRouting = require('./releaseRouting');
+const RouteTable = require('./routeTable');
+const TokenVerifier = require('./tokenVerifier');
+const CircuitBreaker = require('./circuitBreaker');
+const deadline = require('../shared/deadline');
+const tracing = require('../shared/tracing');
+const logging = require('../shared/logging');
+const { createRateLimitStore, RateLimiter } = require('./rateLimit');
+const ResponseCache = require('./responseCache');
+const proxyHeaders = require('./proxyHeaders');
+const { graphqlHandler } = require('./graphql');
+const { OpenApiAggregator, docsRouter } = require('./openapi');
+const { version } = require('./package.json');
+
+const log = logging.configure('api-gateway');
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Corpos até este tamanho são lidos antes do envio e podem ser reenviados (retry, hedge);
+// maiores, ou sem Content-Length, vão em stream direto para o serviço
+const REPLAY_LIMIT = parseInt(process.env.PROXY_REPLAY_LIMIT_BYTES) || 1024 * 1024;
+
+// Chamadas internas do gateway (dashboard, busca, revogações)
+const INTERNAL_CALL = { timeout: 5000, retry: { attempts: 2, delay: 100, maxDelay: 1000, jitter: true } };
 
 class APIGateway {
     constructor() {
         this.app = express();
         this.port = process.env.PORT || 3000;
+
+        // Trace aberto aqui (ou continuado do cliente) e propagado aos serviços (TRACING_*)
+        this.tracer = tracing.createTracer('api-gateway');
         
-        // Circuit breaker simples
+        // Circuit breakers por rota (padrões em CIRCUIT_BREAKER_*, ajustes em routes.json)
         this.circuitBreakers = new Map();
+        this.circuitBreakerDefaults = CircuitBreaker.defaultsFromEnv(process.env);
+
+        // Canary / blue-green por versão (PRODUCTS_STABLE_VERSION, PRODUCTS_CANARY_VERSION...)
+        this.releaseRouting = ReleaseRouting.fromEnv(process.env);
+
+        // Rotas de proxy declaradas em routes.json (recarregadas quando o arquivo muda)
+        this.routeTable = new RouteTable(process.env.GATEWAY_ROUTES || path.join(__dirname, 'routes.json'));
+        this.routeTable.load();
+        this.routeTable.watch();
+
+        // JWT validado no gateway; os serviços recebem a identidade assinada (X-User-Identity)
+        this.tokenVerifier = new TokenVerifier({
+            fetchRevocations: since => this.callService('user-service', '/auth/revocations', 'GET', null, since ? { since } : {},
+                identity.serviceIdentity('api-gateway'))
+        });
+
+        // Rate limit por rota e cliente; políticas em routes.json ("rateLimits")
+        this.rateLimiter = new RateLimiter(createRateLimitStore(process.env.RATE_LIMIT_STORE, {
+            file: process.env.RATE_LIMIT_FILE
+        }));
+
+        // Cache dos GET de rotas com "cache" e das leituras internas do dashboard
+        this.responseCache = new ResponseCache({ maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES) || 1000 });
+        this.dashboardCacheTtl = parseInt(process.env.CACHE_DASHBOARD_TTL_MS) || 30000;
+
+        // Especificação OpenAPI agregada dos serviços, usada também para validar as requisições
+        this.openApi = new OpenApiAggregator({
+            routeTable: this.routeTable,
+            fetchSpec: serviceName => this.callService(serviceName, '/openapi.json'),
+            info: { version, description: 'Especificação agregada dos microsserviços, com os caminhos do gateway' }
+        });
         
         this.setupMiddleware();
         this.setupRoutes();
@@ -24,11 +85,15 @@ class APIGateway {
     }
 
     setupMiddleware() {
+        // Antes de tudo: até as respostas de erro levam o X-Request-Id
+        this.app.use(tracing.middleware(this.tracer));
+        // req.log com o contexto da requisição e uma entrada de log por requisição
+        this.app.use(logging.middleware());
         this.app.use(helmet());
         this.app.use(cors());
-        this.app.use(morgan('combined'));
-        this.app.use(express.json());
-        this.app.use(express.urlencoded({ extended: true }));
+        // Sem body parser global: o proxy repassa o corpo das requisições como veio
+        // X-Request-Timeout do cliente só pode encurtar o prazo da rota
+        this.app.use(deadline.middleware());
 
         // Gateway headers
         this.app.use((req, res, next) => {
@@ -37,15 +102,11 @@ class APIGateway {
             res.setHeader('X-Architecture', 'Microservices-NoSQL');
             next();
         });
-
-        // Request logging
-        this.app.use((req, res, next) => {
-            console.log(`${req.method} ${req.originalUrl} - ${req.ip}`);
-            next();
-        });
     }
 
     setupRoutes() {
+        const admin = this.requireAdmin.bind(this);
+
         // Gateway health check
         this.app.get('/health', (req, res) => {
             const services = serviceRegistry.listServices();
@@ -55,7 +116,8 @@ class APIGateway {
                 timestamp: new Date().toISOString(),
                 architecture: 'Microservices with NoSQL',
                 services: services,
-                serviceCount: Object.keys(services).length
+                serviceCount: Object.keys(services).length,
+                auth: this.tokenVerifier.status()
             });
         });
 
@@ -68,15 +130,21 @@ class APIGateway {
                 architecture: 'Microservices with NoSQL databases',
                 database_approach: 'Database per Service (JSON-NoSQL)',
                 endpoints: {
-                    auth: '/api/auth/*',
-                    users: '/api/users/*',
-                    items: '/api/items/*',
-                    lists: '/api/lists/*',
-                    products: '/api/products/*',
+                    ...this.routeTable.describe(),
                     health: '/health',
                     registry: '/registry',
+                    routing: '/routing',
+                    routes: '/routes',
+                    rateLimits: '/rate-limits',
+                    cache: '/cache',
+                    circuitBreakers: '/circuit-breakers',
+                    traces: '/traces/:id',
+                    logLevel: '/admin/log-level',
                     dashboard: '/api/dashboard',
-                    search: '/api/search'
+                    search: '/api/search',
+                    graphql: '/graphql',
+                    openapi: '/openapi.json',
+                    docs: '/docs'
                 },
                 services: serviceRegistry.listServices()
             });
@@ -89,10 +157,40 @@ class APIGateway {
                 success: true,
                 services: services,
                 count: Object.keys(services).length,
+                evictions: serviceRegistry.getEvictions(),
                 timestamp: new Date().toISOString()
             });
         });
 
+        // Políticas de roteamento por versão (canary / blue-green)
+        this.app.get('/routing', (req, res) => {
+            res.json({
+                success: true,
+                policies: this.releaseRouting.list()
+            });
+        });
+
+        // Ex: PUT /routing/product-service { "stable": { "version": "^1" }, "canary": { "version": "^2" }, "canaryWeight": 10 }
+        // Blue/green: PUT /routing/product-service { "stable": { "version": "^2" } }
+        this.app.put('/routing/:service', admin, express.json(), (req, res) => {
+            try {
+                const policy = this.releaseRouting.set(req.params.service, req.body);
+                res.json({ success: true, service: req.params.service, policy });
+            } catch (error) {
+                res.status(400).json({ success: false, message: error.message });
+            }
+        });
+
+        this.app.delete('/routing/:service', admin, (req, res) => {
+            if (!this.releaseRouting.remove(req.params.service)) {
+                return res.status(404).json({
+                    success: false,
+                    message: `Nenhuma política de roteamento para ${req.params.service}`
+                });
+            }
+            res.json({ success: true, message: `Roteamento de ${req.params.service} voltou ao padrão (qualquer versão)` });
+        });
+
         // Debug endpoint para troubleshooting
         this.app.get('/debug/services', (req, res) => {
             serviceRegistry.debugListServices();
@@ -103,46 +201,141 @@ class APIGateway {
             });
         });
 
-        // Auth Service routes
-        this.app.use('/api/auth', (req, res, next) => {
-            console.log(`🔗 Roteando para user-service (auth): ${req.method} ${req.originalUrl}`);
-            this.proxyRequest('user-service', req, res, next);
+        // Estado dos circuit breakers (filtros: ?service=product-service&state=open)
+        this.app.get('/circuit-breakers', (req, res) => {
+            const circuitBreakers = this.routeTable.routes
+                .map(route => this.breakerFor(route).toJSON())
+                .filter(breaker => !req.query.service || breaker.service === req.query.service)
+                .filter(breaker => !req.query.state || breaker.state === req.query.state);
+
+            res.json({
+                success: true,
+                defaults: this.circuitBreakerDefaults,
+                circuitBreakers
+            });
+        });
+
+        // Fechar manualmente todos os circuitos (ou os de ?service=)
+        this.app.post('/circuit-breakers/reset', admin, (req, res) => {
+            const reset = this.routeTable.routes
+                .filter(route => !req.query.service || route.service === req.query.service)
+                .map(route => {
+                    this.breakerFor(route).reset();
+                    return route.name;
+                });
+            res.json({ success: true, reset });
+        });
+
+        this.app.post('/circuit-breakers/:name/reset', admin, (req, res) => {
+            const route = this.routeTable.routes.find(candidate => candidate.name === req.params.name);
+            if (!route) {
+                return res.status(404).json({
+                    success: false,
+                    message: `Rota não encontrada: ${req.params.name}`
+                });
+            }
+
+            const breaker = this.breakerFor(route);
+            breaker.reset();
+            res.json({ success: true, circuitBreaker: breaker.toJSON() });
+        });
+
+        // Endpoints agregados
+        this.app.get('/api/dashboard', this.limitEndpoint('dashboard'), this.getDashboard.bind(this));
+        this.app.get('/api/search', this.limitEndpoint('search'), this.globalSearch.bind(this));
+
+        // GraphQL sobre user-service, product-service e list-service (ver graphql/schema.js)
+        const graphql = graphqlHandler(this);
+        this.app.get('/graphql', this.limitEndpoint('graphql'), graphql);
+        this.app.post('/graphql', this.limitEndpoint('graphql'), express.json(), graphql);
+
+        // Especificação OpenAPI agregada e a documentação navegável
+        this.app.get('/openapi.json', async (req, res) => {
+            await this.openApi.refreshMissing();
+            res.json(this.openApi.document());
         });
+        this.app.get('/openapi/status', (req, res) => {
+            res.json({ success: true, ...this.openApi.status() });
+        });
+        this.app.use('/docs', docsRouter());
 
-        // User Service routes
-        this.app.use('/api/users', (req, res, next) => {
-            console.log(`🔗 Roteando para user-service: ${req.method} ${req.originalUrl}`);
-            this.proxyRequest('user-service', req, res, next);
+        // Exportação de spans e, com o exportador em arquivo, os spans de um trace
+        // (pelo trace id ou pelo X-Request-Id devolvido na resposta)
+        this.app.get('/traces', (req, res) => {
+            res.json({ success: true, ...this.tracer.stats() });
         });
 
-        // Items Service routes (product-service)
-        this.app.use('/api/items', (req, res, next) => {
-            console.log(`🔗 Roteando para product-service (items): ${req.method} ${req.originalUrl}`);
-            this.proxyRequest('product-service', req, res, next);
+        this.app.get('/traces/:id', async (req, res, next) => {
+            const { exporter } = this.tracer;
+            if (!exporter || typeof exporter.find !== 'function') {
+                return res.status(501).json({
+                    success: false,
+                    message: `Consulta de traces indisponível com o exportador ${exporter ? exporter.type : 'none'}; use o coletor`
+                });
+            }
+
+            try {
+                await this.tracer.flush();
+                const spans = await exporter.find(req.params.id);
+                if (spans.length === 0) {
+                    return res.status(404).json({
+                        success: false,
+                        message: `Nenhum span para ${req.params.id}`
+                    });
+                }
+                res.json({ success: true, traceId: spans[0].traceId, count: spans.length, spans });
+            } catch (error) {
+                next(error);
+            }
         });
 
-        // Product Service routes  
-        this.app.use('/api/products', (req, res, next) => {
-            console.log(`🔗 Roteando para product-service: ${req.method} ${req.originalUrl}`);
-            this.proxyRequest('product-service', req, res, next);
+        // Nível de log do gateway em execução: PUT { "level": "debug" } com X-Admin-Token ou token de admin
+        const logLevel = logging.levelEndpoint({
+            isAdmin: req => !this.authenticate(req) && req.user.role === 'admin'
         });
+        this.app.get('/admin/log-level', logLevel);
+        this.app.put('/admin/log-level', express.json(), logLevel);
 
-        // Lists Service routes
-        this.app.use('/api/lists', (req, res, next) => {
-            console.log(`🔗 Roteando para list-service: ${req.method} ${req.originalUrl}`);
-            this.proxyRequest('list-service', req, res, next);
+        // Políticas de rate limit em uso e estado do store
+        this.app.get('/rate-limits', (req, res) => {
+            res.json({
+                success: true,
+                store: this.rateLimiter.stats(),
+                policies: this.routeTable.rateLimits
+            });
         });
 
-        // Debug route - teste direto
-        this.app.post('/api/debug', (req, res, next) => {
-            console.log(`🔗 DEBUG: Roteando para product-service: ${req.method} ${req.originalUrl}`);
-            this.proxyRequest('product-service', req, res, next);
+        // Estado do cache de respostas
+        this.app.get('/cache', (req, res) => {
+            res.json({ success: true, ...this.responseCache.stats() });
         });
 
-        // Endpoints agregados
-        this.app.get('/api/dashboard', this.getDashboard.bind(this));
-        this.app.get('/api/search', this.globalSearch.bind(this));
+        // Descartar as entradas de um serviço (?service=) ou todas
+        this.app.post('/cache/invalidate', admin, (req, res) => {
+            const removed = this.responseCache.invalidate(req.query.service);
+            res.json({ success: true, removed });
+        });
+
+        // Tabela de rotas em uso
+        this.app.get('/routes', (req, res) => {
+            res.json({ success: true, ...this.routeTable.toJSON() });
+        });
+
+        // Recarregar routes.json sem esperar o watch
+        this.app.post('/routes/reload', admin, (req, res) => {
+            try {
+                req.log.info('Recarga da tabela de rotas pedida', { username: req.user.username });
+                this.routeTable.load();
+                res.json({ success: true, ...this.routeTable.toJSON() });
+            } catch (error) {
+                res.status(400).json({ success: false, message: error.message });
+            }
+        });
+
+        // Rotas declaradas em routes.json
+        this.app.use(this.routeRequest.bind(this));
     }
+
     setupErrorHandling() {
         // 404 handler
         this.app.use('*', (req, res) => {
@@ -151,20 +344,18 @@ class APIGateway {
                 message: 'Endpoint não encontrado',
                 service: 'api-gateway',
                 availableEndpoints: {
-                    auth: '/api/auth',
-                    users: '/api/users',
-                    items: '/api/items',
-                    lists: '/api/lists',
-                    products: '/api/products',
+                    ...this.routeTable.describe(),
                     dashboard: '/api/dashboard',
-                    search: '/api/search'
+                    search: '/api/search',
+                    graphql: '/graphql',
+                    docs: '/docs'
                 }
             });
         });
 
         // Error handler
         this.app.use((error, req, res, next) => {
-            console.error('Gateway Error:', error);
+            req.log.error('Erro não tratado no gateway', { error });
             res.status(500).json({
                 success: false,
                 message: 'Erro interno do gateway',
@@ -173,159 +364,287 @@ class APIGateway {
         });
     }
 
-    // Proxy request to service
-    async proxyRequest(serviceName, req, res, next) {
+    // Encaminha para o serviço as requisições que casam com uma rota da tabela
+    async routeRequest(req, res, next) {
+        const match = this.routeTable.match(req.method, req.path);
+        if (!match) return next();
+
+        const { route, targetPath, allowed } = match;
+        req.span.name = `${req.method} ${route.name}`;
+        req.span.setAttributes({ 'http.route': route.prefix, 'gateway.route': route.name });
+        if (!allowed) {
+            res.setHeader('Allow', route.methods.join(', '));
+            return res.status(405).json({
+                success: false,
+                message: `Método ${req.method} não permitido em ${route.prefix}`,
+                allowedMethods: route.methods
+            });
+        }
+
         try {
-            console.log(`🔄 Proxy request: ${req.method} ${req.originalUrl} -> ${serviceName}`);
-            
-            // Verificar circuit breaker PRIMEIRO
-            console.log(`🔍 Verificando circuit breaker para ${serviceName}...`);
-            if (this.isCircuitOpen(serviceName)) {
-                console.log(`⚡⚡⚡ CIRCUIT BREAKER ABERTO para ${serviceName} ⚡⚡⚡`);
-                return res.status(503).json({
+            // Token presente é sempre validado; rota protegida sem token válido recebe 401
+            const protectedRoute = this.routeTable.requiresAuth(route, req.method);
+            const authError = this.authenticate(req);
+            if (protectedRoute && authError) {
+                req.log.info('Requisição recusada: autenticação', { reason: authError });
+                return res.status(401).json({
                     success: false,
-                    message: `Serviço ${serviceName} temporariamente indisponível (Circuit Breaker)`,
-                    service: serviceName,
-                    circuitBreakerOpen: true
+                    message: authError
                 });
-            } else {
-                console.log(`✅ Circuit breaker fechado para ${serviceName}`);
             }
 
-            // Descobrir serviço com debug
+            // Rotas com a mesma política nomeada dividem o limite; sem política, vale a "default" por rota
+            if (route.rateLimit !== false &&
+                !await this.applyRateLimit(req, res, route.rateLimit || 'default', route.rateLimit || route.name)) {
+                return;
+            }
+
+            // Parâmetros e corpo conferidos com a especificação do serviço antes do proxy
+            if (route.validate) {
+                const errors = await this.validateRequest(req);
+                if (errors.length > 0) {
+                    req.log.info('Requisição recusada: validação', { errors });
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Requisição inválida',
+                        errors
+                    });
+                }
+            }
+        } catch (error) {
+            return next(error);
+        }
+
+        req.log.debug('Roteando', { route: route.name, serviceName: route.service, targetPath });
+        this.proxyRequest(route, targetPath, req, res);
+    }
+
+    // Problemas da requisição segundo a operação da especificação agregada ([] se válida
+    // ou não documentada). O corpo lido aqui é o mesmo enviado depois ao serviço.
+    async validateRequest(req) {
+        const validator = this.openApi.validator();
+        const match = validator.match(req.method, req.path);
+        if (!match) return [];
+
+        const body = match.operation.body ? await this.requestBody(req) : null;
+        return validator.validate(req, match, body);
+    }
+
+    // Preenche req.user a partir do Bearer token. Retorna a mensagem de erro (sem token
+    // ou token inválido) ou null se o usuário foi identificado.
+    authenticate(req) {
+        const token = (/^Bearer\s+(\S+)/.exec(req.header('Authorization') || '') || [])[1];
+        req.user = null;
+        if (!token) return 'Token obrigatório';
+
+        try {
+            req.user = this.tokenVerifier.verify(token);
+            return null;
+        } catch (error) {
+            if (!(error instanceof TokenVerifier.TokenError)) throw error;
+            return error.message;
+        }
+    }
+
+    // Endpoints que mudam o gateway em execução: token válido de um usuário com role admin
+    requireAdmin(req, res, next) {
+        const authError = this.authenticate(req);
+        if (authError) {
+            return res.status(401).json({ success: false, message: authError });
+        }
+        if (req.user.role !== 'admin') {
+            req.log.warn('Acesso administrativo recusado', { method: req.method, url: req.originalUrl });
+            return res.status(403).json({ success: false, message: 'Acesso restrito a administradores' });
+        }
+        next();
+    }
+
+    // Conta a requisição no bucket do cliente. Retorna false (depois de responder 429) se
+    // o limite acabou. Com o store fora do ar a requisição passa.
+    async applyRateLimit(req, res, policyName, scope) {
+        let result;
+        try {
+            result = await this.rateLimiter.check(this.routeTable.rateLimits, policyName, scope, req);
+        } catch (error) {
+            req.log.error('Rate limit indisponível; liberando a requisição', { policy: policyName, error: error.message });
+            return true;
+        }
+        if (!result) return true;
+
+        res.set(this.rateLimiter.headers(result));
+        if (result.allowed) return true;
+
+        req.log.info('Rate limit esgotado', { policy: policyName, tier: result.tier, ip: req.ip });
+        res.status(429).json({
+            success: false,
+            message: `Muitas requisições; tente novamente em ${res.get('Retry-After')}s`,
+            retryAfter: Number(res.get('Retry-After'))
+        });
+        return false;
+    }
+
+    // Middleware de rate limit para endpoints do próprio gateway (política `policyName`)
+    limitEndpoint(policyName) {
+        return async (req, res, next) => {
+            try {
+                this.authenticate(req);
+                if (await this.applyRateLimit(req, res, policyName, policyName)) next();
+            } catch (error) {
+                next(error);
+            }
+        };
+    }
+
+    // Proxy request to service
+    async proxyRequest(route, targetPath, req, res) {
+        const serviceName = route.service;
+        try {
+
+            // GET em cache é respondido sem chamar o serviço (mesmo com ele fora do ar).
+            // A trilha de release entra na chave: clientes canary não recebem respostas da estável.
+            let cacheKey = null;
+            let cacheTrack = null;
+            if (route.cache && req.method === 'GET') {
+                const directives = ResponseCache.requestDirectives(req);
+                if (!directives.noStore) {
+                    const selected = this.releaseRouting.select(serviceName, req);
+                    cacheTrack = selected ? selected.track : null;
+                    cacheKey = this.responseCache.keyFor(req, route.cache, cacheTrack);
+                    const entry = directives.noCache ? null : this.responseCache.get(cacheKey);
+                    if (entry) {
+                        req.log.debug('Resposta do cache', { cache: 'HIT' });
+                        return this.sendCached(req, res, route.cache, entry, 'HIT');
+                    }
+                }
+                res.setHeader('X-Cache', cacheKey ? 'MISS' : 'BYPASS');
+            }
+            
+            // Descobrir serviço
             let service;
+            let track = null;
             try {
-                console.log(`🔍 Tentando descobrir serviço: ${serviceName}`);
-                service = serviceRegistry.discover(serviceName);
-                console.log(`✅ Serviço descoberto com sucesso:`, service);
+                ({ service, track } = this.discoverForRequest(serviceName, req));
             } catch (error) {
-                console.error(`❌ Erro na descoberta do serviço ${serviceName}:`, error.message);
-                
-                // REGISTRAR FALHA DE SERVICE DISCOVERY NO CIRCUIT BREAKER
-                console.log(`🚨 Service Discovery falhou - registrando no Circuit Breaker`);
-                this.recordFailure(serviceName);
-                
-                // Debug: listar serviços disponíveis
+                // Sem instância não houve chamada: o circuit breaker não conta como falha
                 const availableServices = serviceRegistry.listServices();
-                console.log(`📋 Serviços disponíveis:`, Object.keys(availableServices));
-                console.log(`📋 Registry completo:`, availableServices);
+                req.log.error('Serviço não encontrado no registry', {
+                    serviceName,
+                    available: Object.keys(availableServices),
+                    error: error.message
+                });
                 
                 return res.status(503).json({
                     success: false,
                     message: `Serviço ${serviceName} não encontrado`,
                     service: serviceName,
+                    error: error.message,
                     availableServices: Object.keys(availableServices)
                 });
             }
             
-            // Construir URL de destino corrigida
-            const originalPath = req.originalUrl;
-            let targetPath = '';
-            
-            console.log(`🗺️  Mapeando rota: ${originalPath} (serviço: ${serviceName})`);
-            
-            // Extrair o path correto baseado no serviço
-            if (serviceName === 'user-service') {
-                // /api/auth/login -> /auth/login
-                // /api/users/auth/login -> /auth/login
-                // /api/users -> /users
-                // /api/users/123 -> /users/123
-                if (originalPath.startsWith('/api/auth/')) {
-                    targetPath = originalPath.replace('/api/auth', '/auth');
-                } else {
-                    targetPath = originalPath.replace('/api/users', '');
-                    if (!targetPath.startsWith('/')) {
-                        targetPath = '/' + targetPath;
+            // Corpo pequeno lido antes (pode ser reenviado); grande ou chunked vai em stream
+            // e a requisição tem uma tentativa só
+            const body = await this.requestBody(req);
+            const upstream = { body, replayable: !body || Buffer.isBuffer(body), decode: Boolean(cacheKey) };
+
+            const breaker = this.breakerFor(route);
+            if (!breaker.tryAcquire()) {
+                req.log.warn('Requisição recusada: circuit breaker', { circuitBreaker: breaker.name, state: breaker.state });
+                res.setHeader('Retry-After', breaker.retryAfter());
+                return res.status(503).json({
+                    success: false,
+                    message: `Serviço ${serviceName} temporariamente indisponível (Circuit Breaker)`,
+                    service: serviceName,
+                    circuitBreaker: breaker.name,
+                    state: breaker.state,
+                    circuitBreakerOpen: true
+                });
+            }
+
+            // Prazo total da requisição (retentativas incluídas), repassado ao serviço
+            const deadlineAt = Math.min(Date.now() + route.timeout, req.deadline || Infinity);
+
+            // Retry só para métodos idempotentes, com backoff exponencial e jitter. Cada tentativa
+            // vai de preferência para outra instância e passa pelo circuit breaker (que pode ter
+            // aberto com a falha anterior).
+            const attempts = 1 + (IDEMPOTENT_METHODS.includes(req.method) && upstream.replayable ? route.retry.attempts : 0);
+            const tried = [];
+            let response;
+            for (let attempt = 1; ; attempt++) {
+                tried.push(service.id);
+                try {
+                    ({ response, service } = await this.forwardHedged(route, breaker, service, targetPath, req, deadlineAt, upstream));
+                    break;
+                } catch (error) {
+                    const wait = this.backoffDelay(route.retry, attempt);
+                    if (attempt >= attempts || !this.isRetryable(error)
+                        || Date.now() + wait >= deadlineAt || !breaker.tryAcquire()) {
+                        throw error;
                     }
-                    // Se path vazio, usar /users
-                    if (targetPath === '/' || targetPath === '') {
-                        targetPath = '/users';
+
+                    if (error.response) {
+                        error.response.data.destroy();
+                    }
+                    req.log.warn('Tentativa falhou; repetindo', {
+                        serviceName,
+                        instanceId: service.id,
+                        attempt,
+                        attempts,
+                        error: error.code || error.message,
+                        retryInMs: wait
+                    });
+                    await new Promise(resolve => setTimeout(resolve, wait));
+                    try {
+                        ({ service, track } = this.discoverForRequest(serviceName, req, tried));
+                    } catch (notAnotherInstance) {
+                        try {
+                            ({ service, track } = this.discoverForRequest(serviceName, req));
+                        } catch (discoveryError) {
+                            throw error;
+                        }
                     }
-                }
-            } else if (serviceName === 'product-service') {
-                // /api/items -> /items
-                // /api/products -> /products
-                // /api/items/123 -> /items/123
-                if (originalPath.startsWith('/api/items')) {
-                    targetPath = originalPath.replace('/api/items', '/items');
-                } else if (originalPath.startsWith('/api/products')) {
-                    targetPath = originalPath.replace('/api/products', '/products');
-                } else if (originalPath.startsWith('/api/debug')) {
-                    targetPath = originalPath.replace('/api/debug', '/debug');
-                } else {
-                    targetPath = originalPath.replace('/api/', '/');
-                }
-                
-                // Se path vazio após replacement, usar default
-                if (targetPath === '/' || targetPath === '') {
-                    targetPath = '/items';
-                }
-                
-                console.log(`🎯 Rota mapeada: ${originalPath} -> ${targetPath}`);
-            } else if (serviceName === 'list-service') {
-                // /api/lists -> /lists
-                // /api/lists/123 -> /lists/123
-                targetPath = originalPath.replace('/api/lists', '');
-                if (!targetPath.startsWith('/')) {
-                    targetPath = '/' + targetPath;
-                }
-                // Se path vazio, usar /lists
-                if (targetPath === '/' || targetPath === '') {
-                    targetPath = '/lists';
                 }
             }
             
-            const targetUrl = `${service.url}${targetPath}`;
-            
-            console.log(`🎯 Target URL: ${targetUrl}`);
-            
-            // Configurar requisição
-            const config = {
-                method: req.method,
-                url: targetUrl,
-                headers: { ...req.headers },
-                timeout: 10000,
-                family: 4,  // Força IPv4
-                validateStatus: function (status) {
-                    return status < 500; // Aceitar todos os status < 500
-                }
-            };
+            req.log.debug('Resposta do serviço', { serviceName, instanceId: service.id, status: response.status });
 
-            // Adicionar body para requisições POST/PUT/PATCH
-            if (['POST', 'PUT', 'PATCH'].includes(req.method)) {
-                config.data = req.body;
+            if (track) {
+                res.setHeader('X-Release-Track', track);
             }
-
-            // Adicionar query parameters
-            if (Object.keys(req.query).length > 0) {
-                config.params = req.query;
+            if (service.version) {
+                res.setHeader('X-Service-Version', service.version);
             }
-
-            // Remover headers problemáticos
-            delete config.headers.host;
-            delete config.headers['content-length'];
-
-            console.log(`📤 Enviando ${req.method} para ${targetUrl}`);
-
-            // Fazer requisição
-            const response = await axios(config);
             
-            // Resetar circuit breaker em caso de sucesso
-            this.resetCircuitBreaker(serviceName);
-            
-            console.log(`📥 Resposta recebida: ${response.status}`);
+            // Guardar a leitura no cache (se a resposta veio da trilha usada na chave)
+            if (cacheKey && track === cacheTrack && ResponseCache.storable(response)) {
+                const entry = this.responseCache.set(cacheKey, {
+                    service: serviceName,
+                    status: response.status,
+                    headers: proxyHeaders.downstream(response.headers),
+                    data: JSON.parse(await this.readStream(response.data)),
+                    ttl: route.cache.ttl
+                });
+                return this.sendCached(req, res, route.cache, entry, 'MISS');
+            }
+
+            // Escrita bem-sucedida: as leituras em cache do serviço (e dos serviços
+            // que ele altera, em "invalidates") ficaram velhas
+            if (!SAFE_METHODS.includes(req.method) && response.status < 400) {
+                [serviceName, ...route.invalidates].forEach(name => {
+                    const removed = this.responseCache.invalidate(name);
+                    if (removed > 0) {
+                        req.log.info('Cache invalidado após escrita', { serviceName: name, removed });
+                    }
+                });
+            }
             
             // Retornar resposta
-            res.status(response.status).json(response.data);
+            this.pipeResponse(response, res);
 
         } catch (error) {
-            // Registrar falha COM LOGS EXPLÍCITOS
-            console.log(`🚨 REGISTRANDO FALHA NO CIRCUIT BREAKER para ${serviceName}`);
-            this.recordFailure(serviceName);
-            console.log(`📊 Circuit Breaker Status:`, this.circuitBreakers.get(serviceName));
-            
-            console.error(`❌ Proxy error for ${serviceName}:`, {
-                message: error.message,
+            req.log.error('Erro no proxy', {
+                serviceName,
+                error: error.message,
                 code: error.code,
                 url: error.config?.url,
                 status: error.response?.status
@@ -338,10 +657,17 @@ class APIGateway {
                     service: serviceName,
                     error: error.code
                 });
+            } else if (error.code === 'ECONNABORTED') {
+                // Timeout do axios: o prazo da tentativa ou da requisição acabou
+                res.status(504).json({
+                    success: false,
+                    message: `Serviço ${serviceName} não respondeu dentro do prazo`,
+                    service: serviceName,
+                    error: error.code
+                });
             } else if (error.response) {
                 // Encaminhar resposta de erro do serviço
-                console.log(`🔄 Encaminhando erro ${error.response.status} do serviço`);
-                res.status(error.response.status).json(error.response.data);
+                this.pipeResponse(error.response, res);
             } else {
                 res.status(500).json({
                     success: false,
@@ -352,55 +678,252 @@ class APIGateway {
             }
         }
     }
-    // Circuit Breaker 
-    isCircuitOpen(serviceName) {
-        const breaker = this.circuitBreakers.get(serviceName);
-        if (!breaker) return false;
 
-        const now = Date.now();
-        
-        // Verificar se o circuito deve ser meio-aberto
-        if (breaker.isOpen && (now - breaker.lastFailure) > 30000) { // 30 segundos
-            breaker.isOpen = false;
-            breaker.isHalfOpen = true;
-            console.log(`Circuit breaker half-open for ${serviceName}`);
-            return false;
+    // Resposta a partir de uma entrada do cache; 304 se o cliente já tem essa versão
+    sendCached(req, res, cacheConfig, entry, result) {
+        Object.entries(entry.headers).forEach(([name, value]) => res.setHeader(name, value));
+        res.set(this.responseCache.headers(entry, cacheConfig));
+        res.setHeader('X-Cache', result);
+        if (ResponseCache.notModified(req, entry.etag)) {
+            return res.status(304).end();
+        }
+        res.status(entry.status).json(entry.data);
+    }
+
+    // Repassa status, headers e corpo da resposta do serviço sem interpretar o conteúdo
+    // (204 sem corpo, CSV, arquivos...). Se o cliente desconectar, a resposta do serviço é descartada.
+    pipeResponse(response, res) {
+        res.status(response.status);
+        Object.entries(proxyHeaders.downstream(response.headers)).forEach(([name, value]) => res.setHeader(name, value));
+        stream.pipeline(response.data, res, error => {
+            if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+                log.warn('Resposta interrompida', { error: error.code || error.message });
+            }
+        });
+    }
+
+    // Corpo a enviar ao serviço: null (sem corpo), Buffer (até REPLAY_LIMIT bytes) ou o
+    // próprio req, repassado em stream. Lido uma vez só (validação e proxy).
+    requestBody(req) {
+        if (!req.proxyBody) {
+            req.proxyBody = this.readRequestBody(req);
         }
+        return req.proxyBody;
+    }
+
+    async readRequestBody(req) {
+        if (!proxyHeaders.hasBody(req)) return null;
+
+        const length = parseInt(req.headers['content-length']);
+        if (!(length <= REPLAY_LIMIT)) return req;
+        return this.readStream(req);
+    }
 
-        return breaker.isOpen;
+    async readStream(source) {
+        const chunks = [];
+        for await (const chunk of source) {
+            chunks.push(chunk);
+        }
+        return Buffer.concat(chunks);
     }
 
-    recordFailure(serviceName) {
-        let breaker = this.circuitBreakers.get(serviceName) || {
-            failures: 0,
-            isOpen: false,
-            isHalfOpen: false,
-            lastFailure: null
+    // Uma tentativa, registrada no circuit breaker. Em GET com `hedge`, se a resposta
+    // demorar mais que hedge.delay, uma segunda chamada vai para outra instância e vale
+    // a primeira que responder; a outra é cancelada. Fora do estado closed não há chamada
+    // extra: em half-open ela gastaria uma das poucas chamadas de teste.
+    async forwardHedged(route, breaker, service, targetPath, req, deadlineAt, upstream) {
+        const controllers = [];
+        const call = instance => {
+            const controller = new AbortController();
+            controllers.push(controller);
+            const timeout = Math.max(1, Math.min(route.attemptTimeout, deadlineAt - Date.now()));
+            return this.forwardRecorded(breaker, instance, targetPath, req, { ...upstream, timeout, signal: controller.signal })
+                .then(response => ({ response, service: instance, controller }));
         };
 
-        breaker.failures++;
-        breaker.lastFailure = Date.now();
+        if (!route.hedge || req.method !== 'GET' || !upstream.replayable) {
+            return call(service);
+        }
+
+        const primary = call(service);
+        let timer;
+        const hedged = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                let second;
+                try {
+                    second = this.discoverForRequest(route.service, req, [service.id]).service;
+                } catch (error) {
+                    return reject(error);
+                }
+                if (Date.now() >= deadlineAt || breaker.state !== 'closed' || !breaker.tryAcquire()) {
+                    return reject(new Error('Sem prazo ou circuito para a chamada extra'));
+                }
 
-        console.log(`📈 FALHA ${breaker.failures}/3 registrada para ${serviceName}`);
+                req.log.info('Sem resposta no prazo do hedge; chamada extra', {
+                    serviceName: route.service,
+                    instanceId: service.id,
+                    hedgeInstanceId: second.id,
+                    delayMs: route.hedge.delay
+                });
+                call(second).then(resolve, reject);
+            }, route.hedge.delay);
 
-        // Abrir circuito após 3 falhas
-        if (breaker.failures >= 3) {
-            breaker.isOpen = true;
-            breaker.isHalfOpen = false;
-            console.log(`🔴🔴🔴 CIRCUIT BREAKER ABERTO para ${serviceName} após ${breaker.failures} falhas! 🔴🔴🔴`);
+            // Falhou antes do hedge: não há segunda chamada, o retry decide
+            primary.catch(error => {
+                if (controllers.length === 1) {
+                    clearTimeout(timer);
+                    reject(error);
+                }
+            });
+        });
+
+        // A resposta vencedora continua em stream: só as outras chamadas são canceladas
+        let winner = null;
+        try {
+            winner = await Promise.any([primary, hedged]);
+            return winner;
+        } catch (error) {
+            // Todas falharam: vale o erro da chamada original
+            return primary;
+        } finally {
+            clearTimeout(timer);
+            controllers
+                .filter(controller => !winner || controller !== winner.controller)
+                .forEach(controller => controller.abort());
+        }
+    }
+
+    // Resultado da chamada no circuit breaker. Chamadas canceladas pelo hedge não contam
+    // e, se eram de teste (half-open), devolvem a vaga.
+    async forwardRecorded(breaker, service, targetPath, req, options) {
+        const startedAt = Date.now();
+        const trial = breaker.state === 'half-open' ? breaker.trial : null;
+        try {
+            const response = await this.forward(breaker.service, service, targetPath, req, options);
+            breaker.onSuccess(Date.now() - startedAt);
+            return response;
+        } catch (error) {
+            if (!axios.isCancel(error)) {
+                breaker.onFailure(Date.now() - startedAt, error);
+            } else if (trial) {
+                breaker.release(trial);
+            }
+            throw error;
+        }
+    }
+
+    // Uma tentativa de encaminhamento para a instância escolhida. O corpo da resposta
+    // chega como stream (response.data); `decode` pede a resposta sem compressão, para o cache.
+    async forward(serviceName, service, targetPath, req, { timeout, signal, body, decode }) {
+        const queryStart = req.originalUrl.indexOf('?');
+        const targetUrl = `${service.url}${targetPath}${queryStart >= 0 ? req.originalUrl.slice(queryStart) : ''}`;
+        
+        // Configurar requisição (timeout vale até chegarem os headers da resposta)
+        const config = {
+            method: req.method,
+            url: targetUrl,
+            headers: proxyHeaders.upstream(req),
+            data: body || undefined,
+            timeout,
+            signal,
+            family: 4,  // Força IPv4
+            responseType: 'stream',
+            decompress: false,
+            maxRedirects: 0,
+            maxBodyLength: Infinity,
+            maxContentLength: Infinity,
+            validateStatus: function (status) {
+                return status < 500; // Aceitar todos os status < 500
+            }
+        };
+
+        if (decode) {
+            config.headers['accept-encoding'] = 'identity';
+        }
+
+        // A identidade vem só do gateway: a enviada pelo cliente é descartada
+        delete config.headers[identity.HEADER];
+        if (req.user) {
+            config.headers[identity.HEADER] = identity.sign(req.user);
+        }
+
+        // O serviço recebe o tempo que resta para esta tentativa
+        config.headers[deadline.HEADER] = String(timeout);
+
+        // O serviço continua o trace a partir do span desta tentativa (traceparent e
+        // X-Request-Id do gateway); tracestate sem o traceparent correspondente não vale
+        delete config.headers[tracing.STATE_HEADER];
+
+        req.log.debug('Encaminhando', { serviceName, instanceId: service.id, url: targetUrl, timeout });
+
+        // Fazer requisição (contando como em andamento na instância escolhida)
+        const release = serviceRegistry.startRequest(serviceName, service.id);
+        try {
+            return await tracing.traced(req, `${req.method} ${serviceName}`, {
+                'peer.service': serviceName,
+                'service.instance.id': service.id,
+                'http.url': targetUrl
+            }, headers => axios({ ...config, headers: { ...config.headers, ...headers } }));
+        } finally {
+            release();
+        }
+    }
+
+    // Espera antes da tentativa `attempt + 1`: delay * 2^(attempt - 1), limitado a maxDelay,
+    // com jitter "full" (sorteio entre 0 e o valor) para espalhar as retentativas
+    backoffDelay(retry, attempt) {
+        const backoff = Math.min(retry.delay * 2 ** (attempt - 1), retry.maxDelay);
+        return Math.round(retry.jitter ? Math.random() * backoff : backoff);
+    }
+
+    // Falhas de rede e respostas 5xx (o serviço não chegou a responder com sucesso)
+    isRetryable(error) {
+        if (error.response) return error.response.status >= 500;
+        return ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE'].includes(error.code);
+    }
+
+    // Instância para uma requisição, respeitando a política de versão do serviço.
+    // Sem instância canary disponível a requisição vai para a versão estável.
+    // `exclude`: instâncias a evitar (já tentadas)
+    discoverForRequest(serviceName, req, exclude) {
+        const route = this.releaseRouting.select(serviceName, req);
+        const withExclude = selector => (exclude ? { ...selector, exclude } : selector);
+        if (!route) {
+            return { service: serviceRegistry.discover(serviceName, withExclude({})), track: null };
         }
 
-        this.circuitBreakers.set(serviceName, breaker);
+        try {
+            return { service: serviceRegistry.discover(serviceName, withExclude(route.selector)), track: route.track };
+        } catch (error) {
+            if (!route.fallback) throw error;
+            req.log.warn('Canary indisponível; usando a versão estável', { serviceName, error: error.message });
+            return { service: serviceRegistry.discover(serviceName, withExclude(route.fallback)), track: 'stable' };
+        }
     }
 
-    resetCircuitBreaker(serviceName) {
-        const breaker = this.circuitBreakers.get(serviceName);
-        if (breaker) {
-            breaker.failures = 0;
-            breaker.isOpen = false;
-            breaker.isHalfOpen = false;
-            console.log(`Circuit breaker reset for ${serviceName}`);
+    // Circuit breaker da rota; a configuração acompanha recargas de routes.json
+    breakerFor(route) {
+        const config = { ...this.circuitBreakerDefaults, ...route.circuitBreaker };
+        let breaker = this.circuitBreakers.get(route.name);
+        if (!breaker) {
+            breaker = new CircuitBreaker(route.name, route.service, config);
+            this.circuitBreakers.set(route.name, breaker);
+        } else {
+            breaker.configure(route.service, config);
         }
+        return breaker;
+    }
+
+    // Leitura interna de dados públicos com cache (a mesma entrada serve a todos os usuários;
+    // escritas no serviço via gateway a descartam)
+    async cachedCall(serviceName, servicePath, params, ttl, req) {
+        const key = `internal|${serviceName}|${servicePath}?${new URLSearchParams(params)}`;
+        const entry = this.responseCache.get(key);
+        if (entry) return entry.data;
+
+        const data = await this.callService(serviceName, servicePath, 'GET', null, params, null, req);
+        this.responseCache.set(key, { service: serviceName, status: 200, data, ttl });
+        return data;
     }
 
     // Dashboard agregado
@@ -417,9 +940,9 @@ class APIGateway {
 
             // Buscar dados de múltiplos serviços
             const [userResponse, productsResponse, categoriesResponse] = await Promise.allSettled([
-                this.callService('user-service', '/users', 'GET', authHeader, { limit: 5 }),
-                this.callService('product-service', '/products', 'GET', null, { limit: 5 }),
-                this.callService('product-service', '/categories', 'GET', null, {})
+                this.callService('user-service', '/users', 'GET', authHeader, { limit: 5 }, null, req),
+                this.cachedCall('product-service', '/products', { limit: 5 }, this.dashboardCacheTtl, req),
+                this.cachedCall('product-service', '/categories', {}, this.dashboardCacheTtl, req)
             ]);
 
             const dashboard = {
@@ -452,7 +975,7 @@ class APIGateway {
             });
 
         } catch (error) {
-            console.error('Erro no dashboard:', error);
+            req.log.error('Erro no dashboard', { error });
             res.status(500).json({
                 success: false,
                 message: 'Erro ao agregar dados do dashboard'
@@ -475,13 +998,13 @@ class APIGateway {
             // Buscar em produtos e usuários (se autenticado)
             const authHeader = req.header('Authorization');
             const searches = [
-                this.callService('product-service', '/search', 'GET', null, { q })
+                this.callService('product-service', '/search', 'GET', null, { q }, null, req)
             ];
 
             // Adicionar busca de usuários se autenticado
             if (authHeader) {
                 searches.push(
-                    this.callService('user-service', '/search', 'GET', authHeader, { q, limit: 5 })
+                    this.callService('user-service', '/search', 'GET', authHeader, { q, limit: 5 }, null, req)
                 );
             }
 
@@ -511,7 +1034,7 @@ class APIGateway {
             });
 
         } catch (error) {
-            console.error('Erro na busca global:', error);
+            req.log.error('Erro na busca global', { error });
             res.status(500).json({
                 success: false,
                 message: 'Erro na busca'
@@ -519,26 +1042,71 @@ class APIGateway {
         }
     }
 
-    // Helper para chamar serviços
-    async callService(serviceName, path, method = 'GET', authHeader = null, params = {}) {
-        const service = serviceRegistry.discover(serviceName);
-        
-        const config = {
-            method,
-            url: `${service.url}${path}`,
-            timeout: 5000
-        };
+    // Helper para chamar serviços (prazo e retentativas de INTERNAL_CALL). Com `user`, o
+    // serviço recebe a identidade assinada do usuário já validado pelo gateway; com `req`,
+    // a chamada entra no trace da requisição que a originou.
+    async callService(serviceName, path, method = 'GET', authHeader = null, params = {}, user = null, req = null) {
+        const selector = this.releaseRouting.stableSelector(serviceName);
+        const deadlineAt = Date.now() + INTERNAL_CALL.timeout;
+        const attempts = 1 + (IDEMPOTENT_METHODS.includes(method) ? INTERNAL_CALL.retry.attempts : 0);
+        const tried = [];
 
-        if (authHeader) {
-            config.headers = { Authorization: authHeader };
-        }
+        for (let attempt = 1; ; attempt++) {
+            let service;
+            try {
+                service = serviceRegistry.discover(serviceName, { ...selector, exclude: tried });
+            } catch (error) {
+                if (tried.length === 0) throw error;
+                service = serviceRegistry.discover(serviceName, selector);
+            }
+            tried.push(service.id);
 
-        if (method === 'GET' && Object.keys(params).length > 0) {
-            config.params = params;
-        }
+            const timeout = Math.max(1, deadlineAt - Date.now());
+            const config = {
+                method,
+                url: `${service.url}${path}`,
+                timeout,
+                headers: { [deadline.HEADER]: String(timeout) }
+            };
+
+            if (authHeader) {
+                config.headers.Authorization = authHeader;
+            }
+            if (user) {
+                config.headers[identity.HEADER] = identity.sign(user);
+            }
+
+            if (method === 'GET' && Object.keys(params).length > 0) {
+                config.params = params;
+            }
+
+            let error;
+            const release = serviceRegistry.startRequest(serviceName, service.id);
+            try {
+                const response = await tracing.traced(req, `${method} ${serviceName} ${path}`, {
+                    'peer.service': serviceName,
+                    'service.instance.id': service.id,
+                    'http.url': config.url
+                }, headers => axios({ ...config, headers: { ...config.headers, ...headers } }));
+                return response.data;
+            } catch (callError) {
+                error = callError;
+            } finally {
+                release();
+            }
 
-        const response = await axios(config);
-        return response.data;
+            const wait = this.backoffDelay(INTERNAL_CALL.retry, attempt);
+            if (attempt >= attempts || !this.isRetryable(error) || Date.now() + wait >= deadlineAt) throw error;
+
+            (req ? req.log : log).warn('Chamada interna falhou; repetindo', {
+                method,
+                serviceName,
+                path,
+                error: error.code || error.message,
+                retryInMs: wait
+            });
+            await new Promise(resolve => setTimeout(resolve, wait));
+        }
     }
 
     // Health checks para serviços registrados
@@ -555,26 +1123,14 @@ class APIGateway {
 
     start() {
         this.app.listen(this.port, () => {
-            console.log('=====================================');
-            console.log(`API Gateway iniciado na porta ${this.port}`);
-            console.log(`URL: http://localhost:${this.port}`);
-            console.log(`Health: http://localhost:${this.port}/health`);
-            console.log(`Registry: http://localhost:${this.port}/registry`);
-            console.log(`Dashboard: http://localhost:${this.port}/api/dashboard`);
-            console.log(`Architecture: Microservices with NoSQL`);
-            console.log('=====================================');
-            console.log('Rotas disponíveis:');
-            console.log('   POST /api/auth/register');
-            console.log('   POST /api/auth/login');
-            console.log('   POST /api/auth/validate');
-            console.log('   GET  /api/users');
-            console.log('   GET  /api/items');
-            console.log('   GET  /api/lists');
-            console.log('   POST /api/lists');
-            console.log('   GET  /api/products');
-            console.log('   GET  /api/search?q=termo');
-            console.log('   GET  /api/dashboard');
-            console.log('=====================================');
+            log.info('API Gateway iniciado', {
+                port: this.port,
+                url: `http://localhost:${this.port}`,
+                docs: `http://localhost:${this.port}/docs`,
+                routes: this.routeTable.routes.map(route => `${route.prefix} -> ${route.service}`)
+            });
+            this.tokenVerifier.start();
+            this.openApi.start();
         });
     }
 }
@@ -584,9 +1140,12 @@ if (require.main === module) {
     const gateway = new APIGateway();
     gateway.start();
 
-    // Graceful shutdown
-    process.on('SIGTERM', () => process.exit(0));
-    process.on('SIGINT', () => process.exit(0));
+    // Graceful shutdown (o store de rate limit em arquivo grava os contadores e os spans
+    // pendentes são exportados)
+    const shutdown = () => Promise.allSettled([serviceRegistry.close(), gateway.rateLimiter.close(), gateway.tracer.close()])
+        .finally(() => process.exit(0));
+    process.on('SIGTERM', shutdown);
+    process.on('SIGINT', shutdown);
 }
 
 module.exports = APIGateway;
\ No newline at end of file
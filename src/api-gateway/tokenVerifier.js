@@ -0,0 +1,168 @@
+// api-gateway/tokenVerifier.js
+// Validação local dos JWT emitidos pelo user-service (mesmo JWT_SECRET), sem uma
+// chamada ao user-service por requisição.
+//
+// - Tokens já validados ficam em cache por AUTH_CACHE_TTL_MS (padrão 30s), nunca além do `exp`.
+// - Revogações (logout, encerrar todas as sessões) vêm de GET /auth/revocations do
+//   user-service a cada AUTH_REVOCATION_POLL_MS (padrão 5s) e valem também para o cache.
+// - Se o user-service cair, as revogações já conhecidas continuam valendo e os tokens
+//   seguem sendo validados pela assinatura.
+const jwt = require('jsonwebtoken');
+const log = require('../shared/logging').child({ component: 'auth' });
+
+// Validade dos tokens emitidos pelo user-service (expiresIn: '24h')
+const TOKEN_LIFETIME = 24 * 60 * 60 * 1000;
+
+class TokenError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TokenError';
+    }
+}
+
+class TokenVerifier {
+    // fetchRevocations(since) -> { revocations: [...], cursor }
+    constructor({ secret, cacheTtl, maxEntries, pollInterval, fetchRevocations } = {}) {
+        this.secret = secret || process.env.JWT_SECRET || 'user-secret';
+        this.cacheTtl = cacheTtl !== undefined ? cacheTtl : parseInt(process.env.AUTH_CACHE_TTL_MS) || 30000;
+        this.maxEntries = maxEntries || 1000;
+        this.pollInterval = pollInterval || parseInt(process.env.AUTH_REVOCATION_POLL_MS) || 5000;
+        this.fetchRevocations = fetchRevocations;
+
+        this.cache = new Map();
+        this.revokedTokens = new Map();   // jti -> expiração do token (ms)
+        this.revokedUsers = new Map();    // userId -> tokens emitidos antes disso são inválidos (ms)
+        this.revocationsSince = null;
+        this.lastSync = null;
+        this.syncError = null;
+        this.timer = null;
+        this.stats = { hits: 0, misses: 0, rejected: 0 };
+    }
+
+    // Claims do token ou TokenError com a mensagem para o cliente
+    verify(token) {
+        const now = Date.now();
+        const cached = this.cache.get(token);
+        if (cached && cached.until > now) {
+            this.check(cached.claims);
+            this.stats.hits++;
+            return cached.claims;
+        }
+        this.cache.delete(token);
+        this.stats.misses++;
+
+        let claims;
+        try {
+            claims = jwt.verify(token, this.secret);
+        } catch (error) {
+            this.stats.rejected++;
+            throw new TokenError(error.name === 'TokenExpiredError' ? 'Token expirado' : 'Token inválido');
+        }
+        this.check(claims);
+
+        if (this.cache.size >= this.maxEntries) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+        this.cache.set(token, {
+            claims,
+            until: Math.min(now + this.cacheTtl, claims.exp ? claims.exp * 1000 : Infinity)
+        });
+        return claims;
+    }
+
+    // `iat` tem resolução de segundos (mesma regra do user-service)
+    check(claims) {
+        const userRevokedAt = this.revokedUsers.get(claims.id);
+        if ((claims.jti && this.revokedTokens.has(claims.jti))
+            || (userRevokedAt && claims.iat < Math.floor(userRevokedAt / 1000))) {
+            this.stats.rejected++;
+            throw new TokenError('Token revogado');
+        }
+    }
+
+    // Aplica revogações: { type: 'token', jti, expiresAt } ou { type: 'user', userId, revokedAt }
+    // (a de usuário também traz o jti do token que pediu o encerramento)
+    revoke(revocations) {
+        let received = 0;
+        revocations.forEach(revocation => {
+            let known = true;
+            if (revocation.jti && !this.revokedTokens.has(revocation.jti)) {
+                this.revokedTokens.set(revocation.jti, Date.parse(revocation.expiresAt) || Infinity);
+                known = false;
+            }
+            if (revocation.type === 'user' && revocation.userId) {
+                const revokedAt = Date.parse(revocation.revokedAt);
+                if (revokedAt > (this.revokedUsers.get(revocation.userId) || 0)) {
+                    this.revokedUsers.set(revocation.userId, revokedAt);
+                    known = false;
+                }
+            }
+            if (!known) received++;
+        });
+
+        if (received > 0) {
+            log.info('Revogações de token recebidas do user-service', { received });
+        }
+    }
+
+    async sync() {
+        try {
+            const { revocations = [], cursor } = await this.fetchRevocations(this.revocationsSince);
+            this.revoke(revocations);
+            this.revocationsSince = cursor;
+            this.lastSync = new Date().toISOString();
+            if (this.syncError) {
+                log.info('Revogações de token sincronizadas novamente com o user-service');
+            }
+            this.syncError = null;
+        } catch (error) {
+            if (!this.syncError) {
+                log.warn('Não foi possível buscar revogações de token; mantendo as já conhecidas', { error: error.message });
+            }
+            this.syncError = error.message;
+        }
+        this.prune();
+    }
+
+    // Tokens revogados que já expiraram não precisam mais ser lembrados
+    prune() {
+        const now = Date.now();
+        this.revokedTokens.forEach((expiresAt, jti) => {
+            if (expiresAt < now) this.revokedTokens.delete(jti);
+        });
+        this.revokedUsers.forEach((revokedAt, userId) => {
+            if (revokedAt < now - TOKEN_LIFETIME) this.revokedUsers.delete(userId);
+        });
+        this.cache.forEach((entry, token) => {
+            if (entry.until < now) this.cache.delete(token);
+        });
+    }
+
+    start() {
+        if (this.timer || !this.fetchRevocations) return;
+        this.sync();
+        this.timer = setInterval(() => this.sync(), this.pollInterval);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    status() {
+        return {
+            cacheTtl: this.cacheTtl,
+            cachedTokens: this.cache.size,
+            revokedTokens: this.revokedTokens.size,
+            revokedUsers: this.revokedUsers.size,
+            lastSync: this.lastSync,
+            syncError: this.syncError,
+            ...this.stats
+        };
+    }
+}
+
+TokenVerifier.TokenError = TokenError;
+
+module.exports = TokenVerifier;
@@ -0,0 +1,162 @@
+// api-gateway/tokenVerifier.test.js
+// Validação local de JWT no gateway: cache com TTL, revogações e sincronização
+// com o user-service. Date.now é controlado pelo teste.
+process.env.LOG_LEVEL = 'silent';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const TokenVerifier = require('./tokenVerifier');
+
+const SECRET = 'segredo-de-teste';
+const START = Date.parse('2026-01-01T12:00:00Z');
+
+describe('TokenVerifier', () => {
+    let now;
+
+    beforeEach(t => {
+        now = START;
+        t.mock.method(Date, 'now', () => now);
+    });
+
+    const tokenFor = (claims = {}, options = {}) => jwt.sign({ id: 'u1', username: 'maria', role: 'user', jti: 'jti-1', ...claims }, SECRET, { expiresIn: '24h', ...options });
+    const verifier = (options = {}) => new TokenVerifier({ secret: SECRET, cacheTtl: 30000, ...options });
+
+    it('valida pela assinatura e responde as próximas verificações do cache', () => {
+        const tokens = verifier();
+        const token = tokenFor();
+
+        assert.equal(tokens.verify(token).id, 'u1');
+        assert.equal(tokens.verify(token).id, 'u1');
+        assert.deepEqual([tokens.stats.misses, tokens.stats.hits], [1, 1]);
+    });
+
+    it('recusa assinatura inválida e token expirado com a mensagem certa', () => {
+        const tokens = verifier();
+        const forged = jwt.sign({ id: 'u1', role: 'admin' }, 'outro-segredo');
+        const expired = tokenFor({}, { expiresIn: -10 });
+
+        assert.throws(() => tokens.verify(forged), { name: 'TokenError', message: 'Token inválido' });
+        assert.throws(() => tokens.verify(expired), { name: 'TokenError', message: 'Token expirado' });
+        assert.throws(() => tokens.verify('nem-um-jwt'), TokenVerifier.TokenError);
+        assert.equal(tokens.stats.rejected, 3);
+    });
+
+    it('revalida a assinatura depois do TTL do cache', () => {
+        const tokens = verifier();
+        const token = tokenFor();
+        tokens.verify(token);
+
+        now += 29000;
+        tokens.verify(token);
+        assert.equal(tokens.stats.hits, 1);
+
+        now += 2000;
+        tokens.verify(token);
+        assert.deepEqual([tokens.stats.misses, tokens.stats.hits], [2, 1]);
+    });
+
+    it('o cache nunca vai além do exp do token', () => {
+        const tokens = verifier();
+        const token = tokenFor({}, { expiresIn: 10 });
+        tokens.verify(token);
+
+        now += 11000;
+        assert.throws(() => tokens.verify(token), { message: 'Token expirado' });
+    });
+
+    it('revogação de um token vale também para o que já está em cache', () => {
+        const tokens = verifier();
+        const token = tokenFor();
+        tokens.verify(token);
+
+        tokens.revoke([{ type: 'token', jti: 'jti-1', expiresAt: new Date(START + 60000).toISOString() }]);
+        assert.throws(() => tokens.verify(token), { message: 'Token revogado' });
+        assert.equal(tokens.verify(tokenFor({ jti: 'jti-2' })).id, 'u1');
+    });
+
+    it('revogação do usuário derruba só os tokens emitidos antes dela', () => {
+        const tokens = verifier();
+        const before = tokenFor({ jti: 'antes' });
+        tokens.verify(before);
+
+        now += 5000;
+        tokens.revoke([{ type: 'user', userId: 'u1', jti: 'logout', revokedAt: new Date(now).toISOString() }]);
+        assert.throws(() => tokens.verify(before), { message: 'Token revogado' });
+        assert.equal(tokens.verify(tokenFor({ id: 'u2', jti: 'outro-usuario' })).id, 'u2');
+
+        now += 1000;
+        assert.equal(tokens.verify(tokenFor({ jti: 'depois' })).id, 'u1');
+    });
+
+    it('sync avança o cursor e mantém as revogações se o user-service falhar', async () => {
+        const calls = [];
+        let fail = false;
+        const tokens = verifier({
+            fetchRevocations: async since => {
+                calls.push(since);
+                if (fail) throw new Error('ECONNREFUSED');
+                return {
+                    revocations: since ? [] : [{ type: 'token', jti: 'jti-1', expiresAt: new Date(START + 60000).toISOString() }],
+                    cursor: `cursor-${calls.length}`
+                };
+            }
+        });
+
+        await tokens.sync();
+        await tokens.sync();
+        assert.deepEqual(calls, [null, 'cursor-1']);
+
+        fail = true;
+        await tokens.sync();
+        assert.equal(tokens.status().syncError, 'ECONNREFUSED');
+        assert.equal(tokens.revocationsSince, 'cursor-2');
+        assert.throws(() => tokens.verify(tokenFor()), { message: 'Token revogado' });
+
+        fail = false;
+        await tokens.sync();
+        assert.equal(tokens.status().syncError, null);
+        assert.deepEqual(calls, [null, 'cursor-1', 'cursor-2', 'cursor-2']);
+    });
+
+    it('esquece revogações de tokens que já expiraram', () => {
+        const tokens = verifier();
+        tokens.revoke([
+            { type: 'token', jti: 'curto', expiresAt: new Date(START + 1000).toISOString() },
+            { type: 'user', userId: 'u1', revokedAt: new Date(START).toISOString() }
+        ]);
+
+        now += 2000;
+        tokens.prune();
+        assert.deepEqual([tokens.revokedTokens.size, tokens.revokedUsers.size], [0, 1]);
+
+        now += 24 * 60 * 60 * 1000;
+        tokens.prune();
+        assert.equal(tokens.revokedUsers.size, 0);
+    });
+
+    it('limita o cache a maxEntries descartando o mais antigo', () => {
+        const tokens = verifier({ maxEntries: 2 });
+        const [first, second, third] = ['a', 'b', 'c'].map(jti => tokenFor({ jti }));
+        [first, second, third].forEach(token => tokens.verify(token));
+
+        assert.equal(tokens.status().cachedTokens, 2);
+        tokens.verify(first);
+        assert.equal(tokens.stats.misses, 4);
+    });
+
+    it('start busca as revogações na hora e a cada pollInterval', t => {
+        t.mock.timers.enable({ apis: ['setInterval'] });
+        let calls = 0;
+        const tokens = verifier({ pollInterval: 1000, fetchRevocations: async () => ({ revocations: [], cursor: String(++calls) }) });
+
+        tokens.start();
+        assert.equal(calls, 1);
+        t.mock.timers.tick(3000);
+        assert.equal(calls, 4);
+
+        tokens.stop();
+        t.mock.timers.tick(3000);
+        assert.equal(calls, 4);
+    });
+});
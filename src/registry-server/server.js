@@ -0,0 +1,268 @@
+const express = require('express');
+const cors = require('cors');
+
+const MemoryRegistryStore = require('../shared/registry/MemoryRegistryStore');
+const ServiceRegistry = require('../shared/registry/ServiceRegistry');
+const logging = require('../shared/logging');
+
+const log = logging.configure('registry-server');
+
+// Servidor de registry: guarda o registry em memória e o expõe por HTTP para os
+// clientes de shared/serviceRegistry.js (REGISTRY_URL=http://<host>:3004).
+// Se o servidor reiniciar, cada instância volta no próximo heartbeat.
+class RegistryServer {
+    constructor() {
+        this.app = express();
+        this.port = process.env.PORT || 3004;
+        this.store = new MemoryRegistryStore();
+        // Só para a escolha de instância em GET /services/:name/discover
+        this.registry = new ServiceRegistry(this.store);
+        this.maxWatchTimeout = 60000;
+
+        this.setupMiddleware();
+        this.setupRoutes();
+        this.setupErrorHandling();
+    }
+
+    setupMiddleware() {
+        this.app.use(cors());
+        this.app.use(logging.middleware({
+            // Consultas de watch e heartbeats são constantes e poluem o log
+            skip: req => req.path === '/watch' || req.path.endsWith('/heartbeat')
+        }));
+        this.app.use(express.json());
+    }
+
+    setupRoutes() {
+        this.app.get('/health', (req, res) => {
+            res.json({
+                service: 'registry-server',
+                status: 'healthy',
+                timestamp: new Date().toISOString(),
+                uptime: process.uptime(),
+                index: this.store.index,
+                stats: this.registry.getStats()
+            });
+        });
+
+        // Nível de log do registry em execução: PUT { "level": "debug" }
+        const logLevel = logging.levelEndpoint();
+        this.app.get('/admin/log-level', logLevel);
+        this.app.put('/admin/log-level', logLevel);
+
+        // Estado completo (o mesmo formato do arquivo compartilhado)
+        this.app.get('/services', (req, res) => {
+            res.json(this.statePayload());
+        });
+
+        // Consulta bloqueante: responde quando o índice for diferente de `index`
+        // ou depois de `timeout` ms com o estado atual
+        this.app.get('/watch', (req, res) => {
+            const index = parseInt(req.query.index) || 0;
+            const timeout = Math.min(parseInt(req.query.timeout) || 30000, this.maxWatchTimeout);
+
+            this.store.sweep();
+            if (index !== this.store.index) {
+                return res.json(this.statePayload());
+            }
+
+            const respond = () => {
+                clearTimeout(timer);
+                this.store.removeListener('change', respond);
+                req.removeListener('close', cancel);
+                res.json(this.statePayload());
+            };
+            const cancel = () => {
+                clearTimeout(timer);
+                this.store.removeListener('change', respond);
+            };
+            const timer = setTimeout(respond, timeout);
+
+            this.store.on('change', respond);
+            req.on('close', cancel);
+        });
+
+        this.app.get('/evictions', (req, res) => {
+            res.json({
+                success: true,
+                evictions: this.registry.getEvictions(parseInt(req.query.limit) || 20)
+            });
+        });
+
+        this.app.get('/services/:name', (req, res) => {
+            const service = this.registry.listServices()[req.params.name];
+            if (!service) {
+                return this.notFound(res, `Serviço não encontrado: ${req.params.name}`);
+            }
+            res.json({ success: true, service });
+        });
+
+        // Escolhe uma instância saudável (para clientes que não mantêm cópia do registry).
+        // Seletor na query: ?version=^2&tags=canary,region=local&protocol=http&strategy=random
+        // ?exclude=id1,id2 evita instâncias (ex: a que já falhou)
+        this.app.get('/services/:name/discover', (req, res) => {
+            const { name } = req.params;
+            if (!this.registry.hasService(name)) {
+                return this.notFound(res, `Serviço não encontrado: ${name}`);
+            }
+
+            const { strategy, version, tags, protocol } = req.query;
+            const exclude = req.query.exclude ? String(req.query.exclude).split(',') : undefined;
+            try {
+                const instance = this.registry.discover(name, { strategy, version, tags, protocol, exclude });
+                res.json({ success: true, instance });
+            } catch (error) {
+                const status = /^(Estratégia|Faixa)/.test(error.message) ? 400
+                    : error.message.startsWith('Nenhuma instância') ? 404
+                    : 503;
+                res.status(status).json({ success: false, message: error.message });
+            }
+        });
+
+        this.app.post('/services/:name/instances', (req, res) => {
+            const { id, host, port } = req.body;
+            if (!host || !port) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'host e port são obrigatórios'
+                });
+            }
+
+            const instance = this.store.register(req.params.name, {
+                ...req.body,
+                id: id || `${host}:${port}`,
+                url: req.body.url || `http://${host}:${port}`,
+                ttl: parseInt(req.body.ttl) || undefined
+            });
+            req.log.info('Instância registrada', {
+                serviceName: req.params.name,
+                instanceId: instance.id,
+                url: instance.url,
+                hostname: instance.hostname || req.ip,
+                pid: instance.pid
+            });
+
+            res.status(201).json({ success: true, instance });
+        });
+
+        this.app.put('/services/:name/instances/:id/heartbeat', (req, res) => {
+            const instance = this.store.heartbeat(req.params.name, req.params.id);
+            if (!instance) {
+                return this.notFound(res, `Instância não registrada: ${req.params.name} [${req.params.id}]`);
+            }
+            res.json({ success: true, instance });
+        });
+
+        this.app.put('/services/:name/instances/:id/health', (req, res) => {
+            this.updateHealth(req, res, req.params.id);
+        });
+
+        this.app.put('/services/:name/health', (req, res) => {
+            this.updateHealth(req, res);
+        });
+
+        this.app.delete('/services/:name/instances/:id', (req, res) => {
+            this.unregister(req, res, req.params.id);
+        });
+
+        this.app.delete('/services/:name', (req, res) => {
+            this.unregister(req, res);
+        });
+
+        // Cleanup de um processo que está saindo: { pid, hostname }
+        this.app.delete('/instances', (req, res) => {
+            const { pid, hostname } = req.body || {};
+            if (!pid || !hostname) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'pid e hostname são obrigatórios'
+                });
+            }
+
+            const removed = this.store.removeByPid(pid, hostname);
+            removed.forEach(({ serviceName, instanceId }) => {
+                req.log.info('Instância removida na saída do processo', { serviceName, instanceId, pid, hostname });
+            });
+            res.json({ success: true, removed });
+        });
+
+        this.app.delete('/services', (req, res) => {
+            this.store.clear();
+            req.log.warn('Registry limpo');
+            res.json({ success: true });
+        });
+    }
+
+    setupErrorHandling() {
+        this.app.use('*', (req, res) => {
+            this.notFound(res, 'Endpoint não encontrado');
+        });
+
+        this.app.use((error, req, res, next) => {
+            req.log.error('Erro não tratado no registry', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        });
+    }
+
+    statePayload() {
+        return { index: this.store.index, ...this.store.snapshot().toJSON() };
+    }
+
+    updateHealth(req, res, instanceId) {
+        if (typeof req.body.healthy !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                message: 'healthy (boolean) é obrigatório'
+            });
+        }
+
+        if (!this.store.updateHealth(req.params.name, req.body.healthy, instanceId)) {
+            return this.notFound(res, `Instância não registrada: ${req.params.name}${instanceId ? ` [${instanceId}]` : ''}`);
+        }
+        res.json({ success: true });
+    }
+
+    unregister(req, res, instanceId) {
+        if (!this.store.unregister(req.params.name, instanceId)) {
+            return this.notFound(res, `Instância não registrada: ${req.params.name}${instanceId ? ` [${instanceId}]` : ''}`);
+        }
+        req.log.info('Instância removida', { serviceName: req.params.name, instanceId });
+        res.json({ success: true });
+    }
+
+    notFound(res, message) {
+        res.status(404).json({ success: false, message });
+    }
+
+    // Remove instâncias com lease expirado mesmo sem leituras, para acordar os watchers
+    startSweep() {
+        setInterval(() => this.store.sweep(), 5000);
+    }
+
+    start() {
+        this.app.listen(this.port, () => {
+            log.info('Registry Server iniciado', {
+                port: this.port,
+                url: `http://localhost:${this.port}`,
+                services: `http://localhost:${this.port}/services`,
+                clients: `REGISTRY_URL=http://localhost:${this.port}`
+            });
+            this.startSweep();
+        });
+    }
+}
+
+// Start registry server
+if (require.main === module) {
+    const server = new RegistryServer();
+    server.start();
+
+    // Graceful shutdown
+    process.on('SIGTERM', () => process.exit(0));
+    process.on('SIGINT', () => process.exit(0));
+}
+
+module.exports = RegistryServer;
@@ -18,6 +18,7 @@ async function main() {
         await clearServiceData('lists');
         
         console.log('✓ Todos os dados foram limpos com sucesso!');
+        console.log('  Para desfazer: npm run recover -- <serviço> <coleção> <timestamp ISO> --apply');
         process.exit(0);
     } catch (error) {
         console.error('✗ Erro ao limpar dados:', error);
@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+// scripts/migrate-collection.js
+// Aplica as migrações de schema de uma coleção (definidas em shared/schemas/<coleção>.js).
+//
+// Uso:
+//   node scripts/migrate-collection.js <serviço> <coleção> --status
+//   node scripts/migrate-collection.js <serviço> <coleção>              (simulação)
+//   node scripts/migrate-collection.js <serviço> <coleção> --apply      (migra)
+//
+// <serviço> é o nome de uma pasta em services/ (ex: product-service) ou um caminho
+// para o diretório do banco via --db <dir> (ex: --db database para o catálogo inicial).
+// O adapter de armazenamento vem de --storage <json|sqlite> ou da variável DB_ADAPTER.
+const path = require('path');
+const fs = require('fs-extra');
+const JsonDatabase = require('../shared/JsonDatabase');
+
+function parseArgs(argv) {
+    const args = { positional: [], apply: false, status: false, db: null, storage: process.env.DB_ADAPTER || 'json' };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--apply') args.apply = true;
+        else if (arg === '--status') args.status = true;
+        else if (arg === '--db') args.db = argv[++i];
+        else if (arg === '--storage') args.storage = argv[++i];
+        else args.positional.push(arg);
+    }
+    return args;
+}
+
+function usage() {
+    console.log('Uso: node scripts/migrate-collection.js <serviço> <coleção> [--apply | --status] [--db <dir>] [--storage <json|sqlite>]');
+    console.log('Exemplo: node scripts/migrate-collection.js product-service items --apply');
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const [service, collection] = args.db
+        ? [null, ...args.positional]
+        : args.positional;
+
+    if (!collection) {
+        usage();
+        process.exit(1);
+    }
+
+    const definitionPath = path.join(__dirname, '../shared/schemas', `${collection}.js`);
+    if (!await fs.pathExists(definitionPath)) {
+        console.error(`✗ Nenhum schema definido para ${collection} em shared/schemas/`);
+        process.exit(1);
+    }
+    const { schema, migrations } = require(definitionPath);
+
+    const dbPath = args.db
+        ? path.resolve(args.db)
+        : path.join(__dirname, '../services', service, 'database');
+
+    // migrate: false para que abrir a coleção não aplique as migrações antes da simulação
+    const db = new JsonDatabase(dbPath, collection, {
+        storage: args.storage,
+        schema,
+        migrations,
+        migrate: false
+    });
+
+    if (args.status) {
+        const status = await db.migrationStatus();
+        console.log(`=== Migrações de ${collection} (${status.total} documentos, versão alvo ${status.targetVersion}) ===`);
+        status.migrations.forEach(migration => {
+            console.log(`${String(migration.version).padStart(4)}  ${migration.name.padEnd(30)} ${migration.pending} pendente(s)`);
+        });
+        await db.close();
+        return;
+    }
+
+    const result = await db.migrate({ dryRun: !args.apply });
+
+    console.log(`=== Migração de ${collection} para a versão ${result.targetVersion} ===`);
+    console.log(`Documentos: ${result.total}`);
+    console.log(`  ${result.migrated} ${args.apply ? 'migrados' : 'seriam migrados'}`);
+    Object.entries(result.byVersion).forEach(([version, count]) => {
+        console.log(`    versão ${version}: ${count}`);
+    });
+
+    if (result.invalid.length > 0) {
+        console.log(`  ${result.invalid.length} não satisfazem o schema após a migração:`);
+        result.invalid.forEach(({ id, errors }) => {
+            console.log(`    ${id}: ${errors.map(error => `${error.path || '(raiz)'} ${error.message}`).join('; ')}`);
+        });
+    }
+
+    if (!args.apply) {
+        console.log('Simulação apenas. Use --apply para migrar.');
+    } else if (result.migrated > 0) {
+        console.log(`✓ ${collection} migrada (desfazer: npm run recover -- <serviço> ${collection} <timestamp anterior> --apply)`);
+    }
+
+    await db.close();
+}
+
+main().catch(error => {
+    console.error('✗ Erro na migração:', error.message);
+    process.exit(1);
+});
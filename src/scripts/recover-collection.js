@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+// scripts/recover-collection.js
+// Recuperação point-in-time de uma coleção a partir do log de operações.
+//
+// Uso:
+//   node scripts/recover-collection.js <serviço> <coleção> --history
+//   node scripts/recover-collection.js <serviço> <coleção> <timestamp ISO>            (simulação)
+//   node scripts/recover-collection.js <serviço> <coleção> <timestamp ISO> --apply    (restaura)
+//
+// <serviço> é o nome de uma pasta em services/ (ex: list-service) ou um caminho
+// para o diretório do banco via --db <dir>. O adapter de armazenamento vem de
+// --storage <json|sqlite> ou da variável DB_ADAPTER (padrão json).
+const path = require('path');
+const fs = require('fs-extra');
+const JsonDatabase = require('../shared/JsonDatabase');
+
+function parseArgs(argv) {
+    const args = { positional: [], apply: false, history: false, db: null, storage: process.env.DB_ADAPTER || 'json' };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--apply') args.apply = true;
+        else if (arg === '--history') args.history = true;
+        else if (arg === '--db') args.db = argv[++i];
+        else if (arg === '--storage') args.storage = argv[++i];
+        else args.positional.push(arg);
+    }
+    return args;
+}
+
+function usage() {
+    console.log('Uso: node scripts/recover-collection.js <serviço> <coleção> [<timestamp ISO> [--apply] | --history] [--db <dir>] [--storage <json|sqlite>]');
+    console.log('Exemplo: node scripts/recover-collection.js list-service lists 2025-09-17T02:20:00Z --apply');
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const [service, collection, timestamp] = args.db
+        ? [null, ...args.positional]
+        : args.positional;
+
+    if (!collection || (!timestamp && !args.history)) {
+        usage();
+        process.exit(1);
+    }
+
+    const dbPath = args.db
+        ? path.resolve(args.db)
+        : path.join(__dirname, '../services', service, 'database');
+
+    if (!await fs.pathExists(path.join(dbPath, `${collection}.log`))) {
+        console.error(`✗ Log não encontrado para ${collection} em ${dbPath}`);
+        process.exit(1);
+    }
+
+    const db = new JsonDatabase(dbPath, collection, { storage: args.storage });
+
+    if (args.history) {
+        const entries = await db.history();
+        console.log(`=== Histórico de ${collection} (${entries.length} operações) ===`);
+        entries.forEach(entry => {
+            const detail = entry.op === 'checkpoint'
+                ? `${entry.reason}, ${entry.count} documentos${entry.restoredTo ? `, restaurado para ${entry.restoredTo}` : ''}`
+                : entry.id;
+            console.log(`${String(entry.seq).padStart(6)}  ${entry.ts}  ${entry.op.padEnd(10)} ${detail}`);
+        });
+        return;
+    }
+
+    const state = await db.stateAt(timestamp);
+    const current = await db.find();
+    const currentIds = new Set(current.map(doc => doc.id));
+    const recoveredIds = new Set(state.documents.map(doc => doc.id));
+
+    console.log(`=== Recuperação de ${collection} para ${timestamp} ===`);
+    console.log(`Última operação aplicada: seq ${state.seq} em ${state.ts}`);
+    console.log(`Documentos atuais: ${current.length}`);
+    console.log(`Documentos no instante escolhido: ${state.documents.length}`);
+    console.log(`  ${state.documents.filter(doc => !currentIds.has(doc.id)).length} seriam recriados`);
+    console.log(`  ${current.filter(doc => !recoveredIds.has(doc.id)).length} seriam removidos`);
+
+    if (!args.apply) {
+        console.log('Simulação apenas. Use --apply para restaurar.');
+        return;
+    }
+
+    const result = await db.restore(timestamp);
+    console.log(`✓ ${collection} restaurada: ${result.previousCount} -> ${result.count} documentos`);
+}
+
+main().catch(error => {
+    console.error('✗ Erro na recuperação:', error.message);
+    process.exit(1);
+});
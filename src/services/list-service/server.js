@@ -3,24 +3,58 @@ const jwt = require('jsonwebtoken');
 const { v4: uuidv4 } = require('uuid');
 const JsonDatabase = require('../../shared/JsonDatabase');
 const serviceRegistry = require('../../shared/serviceRegistry');
+const identity = require('../../shared/identity');
+const deadline = require('../../shared/deadline');
+const tracing = require('../../shared/tracing');
+const logging = require('../../shared/logging');
+const { listRoutes } = require('../../shared/registry/routes');
+const openapi = require('../../shared/openapi');
+const spec = require('./openapi.json');
+const { version } = require('./package.json');
 const bodyParser = require('body-parser');
 const cors = require('cors');
 const axios = require('axios');
 
-const PORT = 3002;
+const PORT = process.env.PORT || 3002;
+// Endereço anunciado no registry (outra máquina ou container: SERVICE_HOST=<host>)
+const HOST = process.env.SERVICE_HOST || 'localhost';
 const SERVICE_NAME = 'list-service';
 const DB_DIR = './database';
 const COLLECTION = 'lists';
 
+const log = logging.configure(SERVICE_NAME);
+
+const tracer = tracing.createTracer(SERVICE_NAME);
+
 const app = express();
+app.use(tracing.middleware(tracer));
+app.use(logging.middleware());
 app.use(cors());
 app.use(bodyParser.json());
+app.use(deadline.middleware());
 
 // Banco de dados
-const db = new JsonDatabase(DB_DIR, COLLECTION);
+const db = new JsonDatabase(DB_DIR, COLLECTION, {
+    storage: process.env.DB_ADAPTER || 'json',
+    cache: true,
+    indexes: [{ field: 'userId' }]
+});
 
-// Middleware de autenticação que usa o User Service
+// Middleware de autenticação: identidade assinada pelo gateway ou, em chamadas
+// diretas, validação do token com o User Service
 async function authenticateJWT(req, res, next) {
+    const user = identity.fromRequest(req);
+    if (user !== undefined) {
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                message: 'Identidade inválida'
+            });
+        }
+        req.user = user;
+        return next();
+    }
+
     const authHeader = req.header('Authorization');
     
     if (!authHeader?.startsWith('Bearer ')) {
@@ -35,9 +69,10 @@ async function authenticateJWT(req, res, next) {
         const userService = serviceRegistry.discover('user-service');
         
         // Validar token com User Service
-        const response = await axios.post(`${userService.url}/auth/validate`, {
-            token: authHeader.replace('Bearer ', '')
-        }, { timeout: 5000 });
+        const response = await tracing.traced(req, 'POST user-service /auth/validate', { 'peer.service': 'user-service' },
+            headers => axios.post(`${userService.url}/auth/validate`, {
+                token: authHeader.replace('Bearer ', '')
+            }, { timeout: deadline.timeoutFor(req, 5000), headers: { ...deadline.headers(req, 5000), ...headers } }));
 
         if (response.data.success) {
             req.user = response.data.data.user;
@@ -49,7 +84,7 @@ async function authenticateJWT(req, res, next) {
             });
         }
     } catch (error) {
-        console.error('Erro na validação do token:', error.message);
+        req.log.warn('Erro na validação do token', { error: error.message });
         res.status(503).json({
             success: false,
             message: 'Serviço de autenticação indisponível'
@@ -57,9 +92,6 @@ async function authenticateJWT(req, res, next) {
     }
 }
 
-// Registro no Service Registry
-serviceRegistry.register(SERVICE_NAME, 'localhost', PORT);
-
 // Endpoints CRUD de listas
 app.post('/lists', authenticateJWT, async (req, res) => {
     try {
@@ -80,7 +112,7 @@ app.post('/lists', authenticateJWT, async (req, res) => {
         const created = await db.create(newList);
         res.status(201).json(created);
     } catch (error) {
-        console.error('Erro ao criar lista:', error);
+        req.log.error('Erro ao criar lista', { error });
         res.status(500).json({ error: 'Erro interno do servidor' });
     }
 });
@@ -91,7 +123,7 @@ app.get('/lists', authenticateJWT, async (req, res) => {
         const lists = await db.find({ userId });
         res.json(lists);
     } catch (error) {
-        console.error('Erro ao buscar listas:', error);
+        req.log.error('Erro ao buscar listas', { error });
         res.status(500).json({ error: 'Erro interno do servidor' });
     }
 });
@@ -105,7 +137,7 @@ app.get('/lists/:id', authenticateJWT, async (req, res) => {
         }
         res.json(list);
     } catch (error) {
-        console.error('Erro ao buscar lista:', error);
+        req.log.error('Erro ao buscar lista', { error });
         res.status(500).json({ error: 'Erro interno do servidor' });
     }
 });
@@ -124,7 +156,7 @@ app.put('/lists/:id', authenticateJWT, async (req, res) => {
         const updated = await db.update(list.id, updates);
         res.json(updated);
     } catch (error) {
-        console.error('Erro ao atualizar lista:', error);
+        req.log.error('Erro ao atualizar lista', { error });
         res.status(500).json({ error: 'Erro interno do servidor' });
     }
 });
@@ -139,7 +171,7 @@ app.delete('/lists/:id', authenticateJWT, async (req, res) => {
         await db.delete(list.id);
         res.sendStatus(204);
     } catch (error) {
-        console.error('Erro ao deletar lista:', error);
+        req.log.error('Erro ao deletar lista', { error });
         res.status(500).json({ error: 'Erro interno do servidor' });
     }
 });
@@ -158,23 +190,22 @@ app.post('/lists/:id/items', authenticateJWT, async (req, res) => {
         // Buscar informações completas do item no Product Service
         let itemDetails = null;
         try {
-            console.log('🔍 Tentando descobrir product-service...');
-            // FORÇAR RELOAD DO REGISTRY - FIX TEMPORÁRIO
-            serviceRegistry.services = null;
             const productService = serviceRegistry.discover('product-service');
-            console.log('✅ Product service encontrado:', productService);
             
             const itemUrl = `${productService.url}/items/${itemId}`;
-            console.log('📤 Buscando item na URL:', itemUrl);
+            req.log.debug('Buscando item no product-service', { url: itemUrl });
             
-            const response = await axios.get(itemUrl, { timeout: 5000 });
-            console.log('📥 Resposta recebida:', response.data);
+            const response = await tracing.traced(req, 'GET product-service /items/:id', { 'peer.service': 'product-service', 'http.url': itemUrl },
+                headers => axios.get(itemUrl, {
+                    timeout: deadline.timeoutFor(req, 5000),
+                    headers: { ...deadline.headers(req, 5000), ...headers }
+                }));
             
             if (response.data.success) {
                 itemDetails = response.data.data;
             }
         } catch (error) {
-            console.error('Erro ao buscar detalhes do item:', error.message);
+            req.log.warn('Erro ao buscar detalhes do item', { itemId, error: error.message });
             return res.status(404).json({ 
                 success: false,
                 error: 'Item não encontrado no catálogo' 
@@ -191,28 +222,32 @@ app.post('/lists/:id/items', authenticateJWT, async (req, res) => {
                 unit: itemDetails.unit,
                 barcode: itemDetails.barcode,
                 description: itemDetails.description,
-                averagePrice: itemDetails.averagePrice
+                price: itemDetails.price
             },
             quantity: quantity || 1,
             unit: itemDetails.unit,
-            estimatedPrice: estimatedPrice || itemDetails.averagePrice,
+            estimatedPrice: estimatedPrice || itemDetails.price,
             purchased: false,
             notes: notes || '',
             addedAt: new Date().toISOString()
         };
         
-        list.items.push(item);
-        list.summary.totalItems = list.items.length;
-        list.summary.estimatedTotal = list.items.reduce((sum, i) => sum + (i.estimatedPrice || 0), 0);
-        
-        await db.update(list.id, list);
+        // Operadores atômicos: não reescreve a lista inteira nem perde itens
+        // adicionados concorrentemente
+        await db.update(list.id, {
+            $push: { items: item },
+            $inc: {
+                'summary.totalItems': 1,
+                'summary.estimatedTotal': item.estimatedPrice || 0
+            }
+        });
         res.status(201).json({
             success: true,
             message: 'Item adicionado à lista com sucesso',
             data: item
         });
     } catch (error) {
-        console.error('Erro ao adicionar item à lista:', error);
+        req.log.error('Erro ao adicionar item à lista', { error });
         res.status(500).json({ 
             success: false,
             error: 'Erro interno do servidor' 
@@ -229,19 +264,30 @@ app.put('/lists/:id/items/:itemId', authenticateJWT, async (req, res) => {
             return res.sendStatus(404);
         }
         
-        const item = list.items.find(i => i.itemId === req.params.itemId);
+        let item = null;
+        await db.update(list.id, current => {
+            const items = current.items.map(i => {
+                if (i.itemId !== req.params.itemId) return i;
+                item = { ...i, ...req.body };
+                return item;
+            });
+            // Item fora da lista: cancela a atualização, sem gravar nada
+            if (!item) return null;
+            return {
+                items,
+                summary: {
+                    ...current.summary,
+                    purchasedItems: items.filter(i => i.purchased).length,
+                    estimatedTotal: items.reduce((sum, i) => sum + (i.estimatedPrice || 0), 0)
+                }
+            };
+        });
         if (!item) {
             return res.sendStatus(404);
         }
-        
-        Object.assign(item, req.body);
-        list.summary.purchasedItems = list.items.filter(i => i.purchased).length;
-        list.summary.estimatedTotal = list.items.reduce((sum, i) => sum + (i.estimatedPrice || 0), 0);
-        
-        await db.update(list.id, list);
         res.json(item);
     } catch (error) {
-        console.error('Erro ao atualizar item na lista:', error);
+        req.log.error('Erro ao atualizar item na lista', { error });
         res.status(500).json({ error: 'Erro interno do servidor' });
     }
 });
@@ -255,15 +301,96 @@ app.delete('/lists/:id/items/:itemId', authenticateJWT, async (req, res) => {
             return res.sendStatus(404);
         }
         
-        list.items = list.items.filter(i => i.itemId !== req.params.itemId);
-        list.summary.totalItems = list.items.length;
-        list.summary.purchasedItems = list.items.filter(i => i.purchased).length;
-        list.summary.estimatedTotal = list.items.reduce((sum, i) => sum + (i.estimatedPrice || 0), 0);
-        
-        await db.update(list.id, list);
+        await db.update(list.id, current => {
+            const items = current.items.filter(i => i.itemId !== req.params.itemId);
+            return {
+                $pull: { items: { itemId: req.params.itemId } },
+                $set: {
+                    'summary.totalItems': items.length,
+                    'summary.purchasedItems': items.filter(i => i.purchased).length,
+                    'summary.estimatedTotal': items.reduce((sum, i) => sum + (i.estimatedPrice || 0), 0)
+                }
+            };
+        });
         res.sendStatus(204);
     } catch (error) {
-        console.error('Erro ao remover item da lista:', error);
+        req.log.error('Erro ao remover item da lista', { error });
+        res.status(500).json({ error: 'Erro interno do servidor' });
+    }
+});
+
+// Comprar itens da lista: baixa o estoque no Product Service (de todos os itens
+// ou de nenhum) e depois marca os itens como comprados
+app.post('/lists/:id/purchase', authenticateJWT, async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const list = await db.findById(req.params.id);
+        if (!list || list.userId !== userId) {
+            return res.sendStatus(404);
+        }
+
+        // Sem itemIds, compra todos os itens ainda pendentes
+        const { itemIds } = req.body;
+        const pending = list.items.filter(i => !i.purchased && (!Array.isArray(itemIds) || itemIds.includes(i.itemId)));
+        if (pending.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Nenhum item pendente para comprar'
+            });
+        }
+
+        let stock;
+        try {
+            const productService = serviceRegistry.discover('product-service');
+            const purchaseUrl = `${productService.url}/items/purchase`;
+
+            const response = await tracing.traced(req, 'POST product-service /items/purchase', { 'peer.service': 'product-service', 'http.url': purchaseUrl },
+                headers => axios.post(purchaseUrl, {
+                    items: pending.map(i => ({ itemId: i.itemId, quantity: i.quantity || 1 }))
+                }, {
+                    timeout: deadline.timeoutFor(req, 5000),
+                    headers: { ...deadline.headers(req, 5000), ...headers, [identity.HEADER]: identity.sign(req.user) }
+                }));
+            stock = response.data.data.items;
+        } catch (error) {
+            // Recusa do catálogo (item inexistente, estoque insuficiente): nada foi baixado
+            if (error.response && error.response.status < 500) {
+                return res.status(error.response.status).json(error.response.data);
+            }
+            req.log.warn('Erro ao baixar estoque no product-service', { listId: list.id, error: error.message });
+            return res.status(503).json({
+                success: false,
+                error: 'Serviço de produtos indisponível'
+            });
+        }
+
+        const purchasedIds = new Set(pending.map(i => i.itemId));
+        const purchasedAt = new Date().toISOString();
+        let updatedList;
+        try {
+            updatedList = await db.update(list.id, current => {
+                const items = current.items.map(i => purchasedIds.has(i.itemId) ? { ...i, purchased: true, purchasedAt } : i);
+                return {
+                    items,
+                    summary: {
+                        ...current.summary,
+                        purchasedItems: items.filter(i => i.purchased).length
+                    }
+                };
+            });
+        } catch (error) {
+            // O estoque já foi baixado no catálogo: fica no log para conciliação
+            req.log.error('Estoque baixado mas a lista não foi atualizada', { listId: list.id, stock, error });
+            throw error;
+        }
+
+        res.json({
+            success: true,
+            message: 'Itens comprados com sucesso',
+            data: { list: updatedList, stock }
+        });
+    } catch (error) {
+        req.log.error('Erro ao comprar itens da lista', { error });
         res.status(500).json({ error: 'Erro interno do servidor' });
     }
 });
@@ -278,7 +405,7 @@ app.get('/lists/:id/summary', authenticateJWT, async (req, res) => {
         }
         res.json(list.summary);
     } catch (error) {
-        console.error('Erro ao buscar resumo da lista:', error);
+        req.log.error('Erro ao buscar resumo da lista', { error });
         res.status(500).json({ error: 'Erro interno do servidor' });
     }
 });
@@ -294,18 +421,7 @@ app.get('/', (req, res) => {
             'User Service (autenticação)',
             'Product/Item Service (catálogo de produtos)'
         ],
-        endpoints: [
-            'GET /lists - Listar listas do usuário',
-            'GET /lists/:id - Obter lista específica',
-            'POST /lists - Criar nova lista',
-            'PUT /lists/:id - Atualizar lista',
-            'DELETE /lists/:id - Deletar lista',
-            'POST /lists/:id/items - Adicionar item à lista (busca automática no catálogo)',
-            'PUT /lists/:id/items/:itemId - Atualizar item na lista',
-            'DELETE /lists/:id/items/:itemId - Remover item da lista',
-            'GET /lists/:id/summary - Obter resumo da lista',
-            'GET /health - Health check'
-        ],
+        endpoints: openapi.endpoints(spec),
         authentication: 'JWT Token required for all endpoints except /, /health',
         usage: {
             addItem: {
@@ -323,14 +439,27 @@ app.get('/', (req, res) => {
 });
 
 // Health check
-        app.get('/health', (req, res) => {
-            res.json({ status: 'ok', service: 'list-service' });
+        app.get('/health', async (req, res) => {
+            try {
+                const count = await db.count();
+                res.json({
+                    status: 'ok',
+                    service: 'list-service',
+                    database: {
+                        type: 'JSON-NoSQL',
+                        storage: db.storage.type,
+                        records: count,
+                        cache: db.getCacheStats()
+                    }
+                });
+            } catch (error) {
+                res.status(503).json({ status: 'unhealthy', service: 'list-service', error: error.message });
+            }
         });
 
         // Debug endpoint para testar service discovery
         app.get('/debug/product-service', (req, res) => {
             try {
-                serviceRegistry.services = null; // Force reload
                 const productService = serviceRegistry.discover('product-service');
                 res.json({
                     success: true,
@@ -346,6 +475,40 @@ app.get('/', (req, res) => {
             }
         });
 
+// Documento OpenAPI (agregado pelo gateway em /openapi.json)
+app.get('/openapi.json', (req, res) => {
+    res.json(openapi.withVersion(spec, version));
+});
+
+// Nível de log do serviço em execução: PUT { "level": "debug" }
+const logLevel = logging.levelEndpoint();
+app.get('/admin/log-level', logLevel);
+app.put('/admin/log-level', logLevel);
+
 app.listen(PORT, () => {
-    console.log(`${SERVICE_NAME} running on port ${PORT}`);
-});
\ No newline at end of file
+    log.info('List Service iniciado', { port: PORT, url: `http://${HOST}:${PORT}` });
+
+    // Registro no Service Registry só depois de aceitar conexões;
+    // o heartbeat renova o lease (REGISTRY_TTL_MS, padrão 90s)
+    serviceRegistry.register(SERVICE_NAME, HOST, PORT, {
+        version: process.env.SERVICE_VERSION || version,
+        tags: process.env.SERVICE_TAGS,
+        routes: listRoutes(app),
+        protocol: 'http'
+    });
+    setInterval(() => {
+        serviceRegistry.heartbeat(SERVICE_NAME);
+    }, 30000);
+
+    // Rotas sem documentação no openapi.json ficam fora da especificação do gateway
+    const undocumented = openapi.undocumented(spec, listRoutes(app));
+    if (undocumented.length > 0) {
+        log.warn('Rotas fora do openapi.json', { routes: undocumented });
+    }
+});
+
+// Graceful shutdown: sai do registry e exporta os spans pendentes
+const shutdown = () => Promise.allSettled([serviceRegistry.close(), tracer.close()])
+    .finally(() => process.exit(0));
+process.on('SIGTERM', shutdown);
+process.on('SIGINT', shutdown);
@@ -1,7 +1,6 @@
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const morgan = require('morgan');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
 const axios = require('axios');
@@ -9,12 +8,35 @@ const axios = require('axios');
 // Importar banco NoSQL e service registry
 const JsonDatabase = require('../../shared/JsonDatabase');
 const serviceRegistry = require('../../shared/serviceRegistry');
+const identity = require('../../shared/identity');
+const deadline = require('../../shared/deadline');
+const tracing = require('../../shared/tracing');
+const logging = require('../../shared/logging');
+const { listRoutes } = require('../../shared/registry/routes');
+const openapi = require('../../shared/openapi');
+const spec = require('./openapi.json');
+const { version } = require('./package.json');
+const itemsCollection = require('../../shared/schemas/items');
+
+const log = logging.configure('product-service');
+
+// Erro de compra com o status HTTP da resposta
+function purchaseError(status, message, itemId, details = {}) {
+    const error = new Error(message);
+    error.status = status;
+    error.itemId = itemId;
+    error.details = details;
+    return error;
+}
 
 class ItemService {
     constructor() {
         this.app = express();
         this.port = process.env.PORT || 3003;
+        // Endereço anunciado no registry (outra máquina ou container: SERVICE_HOST=<host>)
+        this.host = process.env.SERVICE_HOST || 'localhost';
         this.serviceName = 'product-service';
+        this.tracer = tracing.createTracer(this.serviceName);
         this.serviceUrl = `http://127.0.0.1:${this.port}`;
         
         this.setupDatabase();
@@ -25,16 +47,28 @@ class ItemService {
 
     setupDatabase() {
         const dbPath = path.join(__dirname, 'database');
-        this.itemsDb = new JsonDatabase(dbPath, 'items');
-        console.log('Item Service: Banco NoSQL inicializado');
+        this.itemsDb = new JsonDatabase(dbPath, 'items', {
+            storage: process.env.DB_ADAPTER || 'json',
+            cache: true,
+            indexes: [
+                { field: 'barcode' },
+                { field: 'category.slug' }
+            ],
+            // Valida create/update e migra itens antigos ao iniciar
+            schema: itemsCollection.schema,
+            migrations: itemsCollection.migrations
+        });
+        log.info('Banco NoSQL inicializado', { storage: this.itemsDb.storage.type });
     }
 
     setupMiddleware() {
+        this.app.use(tracing.middleware(this.tracer));
         this.app.use(helmet());
         this.app.use(cors());
-        this.app.use(morgan('combined'));
+        this.app.use(logging.middleware());
         this.app.use(express.json());
         this.app.use(express.urlencoded({ extended: true }));
+        this.app.use(deadline.middleware());
 
         // Service info headers
         this.app.use((req, res, next) => {
@@ -58,8 +92,10 @@ class ItemService {
                     version: '1.0.0',
                     database: {
                         type: 'JSON-NoSQL',
+                        storage: this.itemsDb.storage.type,
                         records: count,
-                        status: 'connected'
+                        status: 'connected',
+                        cache: this.itemsDb.getCacheStats()
                     }
                 });
             } catch (error) {
@@ -73,7 +109,7 @@ class ItemService {
 
         // Debug route - teste simples
         this.app.post('/debug', (req, res) => {
-            console.log('🔥 DEBUG ROUTE CHAMADA!', req.body);
+            req.log.debug('Rota de debug chamada', { body: req.body });
             res.json({
                 success: true,
                 message: 'Debug route funcionando!',
@@ -89,26 +125,29 @@ class ItemService {
                 version: '1.0.0',
                 description: 'Microsserviço para gerenciamento de itens de supermercado com NoSQL',
                 database: 'JSON-NoSQL',
-                endpoints: [
-                    'GET /items',
-                    'GET /items/:id',
-                    'POST /items',
-                    'PUT /items/:id',
-                    'DELETE /items/:id',
-                    'PUT /items/:id/stock',
-                    'GET /categories',
-                    'GET /search'
-                ]
+                endpoints: openapi.endpoints(spec)
             });
         });
 
+        // Documento OpenAPI (agregado pelo gateway em /openapi.json)
+        this.app.get('/openapi.json', (req, res) => {
+            res.json(openapi.withVersion(spec, version));
+        });
+
+        // Nível de log do serviço em execução: PUT { "level": "debug" }
+        const logLevel = logging.levelEndpoint();
+        this.app.get('/admin/log-level', logLevel);
+        this.app.put('/admin/log-level', logLevel);
+
         // Item routes
         this.app.get('/items', this.getItems.bind(this));
+        this.app.get('/items/changes', this.streamItemChanges.bind(this));
         this.app.get('/items/:id', this.getItem.bind(this));
         this.app.post('/items', this.authMiddleware.bind(this), this.createItem.bind(this));
         this.app.put('/items/:id', this.authMiddleware.bind(this), this.updateItem.bind(this));
         this.app.delete('/items/:id', this.authMiddleware.bind(this), this.deleteItem.bind(this));
         this.app.put('/items/:id/stock', this.authMiddleware.bind(this), this.updateStock.bind(this));
+        this.app.post('/items/purchase', this.authMiddleware.bind(this), this.purchaseItems.bind(this));
 
         // Backward compatibility for API Gateway
         this.app.get('/products', this.getItems.bind(this));
@@ -134,7 +173,7 @@ class ItemService {
         });
 
         this.app.use((error, req, res, next) => {
-            console.error('Product Service Error:', error);
+            req.log.error('Erro não tratado no serviço', { error });
             res.status(500).json({
                 success: false,
                 message: 'Erro interno do serviço',
@@ -143,8 +182,21 @@ class ItemService {
         });
     }
 
-    // Auth middleware (valida token com User Service)
+    // Auth middleware: identidade assinada pelo gateway ou, em chamadas diretas,
+    // validação do token com o User Service
     async authMiddleware(req, res, next) {
+        const user = identity.fromRequest(req);
+        if (user !== undefined) {
+            if (!user) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Identidade inválida'
+                });
+            }
+            req.user = user;
+            return next();
+        }
+
         const authHeader = req.header('Authorization');
         
         if (!authHeader?.startsWith('Bearer ')) {
@@ -156,9 +208,7 @@ class ItemService {
 
         try {
             // Descobrir User Service
-            console.log('Procurando serviço: user-service');
             const userService = serviceRegistry.discover('user-service');
-            console.log('Serviço encontrado:', userService);
             
             if (!userService) {
                 return res.status(503).json({
@@ -168,13 +218,12 @@ class ItemService {
             }
             
             // Validar token com User Service
-            console.log(`Enviando token para validação: ${userService.url}/auth/validate`);
-            const response = await axios.post(`${userService.url}/auth/validate`, {
-                token: authHeader.replace('Bearer ', '')
-            }, { timeout: 5000 });
+            req.log.debug('Validando token no user-service', { url: `${userService.url}/auth/validate` });
+            const response = await tracing.traced(req, 'POST user-service /auth/validate', { 'peer.service': 'user-service' },
+                headers => axios.post(`${userService.url}/auth/validate`, {
+                    token: authHeader.replace('Bearer ', '')
+                }, { timeout: deadline.timeoutFor(req, 5000), headers: { ...deadline.headers(req, 5000), ...headers } }));
 
-            console.log('Resposta da validação:', response.data);
-            
             if (response.data.success) {
                 req.user = response.data.data.user;
                 next();
@@ -185,7 +234,7 @@ class ItemService {
                 });
             }
         } catch (error) {
-            console.error('Erro na validação do token:', error.message);
+            req.log.warn('Erro na validação do token', { error: error.message });
             res.status(503).json({
                 success: false,
                 message: 'Serviço de autenticação indisponível'
@@ -193,6 +242,20 @@ class ItemService {
         }
     }
 
+    // Nome para auditoria (tokens antigos não trazem firstName/lastName)
+    displayName(user) {
+        return user.firstName ? `${user.firstName} ${user.lastName || ''}`.trim() : user.username;
+    }
+
+    // Documento rejeitado pelo schema da coleção
+    validationFailed(res, error) {
+        return res.status(400).json({
+            success: false,
+            message: 'Dados do produto inválidos',
+            errors: error.errors
+        });
+    }
+
     // Get products (com filtros e paginação)
     async getItems(req, res) {
         try {
@@ -203,8 +266,9 @@ class ItemService {
                 minPrice, 
                 maxPrice, 
                 search,
-                active = true,
-                featured
+                active,
+                featured,
+                ids
             } = req.query;
             
             const skip = (page - 1) * parseInt(limit);
@@ -212,9 +276,17 @@ class ItemService {
             // Filtros NoSQL flexíveis - corrigir conversão de boolean
             const filter = {};
             
-            // Filtro de active (converter string para boolean)
+            // Filtro de active (converter string para boolean). Sem o parâmetro só vêm
+            // produtos ativos, exceto na busca por ids
             if (active !== undefined) {
                 filter.active = active === 'true' || active === true;
+            } else if (!ids) {
+                filter.active = true;
+            }
+
+            // Busca em lote por id (?ids=a,b,c), usada pelo GraphQL do gateway
+            if (ids) {
+                filter.id = { $in: String(ids).split(',').filter(Boolean) };
             }
 
             // Filtrar por categoria
@@ -240,27 +312,14 @@ class ItemService {
             }
 
             let products;
+            let total;
             
             // Se há busca por texto, usar método de search
             if (search) {
                 products = await this.itemsDb.search(search, ['name', 'description', 'tags']);
-                // Aplicar outros filtros manualmente
-                products = products.filter(product => {
-                    for (const [key, value] of Object.entries(filter)) {
-                        if (key === 'price') {
-                            if (value.$gte && product.price < value.$gte) return false;
-                            if (value.$lte && product.price > value.$lte) return false;
-                        } else if (key.includes('.')) {
-                            // Campos aninhados (ex: category.slug)
-                            const keys = key.split('.');
-                            const productValue = keys.reduce((obj, k) => obj?.[k], product);
-                            if (productValue !== value) return false;
-                        } else if (product[key] !== value) {
-                            return false;
-                        }
-                    }
-                    return true;
-                });
+                // Aplicar os demais filtros com a mesma semântica do find()
+                products = products.filter(product => this.itemsDb.matchesFilter(product, filter));
+                total = products.length;
                 // Aplicar paginação manual
                 products = products.slice(skip, skip + parseInt(limit));
             } else {
@@ -269,10 +328,9 @@ class ItemService {
                     limit: parseInt(limit),
                     sort: { createdAt: -1 }
                 });
+                total = await this.itemsDb.count(filter);
             }
 
-            const total = await this.itemsDb.count(filter);
-
             res.json({
                 success: true,
                 data: products,
@@ -284,7 +342,7 @@ class ItemService {
                 }
             });
         } catch (error) {
-            console.error('Erro ao buscar produtos:', error);
+            req.log.error('Erro ao buscar produtos', { error });
             res.status(500).json({
                 success: false,
                 message: 'Erro interno do servidor'
@@ -292,6 +350,44 @@ class ItemService {
         }
     }
 
+    // Change stream dos itens via Server-Sent Events (preço, estoque, novos itens...).
+    // Reconexões com Last-Event-ID (ou ?after=<id>) recebem o que perderam.
+    streamItemChanges(req, res) {
+        const after = req.header('Last-Event-ID') || req.query.after;
+        if (after !== undefined && !/^\d+$/.test(after)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Parâmetro "after" deve ser o id numérico de um evento'
+            });
+        }
+
+        const filter = req.query.category ? { 'category.slug': req.query.category } : {};
+        const stream = this.itemsDb.watch(filter, after !== undefined ? { resumeAfter: parseInt(after) } : {});
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive'
+        });
+        res.write(': conectado\n\n');
+
+        stream.on('change', event => {
+            const id = event.id !== null ? `id: ${event.id}\n` : '';
+            res.write(`${id}event: ${event.operationType}\ndata: ${JSON.stringify(event)}\n\n`);
+        });
+        stream.on('error', error => {
+            res.write(`event: error\ndata: ${JSON.stringify({ message: error.message })}\n\n`);
+            res.end();
+        });
+
+        // Mantém a conexão aberta através de proxies
+        const keepAlive = setInterval(() => res.write(': ping\n\n'), 25000);
+        req.on('close', () => {
+            clearInterval(keepAlive);
+            stream.close();
+        });
+    }
+
     // Get product by ID
     async getItem(req, res) {
         try {
@@ -310,7 +406,7 @@ class ItemService {
                 data: product
             });
         } catch (error) {
-            console.error('Erro ao buscar produto:', error);
+            req.log.error('Erro ao buscar produto', { error });
             res.status(500).json({
                 success: false,
                 message: 'Erro interno do servidor'
@@ -347,7 +443,7 @@ class ItemService {
                 description: description || '',
                 price: parseFloat(price),
                 stock: parseInt(stock) || 0,
-                category: category || { name: 'Geral', slug: 'geral' },
+                category: itemsCollection.normalizeCategory(category),
                 images: Array.isArray(images) ? images : (images ? [images] : []),
                 tags: Array.isArray(tags) ? tags : (tags ? [tags] : []),
                 specifications: specifications || {},
@@ -355,7 +451,7 @@ class ItemService {
                 featured: featured,
                 metadata: {
                     createdBy: req.user.id,
-                    createdByName: `${req.user.firstName} ${req.user.lastName}`
+                    createdByName: this.displayName(req.user)
                 }
             });
 
@@ -365,7 +461,10 @@ class ItemService {
                 data: newProduct
             });
         } catch (error) {
-            console.error('Erro ao criar produto:', error);
+            if (error instanceof JsonDatabase.ValidationError) {
+                return this.validationFailed(res, error);
+            }
+            req.log.error('Erro ao criar produto', { error });
             res.status(500).json({
                 success: false,
                 message: 'Erro interno do servidor'
@@ -404,7 +503,7 @@ class ItemService {
             if (description !== undefined) updates.description = description;
             if (price !== undefined) updates.price = parseFloat(price);
             if (stock !== undefined) updates.stock = parseInt(stock);
-            if (category !== undefined) updates.category = category;
+            if (category !== undefined) updates.category = itemsCollection.normalizeCategory(category);
             if (images !== undefined) {
                 updates.images = Array.isArray(images) ? images : (images ? [images] : []);
             }
@@ -420,7 +519,7 @@ class ItemService {
 
             // Adicionar metadata de atualização
             updates['metadata.lastUpdatedBy'] = req.user.id;
-            updates['metadata.lastUpdatedByName'] = `${req.user.firstName} ${req.user.lastName}`;
+            updates['metadata.lastUpdatedByName'] = this.displayName(req.user);
             updates['metadata.lastUpdatedAt'] = new Date().toISOString();
 
             const updatedProduct = await this.itemsDb.update(id, updates);
@@ -431,7 +530,10 @@ class ItemService {
                 data: updatedProduct
             });
         } catch (error) {
-            console.error('Erro ao atualizar produto:', error);
+            if (error instanceof JsonDatabase.ValidationError) {
+                return this.validationFailed(res, error);
+            }
+            req.log.error('Erro ao atualizar produto', { error });
             res.status(500).json({
                 success: false,
                 message: 'Erro interno do servidor'
@@ -456,7 +558,7 @@ class ItemService {
             await this.itemsDb.update(id, { 
                 active: false,
                 'metadata.deletedBy': req.user.id,
-                'metadata.deletedByName': `${req.user.firstName} ${req.user.lastName}`,
+                'metadata.deletedByName': this.displayName(req.user),
                 'metadata.deletedAt': new Date().toISOString()
             });
 
@@ -465,7 +567,7 @@ class ItemService {
                 message: 'Produto removido com sucesso'
             });
         } catch (error) {
-            console.error('Erro ao deletar produto:', error);
+            req.log.error('Erro ao deletar produto', { error });
             res.status(500).json({
                 success: false,
                 message: 'Erro interno do servidor'
@@ -479,48 +581,144 @@ class ItemService {
             const { id } = req.params;
             const { quantity, operation = 'set' } = req.body;
 
-            const product = await this.itemsDb.findById(id);
-            if (!product) {
-                return res.status(404).json({
+            // Mesmo formato de Count no OpenAPI: inteiro >= 0 ou texto numérico ("10").
+            // Sem isso, "add" faria $inc com NaN
+            const isCount = (Number.isInteger(quantity) && quantity >= 0)
+                || (typeof quantity === 'string' && /^\d+$/.test(quantity));
+            if (!isCount) {
+                return res.status(400).json({
                     success: false,
-                    message: 'Produto não encontrado'
+                    message: 'Informe quantity: inteiro maior ou igual a zero'
                 });
             }
+            const amount = parseInt(quantity, 10);
 
-            let newStock = product.stock;
-            
-            switch (operation) {
-                case 'add':
-                    newStock += parseInt(quantity);
-                    break;
-                case 'subtract':
-                    newStock = Math.max(0, newStock - parseInt(quantity));
-                    break;
-                case 'set':
-                default:
-                    newStock = parseInt(quantity);
-                    break;
-            }
-
-            await this.itemsDb.update(id, { 
-                stock: newStock,
+            const stockMetadata = {
                 'metadata.lastStockUpdate': new Date().toISOString(),
                 'metadata.lastStockUpdateBy': req.user.id
+            };
+
+            // Calculado sobre o estoque atual, dentro do lock da coleção
+            let previousStock;
+            const updatedProduct = await this.itemsDb.update(id, current => {
+                previousStock = current.stock || 0;
+
+                switch (operation) {
+                    case 'add':
+                        return { $inc: { stock: amount }, $set: stockMetadata };
+                    case 'subtract':
+                        return { $set: { ...stockMetadata, stock: Math.max(0, previousStock - amount) } };
+                    case 'set':
+                    default:
+                        return { $set: { ...stockMetadata, stock: amount } };
+                }
             });
 
+            if (!updatedProduct) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Produto não encontrado'
+                });
+            }
+
             res.json({
                 success: true,
                 message: 'Estoque atualizado com sucesso',
                 data: {
                     productId: id,
-                    previousStock: product.stock,
-                    newStock: newStock,
+                    previousStock: previousStock,
+                    newStock: updatedProduct.stock,
                     operation: operation,
-                    quantity: parseInt(quantity)
+                    quantity: amount
                 }
             });
         } catch (error) {
-            console.error('Erro ao atualizar estoque:', error);
+            if (error instanceof JsonDatabase.ValidationError) {
+                return this.validationFailed(res, error);
+            }
+            req.log.error('Erro ao atualizar estoque', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+
+    // Compra de vários itens: baixa o estoque de todos numa transação, ou de nenhum
+    // se algum não existir ou não tiver estoque suficiente
+    async purchaseItems(req, res) {
+        const { items } = req.body;
+        if (!Array.isArray(items) || items.length === 0 ||
+            items.some(item => !item?.itemId || !Number.isInteger(item.quantity) || item.quantity < 1)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Informe items: [{ itemId, quantity }] com quantidade inteira positiva'
+            });
+        }
+
+        // O mesmo item repetido vira uma só baixa
+        const quantities = new Map();
+        items.forEach(({ itemId, quantity }) => {
+            quantities.set(itemId, (quantities.get(itemId) || 0) + quantity);
+        });
+
+        const stockMetadata = {
+            'metadata.lastStockUpdate': new Date().toISOString(),
+            'metadata.lastStockUpdateBy': req.user.id
+        };
+
+        try {
+            // update de um id inexistente não falha: sem esta checagem a compra
+            // seguiria só com os outros itens
+            for (const itemId of quantities.keys()) {
+                if (!await this.itemsDb.findById(itemId)) {
+                    throw purchaseError(404, 'Produto não encontrado', itemId);
+                }
+            }
+
+            const updated = await JsonDatabase.transaction(async tx => {
+                for (const [itemId, quantity] of quantities) {
+                    // Conferido no commit, com a coleção travada
+                    tx.update(this.itemsDb, itemId, current => {
+                        const stock = current.stock || 0;
+                        if (current.active === false) {
+                            throw purchaseError(404, 'Produto não encontrado', itemId);
+                        }
+                        if (stock < quantity) {
+                            throw purchaseError(409, 'Estoque insuficiente', itemId, { available: stock, requested: quantity });
+                        }
+                        return { $inc: { stock: -quantity }, $set: stockMetadata };
+                    });
+                }
+                return tx.commit();
+            });
+
+            const purchased = [...quantities].map(([itemId, quantity], i) => ({
+                productId: itemId,
+                quantity,
+                previousStock: updated[i].stock + quantity,
+                newStock: updated[i].stock
+            }));
+
+            req.log.info('Compra registrada', { items: purchased.length, userId: req.user.id });
+            res.json({
+                success: true,
+                message: 'Estoque atualizado com sucesso',
+                data: { items: purchased }
+            });
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({
+                    success: false,
+                    message: error.message,
+                    itemId: error.itemId,
+                    ...error.details
+                });
+            }
+            if (error instanceof JsonDatabase.ValidationError) {
+                return this.validationFailed(res, error);
+            }
+            req.log.error('Erro ao registrar compra', { error });
             res.status(500).json({
                 success: false,
                 message: 'Erro interno do servidor'
@@ -557,7 +755,7 @@ class ItemService {
                 data: categories
             });
         } catch (error) {
-            console.error('Erro ao buscar categorias:', error);
+            req.log.error('Erro ao buscar categorias', { error });
             res.status(500).json({
                 success: false,
                 message: 'Erro interno do servidor'
@@ -580,15 +778,15 @@ class ItemService {
             // Busca full-text NoSQL
             let products = await this.itemsDb.search(q, ['name', 'description', 'tags']);
             
-            // Filtrar apenas produtos ativos
-            products = products.filter(product => product.active);
-
-            // Filtrar por categoria se especificada
+            // Filtrar apenas produtos ativos e, se especificada, pela categoria
+            const filter = { active: true };
             if (category) {
-                products = products.filter(product => 
-                    product.category?.slug === category || product.category?.name === category
-                );
+                filter.$or = [
+                    { 'category.slug': category },
+                    { 'category.name': category }
+                ];
             }
+            products = products.filter(product => this.itemsDb.matchesFilter(product, filter));
 
             // Aplicar limite
             products = products.slice(0, parseInt(limit));
@@ -603,7 +801,7 @@ class ItemService {
                 }
             });
         } catch (error) {
-            console.error('Erro na busca de produtos:', error);
+            req.log.error('Erro na busca de produtos', { error });
             res.status(500).json({
                 success: false,
                 message: 'Erro interno do servidor'
@@ -612,29 +810,45 @@ class ItemService {
     }
 
     // Register with service registry
+    // SERVICE_VERSION e SERVICE_TAGS permitem subir outra versão lado a lado
+    // (ex: SERVICE_VERSION=2.0.0 SERVICE_TAGS=canary) para canary/blue-green no gateway
     registerWithRegistry() {
-        serviceRegistry.register(this.serviceName, 'localhost', this.port);
+        serviceRegistry.register(this.serviceName, this.host, this.port, {
+            version: process.env.SERVICE_VERSION || version,
+            tags: process.env.SERVICE_TAGS,
+            routes: listRoutes(this.app),
+            protocol: 'http'
+        });
     }
 
-    // Start health check reporting
+    // Heartbeat: renova o lease no registry (REGISTRY_TTL_MS, padrão 90s)
     startHealthReporting() {
         setInterval(() => {
-            serviceRegistry.updateHealth(this.serviceName, true);
+            serviceRegistry.heartbeat(this.serviceName);
         }, 30000);
     }
 
+    // Rotas sem documentação no openapi.json ficam fora da especificação do gateway
+    checkOpenApi() {
+        const missing = openapi.undocumented(spec, listRoutes(this.app));
+        if (missing.length > 0) {
+            log.warn('Rotas fora do openapi.json', { routes: missing });
+        }
+    }
+
     start() {
         this.app.listen(this.port, () => {
-            console.log('=====================================');
-            console.log(`Item Service iniciado na porta ${this.port}`);
-            console.log(`URL: ${this.serviceUrl}`);
-            console.log(`Health: ${this.serviceUrl}/health`);
-            console.log(`Database: JSON-NoSQL`);
-            console.log('=====================================');
+            log.info('Item Service iniciado', {
+                port: this.port,
+                url: this.serviceUrl,
+                health: `${this.serviceUrl}/health`,
+                database: 'JSON-NoSQL'
+            });
             
             // Register with service registry
             this.registerWithRegistry();
             this.startHealthReporting();
+            this.checkOpenApi();
         });
     }
 }
@@ -644,15 +858,11 @@ if (require.main === module) {
     const itemService = new ItemService();
     itemService.start();
 
-    // Graceful shutdown
-    process.on('SIGTERM', () => {
-        serviceRegistry.unregister('product-service');
-        process.exit(0);
-    });
-    process.on('SIGINT', () => {
-        serviceRegistry.unregister('product-service');
-        process.exit(0);
-    });
+    // Graceful shutdown: sai do registry e exporta os spans pendentes
+    const shutdown = () => Promise.allSettled([serviceRegistry.close(), itemService.tracer.close()])
+        .finally(() => process.exit(0));
+    process.on('SIGTERM', shutdown);
+    process.on('SIGINT', shutdown);
 }
 
 module.exports = ItemService;
\ No newline at end of file
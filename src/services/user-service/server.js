@@ -1,7 +1,6 @@
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const morgan = require('morgan');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { v4: uuidv4 } = require('uuid');
@@ -10,12 +9,25 @@ const path = require('path');
 // Importar banco NoSQL e service registry
 const JsonDatabase = require('../../shared/JsonDatabase');
 const serviceRegistry = require('../../shared/serviceRegistry');
+const identity = require('../../shared/identity');
+const { listRoutes } = require('../../shared/registry/routes');
+const deadline = require('../../shared/deadline');
+const tracing = require('../../shared/tracing');
+const logging = require('../../shared/logging');
+const openapi = require('../../shared/openapi');
+const spec = require('./openapi.json');
+const { version } = require('./package.json');
+
+const log = logging.configure('user-service');
 
 class UserService {
     constructor() {
         this.app = express();
         this.port = process.env.PORT || 3001;
+        // Endereço anunciado no registry (outra máquina ou container: SERVICE_HOST=<host>)
+        this.host = process.env.SERVICE_HOST || 'localhost';
         this.serviceName = 'user-service';
+        this.tracer = tracing.createTracer(this.serviceName);
         this.serviceUrl = `http://localhost:${this.port}`;
         
         this.setupDatabase();
@@ -27,8 +39,20 @@ class UserService {
 
     setupDatabase() {
         const dbPath = path.join(__dirname, 'database');
-        this.usersDb = new JsonDatabase(dbPath, 'users');
-        console.log('User Service: Banco NoSQL inicializado');
+        this.usersDb = new JsonDatabase(dbPath, 'users', {
+            storage: process.env.DB_ADAPTER || 'json',
+            cache: true,
+            indexes: [
+                { field: 'email', unique: true },
+                { field: 'username', unique: true }
+            ]
+        });
+        // Tokens revogados (logout) e usuários com todas as sessões encerradas
+        this.revocationsDb = new JsonDatabase(dbPath, 'revocations', {
+            storage: process.env.DB_ADAPTER || 'json',
+            cache: true
+        });
+        log.info('Banco NoSQL inicializado', { storage: this.usersDb.storage.type });
     }
 
     async seedInitialData() {
@@ -51,20 +75,25 @@ class UserService {
                         status: 'active'
                     });
 
-                    console.log('Usuário administrador criado (admin@microservices.com / admin123)');
+                    log.info('Usuário administrador criado', { email: 'admin@microservices.com' });
                 }
             } catch (error) {
-                console.error('Erro ao criar dados iniciais:', error);
+                log.error('Erro ao criar dados iniciais', { error });
             }
         }, 1000);
     }
 
     setupMiddleware() {
+        this.app.use(tracing.middleware(this.tracer));
         this.app.use(helmet());
         this.app.use(cors());
-        this.app.use(morgan('combined'));
+        this.app.use(logging.middleware({
+            // O gateway consulta as revogações a cada poucos segundos
+            skip: req => req.path === '/auth/revocations'
+        }));
         this.app.use(express.json());
         this.app.use(express.urlencoded({ extended: true }));
+        this.app.use(deadline.middleware());
 
         // Service info headers
         this.app.use((req, res, next) => {
@@ -88,7 +117,9 @@ class UserService {
                     version: '1.0.0',
                     database: {
                         type: 'JSON-NoSQL',
-                        userCount: userCount
+                        storage: this.usersDb.storage.type,
+                        userCount: userCount,
+                        cache: this.usersDb.getCacheStats()
                     }
                 });
             } catch (error) {
@@ -107,22 +138,26 @@ class UserService {
                 version: '1.0.0',
                 description: 'Microsserviço para gerenciamento de usuários com NoSQL',
                 database: 'JSON-NoSQL',
-                endpoints: [
-                    'POST /auth/register',
-                    'POST /auth/login', 
-                    'POST /auth/validate',
-                    'GET /users',
-                    'GET /users/:id',
-                    'PUT /users/:id',
-                    'GET /search'
-                ]
+                endpoints: openapi.endpoints(spec)
             });
         });
 
+        // Documento OpenAPI (agregado pelo gateway em /openapi.json)
+        this.app.get('/openapi.json', (req, res) => {
+            res.json(openapi.withVersion(spec, version));
+        });
+
+        // Nível de log do serviço em execução: PUT { "level": "debug" }
+        const logLevel = logging.levelEndpoint();
+        this.app.get('/admin/log-level', logLevel);
+        this.app.put('/admin/log-level', logLevel);
+
         // Auth routes
         this.app.post('/auth/register', this.register.bind(this));
         this.app.post('/auth/login', this.login.bind(this));
         this.app.post('/auth/validate', this.validateToken.bind(this));
+        this.app.post('/auth/logout', this.authMiddleware.bind(this), this.logout.bind(this));
+        this.app.get('/auth/revocations', this.requireService.bind(this), this.getRevocations.bind(this));
 
         // User routes (protected)
         this.app.get('/users', this.authMiddleware.bind(this), this.getUsers.bind(this));
@@ -143,7 +178,7 @@ class UserService {
         });
 
         this.app.use((error, req, res, next) => {
-            console.error('User Service Error:', error);
+            req.log.error('Erro não tratado no serviço', { error });
             res.status(500).json({
                 success: false,
                 message: 'Erro interno do serviço',
@@ -153,7 +188,27 @@ class UserService {
     }
 
     // Auth middleware
-    authMiddleware(req, res, next) {
+    // Endpoints internos: só a identidade que outro serviço assina para si mesmo
+    // (X-User-Identity com GATEWAY_IDENTITY_SECRET e role "service")
+    requireService(req, res, next) {
+        const caller = identity.fromRequest(req);
+        if (!caller) {
+            return res.status(401).json({
+                success: false,
+                message: 'Credencial de serviço obrigatória'
+            });
+        }
+        if (caller.role !== identity.SERVICE_ROLE) {
+            req.log.warn('Acesso a endpoint interno recusado', { userId: caller.id });
+            return res.status(403).json({
+                success: false,
+                message: 'Acesso restrito a serviços internos'
+            });
+        }
+        next();
+    }
+
+    async authMiddleware(req, res, next) {
         const authHeader = req.header('Authorization');
         
         if (!authHeader?.startsWith('Bearer ')) {
@@ -167,14 +222,48 @@ class UserService {
         
         try {
             const decoded = jwt.verify(token, process.env.JWT_SECRET || 'user-secret');
+            if (await this.isRevoked(decoded)) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Token revogado'
+                });
+            }
             req.user = decoded;
-            next();
         } catch (error) {
-            res.status(401).json({
+            return res.status(401).json({
                 success: false,
                 message: 'Token inválido'
             });
         }
+        next();
+    }
+
+    // JWT com id próprio (jti) para permitir revogar um token específico
+    issueToken(user) {
+        return jwt.sign(
+            { 
+                id: user.id, 
+                email: user.email, 
+                username: user.username,
+                role: user.role,
+                firstName: user.firstName,
+                lastName: user.lastName
+            },
+            process.env.JWT_SECRET || 'user-secret',
+            { expiresIn: '24h', jwtid: uuidv4() }
+        );
+    }
+
+    // Revogado por logout do próprio token ou por encerramento de todas as sessões do usuário.
+    // `iat` tem resolução de segundos: um login no mesmo segundo do encerramento continua válido
+    // (o token que pediu o encerramento é revogado pelo jti).
+    async isRevoked(decoded) {
+        const conditions = [{ type: 'user', userId: decoded.id }];
+        if (decoded.jti) conditions.push({ jti: decoded.jti });
+
+        const revocations = await this.revocationsDb.find({ $or: conditions });
+        return revocations.some(revocation => (decoded.jti && revocation.jti === decoded.jti)
+            || (revocation.type === 'user' && decoded.iat < Math.floor(Date.parse(revocation.revokedAt) / 1000)));
     }
 
     // Register user
@@ -190,24 +279,6 @@ class UserService {
                 });
             }
 
-            // Verificar se usuário já existe
-            const existingEmail = await this.usersDb.findOne({ email: email.toLowerCase() });
-            const existingUsername = await this.usersDb.findOne({ username: username.toLowerCase() });
-
-            if (existingEmail) {
-                return res.status(409).json({
-                    success: false,
-                    message: 'Email já está em uso'
-                });
-            }
-
-            if (existingUsername) {
-                return res.status(409).json({
-                    success: false,
-                    message: 'Username já está em uso'
-                });
-            }
-
             // Hash password
             const hashedPassword = await bcrypt.hash(password, 12);
 
@@ -238,16 +309,7 @@ class UserService {
 
             const { password: _, ...userWithoutPassword } = newUser;
 
-            const token = jwt.sign(
-                { 
-                    id: newUser.id, 
-                    email: newUser.email, 
-                    username: newUser.username,
-                    role: newUser.role 
-                },
-                process.env.JWT_SECRET || 'user-secret',
-                { expiresIn: '24h' }
-            );
+            const token = this.issueToken(newUser);
 
             res.status(201).json({
                 success: true,
@@ -255,7 +317,14 @@ class UserService {
                 data: { user: userWithoutPassword, token }
             });
         } catch (error) {
-            console.error('Erro no registro:', error);
+            // Email/username duplicados são barrados pelos índices únicos do banco
+            if (error instanceof JsonDatabase.UniqueConstraintError) {
+                return res.status(409).json({
+                    success: false,
+                    message: error.field === 'email' ? 'Email já está em uso' : 'Username já está em uso'
+                });
+            }
+            req.log.error('Erro no registro', { error });
             res.status(500).json({
                 success: false,
                 message: 'Erro interno do servidor'
@@ -275,11 +344,13 @@ class UserService {
                 });
             }
 
-            // Buscar por email ou username (já que $or não é suportado)
-            let user = await this.usersDb.findOne({ email: identifier.toLowerCase() });
-            if (!user) {
-                user = await this.usersDb.findOne({ username: identifier.toLowerCase() });
-            }
+            // Buscar por email ou username
+            const user = await this.usersDb.findOne({
+                $or: [
+                    { email: identifier.toLowerCase() },
+                    { username: identifier.toLowerCase() }
+                ]
+            });
 
             if (!user || !await bcrypt.compare(password, user.password)) {
                 return res.status(401).json({
@@ -298,22 +369,13 @@ class UserService {
 
             // Atualizar dados de login (demonstrando flexibilidade NoSQL)
             await this.usersDb.update(user.id, {
-                'metadata.lastLogin': new Date().toISOString(),
-                'metadata.loginCount': (user.metadata?.loginCount || 0) + 1
+                $set: { 'metadata.lastLogin': new Date().toISOString() },
+                $inc: { 'metadata.loginCount': 1 }
             });
 
             const { password: _, ...userWithoutPassword } = user;
             
-            const token = jwt.sign(
-                { 
-                    id: user.id, 
-                    email: user.email, 
-                    username: user.username,
-                    role: user.role 
-                },
-                process.env.JWT_SECRET || 'user-secret',
-                { expiresIn: '24h' }
-            );
+            const token = this.issueToken(user);
 
             res.json({
                 success: true,
@@ -321,7 +383,7 @@ class UserService {
                 data: { user: userWithoutPassword, token }
             });
         } catch (error) {
-            console.error('Erro no login:', error);
+            req.log.error('Erro no login', { error });
             res.status(500).json({
                 success: false,
                 message: 'Erro interno do servidor'
@@ -344,7 +406,7 @@ class UserService {
             const decoded = jwt.verify(token, process.env.JWT_SECRET || 'user-secret');
             const user = await this.usersDb.findById(decoded.id);
 
-            if (!user || user.status !== 'active') {
+            if (!user || user.status !== 'active' || await this.isRevoked(decoded)) {
                 return res.status(401).json({
                     success: false,
                     message: 'Usuário não encontrado ou inativo'
@@ -366,6 +428,76 @@ class UserService {
         }
     }
 
+    // Logout: revoga o token atual ou, com { "all": true }, todas as sessões do usuário
+    async logout(req, res) {
+        try {
+            const revokedAt = new Date().toISOString();
+            const revocation = req.body && req.body.all === true
+                ? {
+                    id: uuidv4(),
+                    type: 'user',
+                    userId: req.user.id,
+                    jti: req.user.jti,
+                    revokedAt,
+                    expiresAt: new Date(req.user.exp * 1000).toISOString()
+                }
+                : {
+                    id: req.user.jti,
+                    type: 'token',
+                    jti: req.user.jti,
+                    userId: req.user.id,
+                    revokedAt,
+                    expiresAt: new Date(req.user.exp * 1000).toISOString()
+                };
+
+            if (revocation.type === 'token' && !revocation.jti) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Token sem identificador (jti); use { "all": true } para encerrar todas as sessões'
+                });
+            }
+
+            await this.revocationsDb.create(revocation);
+            res.json({
+                success: true,
+                message: revocation.type === 'user' ? 'Todas as sessões foram encerradas' : 'Logout realizado com sucesso'
+            });
+        } catch (error) {
+            req.log.error('Erro no logout', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+
+    // Revogações desde `since` (ISO), consultadas periodicamente pelo gateway.
+    // Tokens já expirados ficam de fora: não validariam mesmo sem a revogação.
+    // O cursor devolvido fica 2s atrás para não perder um logout gravado durante a consulta
+    // (repetir uma revogação não tem efeito).
+    async getRevocations(req, res) {
+        try {
+            const cursor = new Date(Date.now() - 2000).toISOString();
+            const filter = req.query.since ? { revokedAt: { $gt: req.query.since } } : {};
+            const revocations = (await this.revocationsDb.find(filter))
+                .filter(revocation => revocation.type === 'user'
+                    ? Date.parse(revocation.revokedAt) > Date.now() - 24 * 60 * 60 * 1000
+                    : Date.parse(revocation.expiresAt) > Date.now());
+
+            res.json({
+                success: true,
+                revocations,
+                cursor
+            });
+        } catch (error) {
+            req.log.error('Erro ao listar revogações', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+
     // Get users (com paginação)
     async getUsers(req, res) {
         try {
@@ -402,7 +534,7 @@ class UserService {
                 }
             });
         } catch (error) {
-            console.error('Erro ao buscar usuários:', error);
+            req.log.error('Erro ao buscar usuários', { error });
             res.status(500).json({
                 success: false,
                 message: 'Erro interno do servidor'
@@ -438,7 +570,7 @@ class UserService {
                 data: userWithoutPassword
             });
         } catch (error) {
-            console.error('Erro ao buscar usuário:', error);
+            req.log.error('Erro ao buscar usuário', { error });
             res.status(500).json({
                 success: false,
                 message: 'Erro interno do servidor'
@@ -488,7 +620,13 @@ class UserService {
                 data: userWithoutPassword
             });
         } catch (error) {
-            console.error('Erro ao atualizar usuário:', error);
+            if (error instanceof JsonDatabase.UniqueConstraintError) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Email já está em uso'
+                });
+            }
+            req.log.error('Erro ao atualizar usuário', { error });
             res.status(500).json({
                 success: false,
                 message: 'Erro interno do servidor'
@@ -529,7 +667,7 @@ class UserService {
                 }
             });
         } catch (error) {
-            console.error('Erro na busca de usuários:', error);
+            req.log.error('Erro na busca de usuários', { error });
             res.status(500).json({
                 success: false,
                 message: 'Erro interno do servidor'
@@ -538,29 +676,45 @@ class UserService {
     }
 
     // Register with service registry
+    // SERVICE_VERSION e SERVICE_TAGS permitem subir outra versão lado a lado
+    // (ex: SERVICE_VERSION=2.0.0 SERVICE_TAGS=canary) para canary/blue-green no gateway
     registerWithRegistry() {
-        serviceRegistry.register(this.serviceName, 'localhost', this.port);
+        serviceRegistry.register(this.serviceName, this.host, this.port, {
+            version: process.env.SERVICE_VERSION || version,
+            tags: process.env.SERVICE_TAGS,
+            routes: listRoutes(this.app),
+            protocol: 'http'
+        });
     }
 
-    // Start health check reporting
+    // Heartbeat: renova o lease no registry (REGISTRY_TTL_MS, padrão 90s)
     startHealthReporting() {
         setInterval(() => {
-            serviceRegistry.updateHealth(this.serviceName, true);
+            serviceRegistry.heartbeat(this.serviceName);
         }, 30000);
     }
 
+    // Rotas sem documentação no openapi.json ficam fora da especificação do gateway
+    checkOpenApi() {
+        const missing = openapi.undocumented(spec, listRoutes(this.app));
+        if (missing.length > 0) {
+            log.warn('Rotas fora do openapi.json', { routes: missing });
+        }
+    }
+
     start() {
         this.app.listen(this.port, () => {
-            console.log('=====================================');
-            console.log(`User Service iniciado na porta ${this.port}`);
-            console.log(`URL: ${this.serviceUrl}`);
-            console.log(`Health: ${this.serviceUrl}/health`);
-            console.log(`Database: JSON-NoSQL`);
-            console.log('=====================================');
+            log.info('User Service iniciado', {
+                port: this.port,
+                url: this.serviceUrl,
+                health: `${this.serviceUrl}/health`,
+                database: 'JSON-NoSQL'
+            });
             
             // Register with service registry
             this.registerWithRegistry();
             this.startHealthReporting();
+            this.checkOpenApi();
         });
     }
 }
@@ -570,15 +724,11 @@ if (require.main === module) {
     const userService = new UserService();
     userService.start();
 
-    // Graceful shutdown
-    process.on('SIGTERM', () => {
-        serviceRegistry.unregister('user-service');
-        process.exit(0);
-    });
-    process.on('SIGINT', () => {
-        serviceRegistry.unregister('user-service');
-        process.exit(0);
-    });
+    // Graceful shutdown: sai do registry e exporta os spans pendentes
+    const shutdown = () => Promise.allSettled([serviceRegistry.close(), userService.tracer.close()])
+        .finally(() => process.exit(0));
+    process.on('SIGTERM', shutdown);
+    process.on('SIGINT', shutdown);
 }
 
 module.exports = UserService;
\ No newline at end of file
@@ -0,0 +1,257 @@
+// shared/ChangeStream.js
+// Change stream de uma coleção do JsonDatabase (ver JsonDatabase.watch).
+//
+//   const stream = itemsDb.watch({ 'category.slug': 'bebidas' }, { cursor: 'precos' });
+//   stream.on('change', event => { ... });
+//   stream.on('error', error => { ... });
+//   stream.close();
+//
+// Cada evento:
+//   { id, operationType, collection, documentId, before, after, txId, ts }
+// operationType é 'insert', 'update', 'delete' ou 'reset' (coleção substituída por
+// restore, migração ou rollback de transação: projeções devem ser refeitas com find()).
+// `id` é o seq da entrada no log de operações e serve para retomar o stream.
+//
+// Sem opções o stream recebe só as escritas feitas a partir de agora neste processo.
+// Com `resumeAfter: <id>` ou `cursor: <nome>` ele lê o log de operações: entrega o que
+// aconteceu desde o ponto informado, acompanha escritas de outros processos e, com
+// `cursor`, grava a posição em <coleção>_cursors/<nome>.json a cada lote entregue.
+const EventEmitter = require('events');
+const fs = require('fs-extra');
+const path = require('path');
+const { DatabaseError } = require('./databaseErrors');
+const log = require('./logging').child({ component: 'database' });
+
+const RESET_REASONS = ['restore', 'migration', 'rollback'];
+
+class ChangeStream extends EventEmitter {
+    // options.operationTypes: entrega só esses tipos, ex: ['update', 'delete']
+    // options.resumeAfter: id (seq) do último evento já processado
+    // options.cursor: nome do cursor persistido (retoma de onde parou)
+    constructor(db, filter = {}, options = {}) {
+        super();
+        this.db = db;
+        this.filter = filter;
+        this.operationTypes = options.operationTypes || null;
+        this.cursorName = options.cursor || null;
+        this.resumable = Boolean(this.cursorName) || options.resumeAfter !== undefined;
+        this.lastSeq = null;
+        this.closed = false;
+        this.watcher = null;
+        this.queue = Promise.resolve();
+
+        if (this.cursorName && !/^[\w-]+$/.test(this.cursorName)) {
+            throw this.streamError(`nome de cursor inválido: ${this.cursorName}`, 'INVALID_CURSOR');
+        }
+
+        this.onRecords = records => this.enqueue(() => this.handleRecords(records));
+        this.ready = this.start(options);
+        this.ready.catch(error => this.fail(error));
+    }
+
+    async start(options) {
+        await this.db.ready;
+
+        if (this.resumable) {
+            this.db.requireLog();
+
+            if (options.resumeAfter !== undefined) {
+                this.lastSeq = Number(options.resumeAfter);
+            } else {
+                // Cursor novo começa no fim do log, que outro processo pode ter estendido
+                const cursor = await this.loadCursor();
+                this.lastSeq = cursor ? cursor.seq : await this.db.oplog.lastSeq();
+            }
+
+            this.watchLog();
+        }
+
+        if (this.closed) return;
+        this.db.changeFeed.on('records', this.onRecords);
+
+        if (this.resumable) {
+            await this.enqueue(() => this.catchUp());
+        }
+    }
+
+    // Para de receber eventos; com cursor, grava a última posição entregue
+    async close() {
+        if (this.closed) return;
+        this.closed = true;
+
+        this.db.changeFeed.removeListener('records', this.onRecords);
+        if (this.watcher) {
+            this.watcher.close();
+            this.watcher = null;
+        }
+
+        await this.queue;
+        await this.saveCursor();
+        this.emit('close');
+    }
+
+    // Entregas em ordem, uma de cada vez
+    enqueue(task) {
+        this.queue = this.queue
+            .then(() => (this.closed ? null : task()))
+            .catch(error => this.fail(error));
+        return this.queue;
+    }
+
+    // Entradas recém-gravadas por este processo
+    async handleRecords(records) {
+        if (!this.resumable) {
+            this.deliver(records);
+            return;
+        }
+
+        // Sem lacuna desde a última entrega: não precisa reler o log
+        if (records[0].seq === this.lastSeq + 1) {
+            this.deliver(records);
+            await this.saveCursor();
+        } else {
+            await this.catchUp();
+        }
+    }
+
+    // Entrega tudo o que está no log depois de lastSeq
+    async catchUp() {
+        let entries = await this.db.oplog.readFile(this.db.oplog.logPath);
+
+        // A posição pode já ter ido para um segmento arquivado pela compactação
+        if (entries.length === 0 || entries[0].seq > this.lastSeq + 1) {
+            entries = await this.db.oplog.readEntries();
+        }
+
+        const pending = entries.filter(entry => entry.seq > this.lastSeq);
+        if (pending.length === 0) return;
+
+        if (pending[0].seq !== this.lastSeq + 1) {
+            throw this.streamError(`entradas do log entre ${this.lastSeq} e ${pending[0].seq} não estão mais disponíveis`, 'CHANGE_STREAM_GAP');
+        }
+
+        this.deliver(pending);
+        await this.saveCursor();
+    }
+
+    deliver(records) {
+        for (const record of records) {
+            if (this.closed) return;
+
+            for (const event of this.toEvents(JSON.parse(JSON.stringify(record)))) {
+                if (this.matches(event)) {
+                    this.emit('change', event);
+                }
+            }
+
+            if (record.seq !== undefined) {
+                this.lastSeq = record.seq;
+            }
+        }
+    }
+
+    toEvents(record) {
+        const base = {
+            id: record.seq !== undefined ? record.seq : null,
+            collection: this.db.collectionName,
+            ts: record.ts
+        };
+
+        const fromChange = (change, txId) => ({
+            ...base,
+            operationType: { create: 'insert', update: 'update', delete: 'delete' }[change.op],
+            documentId: change.id,
+            before: change.before || null,
+            after: change.op === 'delete' ? null : change.doc,
+            txId: txId || null
+        });
+
+        switch (record.op) {
+            case 'create':
+            case 'update':
+            case 'delete':
+                return [fromChange(record)];
+            case 'transaction':
+                return record.changes.map(change => fromChange(change, record.txId));
+            case 'checkpoint':
+                return RESET_REASONS.includes(record.reason)
+                    ? [{ ...base, operationType: 'reset', reason: record.reason, documentId: null, before: null, after: null, txId: record.txId || null }]
+                    : [];
+            default:
+                return [];
+        }
+    }
+
+    // O filtro vale para o documento antes ou depois da mudança, então quem observa
+    // um subconjunto também fica sabendo quando um documento sai dele
+    matches(event) {
+        if (this.operationTypes && !this.operationTypes.includes(event.operationType)) {
+            return false;
+        }
+        if (event.operationType === 'reset' || Object.keys(this.filter).length === 0) {
+            return true;
+        }
+        return [event.before, event.after].some(doc => doc && this.db.matchesFilter(doc, this.filter));
+    }
+
+    // Escritas de outros processos aparecem como mudanças no arquivo de log
+    watchLog() {
+        const logName = path.basename(this.db.oplog.logPath);
+
+        try {
+            this.watcher = fs.watch(path.dirname(this.db.oplog.logPath), (eventType, changed) => {
+                if (!changed || changed === logName) {
+                    this.enqueue(() => this.catchUp());
+                }
+            });
+            this.watcher.on('error', error => this.fail(error));
+            this.watcher.unref();
+        } catch (error) {
+            // Sem fs.watch o stream ainda recebe as escritas deste processo
+            this.watcher = null;
+        }
+    }
+
+    cursorPath() {
+        return path.join(this.db.dbPath, `${this.db.collectionName}_cursors`, `${this.cursorName}.json`);
+    }
+
+    async loadCursor() {
+        try {
+            return await fs.readJson(this.cursorPath());
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async saveCursor() {
+        if (!this.cursorName || this.lastSeq === null) return;
+
+        const cursorPath = this.cursorPath();
+        const tempPath = `${cursorPath}.${process.pid}.tmp`;
+        await fs.ensureDir(path.dirname(cursorPath));
+        await fs.writeJson(tempPath, {
+            name: this.cursorName,
+            seq: this.lastSeq,
+            updatedAt: new Date().toISOString()
+        });
+        await fs.rename(tempPath, cursorPath);
+    }
+
+    fail(error) {
+        if (this.listenerCount('error') > 0) {
+            this.emit('error', error);
+        } else {
+            log.error('Erro no change stream', { collection: this.db.collectionName, error });
+        }
+    }
+
+    streamError(message, code) {
+        return new DatabaseError(`Change stream da coleção "${this.db.collectionName}": ${message}`, {
+            code,
+            collection: this.db.collectionName
+        });
+    }
+}
+
+module.exports = ChangeStream;
@@ -0,0 +1,258 @@
+// shared/ChangeStream.test.js
+// Change streams do JsonDatabase: eventos com antes/depois, filtros, transações
+// e retomada pelo log de operações (resumeAfter e cursor persistido).
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const JsonDatabase = require('./JsonDatabase');
+
+require('./logging').root.setLevel('silent');
+
+// Próximos `count` eventos do stream
+function nextEvents(stream, count) {
+    return new Promise(resolve => {
+        const events = [];
+        const onChange = event => {
+            events.push(event);
+            if (events.length === count) {
+                stream.removeListener('change', onChange);
+                resolve(events);
+            }
+        };
+        stream.on('change', onChange);
+    });
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('JsonDatabase.watch', () => {
+    let dir;
+    let items;
+    let streams;
+
+    const open = () => new JsonDatabase(dir, 'items');
+    const watch = (filter, options) => {
+        const stream = items.watch(filter, options);
+        streams.push(stream);
+        return stream;
+    };
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'change-stream-'));
+        items = open();
+        streams = [];
+    });
+
+    afterEach(async () => {
+        await Promise.all(streams.map(stream => stream.close()));
+        await items.close();
+        await fs.remove(dir);
+    });
+
+    it('emite insert, update e delete com o documento antes e depois', async () => {
+        const stream = watch();
+        await stream.ready;
+        const received = nextEvents(stream, 3);
+
+        await items.create({ id: 'arroz', stock: 10 });
+        await items.update('arroz', { $inc: { stock: -1 } });
+        await items.delete('arroz');
+
+        const [insert, update, remove] = await received;
+        assert.equal(insert.operationType, 'insert');
+        assert.equal(insert.collection, 'items');
+        assert.equal(insert.documentId, 'arroz');
+        assert.equal(insert.before, null);
+        assert.equal(insert.after.stock, 10);
+
+        assert.equal(update.operationType, 'update');
+        assert.equal(update.before.stock, 10);
+        assert.equal(update.after.stock, 9);
+
+        assert.equal(remove.operationType, 'delete');
+        assert.equal(remove.before.stock, 9);
+        assert.equal(remove.after, null);
+        assert.ok(insert.id < update.id && update.id < remove.id);
+    });
+
+    it('filtro vale para o documento antes ou depois da mudança', async () => {
+        await items.create({ id: 'arroz', category: 'graos' });
+        await items.create({ id: 'agua', category: 'bebidas' });
+
+        const stream = watch({ category: 'bebidas' });
+        await stream.ready;
+        const received = nextEvents(stream, 2);
+
+        await items.update('arroz', { price: 5 });            // fora do filtro
+        await items.update('arroz', { category: 'bebidas' }); // entra no filtro
+        await items.update('agua', { category: 'graos' });    // sai do filtro
+
+        const events = await received;
+        assert.deepEqual(events.map(event => [event.documentId, event.before.category, event.after.category]), [
+            ['arroz', 'graos', 'bebidas'],
+            ['agua', 'bebidas', 'graos']
+        ]);
+    });
+
+    it('operationTypes limita os tipos entregues', async () => {
+        const stream = watch({}, { operationTypes: ['delete'] });
+        await stream.ready;
+        const received = nextEvents(stream, 1);
+
+        await items.create({ id: 'arroz' });
+        await items.update('arroz', { stock: 1 });
+        await items.delete('arroz');
+
+        const [event] = await received;
+        assert.equal(event.operationType, 'delete');
+        assert.equal(event.documentId, 'arroz');
+    });
+
+    it('transação gera um evento por mudança, todos com o txId', async () => {
+        await items.create({ id: 'arroz', stock: 10 });
+        const stream = watch();
+        await stream.ready;
+        const received = nextEvents(stream, 2);
+
+        const tx = JsonDatabase.beginTransaction();
+        tx.update(items, 'arroz', { $inc: { stock: -2 } });
+        tx.create(items, { id: 'feijao', stock: 1 });
+        await tx.commit();
+
+        const events = await received;
+        assert.deepEqual(events.map(event => event.operationType), ['update', 'insert']);
+        assert.ok(events.every(event => event.txId === tx.id));
+        assert.equal(events[0].id, events[1].id);
+    });
+
+    it('transação que falha não emite eventos', async () => {
+        await items.create({ id: 'arroz', stock: 10 });
+        const stream = watch();
+        await stream.ready;
+        const events = [];
+        stream.on('change', event => events.push(event));
+
+        await assert.rejects(JsonDatabase.transaction(async tx => {
+            tx.update(items, 'arroz', () => {
+                throw new Error('Estoque insuficiente');
+            });
+        }), /Estoque insuficiente/);
+
+        const received = nextEvents(stream, 1);
+        await items.delete('arroz');
+        await received;
+        assert.deepEqual(events.map(event => event.operationType), ['delete']);
+    });
+
+    it('resumeAfter entrega o que aconteceu depois do id informado', async () => {
+        await items.create({ id: 'arroz' });
+        await items.create({ id: 'feijao' });
+        await items.update('arroz', { stock: 3 });
+        const [first] = (await items.history()).filter(entry => entry.op === 'create');
+
+        const stream = watch({}, { resumeAfter: first.seq });
+        const events = await nextEvents(stream, 2);
+
+        assert.deepEqual(events.map(event => [event.operationType, event.documentId]), [
+            ['insert', 'feijao'],
+            ['update', 'arroz']
+        ]);
+    });
+
+    it('cursor nomeado grava a posição ao fechar e retoma depois de reabrir', async () => {
+        const first = watch({}, { cursor: 'projecao' });
+        await first.ready;
+        const received = nextEvents(first, 1);
+        await items.create({ id: 'arroz' });
+        const [seen] = await received;
+        await first.close();
+
+        const cursor = await fs.readJson(path.join(dir, 'items_cursors', 'projecao.json'));
+        assert.equal(cursor.seq, seen.id);
+
+        // Escritas enquanto ninguém observa, e o processo "reinicia"
+        await items.create({ id: 'feijao' });
+        await items.delete('arroz');
+        await items.close();
+        items = open();
+
+        const resumed = watch({}, { cursor: 'projecao' });
+        const events = await nextEvents(resumed, 2);
+        assert.deepEqual(events.map(event => [event.operationType, event.documentId]), [
+            ['insert', 'feijao'],
+            ['delete', 'arroz']
+        ]);
+    });
+
+    it('cursor novo começa no fim do log', async () => {
+        await items.create({ id: 'arroz' });
+        const stream = watch({}, { cursor: 'novo' });
+        await stream.ready;
+        const received = nextEvents(stream, 1);
+
+        await items.create({ id: 'feijao' });
+        const [event] = await received;
+        assert.equal(event.documentId, 'feijao');
+    });
+
+    it('resumeAfter entrega as escritas de outra instância da mesma coleção', async () => {
+        const other = open();
+        await items.create({ id: 'x' });
+        await other.create({ id: 'y' });
+        await items.create({ id: 'z' });
+        await other.close();
+
+        const stream = watch({}, { resumeAfter: 1 });
+        const events = await nextEvents(stream, 3);
+        assert.deepEqual(events.map(event => event.documentId), ['x', 'y', 'z']);
+        assert.deepEqual(events.map(event => event.id), [2, 3, 4]);
+    });
+
+    it('cursor acompanha em tempo real as escritas de outra instância', async () => {
+        await items.ready;
+        const other = open();
+        // Escrita que esta instância ainda não viu: o cursor novo começa depois dela
+        await other.create({ id: 'antes' });
+
+        const stream = watch({}, { cursor: 'outra-instancia' });
+        const received = nextEvents(stream, 3);
+        await stream.ready;
+
+        await other.create({ id: 'x' });
+        await items.create({ id: 'y' });
+        await other.update('x', { stock: 1 });
+
+        const events = await received;
+        await other.close();
+        assert.deepEqual(events.map(event => [event.operationType, event.documentId]), [
+            ['insert', 'x'],
+            ['insert', 'y'],
+            ['update', 'x']
+        ]);
+    });
+
+    it('restore emite um evento reset', async () => {
+        await items.create({ id: 'arroz' });
+        await sleep(5);
+        const before = new Date().toISOString();
+        await sleep(5);
+        await items.create({ id: 'feijao' });
+
+        const stream = watch();
+        await stream.ready;
+        const received = nextEvents(stream, 1);
+        await items.restore(before);
+
+        const [event] = await received;
+        assert.equal(event.operationType, 'reset');
+        assert.equal(event.reason, 'restore');
+        assert.equal(event.documentId, null);
+        assert.deepEqual((await items.find()).map(item => item.id), ['arroz']);
+    });
+
+    it('rejeita nome de cursor inválido', () => {
+        assert.throws(() => items.watch({}, { cursor: '../fora' }), { code: 'INVALID_CURSOR' });
+    });
+});
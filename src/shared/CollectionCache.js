@@ -0,0 +1,106 @@
+// shared/CollectionCache.js
+// Cache em memória dos documentos e índices de uma coleção do JsonDatabase.
+// Mantido em dia pelas escritas locais e invalidado quando outro processo
+// altera a coleção (detectado pelo watch do adapter de armazenamento).
+class CollectionCache {
+    constructor(storage) {
+        this.storage = storage;
+        this.state = null;
+        this.generation = 0;
+        this.watcher = null;
+        this.changeSuspected = false;
+
+        this.stats = {
+            hits: 0,
+            misses: 0,
+            invalidations: 0,
+            loads: 0,
+            writes: 0,
+            lastLoadedAt: null,
+            lastInvalidatedAt: null
+        };
+    }
+
+    // Estado atual ({ documents, index, stamp }) ou null se precisa recarregar
+    get() {
+        if (this.changeSuspected) {
+            this.verifyStamp();
+        }
+
+        if (this.state) {
+            this.stats.hits++;
+            return this.state;
+        }
+        this.stats.misses++;
+        return null;
+    }
+
+    // `generation` é o valor lido antes do carregamento: se houve invalidação
+    // no meio do caminho, o estado carregado pode estar velho e é descartado
+    set(state, generation = this.generation) {
+        if (generation !== this.generation) return;
+
+        this.state = state;
+        this.stats.loads++;
+        this.stats.lastLoadedAt = new Date().toISOString();
+        this.startWatching();
+    }
+
+    // Estado produzido por uma escrita local: substitui o atual sem reler o disco
+    replace(state) {
+        this.generation++;
+        this.state = state;
+        this.stats.writes++;
+        this.startWatching();
+    }
+
+    invalidate() {
+        this.generation++;
+        if (this.state) {
+            this.state = null;
+            this.stats.invalidations++;
+            this.stats.lastInvalidatedAt = new Date().toISOString();
+        }
+    }
+
+    startWatching() {
+        if (this.watcher) return;
+
+        this.watcher = this.storage.watch(() => {
+            this.changeSuspected = true;
+        }) || { close: () => {} };
+    }
+
+    // O watcher só marca a suspeita; a confirmação fica para a próxima leitura,
+    // quando as escritas locais já atualizaram o stamp do cache. Assim os eventos
+    // gerados pelas próprias escritas não invalidam o cache.
+    verifyStamp() {
+        this.changeSuspected = false;
+        if (!this.state) return;
+
+        const stamp = this.storage.stamp();
+        if (JSON.stringify(stamp) !== JSON.stringify(this.state.stamp)) {
+            this.invalidate();
+        }
+    }
+
+    getStats() {
+        const lookups = this.stats.hits + this.stats.misses;
+        return {
+            enabled: true,
+            ...this.stats,
+            hitRate: lookups > 0 ? Number((this.stats.hits / lookups).toFixed(3)) : 0,
+            documents: this.state ? this.state.documents.length : null
+        };
+    }
+
+    close() {
+        if (this.watcher) {
+            this.watcher.close();
+            this.watcher = null;
+        }
+        this.state = null;
+    }
+}
+
+module.exports = CollectionCache;
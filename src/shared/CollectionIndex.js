@@ -0,0 +1,181 @@
+// shared/CollectionIndex.js
+// Índices de uma coleção do JsonDatabase: primário (id -> posição no array)
+// e secundários declarados por campo, únicos ou não.
+const { UniqueConstraintError } = require('./databaseErrors');
+
+const INDEX_VERSION = 2;
+
+// Chave estável para valores indexados (diferencia 1 de "1")
+function indexKey(value) {
+    return JSON.stringify(value);
+}
+
+function getNestedValue(obj, path) {
+    return path.split('.').reduce((current, key) => {
+        return current && current[key] !== undefined ? current[key] : undefined;
+    }, obj);
+}
+
+// Valores indexáveis de um campo; arrays indexam cada elemento
+function indexableValues(document, field) {
+    const value = getNestedValue(document, field);
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+function isIndexable(value) {
+    return ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+class CollectionIndex {
+    constructor(collectionName, definitions = []) {
+        this.collectionName = collectionName;
+        this.definitions = definitions.map(definition => ({
+            field: definition.field,
+            unique: Boolean(definition.unique)
+        }));
+
+        this.positions = new Map();
+        this.fields = new Map(this.definitions.map(({ field }) => [field, new Map()]));
+    }
+
+    // Dados já gravados não são rejeitados aqui: a restrição vale para novas escritas
+    static build(collectionName, definitions, documents) {
+        const index = new CollectionIndex(collectionName, definitions);
+        documents.forEach((document, position) => index.add(document, position));
+        return index;
+    }
+
+    // Reaproveita o índice persistido se ele corresponde ao arquivo e às definições atuais
+    static restore(collectionName, definitions, documents, persisted, stamp) {
+        const index = new CollectionIndex(collectionName, definitions);
+
+        if (!persisted || persisted.version !== INDEX_VERSION ||
+            !stamp || JSON.stringify(persisted.stamp) !== JSON.stringify(stamp) ||
+            JSON.stringify(persisted.definitions) !== JSON.stringify(index.definitions) ||
+            Object.keys(persisted.ids || {}).length !== documents.length) {
+            return null;
+        }
+
+        for (const [id, position] of Object.entries(persisted.ids)) {
+            if (!documents[position] || documents[position].id !== id) {
+                return null;
+            }
+            index.positions.set(id, position);
+        }
+
+        for (const { field } of index.definitions) {
+            const entries = new Map();
+            Object.entries(persisted.fields[field] || {}).forEach(([key, ids]) => {
+                entries.set(key, new Set(ids));
+            });
+            index.fields.set(field, entries);
+        }
+
+        return index;
+    }
+
+    add(document, position) {
+        this.positions.set(document.id, position);
+
+        for (const { field } of this.definitions) {
+            const entries = this.fields.get(field);
+
+            for (const value of indexableValues(document, field)) {
+                const key = indexKey(value);
+                if (!entries.has(key)) {
+                    entries.set(key, new Set());
+                }
+                entries.get(key).add(document.id);
+            }
+        }
+    }
+
+    // Lança UniqueConstraintError se outro documento já usa um valor de campo único
+    checkUnique(document, ignoreId = document.id) {
+        for (const { field, unique } of this.definitions) {
+            if (!unique) continue;
+
+            for (const value of indexableValues(document, field)) {
+                const owners = this.fields.get(field)?.get(indexKey(value));
+                const conflict = owners && [...owners].find(id => id !== ignoreId);
+                if (conflict) {
+                    throw new UniqueConstraintError(this.collectionName, field, value, conflict);
+                }
+            }
+        }
+    }
+
+    position(id) {
+        return this.positions.has(id) ? this.positions.get(id) : -1;
+    }
+
+    hasField(field) {
+        return this.fields.has(field);
+    }
+
+    lookup(field, value) {
+        const ids = this.fields.get(field)?.get(indexKey(value));
+        return ids ? [...ids] : [];
+    }
+
+    // Posições candidatas para o filtro, usando igualdade e $in em campos indexados.
+    // Retorna null quando nenhum índice se aplica (varredura completa).
+    candidates(filter) {
+        let result = null;
+
+        for (const [field, condition] of Object.entries(filter)) {
+            const ids = this.resolve(field, condition);
+            if (!ids) continue;
+
+            const positions = new Set(ids.map(id => this.position(id)).filter(position => position !== -1));
+            result = result ? new Set([...result].filter(position => positions.has(position))) : positions;
+        }
+
+        return result ? [...result].sort((a, b) => a - b) : null;
+    }
+
+    resolve(field, condition) {
+        const isOperator = condition !== null && typeof condition === 'object' && !Array.isArray(condition);
+
+        if (field === 'id') {
+            if (isIndexable(condition)) return [condition];
+            if (isOperator && Array.isArray(condition.$in) && Object.keys(condition).length === 1) return condition.$in;
+            return null;
+        }
+
+        if (!this.hasField(field)) return null;
+
+        // Só valores simples: null casa com documentos sem o campo (não indexados)
+        // e objetos exigiriam comparação profunda
+        if (isIndexable(condition)) {
+            return this.lookup(field, condition);
+        }
+        if (isOperator && Array.isArray(condition.$in) && Object.keys(condition).length === 1 &&
+            condition.$in.every(isIndexable)) {
+            return condition.$in.flatMap(value => this.lookup(field, value));
+        }
+
+        return null;
+    }
+
+    toJSON(stamp) {
+        const fields = {};
+        this.fields.forEach((entries, field) => {
+            fields[field] = {};
+            entries.forEach((ids, key) => {
+                fields[field][key] = [...ids];
+            });
+        });
+
+        return {
+            version: INDEX_VERSION,
+            stamp,
+            definitions: this.definitions,
+            ids: Object.fromEntries(this.positions),
+            fields
+        };
+    }
+}
+
+module.exports = CollectionIndex;
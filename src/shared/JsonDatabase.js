@@ -1,34 +1,101 @@
 // shared/JsonDatabase.js
-const fs = require('fs-extra');
-const path = require('path');
+const EventEmitter = require('events');
 const { v4: uuidv4 } = require('uuid');
-
+const OperationLog = require('./OperationLog');
+const CollectionIndex = require('./CollectionIndex');
+const CollectionCache = require('./CollectionCache');
+const SchemaValidator = require('./SchemaValidator');
+const MigrationRunner = require('./MigrationRunner');
+const Transaction = require('./Transaction');
+const ChangeStream = require('./ChangeStream');
+const { withCollectionLock, pendingCommit } = require('./collectionLocks');
+const { createStorageAdapter } = require('./storage');
+const { DatabaseError, CorruptedCollectionError, UniqueConstraintError, ValidationError } = require('./databaseErrors');
+const log = require('./logging').child({ component: 'database' });
+
+// Fachada de consulta e escrita sobre um adapter de armazenamento (./storage)
 class JsonDatabase {
-    constructor(dbPath, collectionName) {
+    // options.storage: 'json' (padrão), 'sqlite', 'memory' ou uma instância de adapter
+    // options.wal: mantém o log de operações (padrão true; indisponível em memória)
+    // options.compactionThreshold: entradas no log antes de compactar (padrão 500)
+    // options.indexes: índices secundários, ex: [{ field: 'email', unique: true }]
+    // options.cache: mantém documentos e índices em memória (padrão false)
+    // options.schema: JSON Schema validado em create/update (ver SchemaValidator)
+    // options.migrations: migrações versionadas, ex: [{ version: 1, name, up(doc) }]
+    // options.migrate: aplica migrações pendentes ao abrir a coleção (padrão true)
+    constructor(dbPath, collectionName, options = {}) {
         this.dbPath = dbPath;
         this.collectionName = collectionName;
-        this.filePath = path.join(dbPath, `${collectionName}.json`);
-        this.indexPath = path.join(dbPath, `${collectionName}_index.json`);
-
-        this.ensureDatabase();
+        this.storage = createStorageAdapter(options.storage, { dbPath, collectionName });
+        this.indexDefinitions = options.indexes || [];
+        this.validator = options.schema ? new SchemaValidator(collectionName, options.schema) : null;
+        this.migrations = options.migrations ? new MigrationRunner(collectionName, options.migrations) : null;
+        this.autoMigrate = options.migrate !== false;
+
+        // Entradas gravadas por este processo, para os change streams (ver watch)
+        this.changeFeed = new EventEmitter();
+        this.changeFeed.setMaxListeners(0);
+        this.streams = new Set();
+        this.cache = options.cache ? new CollectionCache(this.storage) : null;
+        this.oplog = options.wal === false || !this.storage.durable
+            ? null
+            : new OperationLog(dbPath, collectionName, { compactionThreshold: options.compactionThreshold });
+
+        this.ready = this.ensureDatabase();
+        // Erros de inicialização já são logados; as operações os recebem via this.ready
+        this.ready.catch(() => {});
     }
 
     async ensureDatabase() {
         try {
-            // Criar diretório do banco se não existir
-            await fs.ensureDir(this.dbPath);
+            await this.storage.init();
+
+            // Abrir o log e reaplicar a última operação caso a queda tenha ocorrido
+            // entre o append no log e a reescrita da coleção
+            if (this.oplog) {
+                const documents = await this.storage.load();
+                const lastEntry = await this.oplog.init(documents);
+                if (lastEntry) {
+                    await this.replayTornWrite(documents, lastEntry);
+                }
+                await Transaction.recover(this);
+            }
 
-            // Criar arquivo da coleção se não existir
-            if (!await fs.pathExists(this.filePath)) {
-                await fs.writeJson(this.filePath, []);
+            if (this.migrations && this.autoMigrate) {
+                const result = await withCollectionLock(this.storage.lockKey, () => this.runMigrations());
+                if (result.migrated > 0) {
+                    log.info('Documentos migrados', { collection: this.collectionName, migrated: result.migrated, version: result.targetVersion });
+                }
+                if (result.invalid.length > 0) {
+                    log.warn('Documentos não satisfazem o schema após a migração', { collection: this.collectionName, invalid: result.invalid.length });
+                }
             }
+        } catch (error) {
+            log.error('Erro ao inicializar banco', { collection: this.collectionName, error });
+            throw error;
+        }
+    }
+
+    // Transação em uma ou mais coleções (ver Transaction)
+    static beginTransaction() {
+        return new Transaction();
+    }
 
-            // Criar índice se não existir
-            if (!await fs.pathExists(this.indexPath)) {
-                await fs.writeJson(this.indexPath, {});
+    // Executa `work(tx)` e faz commit no final; se `work` lançar um erro,
+    // as escritas preparadas são descartadas. Retorna o valor de `work`.
+    static async transaction(work) {
+        const tx = new Transaction();
+
+        try {
+            const value = await work(tx);
+            if (tx.status === 'active') {
+                await tx.commit();
             }
+            return value;
         } catch (error) {
-            console.error('Erro ao inicializar banco:', error);
+            if (tx.status === 'active') {
+                tx.rollback();
+            }
             throw error;
         }
     }
@@ -36,21 +103,16 @@ class JsonDatabase {
     // Criar documento
     async create(data) {
         try {
-            const documents = await this.readAll();
-            const document = {
-                id: data.id || uuidv4(),
-                ...data,
-                createdAt: data.createdAt || new Date().toISOString(),
-                updatedAt: new Date().toISOString()
-            };
-
-            documents.push(document);
-            await this.writeAll(documents);
-            await this.updateIndex(document);
-
-            return document;
+            return await this.withWriteLock(async () => {
+                const state = await this.loadCollection();
+                const { change, result } = await this.applyMutation(state, { op: 'create', data });
+                await this.commitChanges(state.documents, [change]);
+                return result;
+            });
         } catch (error) {
-            console.error('Erro ao criar documento:', error);
+            if (!this.isConstraintError(error)) {
+                log.error('Erro ao criar documento', { collection: this.collectionName, error });
+            }
             throw error;
         }
     }
@@ -58,10 +120,11 @@ class JsonDatabase {
     // Buscar por ID
     async findById(id) {
         try {
-            const documents = await this.readAll();
-            return documents.find(doc => doc.id === id) || null;
+            const { documents, index } = await this.loadCollection();
+            const position = index.position(id);
+            return position === -1 ? null : this.detach(documents[position]);
         } catch (error) {
-            console.error('Erro ao buscar documento:', error);
+            log.error('Erro ao buscar documento', { collection: this.collectionName, error });
             throw error;
         }
     }
@@ -69,10 +132,10 @@ class JsonDatabase {
     // Buscar um documento com filtro
     async findOne(filter) {
         try {
-            const documents = await this.readAll();
-            return documents.find(doc => this.matchesFilter(doc, filter)) || null;
+            const documents = await this.candidateDocuments(filter);
+            return this.detach(documents.find(doc => this.matchesFilter(doc, filter)) || null);
         } catch (error) {
-            console.error('Erro ao buscar documento:', error);
+            log.error('Erro ao buscar documento', { collection: this.collectionName, error });
             throw error;
         }
     }
@@ -80,7 +143,7 @@ class JsonDatabase {
     // Buscar múltiplos documentos
     async find(filter = {}, options = {}) {
         try {
-            let documents = await this.readAll();
+            let documents = await this.candidateDocuments(filter);
 
             // Aplicar filtro
             if (Object.keys(filter).length > 0) {
@@ -99,9 +162,9 @@ class JsonDatabase {
                 documents = documents.slice(skip, skip + limit);
             }
 
-            return documents;
+            return this.detach(documents);
         } catch (error) {
-            console.error('Erro ao buscar documentos:', error);
+            log.error('Erro ao buscar documentos', { collection: this.collectionName, error });
             throw error;
         }
     }
@@ -109,73 +172,177 @@ class JsonDatabase {
     // Contar documentos
     async count(filter = {}) {
         try {
-            const documents = await this.readAll();
+            const documents = await this.candidateDocuments(filter);
             if (Object.keys(filter).length === 0) {
                 return documents.length;
             }
             return documents.filter(doc => this.matchesFilter(doc, filter)).length;
         } catch (error) {
-            console.error('Erro ao contar documentos:', error);
+            log.error('Erro ao contar documentos', { collection: this.collectionName, error });
             throw error;
         }
     }
 
     // Atualizar documento
+    // `updates` aceita caminhos com ponto ({ 'metadata.lastLogin': ... }) ou
+    // operadores ($set, $unset, $inc, $push, $pull, $addToSet). Também pode ser
+    // uma função (documentoAtual) => updates, executada dentro do lock para
+    // read-modify-write sem perda de escrita; se ela retornar null a atualização é
+    // cancelada e nada é gravado. Retorna o documento atualizado (null se não houve).
     async update(id, updates) {
         try {
-            const documents = await this.readAll();
-            const index = documents.findIndex(doc => doc.id === id);
-
-            if (index === -1) {
-                return null;
+            return await this.withWriteLock(async () => {
+                const state = await this.loadCollection();
+                const { change, result } = await this.applyMutation(state, { op: 'update', id, updates });
+                if (change) {
+                    await this.commitChanges(state.documents, [change]);
+                }
+                return result;
+            });
+        } catch (error) {
+            if (!this.isConstraintError(error)) {
+                log.error('Erro ao atualizar documento', { collection: this.collectionName, error });
             }
+            throw error;
+        }
+    }
 
-            documents[index] = {
-                ...documents[index],
-                ...updates,
-                id: documents[index].id, // Preservar ID
-                createdAt: documents[index].createdAt, // Preservar data de criação
-                updatedAt: new Date().toISOString()
-            };
+    // Deletar documento
+    async delete(id) {
+        try {
+            return await this.withWriteLock(async () => {
+                const state = await this.loadCollection();
+                const { change, result } = await this.applyMutation(state, { op: 'delete', id });
+                if (change) {
+                    await this.commitChanges(state.documents, [change]);
+                }
+                return result;
+            });
+        } catch (error) {
+            log.error('Erro ao deletar documento', { collection: this.collectionName, error });
+            throw error;
+        }
+    }
 
-            await this.writeAll(documents);
-            await this.updateIndex(documents[index]);
+    // Recuperação point-in-time: estado da coleção no instante informado, sem alterá-la
+    async stateAt(timestamp) {
+        await this.ready;
+        this.requireLog();
+        return this.oplog.stateAt(timestamp);
+    }
 
-            return documents[index];
+    // Restaura a coleção para o estado do instante informado.
+    // A restauração também é registrada no log, então pode ser desfeita.
+    async restore(timestamp) {
+        try {
+            await this.ready;
+            this.requireLog();
+
+            return await this.withWriteLock(async () => {
+                const state = await this.oplog.stateAt(timestamp);
+                const previousCount = (await this.readAll()).length;
+
+                const record = await this.oplog.append({
+                    op: 'checkpoint',
+                    reason: 'restore',
+                    restoredTo: state.ts,
+                    documents: state.documents
+                });
+                await this.persist(state.documents);
+                this.publish([record]);
+
+                return {
+                    collection: this.collectionName,
+                    restoredTo: state.ts,
+                    previousCount,
+                    count: state.documents.length
+                };
+            });
         } catch (error) {
-            console.error('Erro ao atualizar documento:', error);
+            log.error('Erro ao restaurar coleção', { collection: this.collectionName, error });
             throw error;
         }
     }
 
-    // Deletar documento
-    async delete(id) {
-        try {
-            const documents = await this.readAll();
-            const index = documents.findIndex(doc => doc.id === id);
+    // Histórico de operações (sem o conteúdo dos documentos)
+    async history() {
+        await this.ready;
+        this.requireLog();
+
+        const entries = await this.oplog.readEntries();
+        return entries.map(({ seq, ts, op, id, txId, reason, restoredTo, documents, changes }) => ({
+            seq,
+            ts,
+            op,
+            id,
+            txId,
+            reason,
+            restoredTo,
+            count: documents ? documents.length : (changes ? changes.length : undefined)
+        }));
+    }
 
-            if (index === -1) {
-                return false;
-            }
+    // Compacta o log imediatamente
+    async compact() {
+        await this.ready;
+        this.requireLog();
 
-            documents.splice(index, 1);
-            await this.writeAll(documents);
-            await this.removeFromIndex(id);
+        return this.withWriteLock(async () => {
+            await this.oplog.compact(await this.readAll());
+        });
+    }
 
-            return true;
+    // Aplica as migrações pendentes (ou só simula, com dryRun). Os documentos
+    // migrados são gravados como um checkpoint no log, então a migração pode
+    // ser desfeita com restore().
+    async migrate({ dryRun = false } = {}) {
+        try {
+            await this.ready;
+            this.requireMigrations();
+
+            return await this.withWriteLock(() => this.runMigrations({ dryRun }));
         } catch (error) {
-            console.error('Erro ao deletar documento:', error);
+            log.error('Erro ao migrar coleção', { collection: this.collectionName, error });
             throw error;
         }
     }
 
+    // Versão alvo e quantos documentos ainda dependem de cada migração
+    async migrationStatus() {
+        await this.ready;
+        this.requireMigrations();
+
+        const documents = await this.readAll();
+        return {
+            collection: this.collectionName,
+            targetVersion: this.migrations.latestVersion,
+            total: documents.length,
+            migrations: this.migrations.status(documents)
+        };
+    }
+
+    // Documentos da coleção que não satisfazem o schema
+    async validateAll() {
+        const documents = await this.readAll();
+        return this.invalidDocuments(documents);
+    }
+
+    // Change stream: eventos insert/update/delete (com before/after) dos documentos
+    // que satisfazem o filtro. Ver ChangeStream para as opções de retomada.
+    watch(filter = {}, options = {}) {
+        const stream = new ChangeStream(this, filter, options);
+        this.streams.add(stream);
+        stream.once('close', () => this.streams.delete(stream));
+        return stream;
+    }
+
     // Busca de texto
     async search(query, fields = []) {
         try {
             const documents = await this.readAll();
             const searchTerm = query.toLowerCase();
 
-            return documents.filter(doc => {
+            return this.detach(documents.filter(doc => {
                 // Se campos específicos foram fornecidos, buscar apenas neles
                 if (fields.length > 0) {
                     return fields.some(field => {
@@ -186,80 +353,584 @@ class JsonDatabase {
 
                 // Buscar em todos os campos de string do documento
                 return this.searchInObject(doc, searchTerm);
-            });
+            }));
         } catch (error) {
-            console.error('Erro na busca:', error);
+            log.error('Erro na busca', { collection: this.collectionName, error });
             throw error;
         }
     }
 
+    // Estatísticas do cache em memória (expostas no /health dos serviços)
+    getCacheStats() {
+        return this.cache ? this.cache.getStats() : { enabled: false };
+    }
+
+    // Libera o watcher do cache e o adapter de armazenamento
+    async close() {
+        await Promise.all(Array.from(this.streams, stream => stream.close()));
+        if (this.cache) {
+            this.cache.close();
+        }
+        await this.ready.catch(() => {});
+        await this.storage.close();
+    }
+
     // Métodos auxiliares
     async readAll() {
-        try {
-            return await fs.readJson(this.filePath);
-        } catch (error) {
-            return [];
+        const { documents } = await this.loadCollection();
+        return documents;
+    }
+
+    // Documentos e índices da coleção. O índice persistido em <coleção>_index.json
+    // é reaproveitado quando corresponde ao arquivo atual; senão é reconstruído.
+    // O array retornado é uma cópia rasa, livre para ser alterado por quem chamou.
+    async loadCollection() {
+        await this.ready;
+        await pendingCommit(this.storage.lockKey);
+        return this.readCollection();
+    }
+
+    // loadCollection sem aguardar a inicialização (usado durante ela)
+    async readCollection() {
+        if (this.cache) {
+            const cached = this.cache.get();
+            if (cached) {
+                return { documents: cached.documents.slice(), index: cached.index };
+            }
+        }
+
+        const generation = this.cache ? this.cache.generation : 0;
+        const stamp = this.storage.stamp();
+        const documents = await this.storage.load();
+        const persisted = await this.storage.loadIndex();
+        const index = CollectionIndex.restore(this.collectionName, this.indexDefinitions, documents, persisted, stamp)
+            || this.buildIndex(documents);
+
+        if (this.cache) {
+            this.cache.set({ documents, index, stamp }, generation);
         }
+
+        return { documents: documents.slice(), index };
     }
 
-    async writeAll(documents) {
-        await fs.writeJson(this.filePath, documents, { spaces: 2 });
+    // Com cache ativo os documentos são compartilhados entre chamadas,
+    // então quem recebe um resultado ganha sua própria cópia
+    detach(result) {
+        if (!this.cache || result === null) return result;
+        return JSON.parse(JSON.stringify(result));
     }
 
-    async updateIndex(document) {
-        try {
-            const index = await fs.readJson(this.indexPath);
-            index[document.id] = {
-                id: document.id,
-                updatedAt: document.updatedAt
+    // Documentos que podem satisfazer o filtro, na ordem da coleção
+    async candidateDocuments(filter = {}) {
+        const { documents, index } = await this.loadCollection();
+        const positions = index.candidates(filter);
+        return positions ? positions.map(position => documents[position]) : documents;
+    }
+
+    // Retorna a entrada gravada (com seq), ou só com ts quando não há log
+    async logOperation(entry) {
+        if (this.oplog) {
+            return this.oplog.append(entry);
+        }
+        return { ts: new Date().toISOString(), ...entry };
+    }
+
+    // Avisa os change streams deste processo, depois que a coleção foi gravada
+    publish(records) {
+        if (records.length > 0) {
+            this.changeFeed.emit('records', records);
+        }
+    }
+
+    async compactIfNeeded(documents) {
+        if (this.oplog && this.oplog.needsCompaction()) {
+            await this.oplog.compact(documents);
+        }
+    }
+
+    // Aplica uma mutação ({ op: 'create', data } | { op: 'update', id, updates } |
+    // { op: 'delete', id }) sobre o estado carregado ({ documents, index }), sem gravar.
+    // Retorna { change, result }; change é null quando o documento não existe.
+    // Usado pelas operações simples e pelas transações (ver Transaction).
+    async applyMutation(state, mutation) {
+        const { documents, index } = state;
+
+        if (mutation.op === 'create') {
+            const { data } = mutation;
+            const document = {
+                id: data.id || uuidv4(),
+                ...data,
+                createdAt: data.createdAt || new Date().toISOString(),
+                updatedAt: new Date().toISOString()
             };
-            await fs.writeJson(this.indexPath, index, { spaces: 2 });
-        } catch (error) {
-            console.error('Erro ao atualizar índice:', error);
+
+            if (this.migrations) {
+                document.schemaVersion = this.migrations.latestVersion;
+            }
+            this.validateDocument(document);
+
+            if (index.position(document.id) !== -1) {
+                throw new UniqueConstraintError(this.collectionName, 'id', document.id, document.id);
+            }
+            index.checkUnique(document);
+
+            documents.push(document);
+            return { change: { op: 'create', id: document.id, doc: document }, result: this.detach(document) };
+        }
+
+        const position = index.position(mutation.id);
+
+        if (mutation.op === 'update') {
+            if (position === -1) {
+                return { change: null, result: null };
+            }
+
+            const current = documents[position];
+            const changes = typeof mutation.updates === 'function'
+                ? await mutation.updates(this.detach(current))
+                : mutation.updates;
+            if (changes === null) {
+                return { change: null, result: null };
+            }
+
+            const updated = {
+                ...this.applyUpdate(current, changes),
+                id: current.id, // Preservar ID
+                createdAt: current.createdAt, // Preservar data de criação
+                updatedAt: new Date().toISOString()
+            };
+            if (this.migrations) {
+                updated.schemaVersion = this.migrations.latestVersion;
+            }
+            this.validateDocument(updated);
+            index.checkUnique(updated);
+
+            documents[position] = updated;
+            return { change: { op: 'update', id: current.id, doc: updated, before: current }, result: this.detach(updated) };
+        }
+
+        if (mutation.op === 'delete') {
+            if (position === -1) {
+                return { change: null, result: false };
+            }
+
+            const [removed] = documents.splice(position, 1);
+            return { change: { op: 'delete', id: mutation.id, before: removed }, result: true };
+        }
+
+        throw new DatabaseError(`Operação desconhecida: ${mutation.op}`, {
+            code: 'UNKNOWN_OPERATION',
+            collection: this.collectionName
+        });
+    }
+
+    // Log primeiro, depois a coleção (ver replayTornWrite)
+    async commitChanges(documents, changes) {
+        const records = [];
+        for (const change of changes) {
+            records.push(await this.logOperation(change));
+        }
+        await this.persist(documents, changes);
+        this.publish(records);
+        await this.compactIfNeeded(documents);
+    }
+
+    requireMigrations() {
+        if (!this.migrations) {
+            throw new DatabaseError(`Nenhuma migração registrada para a coleção "${this.collectionName}"`, {
+                code: 'NO_MIGRATIONS',
+                collection: this.collectionName
+            });
+        }
+    }
+
+    validateDocument(document) {
+        if (this.validator) {
+            this.validator.assert(document);
         }
     }
 
-    async removeFromIndex(id) {
+    invalidDocuments(documents) {
+        if (!this.validator) return [];
+
+        return documents
+            .map(document => ({ id: document.id, errors: this.validator.validate(document) }))
+            .filter(result => result.errors.length > 0);
+    }
+
+    // Erros esperados de escrita (o serviço responde 400/409), não precisam de log
+    isConstraintError(error) {
+        return error instanceof UniqueConstraintError || error instanceof ValidationError;
+    }
+
+    // Deve ser chamado dentro do lock de escrita
+    async runMigrations({ dryRun = false } = {}) {
+        const { documents } = await this.readCollection();
+        const plan = this.migrations.plan(documents);
+
+        if (!dryRun && plan.migrated > 0) {
+            const record = await this.logOperation({
+                op: 'checkpoint',
+                reason: 'migration',
+                schemaVersion: plan.targetVersion,
+                documents: plan.documents
+            });
+            await this.persist(plan.documents);
+            this.publish([record]);
+        }
+
+        return {
+            collection: this.collectionName,
+            dryRun,
+            targetVersion: plan.targetVersion,
+            total: documents.length,
+            migrated: plan.migrated,
+            byVersion: plan.byVersion,
+            invalid: this.invalidDocuments(plan.documents)
+        };
+    }
+
+    requireLog() {
+        if (!this.oplog) {
+            throw new DatabaseError(`Log de operações desativado para a coleção "${this.collectionName}"`, {
+                code: 'WAL_DISABLED',
+                collection: this.collectionName
+            });
+        }
+    }
+
+    // Cada mutação grava o log e depois reescreve a coleção; se o processo caiu
+    // entre os dois passos, a última entrada do log ainda não está no arquivo
+    async replayTornWrite(documents, entry) {
+        const index = documents.findIndex(doc => doc.id === entry.id);
+        let recovered = null;
+
+        if (entry.op === 'create' || entry.op === 'update') {
+            if (index === -1) {
+                recovered = [...documents, entry.doc];
+            } else if (JSON.stringify(documents[index]) !== JSON.stringify(entry.doc)) {
+                recovered = documents.map(doc => (doc.id === entry.id ? entry.doc : doc));
+            }
+        } else if (entry.op === 'delete' && index !== -1) {
+            recovered = documents.filter(doc => doc.id !== entry.id);
+        } else if (entry.op === 'transaction') {
+            const applied = Transaction.applyChanges(documents, entry.changes);
+            if (JSON.stringify(applied) !== JSON.stringify(documents)) {
+                recovered = applied;
+            }
+        } else if (entry.op === 'checkpoint' && ['restore', 'migration', 'rollback'].includes(entry.reason) &&
+            JSON.stringify(documents) !== JSON.stringify(entry.documents)) {
+            recovered = entry.documents;
+        }
+
+        if (recovered) {
+            log.info('Recuperando operação a partir do log', { collection: this.collectionName, op: entry.op, seq: entry.seq });
+            await this.persist(recovered);
+        }
+    }
+
+    // Serializa mutações da coleção dentro do processo. Espera a inicialização antes
+    // de entrar na fila: a migração ao abrir usa o mesmo lock, e uma escrita que o
+    // pegasse primeiro ficaria esperando por ela
+    async withWriteLock(task) {
+        await this.ready;
+        return withCollectionLock(this.storage.lockKey, task);
+    }
+
+    // Grava a coleção, atualiza o índice persistido e o cache.
+    // `changes` ([{ op, id, doc }]) é omitido quando a coleção inteira foi substituída.
+    async persist(documents, changes) {
+        await this.storage.save(documents, changes);
+
+        const index = this.buildIndex(documents);
+        const stamp = this.storage.stamp();
+
         try {
-            const index = await fs.readJson(this.indexPath);
-            delete index[id];
-            await fs.writeJson(this.indexPath, index, { spaces: 2 });
+            await this.storage.saveIndex(index.toJSON(stamp));
         } catch (error) {
-            console.error('Erro ao remover do índice:', error);
+            log.error('Erro ao atualizar índice', { collection: this.collectionName, error });
+        }
+
+        if (this.cache) {
+            this.cache.replace({ documents, index, stamp });
         }
     }
 
-    matchesFilter(document, filter) {
-        return Object.entries(filter).every(([key, value]) => {
-            const docValue = this.getNestedValue(document, key);
-
-            if (typeof value === 'object' && value !== null) {
-                // Operadores especiais
-                if (value.$regex) {
-                    const regex = new RegExp(value.$regex, value.$options || 'i');
-                    return regex.test(docValue);
-                }
-                if (value.$in) {
-                    return value.$in.includes(docValue);
-                }
-                if (value.$gt) {
-                    return docValue > value.$gt;
-                }
-                if (value.$lt) {
-                    return docValue < value.$lt;
+    buildIndex(documents) {
+        return CollectionIndex.build(this.collectionName, this.indexDefinitions, documents);
+    }
+
+    // Aplica um update sobre uma cópia do documento. Sem operadores, cada chave
+    // é tratada como $set (chaves com ponto alteram campos aninhados).
+    applyUpdate(document, changes = {}) {
+        const result = JSON.parse(JSON.stringify(document));
+        const keys = Object.keys(changes);
+        const operators = keys.filter(key => key.startsWith('$'));
+
+        if (operators.length === 0) {
+            keys.forEach(key => this.setNestedValue(result, key, changes[key]));
+            return result;
+        }
+
+        if (operators.length !== keys.length) {
+            throw new DatabaseError('Update não pode misturar operadores e campos', {
+                code: 'INVALID_UPDATE',
+                collection: this.collectionName
+            });
+        }
+
+        for (const [operator, fields] of Object.entries(changes)) {
+            for (const [field, operand] of Object.entries(fields)) {
+                this.applyUpdateOperator(result, operator, field, operand);
+            }
+        }
+
+        return result;
+    }
+
+    applyUpdateOperator(document, operator, field, operand) {
+        const current = this.getNestedValue(document, field);
+
+        switch (operator) {
+            case '$set':
+                this.setNestedValue(document, field, operand);
+                break;
+            case '$unset':
+                this.unsetNestedValue(document, field);
+                break;
+            case '$inc':
+                if (typeof operand !== 'number' || (current !== undefined && typeof current !== 'number')) {
+                    throw this.invalidUpdate(operator, field, 'exige valores numéricos');
                 }
-                if (value.$gte) {
-                    return docValue >= value.$gte;
+                this.setNestedValue(document, field, (current || 0) + operand);
+                break;
+            case '$push':
+            case '$addToSet': {
+                if (current !== undefined && !Array.isArray(current)) {
+                    throw this.invalidUpdate(operator, field, 'exige um campo array');
                 }
-                if (value.$lte) {
-                    return docValue <= value.$lte;
+                const values = this.isOperatorObject(operand) && Array.isArray(operand.$each)
+                    ? operand.$each
+                    : [operand];
+                const array = current ? [...current] : [];
+                values.forEach(value => {
+                    if (operator === '$push' || !array.some(item => this.deepEqual(item, value))) {
+                        array.push(value);
+                    }
+                });
+                this.setNestedValue(document, field, array);
+                break;
+            }
+            case '$pull': {
+                if (current === undefined) break;
+                if (!Array.isArray(current)) {
+                    throw this.invalidUpdate(operator, field, 'exige um campo array');
                 }
+                // Subdocumentos aceitam filtro por campo ({ itemId: 'x' }); valores simples, condição
+                const matches = item => (
+                    item !== null && typeof item === 'object' && !Array.isArray(item) &&
+                    operand !== null && typeof operand === 'object' && !this.isOperatorObject(operand)
+                        ? this.matchesFilter(item, operand)
+                        : this.matchesCondition(item, operand)
+                );
+                this.setNestedValue(document, field, current.filter(item => !matches(item)));
+                break;
+            }
+            default:
+                throw new DatabaseError(`Operador de update não suportado: ${operator}`, {
+                    code: 'UNSUPPORTED_OPERATOR',
+                    collection: this.collectionName
+                });
+        }
+    }
+
+    invalidUpdate(operator, field, reason) {
+        return new DatabaseError(`${operator} em "${field}" ${reason}`, {
+            code: 'INVALID_UPDATE',
+            collection: this.collectionName
+        });
+    }
+
+    setNestedValue(obj, path, value) {
+        const keys = path.split('.');
+        const last = keys.pop();
+        const parent = keys.reduce((current, key) => {
+            if (current[key] === null || typeof current[key] !== 'object') {
+                current[key] = {};
             }
+            return current[key];
+        }, obj);
+        parent[last] = value;
+    }
+
+    unsetNestedValue(obj, path) {
+        const keys = path.split('.');
+        const last = keys.pop();
+        const parent = this.getNestedValue(obj, keys.join('.')) ?? (keys.length === 0 ? obj : undefined);
+        if (parent && typeof parent === 'object') {
+            delete parent[last];
+        }
+    }
 
-            return docValue === value;
+    // Filtros no estilo MongoDB. Todas as condições do filtro (e todos os
+    // operadores de um mesmo campo) precisam ser satisfeitas.
+    matchesFilter(document, filter) {
+        return Object.entries(filter).every(([key, condition]) => {
+            switch (key) {
+                case '$and':
+                    return this.requireArray(key, condition).every(sub => this.matchesFilter(document, sub));
+                case '$or':
+                    return this.requireArray(key, condition).some(sub => this.matchesFilter(document, sub));
+                case '$nor':
+                    return !this.requireArray(key, condition).some(sub => this.matchesFilter(document, sub));
+                case '$not':
+                    return !this.matchesFilter(document, condition);
+                default:
+                    return this.matchesCondition(this.getFieldValue(document, key), condition);
+            }
         });
     }
 
+    matchesCondition(value, condition) {
+        if (condition instanceof RegExp) {
+            return this.someValue(value, item => typeof item === 'string' && condition.test(item));
+        }
+
+        if (this.isOperatorObject(condition)) {
+            return Object.entries(condition).every(([operator, operand]) => {
+                return this.applyOperator(value, operator, operand, condition);
+            });
+        }
+
+        return this.valueEquals(value, condition);
+    }
+
+    applyOperator(value, operator, operand, condition) {
+        switch (operator) {
+            case '$eq':
+                return this.valueEquals(value, operand);
+            case '$ne':
+                return !this.valueEquals(value, operand);
+            case '$gt':
+                return this.someValue(value, item => this.compareValues(item, operand) > 0);
+            case '$gte':
+                return this.someValue(value, item => this.compareValues(item, operand) >= 0);
+            case '$lt':
+                return this.someValue(value, item => this.compareValues(item, operand) < 0);
+            case '$lte':
+                return this.someValue(value, item => this.compareValues(item, operand) <= 0);
+            case '$in':
+                return this.requireArray(operator, operand).some(candidate => this.matchesCondition(value, candidate));
+            case '$nin':
+                return !this.requireArray(operator, operand).some(candidate => this.matchesCondition(value, candidate));
+            case '$exists':
+                return (value !== undefined) === Boolean(operand);
+            case '$regex': {
+                const regex = operand instanceof RegExp
+                    ? operand
+                    : new RegExp(operand, condition.$options !== undefined ? condition.$options : 'i');
+                return this.matchesCondition(value, regex);
+            }
+            case '$options':
+                return true; // Usado junto com $regex
+            case '$not':
+                return !this.matchesCondition(value, operand);
+            case '$size':
+                return Array.isArray(value) && value.length === operand;
+            case '$all':
+                return Array.isArray(value) &&
+                    this.requireArray(operator, operand).every(expected => this.valueEquals(value, expected));
+            case '$elemMatch':
+                return Array.isArray(value) && value.some(element => {
+                    // Subdocumentos aceitam filtro por campo; valores simples, operadores
+                    if (element !== null && typeof element === 'object' && !Array.isArray(element) &&
+                        !this.isOperatorObject(operand)) {
+                        return this.matchesFilter(element, operand);
+                    }
+                    return this.matchesCondition(element, operand);
+                });
+            default:
+                throw new DatabaseError(`Operador não suportado: ${operator}`, {
+                    code: 'UNSUPPORTED_OPERATOR',
+                    collection: this.collectionName
+                });
+        }
+    }
+
+    // Igualdade com semântica de array: um campo array também casa se algum elemento for igual
+    valueEquals(value, expected) {
+        if (expected === null) {
+            return value === null || value === undefined;
+        }
+        if (this.deepEqual(value, expected)) {
+            return true;
+        }
+        return Array.isArray(value) && value.some(item => this.deepEqual(item, expected));
+    }
+
+    someValue(value, predicate) {
+        return Array.isArray(value) ? value.some(predicate) : predicate(value);
+    }
+
+    // Comparação só entre valores do mesmo tipo; tipos diferentes nunca casam
+    compareValues(a, b) {
+        if (a === undefined || a === null || b === undefined || b === null || typeof a !== typeof b) {
+            return NaN;
+        }
+        if (a < b) return -1;
+        if (a > b) return 1;
+        return 0;
+    }
+
+    deepEqual(a, b) {
+        if (a === b) return true;
+        if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+        if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+        const keysA = Object.keys(a);
+        const keysB = Object.keys(b);
+        return keysA.length === keysB.length && keysA.every(key => this.deepEqual(a[key], b[key]));
+    }
+
+    isOperatorObject(value) {
+        if (value === null || typeof value !== 'object' || Array.isArray(value)) return false;
+        const keys = Object.keys(value);
+        return keys.length > 0 && keys.every(key => key.startsWith('$'));
+    }
+
+    requireArray(operator, value) {
+        if (!Array.isArray(value)) {
+            throw new DatabaseError(`Operador ${operator} exige um array`, {
+                code: 'INVALID_QUERY',
+                collection: this.collectionName
+            });
+        }
+        return value;
+    }
+
+    // Como getNestedValue, mas atravessa arrays: 'items.itemId' retorna o itemId
+    // de cada elemento de items, permitindo filtrar por campos de subdocumentos
+    getFieldValue(obj, path) {
+        const keys = path.split('.');
+        let current = obj;
+
+        for (let i = 0; i < keys.length; i++) {
+            if (current === null || current === undefined) return undefined;
+
+            if (Array.isArray(current) && !/^\d+$/.test(keys[i])) {
+                const rest = keys.slice(i).join('.');
+                const values = current
+                    .map(item => this.getFieldValue(item, rest))
+                    .filter(item => item !== undefined);
+                return values.length > 0 ? values.flat() : undefined;
+            }
+
+            current = current[keys[i]];
+        }
+
+        return current;
+    }
+
     getNestedValue(obj, path) {
         return path.split('.').reduce((current, key) => {
             return current && current[key] !== undefined ? current[key] : undefined;
@@ -297,4 +968,8 @@ class JsonDatabase {
     }
 }
 
-module.exports = JsonDatabase;
\ No newline at end of file
+module.exports = JsonDatabase;
+module.exports.DatabaseError = DatabaseError;
+module.exports.CorruptedCollectionError = CorruptedCollectionError;
+module.exports.UniqueConstraintError = UniqueConstraintError;
+module.exports.ValidationError = ValidationError;
\ No newline at end of file
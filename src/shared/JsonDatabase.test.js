@@ -0,0 +1,199 @@
+// shared/JsonDatabase.test.js
+// Filtros no estilo MongoDB do JsonDatabase: cada operador de matchesFilter e
+// applyOperator, campos aninhados e caminhos com ponto através de arrays.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const JsonDatabase = require('./JsonDatabase');
+
+require('./logging').root.setLevel('silent');
+
+const arroz = {
+    id: 'arroz',
+    name: 'Arroz Integral',
+    price: 7.5,
+    stock: 0,
+    discontinued: null,
+    tags: ['graos', 'integral', 'organico'],
+    category: { name: 'Grãos', slug: 'graos', parent: { slug: 'mercearia' } },
+    sizes: [1, 5],
+    suppliers: [
+        { name: 'Tio João', rating: 4, regions: ['sul', 'sudeste'] },
+        { name: 'Camil', rating: 2, regions: ['nordeste'] }
+    ]
+};
+
+const agua = {
+    id: 'agua',
+    name: 'Água Mineral',
+    price: 2,
+    stock: 40,
+    tags: ['bebidas'],
+    category: { name: 'Bebidas', slug: 'bebidas' },
+    sizes: [],
+    suppliers: []
+};
+
+describe('JsonDatabase: filtros', () => {
+    let dir;
+    let items;
+
+    const matches = (document, filter) => items.matchesFilter(document, filter);
+    const ids = filter => [arroz, agua].filter(document => matches(document, filter)).map(document => document.id);
+
+    before(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'filters-'));
+        items = new JsonDatabase(dir, 'items');
+    });
+
+    after(async () => {
+        await items.close();
+        await fs.remove(dir);
+    });
+
+    describe('operadores lógicos', () => {
+        it('$and exige todas as condições', () => {
+            assert.deepEqual(ids({ $and: [{ price: { $lt: 10 } }, { stock: { $gt: 0 } }] }), ['agua']);
+            assert.deepEqual(ids({ $and: [] }), ['arroz', 'agua']);
+        });
+
+        it('$or basta uma condição', () => {
+            assert.deepEqual(ids({ $or: [{ stock: 0 }, { price: { $gt: 100 } }] }), ['arroz']);
+            assert.deepEqual(ids({ $or: [{ id: 'arroz' }, { id: 'agua' }] }), ['arroz', 'agua']);
+            assert.deepEqual(ids({ $or: [] }), []);
+        });
+
+        it('$nor recusa se alguma condição casar', () => {
+            assert.deepEqual(ids({ $nor: [{ stock: 0 }, { price: { $gt: 100 } }] }), ['agua']);
+            assert.deepEqual(ids({ $nor: [{ id: 'arroz' }, { id: 'agua' }] }), []);
+        });
+
+        it('$not nega um filtro inteiro ou a condição de um campo', () => {
+            assert.deepEqual(ids({ $not: { tags: 'bebidas' } }), ['arroz']);
+            assert.deepEqual(ids({ price: { $not: { $gt: 5 } } }), ['agua']);
+            // Campo ausente não é > 0, então $not casa
+            assert.equal(matches({ id: 'sem-preco' }, { price: { $not: { $gt: 0 } } }), true);
+        });
+
+        it('combina operadores lógicos aninhados com condições de campo', () => {
+            const filter = {
+                'category.slug': { $in: ['graos', 'bebidas'] },
+                $or: [
+                    { $and: [{ stock: { $gt: 0 } }, { price: { $lte: 2 } }] },
+                    { $nor: [{ tags: 'organico' }] }
+                ]
+            };
+            assert.deepEqual(ids(filter), ['agua']);
+        });
+
+        it('$and, $or e $nor exigem um array', () => {
+            for (const operator of ['$and', '$or', '$nor']) {
+                assert.throws(() => matches(arroz, { [operator]: { stock: 0 } }), { code: 'INVALID_QUERY' });
+            }
+        });
+    });
+
+    describe('$regex', () => {
+        it('sem $options não diferencia maiúsculas', () => {
+            assert.deepEqual(ids({ name: { $regex: 'arroz' } }), ['arroz']);
+        });
+
+        it('$options substitui o padrão', () => {
+            assert.deepEqual(ids({ name: { $regex: 'arroz', $options: '' } }), []);
+            assert.deepEqual(ids({ name: { $regex: '^arroz', $options: 'i' } }), ['arroz']);
+            assert.equal(matches({ notes: 'linha 1\nfim' }, { notes: { $regex: '^fim$', $options: 'm' } }), true);
+            assert.equal(matches({ notes: 'linha 1\nfim' }, { notes: { $regex: '^fim$', $options: '' } }), false);
+        });
+
+        it('aceita RegExp, como operando ou direto na condição', () => {
+            assert.deepEqual(ids({ name: { $regex: /^Água/ } }), ['agua']);
+            assert.deepEqual(ids({ name: /mineral$/i }), ['agua']);
+        });
+
+        it('em arrays casa se algum elemento casar; valores que não são texto nunca casam', () => {
+            assert.deepEqual(ids({ tags: { $regex: '^org' } }), ['arroz']);
+            assert.deepEqual(ids({ price: { $regex: '7' } }), []);
+        });
+    });
+
+    describe('operadores de array', () => {
+        it('$elemMatch com filtro por campo num mesmo subdocumento', () => {
+            assert.deepEqual(ids({ suppliers: { $elemMatch: { name: 'Camil', rating: { $gte: 3 } } } }), []);
+            assert.deepEqual(ids({ suppliers: { $elemMatch: { name: 'Tio João', rating: { $gte: 3 } } } }), ['arroz']);
+            assert.deepEqual(ids({ suppliers: { $elemMatch: { regions: 'nordeste' } } }), ['arroz']);
+        });
+
+        it('$elemMatch com operadores em valores simples', () => {
+            assert.deepEqual(ids({ sizes: { $elemMatch: { $gt: 2, $lt: 10 } } }), ['arroz']);
+            assert.deepEqual(ids({ sizes: { $elemMatch: { $gt: 5 } } }), []);
+            assert.equal(matches({ sizes: 5 }, { sizes: { $elemMatch: { $gt: 2 } } }), false);
+        });
+
+        it('$all exige todos os valores, em qualquer ordem', () => {
+            assert.deepEqual(ids({ tags: { $all: ['organico', 'graos'] } }), ['arroz']);
+            assert.deepEqual(ids({ tags: { $all: ['graos', 'bebidas'] } }), []);
+            assert.equal(matches({ tags: 'graos' }, { tags: { $all: ['graos'] } }), false);
+            assert.throws(() => matches(arroz, { tags: { $all: 'graos' } }), { code: 'INVALID_QUERY' });
+        });
+
+        it('$size compara o tamanho exato do array', () => {
+            assert.deepEqual(ids({ tags: { $size: 3 } }), ['arroz']);
+            assert.deepEqual(ids({ sizes: { $size: 0 } }), ['agua']);
+            assert.equal(matches({ tags: 'graos' }, { tags: { $size: 1 } }), false);
+        });
+    });
+
+    describe('$exists', () => {
+        it('true casa campos presentes, inclusive null; false, só os ausentes', () => {
+            assert.deepEqual(ids({ discontinued: { $exists: true } }), ['arroz']);
+            assert.deepEqual(ids({ discontinued: { $exists: false } }), ['agua']);
+            assert.deepEqual(ids({ 'category.parent': { $exists: true } }), ['arroz']);
+            assert.deepEqual(ids({ 'category.parent.slug': { $exists: false } }), ['agua']);
+        });
+
+        it('igualdade com null casa campo null ou ausente', () => {
+            assert.deepEqual(ids({ discontinued: null }), ['arroz', 'agua']);
+            assert.deepEqual(ids({ discontinued: { $ne: null } }), []);
+        });
+    });
+
+    describe('campos aninhados e caminhos com ponto', () => {
+        it('caminho com ponto entra em subdocumentos', () => {
+            assert.deepEqual(ids({ 'category.slug': 'graos' }), ['arroz']);
+            assert.deepEqual(ids({ 'category.parent.slug': 'mercearia' }), ['arroz']);
+            assert.deepEqual(ids({ 'category.inexistente.slug': 'x' }), []);
+        });
+
+        it('subdocumento inteiro casa por igualdade, sem depender da ordem das chaves', () => {
+            assert.deepEqual(ids({ category: { slug: 'bebidas', name: 'Bebidas' } }), ['agua']);
+            assert.deepEqual(ids({ category: { slug: 'bebidas' } }), []);
+        });
+
+        it('caminho com ponto atravessa arrays de subdocumentos', () => {
+            assert.deepEqual(ids({ 'suppliers.name': 'Camil' }), ['arroz']);
+            assert.deepEqual(ids({ 'suppliers.rating': { $gt: 3 } }), ['arroz']);
+            assert.deepEqual(ids({ 'suppliers.regions': { $all: ['sul', 'nordeste'] } }), ['arroz']);
+            assert.deepEqual(ids({ 'suppliers.name': { $exists: false } }), ['agua']);
+        });
+
+        it('índice numérico escolhe um elemento', () => {
+            assert.deepEqual(ids({ 'suppliers.0.name': 'Tio João' }), ['arroz']);
+            assert.deepEqual(ids({ 'suppliers.1.name': 'Tio João' }), []);
+            assert.deepEqual(ids({ 'tags.0': 'bebidas' }), ['agua']);
+        });
+
+        it('find usa os mesmos filtros', async () => {
+            await items.create(arroz);
+            await items.create(agua);
+
+            const found = await items.find({ 'suppliers.rating': { $gte: 4 }, tags: { $size: 3 } });
+            assert.deepEqual(found.map(document => document.id), ['arroz']);
+        });
+    });
+
+    it('operador desconhecido é recusado', () => {
+        assert.throws(() => matches(arroz, { price: { $near: 5 } }), { code: 'UNSUPPORTED_OPERATOR' });
+    });
+});
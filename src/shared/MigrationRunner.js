@@ -0,0 +1,98 @@
+// shared/MigrationRunner.js
+// Migrações versionadas dos documentos de uma coleção do JsonDatabase.
+// Cada migração é { version, name, up(documento) => documento } e cada documento
+// guarda em `schemaVersion` a última versão aplicada (ausente = 0).
+const { DatabaseError } = require('./databaseErrors');
+
+class MigrationRunner {
+    constructor(collectionName, migrations = []) {
+        this.collectionName = collectionName;
+        this.migrations = [...migrations].sort((a, b) => a.version - b.version);
+
+        this.migrations.forEach((migration, i) => {
+            if (!Number.isInteger(migration.version) || migration.version < 1 || typeof migration.up !== 'function') {
+                throw this.migrationError(`migração inválida: ${migration.name || i}`);
+            }
+            if (i > 0 && this.migrations[i - 1].version === migration.version) {
+                throw this.migrationError(`versão ${migration.version} declarada mais de uma vez`);
+            }
+        });
+
+        this.latestVersion = this.migrations.length > 0
+            ? this.migrations[this.migrations.length - 1].version
+            : 0;
+    }
+
+    versionOf(document) {
+        return Number.isInteger(document.schemaVersion) ? document.schemaVersion : 0;
+    }
+
+    // Leva um documento até a última versão. Retorna { document, applied: [versões] };
+    // o documento original não é alterado.
+    migrateDocument(document) {
+        const from = this.versionOf(document);
+        if (from > this.latestVersion) {
+            throw this.migrationError(`documento ${document.id} está na versão ${from}, mais nova que a última migração conhecida (${this.latestVersion})`);
+        }
+
+        let current = JSON.parse(JSON.stringify(document));
+        const applied = [];
+
+        for (const migration of this.migrations) {
+            if (migration.version <= from) continue;
+
+            try {
+                current = migration.up(current) || current;
+            } catch (error) {
+                throw this.migrationError(`migração ${migration.version} (${migration.name}) falhou no documento ${document.id}: ${error.message}`);
+            }
+            current.id = document.id;
+            current.schemaVersion = migration.version;
+            applied.push(migration.version);
+        }
+
+        return { document: current, applied };
+    }
+
+    // Migra a coleção inteira em memória, sem gravar nada
+    plan(documents) {
+        const byVersion = {};
+        let migrated = 0;
+
+        const result = documents.map(document => {
+            const { document: upgraded, applied } = this.migrateDocument(document);
+            if (applied.length > 0) {
+                migrated++;
+                applied.forEach(version => {
+                    byVersion[version] = (byVersion[version] || 0) + 1;
+                });
+            }
+            return upgraded;
+        });
+
+        return {
+            targetVersion: this.latestVersion,
+            documents: result,
+            migrated,
+            byVersion
+        };
+    }
+
+    // Migrações registradas, com quantos documentos ainda dependem de cada uma
+    status(documents) {
+        return this.migrations.map(({ version, name }) => ({
+            version,
+            name,
+            pending: documents.filter(document => this.versionOf(document) < version).length
+        }));
+    }
+
+    migrationError(message) {
+        return new DatabaseError(`Coleção "${this.collectionName}": ${message}`, {
+            code: 'MIGRATION_FAILED',
+            collection: this.collectionName
+        });
+    }
+}
+
+module.exports = MigrationRunner;
@@ -0,0 +1,128 @@
+// shared/MigrationRunner.test.js
+// Migrações versionadas: regras do MigrationRunner e migração da coleção
+// de items (migração 1) ao abrir e com JsonDatabase.migrate().
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const JsonDatabase = require('./JsonDatabase');
+const MigrationRunner = require('./MigrationRunner');
+const itemsCollection = require('./schemas/items');
+
+require('./logging').root.setLevel('silent');
+
+// Item no formato antigo de src/database/items.json
+const legacyItem = {
+    id: 'feijao',
+    name: 'Feijão Carioca',
+    category: 'Grãos & Cereais',
+    averagePrice: '8.5',
+    active: true
+};
+
+describe('MigrationRunner', () => {
+    const addUnit = { version: 1, name: 'add-unit', up: doc => ({ ...doc, unit: doc.unit || 'un' }) };
+    const renameQty = { version: 2, name: 'rename-qty', up: doc => { doc.stock = doc.qty; delete doc.qty; } };
+
+    it('aplica as migrações pendentes em ordem e marca schemaVersion', () => {
+        const runner = new MigrationRunner('items', [renameQty, addUnit]);
+        const original = { id: 'a', qty: 3 };
+
+        const { document, applied } = runner.migrateDocument(original);
+        assert.deepEqual(applied, [1, 2]);
+        assert.deepEqual(document, { id: 'a', unit: 'un', stock: 3, schemaVersion: 2 });
+        assert.deepEqual(original, { id: 'a', qty: 3 });
+    });
+
+    it('pula migrações já aplicadas', () => {
+        const runner = new MigrationRunner('items', [addUnit, renameQty]);
+        const { applied } = runner.migrateDocument({ id: 'a', unit: 'kg', qty: 1, schemaVersion: 1 });
+        assert.deepEqual(applied, [2]);
+    });
+
+    it('rejeita versões repetidas e migrações sem up', () => {
+        assert.throws(() => new MigrationRunner('items', [addUnit, { ...renameQty, version: 1 }]),
+            { code: 'MIGRATION_FAILED', message: /versão 1 declarada mais de uma vez/ });
+        assert.throws(() => new MigrationRunner('items', [{ version: 1, name: 'sem-up' }]),
+            { code: 'MIGRATION_FAILED', message: /sem-up/ });
+    });
+
+    it('recusa documento numa versão mais nova que a última migração', () => {
+        const runner = new MigrationRunner('items', [addUnit]);
+        assert.throws(() => runner.migrateDocument({ id: 'a', schemaVersion: 3 }),
+            { code: 'MIGRATION_FAILED', message: /versão 3, mais nova/ });
+    });
+
+    it('identifica a migração e o documento que falharam', () => {
+        const runner = new MigrationRunner('items', [{ version: 1, name: 'quebra', up: () => { throw new Error('boom'); } }]);
+        assert.throws(() => runner.migrateDocument({ id: 'a' }),
+            { message: /migração 1 \(quebra\) falhou no documento a: boom/ });
+    });
+});
+
+describe('JsonDatabase: migrações da coleção items', () => {
+    let dir;
+    let items;
+
+    const open = (options = {}) => new JsonDatabase(dir, 'items', {
+        schema: itemsCollection.schema,
+        migrations: itemsCollection.migrations,
+        ...options
+    });
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'migration-'));
+        await fs.writeJson(path.join(dir, 'items.json'), [legacyItem]);
+    });
+
+    afterEach(async () => {
+        await items.close();
+        await fs.remove(dir);
+    });
+
+    it('migra os documentos antigos ao abrir a coleção', async () => {
+        items = open();
+        const item = await items.findById('feijao');
+
+        assert.deepEqual(item.category, { name: 'Grãos & Cereais', slug: 'graos-cereais' });
+        assert.equal(item.price, 8.5);
+        assert.equal('averagePrice' in item, false);
+        assert.equal(item.schemaVersion, 1);
+        assert.deepEqual(await items.validateAll(), []);
+    });
+
+    it('migrate com dryRun só simula; sem dryRun grava', async () => {
+        items = open({ migrate: false });
+        await items.ready;
+
+        const status = await items.migrationStatus();
+        assert.deepEqual(status.migrations, [{ version: 1, name: 'normalize-category-price', pending: 1 }]);
+
+        const simulated = await items.migrate({ dryRun: true });
+        assert.equal(simulated.dryRun, true);
+        assert.equal(simulated.migrated, 1);
+        assert.deepEqual(simulated.invalid, []);
+        assert.equal((await items.findById('feijao')).category, 'Grãos & Cereais');
+        assert.deepEqual(await fs.readJson(path.join(dir, 'items.json')), [legacyItem]);
+
+        const applied = await items.migrate();
+        assert.deepEqual(applied.byVersion, { 1: 1 });
+        assert.equal((await items.findById('feijao')).category.slug, 'graos-cereais');
+        assert.equal((await items.migrate()).migrated, 0);
+    });
+
+    it('aponta documentos que continuam inválidos depois de migrar', async () => {
+        await fs.writeJson(path.join(dir, 'items.json'), [legacyItem, { id: 'sem-preco', name: 'Sem preço', active: true }]);
+        items = open({ migrate: false });
+
+        const result = await items.migrate({ dryRun: true });
+        assert.deepEqual(result.invalid.map(invalid => invalid.id), ['sem-preco']);
+        assert.deepEqual(result.invalid[0].errors, [{ path: 'price', message: 'é obrigatório' }]);
+    });
+
+    it('coleção sem migrações recusa migrate', async () => {
+        items = new JsonDatabase(dir, 'items');
+        await assert.rejects(items.migrate(), { code: 'NO_MIGRATIONS' });
+    });
+});
@@ -0,0 +1,302 @@
+// shared/OperationLog.js
+// Log append-only (write-ahead) das operações de uma coleção do JsonDatabase.
+// Cada linha é um JSON: { seq, ts, op, id, doc }, uma transação ({ op: 'transaction', txId,
+// changes: [{ op, id, doc }] }) ou um checkpoint com o estado completo.
+//
+// Outros processos (instâncias do mesmo serviço, scripts de migração e recuperação)
+// podem escrever no mesmo log. Cada append trava <coleção>.log.lock e numera a entrada
+// a partir da última linha do arquivo, para que `seq` nunca se repita.
+const fs = require('fs-extra');
+const path = require('path');
+const { DatabaseError } = require('./databaseErrors');
+const { withFileLock } = require('./fileLock');
+
+// Tamanho dos blocos lidos do fim do log para achar a última linha
+const TAIL_CHUNK = 64 * 1024;
+
+class OperationLog {
+    constructor(dbPath, collectionName, options = {}) {
+        this.collectionName = collectionName;
+        this.logPath = path.join(dbPath, `${collectionName}.log`);
+        this.lockPath = `${this.logPath}.lock`;
+        this.archiveDir = path.join(dbPath, `${collectionName}_archive`);
+        this.compactionThreshold = options.compactionThreshold || 500;
+
+        // Último seq gravado por esta instância ou lido do log
+        this.seq = 0;
+        this.entriesSinceCheckpoint = 0;
+    }
+
+    // Abre o log; se ainda não existir, grava um checkpoint com o estado atual
+    // como base para a recuperação. Retorna a última entrada do log.
+    async init(currentDocuments) {
+        await fs.ensureDir(this.archiveDir);
+
+        // Sob o lock: outro processo abrindo a mesma coleção não grava um segundo checkpoint
+        const created = await this.withLock(async () => {
+            await this.repairTail();
+            if (await this.readLastEntry()) return false;
+
+            await this.appendLocked({ op: 'checkpoint', reason: 'init', documents: currentDocuments });
+            this.entriesSinceCheckpoint = 0;
+            return true;
+        });
+        if (created) return null;
+
+        const entries = await this.readFile(this.logPath);
+
+        const last = entries[entries.length - 1];
+        const lastCheckpoint = entries.map(entry => entry.op).lastIndexOf('checkpoint');
+        this.seq = last.seq;
+        this.entriesSinceCheckpoint = entries.length - 1 - lastCheckpoint;
+
+        return last;
+    }
+
+    // Descarta uma última linha incompleta para que o próximo append comece numa linha nova
+    async repairTail() {
+        let handle;
+        try {
+            handle = await fs.promises.open(this.logPath, 'r');
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw error;
+        }
+
+        let torn;
+        try {
+            const { size } = await handle.stat();
+            const lastByte = Buffer.alloc(1);
+            if (size > 0) {
+                await handle.read(lastByte, 0, 1, size - 1);
+            }
+            torn = size > 0 && lastByte[0] !== 0x0a;
+        } finally {
+            await handle.close();
+        }
+
+        if (torn) {
+            const content = await fs.readFile(this.logPath);
+            await fs.truncate(this.logPath, content.lastIndexOf(0x0a) + 1);
+        }
+    }
+
+    withLock(task) {
+        return withFileLock(this.lockPath, task);
+    }
+
+    // Grava a entrada no disco (com fsync) antes de a coleção ser reescrita
+    append(entry) {
+        return this.withLock(async () => {
+            // Um processo que morreu no meio de um append deixa a última linha incompleta
+            await this.repairTail();
+            return this.appendLocked(entry);
+        });
+    }
+
+    // Deve ser chamado com o lock do log. seq e ts são atribuídos aqui para que
+    // sigam a ordem das linhas no arquivo, qualquer que seja o processo
+    async appendLocked(entry) {
+        const record = {
+            seq: await this.lastSeq() + 1,
+            ts: new Date().toISOString(),
+            ...entry
+        };
+
+        const handle = await fs.promises.open(this.logPath, 'a');
+        try {
+            await handle.write(`${JSON.stringify(record)}\n`);
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+
+        this.seq = record.seq;
+        this.entriesSinceCheckpoint++;
+        return record;
+    }
+
+    needsCompaction() {
+        return this.entriesSinceCheckpoint >= this.compactionThreshold;
+    }
+
+    // Arquiva o log atual e recomeça a partir de um checkpoint do estado atual.
+    // Os segmentos arquivados são mantidos para a recuperação point-in-time.
+    compact(documents, reason = 'compaction') {
+        return this.withLock(async () => {
+            await this.repairTail();
+
+            // O checkpoint do log novo continua a numeração do arquivado
+            const last = await this.readLastEntry();
+            if (last) {
+                this.seq = last.seq;
+                const archiveName = `${new Date().toISOString().replace(/[:.]/g, '-')}_${this.seq}.log`;
+                await fs.move(this.logPath, path.join(this.archiveDir, archiveName));
+            }
+
+            await this.appendLocked({ op: 'checkpoint', reason, documents });
+            this.entriesSinceCheckpoint = 0;
+        });
+    }
+
+    // Último seq gravado no log, por este ou por outro processo
+    async lastSeq() {
+        const last = await this.readLastEntry();
+        return Math.max(last ? last.seq : await this.lastArchivedSeq(), this.seq);
+    }
+
+    // seq da última entrada arquivada (está no nome do segmento), para o log ativo
+    // vazio continuar a numeração depois de uma compactação interrompida
+    async lastArchivedSeq() {
+        const archives = (await fs.pathExists(this.archiveDir))
+            ? (await fs.readdir(this.archiveDir)).filter(file => file.endsWith('.log')).sort()
+            : [];
+        if (archives.length === 0) return 0;
+
+        const seq = parseInt(archives[archives.length - 1].split('_').pop());
+        return Number.isInteger(seq) ? seq : 0;
+    }
+
+    // Última entrada completa do log ativo (null se ele estiver vazio), lida de trás
+    // para frente: o log pode ter crescido por escritas de outros processos
+    async readLastEntry() {
+        let handle;
+        try {
+            handle = await fs.promises.open(this.logPath, 'r');
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+
+        try {
+            const { size } = await handle.stat();
+            // Ignora o \n final; a linha começa depois do \n anterior
+            let end = size > 0 ? size - 1 : 0;
+            const chunks = [];
+
+            while (end > 0) {
+                const start = Math.max(0, end - TAIL_CHUNK);
+                const chunk = Buffer.alloc(end - start);
+                await handle.read(chunk, 0, chunk.length, start);
+
+                const newline = chunk.lastIndexOf(0x0a);
+                chunks.unshift(newline === -1 ? chunk : chunk.subarray(newline + 1));
+                if (newline !== -1) break;
+                end = start;
+            }
+
+            const line = Buffer.concat(chunks).toString('utf8').trim();
+            if (!line) return null;
+
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                throw new DatabaseError(`Log da coleção "${this.collectionName}" corrompido: ${this.logPath}`, {
+                    code: 'LOG_CORRUPTED',
+                    collection: this.collectionName
+                });
+            }
+        } finally {
+            await handle.close();
+        }
+    }
+
+    // Todas as entradas, dos segmentos arquivados mais antigos até o log ativo
+    async readEntries() {
+        const archives = (await fs.pathExists(this.archiveDir))
+            ? (await fs.readdir(this.archiveDir)).filter(file => file.endsWith('.log')).sort()
+            : [];
+
+        const entries = [];
+        for (const file of archives) {
+            entries.push(...await this.readFile(path.join(this.archiveDir, file)));
+        }
+        entries.push(...await this.readFile(this.logPath));
+
+        return entries;
+    }
+
+    async readFile(filePath) {
+        let content;
+        try {
+            content = await fs.readFile(filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const lines = content.split('\n').filter(line => line.trim() !== '');
+        const entries = [];
+
+        lines.forEach((line, position) => {
+            try {
+                entries.push(JSON.parse(line));
+            } catch (error) {
+                // Apenas a última linha pode estar truncada (queda durante o append)
+                if (position !== lines.length - 1) {
+                    throw new DatabaseError(`Log da coleção "${this.collectionName}" corrompido: ${filePath}`, {
+                        code: 'LOG_CORRUPTED',
+                        collection: this.collectionName
+                    });
+                }
+            }
+        });
+
+        return entries;
+    }
+
+    // Reconstrói a coleção como estava no instante informado
+    async stateAt(timestamp) {
+        const target = new Date(timestamp);
+        if (isNaN(target.getTime())) {
+            throw new DatabaseError(`Timestamp inválido: ${timestamp}`, {
+                code: 'INVALID_TIMESTAMP',
+                collection: this.collectionName
+            });
+        }
+
+        const entries = await this.readEntries();
+        const state = new Map();
+        let applied = null;
+
+        for (const entry of entries) {
+            if (new Date(entry.ts) > target) break;
+            OperationLog.applyEntry(state, entry);
+            applied = entry;
+        }
+
+        if (!applied) {
+            throw new DatabaseError(`Não há histórico da coleção "${this.collectionName}" até ${target.toISOString()}`, {
+                code: 'NO_HISTORY',
+                collection: this.collectionName
+            });
+        }
+
+        return {
+            documents: Array.from(state.values()),
+            seq: applied.seq,
+            ts: applied.ts
+        };
+    }
+
+    static applyEntry(state, entry) {
+        switch (entry.op) {
+            case 'checkpoint':
+                state.clear();
+                entry.documents.forEach(doc => state.set(doc.id, doc));
+                break;
+            case 'create':
+            case 'update':
+                state.set(entry.id, entry.doc);
+                break;
+            case 'delete':
+                state.delete(entry.id);
+                break;
+            case 'transaction':
+                entry.changes.forEach(change => OperationLog.applyEntry(state, change));
+                break;
+        }
+    }
+}
+
+module.exports = OperationLog;
@@ -0,0 +1,128 @@
+// shared/OperationLog.test.js
+// Numeração do log de operações com mais de um escritor na mesma coleção
+// (outra instância, outro processo, scripts de migração e recuperação).
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile } = require('child_process');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const JsonDatabase = require('./JsonDatabase');
+const OperationLog = require('./OperationLog');
+
+require('./logging').root.setLevel('silent');
+
+const seqs = entries => entries.map(entry => entry.seq);
+const range = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => from + i);
+
+describe('OperationLog: vários escritores', () => {
+    let dir;
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'oplog-'));
+    });
+
+    afterEach(async () => {
+        await fs.remove(dir);
+    });
+
+    it('duas instâncias no mesmo log nunca repetem seq', async () => {
+        const first = new OperationLog(dir, 'items');
+        const second = new OperationLog(dir, 'items');
+        await first.init([]);
+        await second.init([]);
+
+        await Promise.all(range(1, 20).flatMap(i => [
+            first.append({ op: 'create', id: `a${i}`, doc: { id: `a${i}` } }),
+            second.append({ op: 'create', id: `b${i}`, doc: { id: `b${i}` } })
+        ]));
+
+        const entries = await first.readEntries();
+        assert.deepEqual(seqs(entries), range(1, 41));
+        assert.equal(entries.filter(entry => entry.op === 'checkpoint').length, 1);
+        assert.deepEqual(entries.map(entry => entry.ts), entries.map(entry => entry.ts).sort());
+    });
+
+    it('outro processo escrevendo ao mesmo tempo não repete seq', async () => {
+        const log = new OperationLog(dir, 'items');
+        await log.init([]);
+
+        const script = `
+            const OperationLog = require(${JSON.stringify(require.resolve('./OperationLog'))});
+            const log = new OperationLog(${JSON.stringify(dir)}, 'items');
+            (async () => {
+                await log.init([]);
+                for (let i = 0; i < 30; i++) {
+                    await log.append({ op: 'create', id: 'filho' + i, doc: { id: 'filho' + i } });
+                }
+            })();
+        `;
+        let running = true;
+        const child = new Promise((resolve, reject) => {
+            execFile(process.execPath, ['-e', script], { timeout: 30000 }, error => {
+                running = false;
+                return error ? reject(error) : resolve();
+            });
+        });
+
+        // Escreve até o filho terminar, para que as escritas se intercalem
+        let written = 0;
+        while (running) {
+            await log.append({ op: 'create', id: `pai${written}`, doc: { id: `pai${written}` } });
+            written++;
+            await new Promise(resolve => setTimeout(resolve, 1));
+        }
+        await child;
+
+        const entries = await log.readEntries();
+        const total = 1 + written + 30;
+        assert.deepEqual(seqs(entries), range(1, total));
+        assert.equal(new Set(entries.map(entry => entry.id)).size, total);
+    });
+
+    it('dois JsonDatabase na mesma coleção: histórico e restore sem ambiguidade', async () => {
+        const first = new JsonDatabase(dir, 'items');
+        const second = new JsonDatabase(dir, 'items');
+
+        await first.create({ id: 'x' });
+        await second.create({ id: 'y' });
+        await first.create({ id: 'z' });
+
+        const history = await second.history();
+        assert.deepEqual(history.map(entry => [entry.seq, entry.op, entry.id]), [
+            [1, 'checkpoint', undefined],
+            [2, 'create', 'x'],
+            [3, 'create', 'y'],
+            [4, 'create', 'z']
+        ]);
+
+        await second.restore(history[2].ts);
+        assert.deepEqual((await first.find()).map(item => item.id).sort(), ['x', 'y']);
+
+        await Promise.all([first.close(), second.close()]);
+    });
+
+    it('compactação continua a numeração, inclusive se parar antes do checkpoint novo', async () => {
+        const log = new OperationLog(dir, 'items');
+        await log.init([]);
+        await log.append({ op: 'create', id: 'a', doc: { id: 'a' } });
+        await log.compact([{ id: 'a' }]);
+        assert.deepEqual(seqs(await log.readEntries()), [1, 2, 3]);
+
+        // Queda entre arquivar o log e gravar o checkpoint: o log ativo some
+        await fs.move(log.logPath, path.join(log.archiveDir, `9999-compactacao-interrompida_${3}.log`));
+        const reopened = new OperationLog(dir, 'items');
+        await reopened.init([{ id: 'a' }]);
+        assert.deepEqual(seqs(await reopened.readEntries()), [1, 2, 3, 4]);
+    });
+
+    it('descarta a linha incompleta de um escritor que caiu antes de numerar a próxima', async () => {
+        const log = new OperationLog(dir, 'items');
+        await log.init([]);
+        await fs.appendFile(log.logPath, '{"seq":2,"ts":"2026-01-01T00:00:00.000Z","op":"cre');
+
+        const record = await log.append({ op: 'create', id: 'a', doc: { id: 'a' } });
+        assert.equal(record.seq, 2);
+        assert.deepEqual(seqs(await log.readEntries()), [1, 2]);
+    });
+});
@@ -0,0 +1,220 @@
+// shared/SchemaValidator.js
+// Validação de documentos com um subconjunto do JSON Schema (draft 2020-12):
+//   type (inclusive 'integer' e listas de tipos), enum, const
+//   required, properties, additionalProperties (boolean ou schema)
+//   items, minItems, maxItems, uniqueItems
+//   minLength, maxLength, pattern, format ('date-time', 'email')
+//   minimum, maximum, exclusiveMinimum, exclusiveMaximum
+//   anyOf, oneOf
+// Palavras-chave fora dessa lista são rejeitadas na criação do validador,
+// para que uma regra do schema nunca seja ignorada em silêncio.
+const { DatabaseError, ValidationError } = require('./databaseErrors');
+
+const ANNOTATIONS = new Set(['$schema', '$id', '$comment', 'title', 'description', 'default', 'examples']);
+
+const KEYWORDS = new Set([
+    'type', 'enum', 'const',
+    'required', 'properties', 'additionalProperties',
+    'items', 'minItems', 'maxItems', 'uniqueItems',
+    'minLength', 'maxLength', 'pattern', 'format',
+    'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum',
+    'anyOf', 'oneOf'
+]);
+
+const FORMATS = {
+    'date-time': value => !Number.isNaN(Date.parse(value)) && /^\d{4}-\d{2}-\d{2}T/.test(value),
+    email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)
+};
+
+class SchemaValidator {
+    constructor(collectionName, schema) {
+        this.collectionName = collectionName;
+        this.schema = schema;
+        this.patterns = new Map();
+        this.checkSchema(schema, '#');
+    }
+
+    // Lista de problemas encontrados ([] quando o documento é válido)
+    validate(document) {
+        return this.errorsFor(this.schema, document);
+    }
+
+    // Lança ValidationError se o documento não for válido
+    assert(document) {
+        const errors = this.validate(document);
+        if (errors.length > 0) {
+            throw new ValidationError(this.collectionName, errors);
+        }
+    }
+
+    checkSchema(schema, location) {
+        if (typeof schema === 'boolean') return;
+        if (!schema || typeof schema !== 'object') {
+            throw this.schemaError(`schema inválido em ${location}`);
+        }
+
+        for (const keyword of Object.keys(schema)) {
+            if (!KEYWORDS.has(keyword) && !ANNOTATIONS.has(keyword)) {
+                throw this.schemaError(`palavra-chave não suportada "${keyword}" em ${location}`);
+            }
+        }
+
+        if (schema.format && !FORMATS[schema.format]) {
+            throw this.schemaError(`format não suportado "${schema.format}" em ${location}`);
+        }
+        if (schema.pattern) {
+            this.patterns.set(schema.pattern, new RegExp(schema.pattern, 'u'));
+        }
+
+        Object.entries(schema.properties || {}).forEach(([key, child]) => {
+            this.checkSchema(child, `${location}/properties/${key}`);
+        });
+        if (schema.additionalProperties !== undefined) {
+            this.checkSchema(schema.additionalProperties, `${location}/additionalProperties`);
+        }
+        if (schema.items !== undefined) {
+            this.checkSchema(schema.items, `${location}/items`);
+        }
+        ['anyOf', 'oneOf'].forEach(keyword => {
+            (schema[keyword] || []).forEach((child, i) => this.checkSchema(child, `${location}/${keyword}/${i}`));
+        });
+    }
+
+    schemaError(message) {
+        return new DatabaseError(`Schema da coleção "${this.collectionName}": ${message}`, {
+            code: 'INVALID_SCHEMA',
+            collection: this.collectionName
+        });
+    }
+
+    errorsFor(schema, value, path = '') {
+        const errors = [];
+        this.validateNode(schema, value, path, errors);
+        return errors;
+    }
+
+    validateNode(schema, value, path, errors) {
+        if (schema === true) return;
+        if (schema === false) {
+            errors.push({ path, message: 'não é permitido' });
+            return;
+        }
+
+        if (schema.type !== undefined) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.some(type => this.hasType(value, type))) {
+                errors.push({ path, message: `deve ser do tipo ${types.join(' ou ')}` });
+                return;
+            }
+        }
+
+        if (schema.const !== undefined && JSON.stringify(value) !== JSON.stringify(schema.const)) {
+            errors.push({ path, message: `deve ser ${JSON.stringify(schema.const)}` });
+        }
+        if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+            errors.push({ path, message: `deve ser um de: ${schema.enum.map(option => JSON.stringify(option)).join(', ')}` });
+        }
+
+        if (typeof value === 'string') {
+            this.validateString(schema, value, path, errors);
+        } else if (typeof value === 'number') {
+            this.validateNumber(schema, value, path, errors);
+        } else if (Array.isArray(value)) {
+            this.validateArray(schema, value, path, errors);
+        } else if (value !== null && typeof value === 'object') {
+            this.validateObject(schema, value, path, errors);
+        }
+
+        if (schema.anyOf && !schema.anyOf.some(child => this.errorsFor(child, value).length === 0)) {
+            errors.push({ path, message: 'não corresponde a nenhuma das alternativas (anyOf)' });
+        }
+        if (schema.oneOf) {
+            const matches = schema.oneOf.filter(child => this.errorsFor(child, value).length === 0).length;
+            if (matches !== 1) {
+                errors.push({ path, message: `deve corresponder a exatamente uma alternativa (oneOf), corresponde a ${matches}` });
+            }
+        }
+    }
+
+    validateString(schema, value, path, errors) {
+        const length = Array.from(value).length;
+        if (schema.minLength !== undefined && length < schema.minLength) {
+            errors.push({ path, message: `deve ter pelo menos ${schema.minLength} caractere(s)` });
+        }
+        if (schema.maxLength !== undefined && length > schema.maxLength) {
+            errors.push({ path, message: `deve ter no máximo ${schema.maxLength} caractere(s)` });
+        }
+        if (schema.pattern && !this.patterns.get(schema.pattern).test(value)) {
+            errors.push({ path, message: `deve corresponder ao padrão ${schema.pattern}` });
+        }
+        if (schema.format && !FORMATS[schema.format](value)) {
+            errors.push({ path, message: `deve estar no formato ${schema.format}` });
+        }
+    }
+
+    validateNumber(schema, value, path, errors) {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ path, message: `deve ser >= ${schema.minimum}` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ path, message: `deve ser <= ${schema.maximum}` });
+        }
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            errors.push({ path, message: `deve ser > ${schema.exclusiveMinimum}` });
+        }
+        if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+            errors.push({ path, message: `deve ser < ${schema.exclusiveMaximum}` });
+        }
+    }
+
+    validateArray(schema, value, path, errors) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ path, message: `deve ter pelo menos ${schema.minItems} item(ns)` });
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push({ path, message: `deve ter no máximo ${schema.maxItems} item(ns)` });
+        }
+        if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+            errors.push({ path, message: 'não pode ter itens repetidos' });
+        }
+        if (schema.items !== undefined) {
+            value.forEach((item, i) => this.validateNode(schema.items, item, this.childPath(path, i), errors));
+        }
+    }
+
+    validateObject(schema, value, path, errors) {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) {
+                errors.push({ path: this.childPath(path, key), message: 'é obrigatório' });
+            }
+        });
+
+        const properties = schema.properties || {};
+        Object.keys(value).forEach(key => {
+            if (value[key] === undefined) return;
+
+            if (properties[key] !== undefined) {
+                this.validateNode(properties[key], value[key], this.childPath(path, key), errors);
+            } else if (schema.additionalProperties !== undefined) {
+                this.validateNode(schema.additionalProperties, value[key], this.childPath(path, key), errors);
+            }
+        });
+    }
+
+    hasType(value, type) {
+        switch (type) {
+            case 'null': return value === null;
+            case 'array': return Array.isArray(value);
+            case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'integer': return Number.isInteger(value);
+            case 'number': return typeof value === 'number' && Number.isFinite(value);
+            default: return typeof value === type;
+        }
+    }
+
+    childPath(path, key) {
+        return path ? `${path}.${key}` : String(key);
+    }
+}
+
+module.exports = SchemaValidator;
@@ -0,0 +1,111 @@
+// shared/SchemaValidator.test.js
+// Subconjunto do JSON Schema aceito pelo validador e validação em create/update
+// de uma coleção com schema (o de items do product-service).
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const JsonDatabase = require('./JsonDatabase');
+const SchemaValidator = require('./SchemaValidator');
+const itemsCollection = require('./schemas/items');
+
+require('./logging').root.setLevel('silent');
+
+const validItem = {
+    id: 'arroz',
+    name: 'Arroz',
+    price: 25.9,
+    category: { name: 'Grãos', slug: 'graos' },
+    active: true
+};
+
+describe('SchemaValidator', () => {
+    const validator = new SchemaValidator('items', itemsCollection.schema);
+
+    it('aceita um documento válido', () => {
+        assert.deepEqual(validator.validate(validItem), []);
+    });
+
+    it('lista um erro por problema, com o caminho do campo', () => {
+        const { name, ...withoutName } = validItem;
+        const errors = validator.validate({
+            ...withoutName,
+            price: -1,
+            stock: 1.5,
+            averagePrice: 3,
+            category: { name: 'Grãos', slug: 'Grãos e Cereais' },
+            createdAt: 'ontem'
+        });
+
+        assert.deepEqual(errors.map(error => error.path).sort(),
+            ['averagePrice', 'category.slug', 'createdAt', 'name', 'price', 'stock']);
+        assert.equal(errors.find(error => error.path === 'name').message, 'é obrigatório');
+    });
+
+    it('assert lança ValidationError com os erros', () => {
+        assert.throws(() => validator.assert({ ...validItem, active: 'sim' }), error => {
+            assert.ok(error instanceof JsonDatabase.ValidationError);
+            assert.equal(error.code, 'VALIDATION_FAILED');
+            assert.deepEqual(error.errors, [{ path: 'active', message: 'deve ser do tipo boolean' }]);
+            return true;
+        });
+    });
+
+    it('rejeita palavras-chave fora do subconjunto suportado, inclusive aninhadas', () => {
+        assert.throws(() => new SchemaValidator('x', { type: 'object', minProperties: 1 }),
+            { code: 'INVALID_SCHEMA', message: /minProperties/ });
+        assert.throws(() => new SchemaValidator('x', { properties: { name: { type: 'string', maxLenght: 3 } } }),
+            { code: 'INVALID_SCHEMA', message: /maxLenght.*#\/properties\/name/ });
+    });
+
+    it('aceita anotações como title e description', () => {
+        const annotated = new SchemaValidator('x', { title: 'X', description: 'Y', properties: { a: { $comment: 'z', type: 'string' } } });
+        assert.deepEqual(annotated.validate({ a: 'ok' }), []);
+    });
+});
+
+describe('JsonDatabase: validação com schema', () => {
+    let dir;
+    let items;
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'schema-'));
+        items = new JsonDatabase(dir, 'items', {
+            schema: itemsCollection.schema,
+            migrations: itemsCollection.migrations
+        });
+    });
+
+    afterEach(async () => {
+        await items.close();
+        await fs.remove(dir);
+    });
+
+    it('create rejeita documento inválido sem gravar', async () => {
+        await assert.rejects(items.create({ ...validItem, price: 'caro' }), error => {
+            assert.ok(error instanceof JsonDatabase.ValidationError);
+            assert.deepEqual(error.errors.map(e => e.path), ['price']);
+            return true;
+        });
+        assert.equal(await items.count(), 0);
+    });
+
+    it('create grava o documento válido já na versão mais recente', async () => {
+        const created = await items.create(validItem);
+        assert.equal(created.schemaVersion, 1);
+    });
+
+    it('update valida o documento resultante e mantém o anterior se falhar', async () => {
+        await items.create(validItem);
+
+        await assert.rejects(items.update('arroz', { 'category.slug': 'Com Espaço' }),
+            { code: 'VALIDATION_FAILED' });
+        await assert.rejects(items.update('arroz', { $inc: { price: -100 } }),
+            { code: 'VALIDATION_FAILED' });
+
+        const stored = await items.findById('arroz');
+        assert.equal(stored.category.slug, 'graos');
+        assert.equal(stored.price, 25.9);
+    });
+});
@@ -0,0 +1,314 @@
+// shared/Transaction.js
+// Transações com vários documentos, em uma ou mais coleções do JsonDatabase
+// do mesmo processo:
+//
+//   const tx = JsonDatabase.beginTransaction();
+//   tx.update(itemsDb, itemId, { $inc: { stock: -1 } });
+//   tx.delete(listsDb, listId);
+//   await tx.commit();   // ou tx.rollback()
+//
+// As escritas ficam só na transação até o commit. O commit trava todas as coleções
+// envolvidas, aplica as mudanças em cópias (validação de schema, índices únicos) e
+// só grava se todas passarem; leitores das coleções esperam a gravação terminar.
+// Um journal em <dbPath>/_transactions permite completar, ao reabrir as coleções,
+// um commit interrompido por queda do processo.
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { withCollectionLock, withCollectionLocks, holdReaders } = require('./collectionLocks');
+const { DatabaseError } = require('./databaseErrors');
+const log = require('./logging').child({ component: 'database' });
+
+const JOURNAL_DIR = '_transactions';
+
+class Transaction {
+    constructor() {
+        this.id = uuidv4();
+        this.status = 'active'; // active | committing | committed | rolledBack | failed
+        this.operations = [];
+    }
+
+    // Prepara a criação e retorna o id do documento (gerado se não informado)
+    create(db, data) {
+        const id = data.id || uuidv4();
+        this.stage(db, { op: 'create', data: { ...data, id } });
+        return id;
+    }
+
+    // `updates` segue JsonDatabase.update, inclusive funções (documentoAtual) => updates.
+    // Funções podem ser chamadas mais de uma vez (leituras da transação e commit).
+    update(db, id, updates) {
+        this.stage(db, { op: 'update', id, updates });
+        return this;
+    }
+
+    delete(db, id) {
+        this.stage(db, { op: 'delete', id });
+        return this;
+    }
+
+    // Leituras dentro da transação já enxergam as escritas preparadas
+    async findById(db, id) {
+        const state = await this.preview(db);
+        const position = state.index.position(id);
+        return position === -1 ? null : db.detach(state.documents[position]);
+    }
+
+    async find(db, filter = {}) {
+        const state = await this.preview(db);
+        return db.detach(state.documents.filter(doc => db.matchesFilter(doc, filter)));
+    }
+
+    // Aplica tudo ou nada. Retorna o resultado de cada operação, na ordem em que
+    // foram preparadas (como create/update/delete do JsonDatabase).
+    async commit() {
+        this.requireActive();
+        this.status = 'committing';
+
+        try {
+            const groups = this.groupByCollection();
+            await Promise.all(groups.map(group => group.db.ready));
+
+            const results = await withCollectionLocks(groups.map(group => group.db.storage.lockKey), async () => {
+                for (const group of groups) {
+                    group.state = await group.db.readCollection();
+                    group.original = group.state.documents.slice();
+                }
+
+                const results = [];
+                for (const { db, mutation } of this.operations) {
+                    const group = groups.find(candidate => candidate.db === db);
+                    const { change, result } = await this.apply(db, group.state, mutation);
+                    if (change) {
+                        group.changes.push(change);
+                    }
+                    results.push(result);
+                }
+
+                await this.write(groups.filter(group => group.changes.length > 0));
+                return results;
+            });
+
+            this.status = 'committed';
+            return results;
+        } catch (error) {
+            this.status = 'failed';
+            throw error;
+        }
+    }
+
+    // Descarta as escritas preparadas
+    rollback() {
+        this.requireActive();
+        this.operations = [];
+        this.status = 'rolledBack';
+    }
+
+    stage(db, mutation) {
+        this.requireActive();
+        this.operations.push({ db, mutation });
+    }
+
+    requireActive() {
+        if (this.status !== 'active') {
+            throw new DatabaseError(`Transação ${this.id} não está ativa (${this.status})`, {
+                code: 'TRANSACTION_NOT_ACTIVE'
+            });
+        }
+    }
+
+    async preview(db) {
+        this.requireActive();
+
+        const state = await db.loadCollection();
+        for (const { db: target, mutation } of this.operations) {
+            if (target === db) {
+                await this.apply(db, state, mutation);
+            }
+        }
+        return state;
+    }
+
+    // O índice é refeito a cada mutação para que as próximas vejam posições
+    // e valores únicos atualizados
+    async apply(db, state, mutation) {
+        const outcome = await db.applyMutation(state, mutation);
+        if (outcome.change) {
+            state.index = db.buildIndex(state.documents);
+        }
+        return outcome;
+    }
+
+    groupByCollection() {
+        const groups = [];
+
+        for (const { db } of this.operations) {
+            if (groups.some(group => group.db === db)) continue;
+
+            if (groups.some(group => group.db.storage.lockKey === db.storage.lockKey)) {
+                throw new DatabaseError(`Transação usa duas instâncias da coleção "${db.collectionName}"`, {
+                    code: 'TRANSACTION_DUPLICATE_COLLECTION',
+                    collection: db.collectionName
+                });
+            }
+            groups.push({ db, state: null, original: null, changes: [] });
+        }
+
+        return groups;
+    }
+
+    async write(groups) {
+        if (groups.length === 0) return;
+
+        const release = holdReaders(groups.map(group => group.db.storage.lockKey));
+        const written = [];
+        const records = [];
+        let journals = [];
+
+        try {
+            journals = await this.writeJournals(groups);
+
+            for (const group of groups) {
+                // Entra na lista antes do log: se a gravação falhar, o checkpoint do
+                // undo vem depois da entrada e prevalece sobre ela
+                written.push(group);
+                records.push(await group.db.logOperation({ op: 'transaction', txId: this.id, changes: group.changes }));
+                await group.db.persist(group.state.documents, group.changes);
+            }
+        } catch (error) {
+            await this.undo(written, journals);
+            throw error;
+        } finally {
+            release();
+        }
+
+        await Promise.all(journals.map(journalPath => fs.remove(journalPath)));
+        groups.forEach((group, i) => group.db.publish([records[i]]));
+        for (const group of groups) {
+            await group.db.compactIfNeeded(group.state.documents);
+        }
+    }
+
+    // Falha no meio da gravação: devolve as coleções já tocadas ao estado anterior
+    async undo(written, journals) {
+        try {
+            for (const group of written) {
+                const record = await group.db.logOperation({ op: 'checkpoint', reason: 'rollback', txId: this.id, documents: group.original });
+                await group.db.persist(group.original);
+                group.db.publish([record]);
+            }
+            await Promise.all(journals.map(journalPath => fs.remove(journalPath)));
+        } catch (error) {
+            // O journal fica no disco e a transação será completada ao reabrir as coleções
+            log.error('Erro ao desfazer transação', { txId: this.id, error });
+        }
+    }
+
+    // Um journal por diretório de banco, só com as coleções que têm log
+    async writeJournals(groups) {
+        const byDirectory = new Map();
+
+        groups.filter(group => group.db.oplog).forEach(group => {
+            const directory = path.resolve(group.db.dbPath);
+            if (!byDirectory.has(directory)) {
+                byDirectory.set(directory, []);
+            }
+            byDirectory.get(directory).push({
+                collection: group.db.collectionName,
+                changes: group.changes,
+                applied: false
+            });
+        });
+
+        const journals = [];
+        for (const [directory, collections] of byDirectory) {
+            const journalPath = path.join(directory, JOURNAL_DIR, `${this.id}.json`);
+            await writeJournal(journalPath, {
+                txId: this.id,
+                ts: new Date().toISOString(),
+                collections
+            });
+            journals.push(journalPath);
+        }
+
+        return journals;
+    }
+
+    // Aplica uma lista de changes ([{ op, id, doc }]) a um array de documentos
+    static applyChanges(documents, changes) {
+        const result = documents.slice();
+
+        changes.forEach(change => {
+            const position = result.findIndex(doc => doc.id === change.id);
+            if (change.op === 'delete') {
+                if (position !== -1) result.splice(position, 1);
+            } else if (position === -1) {
+                result.push(change.doc);
+            } else {
+                result[position] = change.doc;
+            }
+        });
+
+        return result;
+    }
+
+    // Chamado ao abrir a coleção: completa a parte desta coleção nas transações
+    // cujo commit foi interrompido
+    static async recover(db) {
+        if (!db.oplog) return;
+
+        const directory = path.join(db.dbPath, JOURNAL_DIR);
+        if (!await fs.pathExists(directory)) return;
+
+        const files = (await fs.readdir(directory)).filter(file => file.endsWith('.json'));
+
+        for (const file of files) {
+            const journalPath = path.join(directory, file);
+
+            // Outras coleções do mesmo journal podem estar se recuperando ao mesmo tempo
+            await withCollectionLock(path.resolve(journalPath), async () => {
+                if (!await fs.pathExists(journalPath)) return;
+
+                const journal = await fs.readJson(journalPath);
+                const part = journal.collections.find(entry => entry.collection === db.collectionName && !entry.applied);
+                if (!part) return;
+
+                const entries = await db.oplog.readFile(db.oplog.logPath);
+                const logged = entries.some(entry => entry.op === 'transaction' && entry.txId === journal.txId);
+
+                // Se já está no log, replayTornWrite garantiu que a coleção também está
+                if (!logged) {
+                    log.info('Completando transação', { txId: journal.txId, collection: db.collectionName });
+                    const documents = Transaction.applyChanges(await db.storage.load(), part.changes);
+                    const record = await db.logOperation({ op: 'transaction', txId: journal.txId, changes: part.changes });
+                    await db.persist(documents);
+                    db.publish([record]);
+                }
+
+                part.applied = true;
+                if (journal.collections.every(entry => entry.applied)) {
+                    await fs.remove(journalPath);
+                } else {
+                    await writeJournal(journalPath, journal);
+                }
+            });
+        }
+    }
+}
+
+// Mesma escrita atômica das coleções: temporário + fsync + rename
+async function writeJournal(journalPath, journal) {
+    await fs.ensureDir(path.dirname(journalPath));
+
+    const tempPath = `${journalPath}.${process.pid}.tmp`;
+    const handle = await fs.promises.open(tempPath, 'w');
+    try {
+        await handle.writeFile(JSON.stringify(journal, null, 2));
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+    await fs.rename(tempPath, journalPath);
+}
+
+module.exports = Transaction;
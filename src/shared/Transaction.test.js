@@ -0,0 +1,163 @@
+// shared/Transaction.test.js
+// Transações do JsonDatabase: commit em várias coleções, rollback, isolamento e
+// recuperação pelo journal de um commit interrompido.
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const JsonDatabase = require('./JsonDatabase');
+
+// Erros esperados nos testes não precisam aparecer na saída
+require('./logging').root.setLevel('silent');
+
+describe('JsonDatabase: transações', () => {
+    let dir;
+    let items;
+    let lists;
+
+    const open = name => new JsonDatabase(dir, name, {
+        indexes: name === 'lists' ? [{ field: 'slug', unique: true }] : []
+    });
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'transaction-'));
+        items = open('items');
+        lists = open('lists');
+        await items.create({ id: 'arroz', name: 'Arroz', stock: 10 });
+        await items.create({ id: 'feijao', name: 'Feijão', stock: 2 });
+        await lists.create({ id: 'semana', slug: 'semana', items: [{ itemId: 'arroz', purchased: false }] });
+    });
+
+    afterEach(async () => {
+        await Promise.all([items.close(), lists.close()]);
+        await fs.remove(dir);
+    });
+
+    it('commit grava as escritas de todas as coleções e retorna os resultados em ordem', async () => {
+        const tx = JsonDatabase.beginTransaction();
+        tx.update(items, 'arroz', { $inc: { stock: -3 } });
+        tx.update(lists, 'semana', { 'items.0.purchased': true });
+        const createdId = tx.create(lists, { slug: 'mes', items: [] });
+        tx.delete(items, 'feijao');
+
+        const results = await tx.commit();
+
+        assert.equal(tx.status, 'committed');
+        assert.equal(results[0].stock, 7);
+        assert.equal(results[1].items[0].purchased, true);
+        assert.equal(results[2].id, createdId);
+        assert.equal(results[3], true);
+        assert.equal((await items.findById('arroz')).stock, 7);
+        assert.equal(await items.findById('feijao'), null);
+        assert.equal((await lists.findById('semana')).items[0].purchased, true);
+        assert.ok(await lists.findById(createdId));
+    });
+
+    it('escritas preparadas só aparecem para os outros leitores depois do commit', async () => {
+        const tx = JsonDatabase.beginTransaction();
+        tx.update(items, 'arroz', { $inc: { stock: -1 } });
+
+        assert.equal((await tx.findById(items, 'arroz')).stock, 9);
+        assert.equal((await items.findById('arroz')).stock, 10);
+        assert.deepEqual((await tx.find(items, { stock: { $lt: 10 } })).map(item => item.id), ['arroz', 'feijao']);
+
+        await tx.commit();
+        assert.equal((await items.findById('arroz')).stock, 9);
+    });
+
+    it('escrita concorrente espera o commit e não se perde', async () => {
+        const tx = JsonDatabase.beginTransaction();
+        tx.update(items, 'arroz', current => ({ stock: current.stock - 4 }));
+
+        await Promise.all([
+            tx.commit(),
+            items.update('arroz', current => ({ stock: current.stock - 1 }))
+        ]);
+
+        assert.equal((await items.findById('arroz')).stock, 5);
+    });
+
+    it('erro em JsonDatabase.transaction descarta as escritas preparadas', async () => {
+        let staged;
+        await assert.rejects(JsonDatabase.transaction(async tx => {
+            staged = tx;
+            tx.update(items, 'arroz', { $inc: { stock: -1 } });
+            tx.delete(lists, 'semana');
+            throw new Error('cancelado');
+        }), /cancelado/);
+
+        assert.equal(staged.status, 'rolledBack');
+        assert.equal((await items.findById('arroz')).stock, 10);
+        assert.ok(await lists.findById('semana'));
+    });
+
+    it('falha de uma operação no commit não grava nenhuma das outras', async () => {
+        const tx = JsonDatabase.beginTransaction();
+        tx.update(items, 'arroz', { $inc: { stock: -1 } });
+        tx.update(items, 'feijao', current => {
+            if (current.stock < 5) throw new Error('Estoque insuficiente');
+            return { $inc: { stock: -5 } };
+        });
+        tx.update(lists, 'semana', { 'items.0.purchased': true });
+
+        await assert.rejects(tx.commit(), /Estoque insuficiente/);
+
+        assert.equal(tx.status, 'failed');
+        assert.equal((await items.findById('arroz')).stock, 10);
+        assert.equal((await items.findById('feijao')).stock, 2);
+        assert.equal((await lists.findById('semana')).items[0].purchased, false);
+    });
+
+    it('violação de índice único desfaz a transação inteira', async () => {
+        const tx = JsonDatabase.beginTransaction();
+        tx.update(items, 'arroz', { $inc: { stock: -1 } });
+        tx.create(lists, { slug: 'semana', items: [] });
+
+        await assert.rejects(tx.commit(), { code: 'UNIQUE_VIOLATION' });
+        assert.equal((await items.findById('arroz')).stock, 10);
+        assert.equal((await lists.find()).length, 1);
+    });
+
+    it('rollback descarta as escritas e encerra a transação', async () => {
+        const tx = JsonDatabase.beginTransaction();
+        tx.update(items, 'arroz', { $inc: { stock: -1 } });
+        tx.rollback();
+
+        await assert.rejects(tx.commit(), { code: 'TRANSACTION_NOT_ACTIVE' });
+        assert.throws(() => tx.delete(items, 'arroz'), { code: 'TRANSACTION_NOT_ACTIVE' });
+        assert.equal((await items.findById('arroz')).stock, 10);
+    });
+
+    it('completa ao reabrir a coleção um commit interrompido depois do journal', async () => {
+        const arroz = await items.findById('arroz');
+        await items.close();
+
+        // Queda depois de gravar o journal e antes de tocar na coleção
+        const journalPath = path.join(dir, '_transactions', 'tx-interrompida.json');
+        await fs.outputJson(journalPath, {
+            txId: 'tx-interrompida',
+            ts: new Date().toISOString(),
+            collections: [
+                { collection: 'items', changes: [{ op: 'update', id: 'arroz', doc: { ...arroz, stock: 1 } }], applied: false },
+                { collection: 'lists', changes: [{ op: 'delete', id: 'semana' }], applied: false }
+            ]
+        });
+
+        items = open('items');
+        assert.equal((await items.findById('arroz')).stock, 1);
+        // A parte de lists continua pendente até essa coleção ser reaberta
+        assert.equal((await fs.readJson(journalPath)).collections[0].applied, true);
+
+        await lists.close();
+        lists = open('lists');
+        assert.equal(await lists.findById('semana'), null);
+        assert.equal(await fs.pathExists(journalPath), false);
+
+        // Reabrir de novo não reaplica a transação
+        await items.update('arroz', { stock: 8 });
+        await items.close();
+        items = open('items');
+        assert.equal((await items.findById('arroz')).stock, 8);
+    });
+});
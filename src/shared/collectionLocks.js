@@ -0,0 +1,61 @@
+// shared/collectionLocks.js
+// Coordenação entre escritas do JsonDatabase dentro do processo.
+
+// Filas de escrita por coleção (lockKey do adapter). Compartilhadas entre instâncias do
+// mesmo processo para que duas instâncias da mesma coleção não se atropelem.
+const collectionLocks = new Map();
+
+function withCollectionLock(key, task) {
+    const previous = collectionLocks.get(key) || Promise.resolve();
+    const run = previous.then(() => task());
+    const tail = run.catch(() => {});
+
+    collectionLocks.set(key, tail);
+    tail.then(() => {
+        if (collectionLocks.get(key) === tail) {
+            collectionLocks.delete(key);
+        }
+    });
+
+    return run;
+}
+
+// Trava várias coleções de uma vez, sempre na mesma ordem, para que duas
+// transações sobre as mesmas coleções não fiquem esperando uma pela outra
+function withCollectionLocks(keys, task) {
+    const ordered = Array.from(new Set(keys)).sort();
+    return ordered.reduceRight((next, key) => () => withCollectionLock(key, next), task)();
+}
+
+// Enquanto uma transação grava várias coleções, leitores dessas coleções
+// esperam o fim da gravação e nunca veem só parte dela
+const commitBarriers = new Map();
+
+function holdReaders(keys) {
+    let release;
+    const barrier = new Promise(resolve => {
+        release = resolve;
+    });
+
+    keys.forEach(key => commitBarriers.set(key, barrier));
+
+    return () => {
+        keys.forEach(key => {
+            if (commitBarriers.get(key) === barrier) {
+                commitBarriers.delete(key);
+            }
+        });
+        release();
+    };
+}
+
+function pendingCommit(key) {
+    return commitBarriers.get(key) || null;
+}
+
+module.exports = {
+    withCollectionLock,
+    withCollectionLocks,
+    holdReaders,
+    pendingCommit
+};
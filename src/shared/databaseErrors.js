@@ -0,0 +1,55 @@
+// shared/databaseErrors.js
+// Erros tipados do JsonDatabase, para que os serviços possam diferenciar falhas
+
+class DatabaseError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = details.code || 'DATABASE_ERROR';
+        this.collection = details.collection;
+    }
+}
+
+// Arquivo da coleção existe mas não contém um array JSON válido
+class CorruptedCollectionError extends DatabaseError {
+    constructor(collection, filePath, cause) {
+        super(`Coleção "${collection}" corrompida: ${filePath}`, {
+            code: 'COLLECTION_CORRUPTED',
+            collection
+        });
+        this.filePath = filePath;
+        this.cause = cause;
+    }
+}
+
+// Violação de índice único (ex: email já cadastrado)
+class UniqueConstraintError extends DatabaseError {
+    constructor(collection, field, value, conflictingId) {
+        super(`Valor duplicado para "${field}" na coleção "${collection}": ${value}`, {
+            code: 'UNIQUE_VIOLATION',
+            collection
+        });
+        this.field = field;
+        this.value = value;
+        this.conflictingId = conflictingId;
+    }
+}
+
+// Documento não satisfaz o JSON Schema da coleção.
+// `errors` traz um item por problema: [{ path: 'category.slug', message }]
+class ValidationError extends DatabaseError {
+    constructor(collection, errors) {
+        super(`Documento inválido para a coleção "${collection}": ${errors.map(error => `${error.path || '(raiz)'} ${error.message}`).join('; ')}`, {
+            code: 'VALIDATION_FAILED',
+            collection
+        });
+        this.errors = errors;
+    }
+}
+
+module.exports = {
+    DatabaseError,
+    CorruptedCollectionError,
+    UniqueConstraintError,
+    ValidationError
+};
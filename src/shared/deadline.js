@@ -0,0 +1,51 @@
+// shared/deadline.js
+// Prazo de uma requisição propagado entre serviços pelo header X-Request-Timeout
+// (milissegundos restantes; relativo para não depender do relógio de cada máquina).
+//
+// O gateway define o prazo pela rota. Cada serviço registra o prazo ao receber a
+// requisição (middleware), usa o que sobrou como timeout das chamadas que faz e
+// repassa o header. Uma requisição que chega sem tempo recebe 504.
+const HEADER = 'x-request-timeout';
+
+function middleware() {
+    return (req, res, next) => {
+        const header = req.headers[HEADER];
+        if (header === undefined) return next();
+
+        const remaining = parseInt(header);
+        if (!Number.isFinite(remaining)) return next();
+        if (remaining <= 0) {
+            return res.status(504).json({
+                success: false,
+                message: 'Prazo da requisição esgotado'
+            });
+        }
+
+        req.deadline = Date.now() + remaining;
+        next();
+    };
+}
+
+// Milissegundos restantes ou null se a requisição não tem prazo
+function remaining(req) {
+    return req && req.deadline ? req.deadline - Date.now() : null;
+}
+
+// Timeout de uma chamada feita durante a requisição: o menor entre `fallback` e o prazo
+function timeoutFor(req, fallback) {
+    const left = remaining(req);
+    return left === null ? fallback : Math.max(1, Math.min(fallback, left));
+}
+
+// Header a repassar na chamada (vazio se a requisição não tem prazo)
+function headers(req, fallback) {
+    return req && req.deadline ? { [HEADER]: String(timeoutFor(req, fallback)) } : {};
+}
+
+module.exports = {
+    HEADER,
+    middleware,
+    remaining,
+    timeoutFor,
+    headers
+};
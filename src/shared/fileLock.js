@@ -0,0 +1,54 @@
+// shared/fileLock.js
+// Lock exclusivo entre processos por arquivo (<arquivo>.lock criado com O_EXCL),
+// na versão assíncrona do lock de shared/registry/FileRegistryStore.js.
+const fs = require('fs-extra');
+const { DatabaseError } = require('./databaseErrors');
+
+const LOCK_TIMEOUT = 5000;
+// Lock mais velho que isso foi deixado por um processo que morreu segurando-o
+const STALE_LOCK = 10000;
+const RETRY_DELAY = 5;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function acquire(lockPath, timeout) {
+    const deadline = Date.now() + timeout;
+
+    for (;;) {
+        try {
+            await (await fs.promises.open(lockPath, 'wx')).close();
+            return;
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+        }
+
+        try {
+            if (Date.now() - (await fs.stat(lockPath)).mtimeMs > STALE_LOCK) {
+                await fs.unlink(lockPath);
+                continue;
+            }
+        } catch (error) {
+            // Lock liberado entre o open e o stat
+            continue;
+        }
+
+        if (Date.now() > deadline) {
+            throw new DatabaseError(`Timeout esperando o lock ${lockPath}`, { code: 'LOCK_TIMEOUT' });
+        }
+        await sleep(RETRY_DELAY);
+    }
+}
+
+// Executa `task` com o lock; o lock é liberado mesmo se `task` falhar
+async function withFileLock(lockPath, task, { timeout = LOCK_TIMEOUT } = {}) {
+    await acquire(lockPath, timeout);
+    try {
+        return await task();
+    } finally {
+        await fs.unlink(lockPath).catch(() => {
+            // Já removido como lock abandonado
+        });
+    }
+}
+
+module.exports = { withFileLock };
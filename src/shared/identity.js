@@ -0,0 +1,75 @@
+// shared/identity.js
+// Identidade do usuário propagada do gateway para os serviços (header X-User-Identity).
+//
+// O gateway valida o JWT uma vez e repassa { id, username, role, ... } assinado com
+// HMAC-SHA256 (GATEWAY_IDENTITY_SECRET). Os serviços conferem a assinatura e usam a
+// identidade sem consultar o user-service. Formato: base64url(JSON).base64url(HMAC).
+// A assinatura vale poucos segundos para que um header capturado não sirva depois.
+const crypto = require('crypto');
+
+const HEADER = 'x-user-identity';
+const DEFAULT_TTL = 60; // segundos
+const FIELDS = ['id', 'username', 'email', 'role', 'firstName', 'lastName'];
+// Papel da identidade que um serviço assina para si mesmo em chamadas internas
+// (ex: o gateway buscando revogações no user-service); nenhum usuário tem esse papel
+const SERVICE_ROLE = 'service';
+
+function defaultSecret() {
+    return process.env.GATEWAY_IDENTITY_SECRET || 'gateway-identity-secret';
+}
+
+function hmac(payload, secret) {
+    return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+function sign(user, { secret = defaultSecret(), ttl = DEFAULT_TTL } = {}) {
+    const claims = { iat: Math.floor(Date.now() / 1000) };
+    FIELDS.filter(field => user[field] !== undefined).forEach(field => {
+        claims[field] = user[field];
+    });
+    claims.exp = claims.iat + ttl;
+
+    const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    return `${payload}.${hmac(payload, secret)}`;
+}
+
+// Identidade do header ou null se a assinatura não confere ou expirou
+function verify(header, { secret = defaultSecret() } = {}) {
+    const [payload, signature, extra] = String(header || '').split('.');
+    if (!payload || !signature || extra !== undefined) return null;
+
+    const expected = Buffer.from(hmac(payload, secret));
+    const received = Buffer.from(signature);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        return null;
+    }
+
+    try {
+        const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        if (!claims.id || !claims.exp || claims.exp < Math.floor(Date.now() / 1000)) return null;
+        return claims;
+    } catch (error) {
+        return null;
+    }
+}
+
+// undefined: requisição sem o header; null: header inválido; objeto: usuário
+function fromRequest(req, options) {
+    const header = req.headers[HEADER];
+    if (header === undefined) return undefined;
+    return verify(header, options);
+}
+
+// Identidade de um serviço, para assinar com sign()
+function serviceIdentity(name) {
+    return { id: name, username: name, role: SERVICE_ROLE };
+}
+
+module.exports = {
+    HEADER,
+    SERVICE_ROLE,
+    sign,
+    verify,
+    fromRequest,
+    serviceIdentity
+};
@@ -0,0 +1,75 @@
+// shared/identity.test.js
+// Header X-User-Identity: assinatura, validade curta e recusa de headers adulterados.
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const identity = require('./identity');
+
+const SECRET = 'segredo-de-teste';
+const user = { id: 'u1', username: 'maria', email: 'maria@example.com', role: 'user', firstName: 'Maria', password: 'hash' };
+
+// Troca um caractere do segmento sem quebrar o base64url
+function tamper(segment) {
+    return (segment[0] === 'A' ? 'B' : 'A') + segment.slice(1);
+}
+
+describe('identity', () => {
+    it('assina e verifica só os campos de identidade', () => {
+        const claims = identity.verify(identity.sign(user, { secret: SECRET }), { secret: SECRET });
+
+        assert.equal(claims.id, 'u1');
+        assert.equal(claims.username, 'maria');
+        assert.equal(claims.role, 'user');
+        assert.equal(claims.firstName, 'Maria');
+        assert.equal('password' in claims, false);
+        assert.equal(claims.exp - claims.iat, 60);
+    });
+
+    it('recusa payload ou assinatura adulterados', () => {
+        const [payload, signature] = identity.sign(user, { secret: SECRET }).split('.');
+
+        // Mesmo formato, papel trocado: a assinatura não confere
+        const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(payload, 'base64url')), role: 'admin' })).toString('base64url');
+        assert.equal(identity.verify(`${forged}.${signature}`, { secret: SECRET }), null);
+        assert.equal(identity.verify(`${tamper(payload)}.${signature}`, { secret: SECRET }), null);
+        assert.equal(identity.verify(`${payload}.${tamper(signature)}`, { secret: SECRET }), null);
+        assert.equal(identity.verify(`${payload}.${signature.slice(1)}`, { secret: SECRET }), null);
+    });
+
+    it('recusa assinatura feita com outro segredo', () => {
+        assert.equal(identity.verify(identity.sign(user, { secret: 'outro' }), { secret: SECRET }), null);
+    });
+
+    it('recusa headers mal formados', () => {
+        const header = identity.sign(user, { secret: SECRET });
+        for (const malformed of [undefined, '', 'abc', `${header}.extra`, 'e30.e30']) {
+            assert.equal(identity.verify(malformed, { secret: SECRET }), null);
+        }
+    });
+
+    it('expira depois do ttl', t => {
+        let now = Date.parse('2026-01-01T00:00:00Z');
+        t.mock.method(Date, 'now', () => now);
+        const header = identity.sign(user, { secret: SECRET, ttl: 60 });
+
+        now += 59 * 1000;
+        assert.ok(identity.verify(header, { secret: SECRET }));
+        now += 2 * 1000;
+        assert.equal(identity.verify(header, { secret: SECRET }), null);
+    });
+
+    it('fromRequest separa ausência de header de header inválido', () => {
+        const request = headers => ({ headers });
+
+        assert.equal(identity.fromRequest(request({}), { secret: SECRET }), undefined);
+        assert.equal(identity.fromRequest(request({ [identity.HEADER]: 'lixo' }), { secret: SECRET }), null);
+        assert.equal(identity.fromRequest(request({ [identity.HEADER]: identity.sign(user, { secret: SECRET }) }), { secret: SECRET }).id, 'u1');
+    });
+
+    it('serviceIdentity assina o papel de serviço', () => {
+        const header = identity.sign(identity.serviceIdentity('api-gateway'), { secret: SECRET });
+        const claims = identity.verify(header, { secret: SECRET });
+
+        assert.equal(claims.id, 'api-gateway');
+        assert.equal(claims.role, identity.SERVICE_ROLE);
+    });
+});
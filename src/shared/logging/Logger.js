@@ -0,0 +1,111 @@
+// shared/logging/Logger.js
+// Logger estruturado: uma linha JSON por entrada,
+//   {"time":"...","level":"info","service":"list-service","msg":"Item adicionado","requestId":"...",...}
+// ou, com format 'pretty', uma linha legível para desenvolvimento.
+//
+// child() cria um logger com campos fixos (componente, contexto da requisição) que
+// compartilha o nível e a saída do logger raiz: mudar o nível da raiz vale para todos.
+// Os campos podem ser uma função, avaliada a cada entrada (ex: o usuário da requisição,
+// conhecido só depois da autenticação). Tudo passa por redact() antes de ser escrito.
+const { redact } = require('./redact');
+
+const LEVELS = { silent: -1, error: 0, warn: 1, info: 2, debug: 3 };
+const FORMATS = ['json', 'pretty'];
+
+class Logger {
+    constructor({ service = null, level = 'info', format = 'json', output = process.stdout, parent = null, bindings = {} } = {}) {
+        this.parent = parent;
+        this.bindings = bindings;
+
+        if (!parent) {
+            this.service = service;
+            this.output = output;
+            this.setLevel(level);
+            if (!FORMATS.includes(format)) {
+                throw new Error(`Formato de log desconhecido: ${format} (use ${FORMATS.join(', ')})`);
+            }
+            this.format = format;
+        }
+    }
+
+    get root() {
+        return this.parent ? this.parent.root : this;
+    }
+
+    get level() {
+        return this.root.currentLevel;
+    }
+
+    setLevel(level) {
+        if (!Object.prototype.hasOwnProperty.call(LEVELS, level)) {
+            throw new Error(`Nível de log desconhecido: ${level} (use ${Object.keys(LEVELS).join(', ')})`);
+        }
+        this.root.currentLevel = level;
+    }
+
+    isEnabled(level) {
+        return LEVELS[level] <= LEVELS[this.level];
+    }
+
+    child(bindings) {
+        return new Logger({ parent: this, bindings });
+    }
+
+    error(msg, fields) {
+        this.write('error', msg, fields);
+    }
+
+    warn(msg, fields) {
+        this.write('warn', msg, fields);
+    }
+
+    info(msg, fields) {
+        this.write('info', msg, fields);
+    }
+
+    debug(msg, fields) {
+        this.write('debug', msg, fields);
+    }
+
+    // Campos fixos da raiz até este logger (os mais próximos prevalecem)
+    context() {
+        const own = typeof this.bindings === 'function' ? this.bindings() : this.bindings;
+        return { ...(this.parent ? this.parent.context() : {}), ...own };
+    }
+
+    write(level, msg, fields) {
+        if (!this.isEnabled(level)) return;
+
+        const root = this.root;
+        const extra = fields instanceof Error ? { error: fields } : fields;
+        const base = { time: new Date().toISOString(), level, service: root.service || undefined, msg };
+        // Os campos da entrada não sobrescrevem time, level, service e msg
+        const entry = redact({ ...base, ...this.context(), ...extra, ...base });
+
+        // Sem stack fora do nível error: o erro já aparece pela mensagem
+        if (level !== 'error' && entry.error && typeof entry.error === 'object') {
+            delete entry.error.stack;
+        }
+
+        try {
+            root.output.write(`${root.format === 'pretty' ? pretty(entry) : JSON.stringify(entry)}\n`);
+        } catch (error) {
+            // Log nunca derruba a requisição
+        }
+    }
+}
+
+function pretty(entry) {
+    const { time, level, service, msg, component, ...fields } = entry;
+    const source = [service, component].filter(Boolean).join('/');
+    const details = Object.entries(fields)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+        .join(' ');
+    return `${time.slice(11, 23)} ${level.toUpperCase().padEnd(5)} ${source ? `[${source}] ` : ''}${msg}${details ? ` ${details}` : ''}`;
+}
+
+Logger.LEVELS = LEVELS;
+Logger.FORMATS = FORMATS;
+
+module.exports = Logger;
@@ -0,0 +1,126 @@
+// shared/logging/index.js
+// Log estruturado compartilhado pelo gateway, pelos serviços e pelos módulos de shared/.
+//
+// Há um logger raiz por processo. O processo o identifica ao iniciar
+// (configure('list-service')) e os módulos pegam um filho com o próprio nome:
+//   const log = require('../shared/logging').child({ component: 'registry' });
+// Nas requisições, req.log (middleware) acrescenta requestId, traceId, spanId e userId.
+//
+// LOG_LEVEL (error, warn, info, debug; padrão info) e LOG_FORMAT (json ou pretty) valem
+// na partida; o nível pode ser trocado em execução por GET/PUT /admin/log-level.
+const crypto = require('crypto');
+const path = require('path');
+const Logger = require('./Logger');
+const { redact, REDACTED } = require('./redact');
+
+const ADMIN_TOKEN_HEADER = 'x-admin-token';
+
+// Até o configure(): SERVICE_NAME ou a pasta do script principal (api-gateway, list-service...),
+// para que os logs feitos durante os require também digam de onde vieram
+const root = new Logger({
+    service: process.env.SERVICE_NAME || (require.main ? path.basename(path.dirname(require.main.filename)) : null),
+    level: process.env.LOG_LEVEL || 'info',
+    format: process.env.LOG_FORMAT || 'json'
+});
+
+function configure(service, { level, format, output } = {}) {
+    root.service = service;
+    if (level) root.setLevel(level);
+    if (format) root.format = format;
+    if (output) root.output = output;
+    return root;
+}
+
+function child(bindings) {
+    return root.child(bindings);
+}
+
+// Logger da requisição: os campos são lidos a cada entrada (req.user aparece depois da autenticação)
+function forRequest(req) {
+    return root.child(() => ({
+        requestId: req.id,
+        traceId: req.span ? req.span.traceId : undefined,
+        spanId: req.span ? req.span.spanId : undefined,
+        userId: req.user ? req.user.id : undefined
+    }));
+}
+
+// req.log e uma entrada por requisição concluída (no lugar do morgan): warn para 4xx,
+// error para 5xx. `skip(req)` omite a entrada, ex: consultas periódicas do gateway.
+function middleware({ skip } = {}) {
+    return (req, res, next) => {
+        const startedAt = process.hrtime.bigint();
+        req.log = forRequest(req);
+
+        res.once('close', () => {
+            if (skip && skip(req, res)) return;
+
+            const status = res.statusCode;
+            const level = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+            req.log[level](`${req.method} ${req.originalUrl} ${status}`, {
+                method: req.method,
+                url: req.originalUrl,
+                status,
+                durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e4) / 100,
+                contentLength: res.getHeader('content-length'),
+                ip: req.ip,
+                userAgent: req.headers['user-agent'],
+                aborted: res.writableFinished ? undefined : true
+            });
+        });
+        next();
+    };
+}
+
+function tokenMatches(received, expected) {
+    if (!expected) return false;
+    const a = Buffer.from(String(received || ''));
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// GET: nível atual. PUT { "level": "debug" }: muda o nível do processo sem reiniciar.
+// O PUT exige o header X-Admin-Token igual a LOG_ADMIN_TOKEN ou, onde houver,
+// `isAdmin(req)` verdadeiro (no gateway, o token de um usuário admin). Sem nenhum
+// dos dois o PUT é recusado: LOG_ADMIN_TOKEN vazio não abre o endpoint.
+function levelEndpoint({ isAdmin = () => false } = {}) {
+    return (req, res) => {
+        if (req.method === 'PUT') {
+            if (!tokenMatches(req.headers[ADMIN_TOKEN_HEADER], process.env.LOG_ADMIN_TOKEN) && !isAdmin(req)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Alterar o nível de log exige X-Admin-Token (LOG_ADMIN_TOKEN) ou um administrador'
+                });
+            }
+
+            const previous = root.level;
+            const level = req.body && req.body.level;
+            try {
+                root.setLevel(level);
+            } catch (error) {
+                return res.status(400).json({ success: false, message: error.message });
+            }
+            (req.log || root).warn('Nível de log alterado', { from: previous, to: level });
+        }
+
+        res.json({
+            success: true,
+            service: root.service,
+            level: root.level,
+            levels: Object.keys(Logger.LEVELS)
+        });
+    };
+}
+
+module.exports = {
+    ADMIN_TOKEN_HEADER,
+    REDACTED,
+    root,
+    configure,
+    child,
+    forRequest,
+    middleware,
+    levelEndpoint,
+    redact,
+    Logger
+};
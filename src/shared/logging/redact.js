@@ -0,0 +1,69 @@
+// shared/logging/redact.js
+// Remove segredos dos campos antes de irem para o log: valores de chaves sensíveis
+// (Authorization, password, token, cookies, X-User-Identity...) e tokens Bearer/JWT
+// que aparecem dentro de textos (URLs, mensagens de erro).
+const REDACTED = '[REDACTED]';
+
+const SENSITIVE_KEY = /^(authorization|proxy-authorization|cookie|set-cookie|x-user-identity|x-admin-token|password|passwd|newpassword|currentpassword|token|accesstoken|access_token|refreshtoken|refresh_token|secret|clientsecret|client_secret|apikey|api_key|api-key)$/i;
+const BEARER = /\b(Bearer|Basic)\s+[\w.~+/=-]+/gi;
+const JWT = /\beyJ[\w-]+\.[\w-]+\.[\w-]+/g;
+// ?token=...&password=... em URLs
+const QUERY_SECRET = /([?&](?:token|access_token|password|secret|api_key|apikey)=)[^&#\s]*/gi;
+
+const MAX_DEPTH = 6;
+
+function redactString(value) {
+    return value
+        .replace(BEARER, `$1 ${REDACTED}`)
+        .replace(JWT, REDACTED)
+        .replace(QUERY_SECRET, `$1${REDACTED}`);
+}
+
+// Erros viram objetos simples; erros do axios não levam a config (com os headers da chamada)
+function serializeError(error) {
+    const serialized = { name: error.name, message: error.message };
+    if (error.code) serialized.code = error.code;
+    if (error.response && error.response.status) serialized.status = error.response.status;
+    if (error.config && error.config.url) serialized.url = error.config.url;
+    if (error.stack) serialized.stack = error.stack;
+    return serialized;
+}
+
+// Cópia de `value` sem segredos (referências circulares e objetos muito fundos são cortados)
+function redact(value, depth = 0, seen = new WeakSet()) {
+    if (typeof value === 'string') return redactString(value);
+    if (typeof value === 'bigint') return String(value);
+    if (value === null || typeof value !== 'object') return value;
+
+    if (seen.has(value)) return '[Circular]';
+    if (depth >= MAX_DEPTH) return '[...]';
+    seen.add(value);
+
+    let result;
+    if (value instanceof Error) {
+        result = redact(serializeError(value), depth, seen);
+    } else if (value instanceof Date) {
+        result = value.toISOString();
+    } else if (Buffer.isBuffer(value)) {
+        result = `[Buffer ${value.length} bytes]`;
+    } else if (Array.isArray(value)) {
+        result = value.map(item => redact(item, depth + 1, seen));
+    } else {
+        result = {};
+        Object.entries(value).forEach(([key, item]) => {
+            result[key] = SENSITIVE_KEY.test(key) && item !== undefined && item !== null && item !== ''
+                ? REDACTED
+                : redact(item, depth + 1, seen);
+        });
+    }
+
+    seen.delete(value);
+    return result;
+}
+
+module.exports = {
+    REDACTED,
+    redact,
+    redactString,
+    serializeError
+};
@@ -0,0 +1,43 @@
+// shared/openapi.js
+// Documento OpenAPI 3 de um serviço (openapi.json na pasta do serviço). O serviço o
+// serve em GET /openapi.json, para o gateway montar a especificação agregada, e gera
+// a partir dele a lista de endpoints de GET /, que assim não sai de sincronia.
+const METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'];
+
+// Cópia do documento com a versão do serviço em info.version
+function withVersion(spec, version) {
+    return { ...spec, info: { ...spec.info, version } };
+}
+
+// ['GET /items/:id - Buscar item', ...] na ordem do documento
+function endpoints(spec) {
+    return Object.entries(spec.paths || {}).flatMap(([template, operations]) => METHODS
+        .filter(method => operations[method])
+        .map(method => {
+            const route = `${method.toUpperCase()} ${toExpressPath(template)}`;
+            return operations[method].summary ? `${route} - ${operations[method].summary}` : route;
+        }));
+}
+
+// '/items/{id}' -> '/items/:id'
+function toExpressPath(template) {
+    return template.replace(/\{([^}]+)\}/g, ':$1');
+}
+
+// Rotas do app ('GET /items/:id', ver registry/routes.js) que não estão no documento
+// (fora a própria GET /openapi.json)
+function undocumented(spec, routes) {
+    const documented = new Set(Object.entries(spec.paths || {}).flatMap(([template, operations]) => METHODS
+        .filter(method => operations[method])
+        .map(method => `${method.toUpperCase()} ${toExpressPath(template)}`)));
+    documented.add('GET /openapi.json');
+    return routes.filter(route => !documented.has(route));
+}
+
+module.exports = {
+    METHODS,
+    withVersion,
+    endpoints,
+    toExpressPath,
+    undocumented
+};
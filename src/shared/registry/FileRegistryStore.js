@@ -0,0 +1,147 @@
+// shared/registry/FileRegistryStore.js
+// Registry em um arquivo JSON compartilhado pelos processos da mesma máquina
+// (modo padrão, sem servidor de registry).
+//
+// Cada escrita é read-modify-write sob um lock exclusivo (<arquivo>.lock, criado com
+// O_EXCL) e grava em um temporário renomeado por cima do arquivo, para que dois
+// serviços subindo ao mesmo tempo não percam o registro um do outro nem deixem o
+// arquivo pela metade para quem está lendo.
+const fs = require('fs');
+const path = require('path');
+const RegistryState = require('./RegistryState');
+const log = require('../logging').child({ component: 'registry' });
+
+const LOCK_TIMEOUT = 2000;
+// Lock mais velho que isso foi deixado por um processo que morreu no meio da escrita
+const STALE_LOCK = 5000;
+
+// Espera síncrona: a API do registry em modo arquivo é síncrona
+function sleep(ms) {
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+class FileRegistryStore {
+    constructor(registryFile) {
+        this.type = 'file';
+        this.registryFile = registryFile;
+        this.lockFile = `${registryFile}.lock`;
+
+        if (!fs.existsSync(this.registryFile)) {
+            this.update(() => {});
+        }
+    }
+
+    read() {
+        try {
+            return new RegistryState(JSON.parse(fs.readFileSync(this.registryFile, 'utf8')));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                log.error('Erro ao ler o arquivo do registry', { file: this.registryFile, error: error.message });
+            }
+            return new RegistryState();
+        }
+    }
+
+    write(state) {
+        const tempPath = `${this.registryFile}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(state, null, 2));
+        fs.renameSync(tempPath, this.registryFile);
+    }
+
+    // Executa `mutate(state)` com o arquivo travado e grava o resultado.
+    // Instâncias expiradas são removidas na mesma escrita.
+    update(mutate) {
+        this.lock();
+        try {
+            const state = this.read();
+            state.evictExpired();
+            const result = mutate(state);
+            this.write(state);
+            return result;
+        } catch (error) {
+            log.error('Erro ao gravar o arquivo do registry', { file: this.registryFile, error: error.message });
+            return undefined;
+        } finally {
+            this.unlock();
+        }
+    }
+
+    lock() {
+        const deadline = Date.now() + LOCK_TIMEOUT;
+
+        for (;;) {
+            try {
+                fs.closeSync(fs.openSync(this.lockFile, 'wx'));
+                return;
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+            }
+
+            try {
+                if (Date.now() - fs.statSync(this.lockFile).mtimeMs > STALE_LOCK) {
+                    fs.unlinkSync(this.lockFile);
+                    continue;
+                }
+            } catch (error) {
+                // Lock liberado entre o openSync e o statSync
+                continue;
+            }
+
+            if (Date.now() > deadline) {
+                throw new Error(`Timeout esperando o lock do registry (${this.lockFile})`);
+            }
+            sleep(10);
+        }
+    }
+
+    unlock() {
+        try {
+            fs.unlinkSync(this.lockFile);
+        } catch (error) {
+            // Já removido como lock abandonado
+        }
+    }
+
+    // Estado atual sem as instâncias expiradas
+    snapshot() {
+        const state = this.read();
+        if (state.expired().length > 0) {
+            // A remoção relê o arquivo sob o lock: outro processo pode ter escrito nesse meio tempo
+            return this.update(current => current) || state;
+        }
+        return state;
+    }
+
+    register(serviceName, instance) {
+        return this.update(state => state.register(serviceName, instance));
+    }
+
+    heartbeat(serviceName, instanceId) {
+        return this.update(state => state.heartbeat(serviceName, instanceId));
+    }
+
+    unregister(serviceName, instanceId) {
+        return Boolean(this.update(state => state.unregister(serviceName, instanceId)));
+    }
+
+    updateHealth(serviceName, healthy, instanceId) {
+        return Boolean(this.update(state => state.updateHealth(serviceName, healthy, instanceId)));
+    }
+
+    removeByPid(pid, hostname) {
+        return this.update(state => state.removeByPid(pid, hostname)) || [];
+    }
+
+    clear() {
+        this.update(state => {
+            state.services = {};
+            state.evictions = [];
+        });
+    }
+
+    close() {}
+}
+
+FileRegistryStore.defaultFile = path.join(__dirname, '..', 'services-registry.json');
+
+module.exports = FileRegistryStore;
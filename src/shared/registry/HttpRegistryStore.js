@@ -0,0 +1,128 @@
+// shared/registry/HttpRegistryStore.js
+// Cliente do servidor de registry (registry-server/), usado quando REGISTRY_URL
+// está definida.
+//
+// As leituras são síncronas como no modo arquivo: o cliente mantém uma cópia do
+// registry atualizada por consultas bloqueantes (GET /watch?index=N), que o servidor
+// responde assim que algo muda. As escritas vão para o servidor e retornam Promises.
+const axios = require('axios');
+const RegistryState = require('./RegistryState');
+const log = require('../logging').child({ component: 'registry' });
+
+const WATCH_TIMEOUT = 30000;
+const RETRY_DELAY = 2000;
+
+class HttpRegistryStore {
+    constructor(baseUrl) {
+        this.type = 'http';
+        this.url = baseUrl.replace(/\/+$/, '');
+        this.state = new RegistryState();
+        this.index = 0;
+        this.watching = false;
+        this.closed = false;
+        this.failures = 0;
+        this.abort = new AbortController();
+    }
+
+    // Cópia local; a primeira leitura inicia o watch
+    snapshot() {
+        this.watch();
+        return this.state;
+    }
+
+    watch() {
+        if (this.watching || this.closed) return;
+        this.watching = true;
+        this.watchLoop();
+    }
+
+    async watchLoop() {
+        while (!this.closed) {
+            try {
+                const { data } = await axios.get(`${this.url}/watch`, {
+                    params: { index: this.index, timeout: WATCH_TIMEOUT },
+                    timeout: WATCH_TIMEOUT + 5000,
+                    signal: this.abort.signal
+                });
+                this.apply(data);
+
+                if (this.failures > 0) {
+                    log.info('Registry disponível novamente', { url: this.url });
+                }
+                this.failures = 0;
+            } catch (error) {
+                if (this.closed) return;
+                if (this.failures++ === 0) {
+                    log.error('Registry indisponível', { url: this.url, error: error.message });
+                }
+                await new Promise(resolve => setTimeout(resolve, RETRY_DELAY).unref());
+            }
+        }
+    }
+
+    apply(data) {
+        this.index = data.index;
+        this.state = new RegistryState({ services: data.services, evictions: data.evictions });
+    }
+
+    // Resposta 404 vira null (instância ou serviço não registrado)
+    async call(method, path, data) {
+        try {
+            const response = await axios({
+                method,
+                url: `${this.url}${path}`,
+                data,
+                timeout: 5000
+            });
+            return response.data;
+        } catch (error) {
+            if (error.response && error.response.status === 404) return null;
+            throw error;
+        }
+    }
+
+    instancePath(serviceName, instanceId) {
+        return `/services/${encodeURIComponent(serviceName)}/instances/${encodeURIComponent(instanceId)}`;
+    }
+
+    async register(serviceName, instance) {
+        this.watch();
+        const result = await this.call('post', `/services/${encodeURIComponent(serviceName)}/instances`, instance);
+        return result.instance;
+    }
+
+    async heartbeat(serviceName, instanceId) {
+        const result = await this.call('put', `${this.instancePath(serviceName, instanceId)}/heartbeat`);
+        return result && result.instance;
+    }
+
+    async unregister(serviceName, instanceId) {
+        const path = instanceId
+            ? this.instancePath(serviceName, instanceId)
+            : `/services/${encodeURIComponent(serviceName)}`;
+        return Boolean(await this.call('delete', path));
+    }
+
+    async updateHealth(serviceName, healthy, instanceId) {
+        const path = instanceId
+            ? `${this.instancePath(serviceName, instanceId)}/health`
+            : `/services/${encodeURIComponent(serviceName)}/health`;
+        return Boolean(await this.call('put', path, { healthy }));
+    }
+
+    async removeByPid(pid, hostname) {
+        const result = await this.call('delete', '/instances', { pid, hostname });
+        return result ? result.removed : [];
+    }
+
+    async clear() {
+        await this.call('delete', '/services');
+    }
+
+    close() {
+        this.closed = true;
+        this.abort.abort();
+    }
+}
+
+module.exports = HttpRegistryStore;
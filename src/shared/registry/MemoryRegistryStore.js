@@ -0,0 +1,79 @@
+// shared/registry/MemoryRegistryStore.js
+// Registry em memória, usado pelo servidor de registry (registry-server/).
+//
+// Cada mudança incrementa `index` e emite 'change', o que permite ao servidor
+// responder consultas bloqueantes (GET /watch?index=N) assim que algo muda.
+// Instâncias expiradas são removidas a cada leitura e por sweep() periódico.
+const EventEmitter = require('events');
+const RegistryState = require('./RegistryState');
+
+class MemoryRegistryStore extends EventEmitter {
+    constructor() {
+        super();
+        this.type = 'memory';
+        this.state = new RegistryState();
+        this.index = 1;
+        this.setMaxListeners(0);
+    }
+
+    // Aplica `mutate(state)`; `changed(result)` diz se o estado mudou
+    update(mutate, changed = result => Boolean(result)) {
+        const evicted = this.state.evictExpired();
+        const result = mutate(this.state);
+
+        if (evicted.length > 0 || changed(result)) {
+            this.index++;
+            this.emit('change', this.index);
+        }
+        return result;
+    }
+
+    sweep() {
+        return this.update(() => false);
+    }
+
+    snapshot() {
+        this.sweep();
+        return this.state;
+    }
+
+    register(serviceName, instance) {
+        return this.update(state => state.register(serviceName, instance));
+    }
+
+    heartbeat(serviceName, instanceId) {
+        return this.update(state => state.heartbeat(serviceName, instanceId));
+    }
+
+    unregister(serviceName, instanceId) {
+        return this.update(state => state.unregister(serviceName, instanceId));
+    }
+
+    updateHealth(serviceName, healthy, instanceId) {
+        // Só conta como mudança se o status mudou: health checks frequentes não acordam os watchers
+        const before = state => state.instances(serviceName).map(instance => instance.healthy).join();
+        const previous = before(this.state);
+        return this.update(
+            state => state.updateHealth(serviceName, healthy, instanceId),
+            () => before(this.state) !== previous
+        );
+    }
+
+    removeByPid(pid, hostname) {
+        return this.update(state => state.removeByPid(pid, hostname), removed => removed.length > 0);
+    }
+
+    clear() {
+        this.update(state => {
+            state.services = {};
+            state.evictions = [];
+            return true;
+        });
+    }
+
+    close() {
+        this.removeAllListeners();
+    }
+}
+
+module.exports = MemoryRegistryStore;
@@ -0,0 +1,209 @@
+// shared/registry/RegistryState.js
+// Estado do service registry e as regras que valem em qualquer modo (arquivo
+// compartilhado ou servidor de registry):
+//
+//   { services: { serviceName: { instances: { instanceId: { id, url, ... } } } }, evictions: [...] }
+//
+// As operações alteram o estado em memória; quem guarda o estado (FileRegistryStore,
+// MemoryRegistryStore) cuida de persistir e de serializar as escritas.
+const os = require('os');
+const log = require('../logging').child({ component: 'registry' });
+
+const DEFAULT_TTL = parseInt(process.env.REGISTRY_TTL_MS) || 90000; // três heartbeats de 30s
+const MAX_EVICTIONS = 50;
+
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+class RegistryState {
+    // Aceita o formato atual ou o antigo ({ serviceName: { url, ... } }, uma URL por serviço)
+    constructor(data = {}) {
+        const current = data.services && !data.services.url;
+        this.services = current ? data.services : data;
+        this.evictions = current ? (data.evictions || []) : [];
+        this.normalize();
+    }
+
+    normalize() {
+        Object.keys(this.services).forEach(name => {
+            if (!this.services[name].instances) {
+                const instances = RegistryState.instancesOf(this.services[name]);
+                this.services[name] = { instances: Object.fromEntries(instances.map(instance => [instance.id, instance])) };
+            }
+        });
+    }
+
+    static instancesOf(entry) {
+        if (!entry) return [];
+        if (entry.instances) return Object.values(entry.instances);
+        return [{ id: `${entry.host}:${entry.port}`, ...entry }];
+    }
+
+    instances(serviceName) {
+        return RegistryState.instancesOf(this.services[serviceName]);
+    }
+
+    instance(serviceName, instanceId) {
+        const entry = this.services[serviceName];
+        return (entry && entry.instances[instanceId]) || null;
+    }
+
+    // `instance` vem pronto de quem registra (ServiceRegistry.register)
+    register(serviceName, instance) {
+        const now = Date.now();
+        const ttl = instance.ttl || DEFAULT_TTL;
+        const registered = {
+            registeredAt: now,
+            lastHealthCheck: now,
+            healthy: true,
+            ...instance,
+            lastHeartbeat: now,
+            ttl,
+            expiresAt: now + ttl
+        };
+
+        this.services[serviceName] = this.services[serviceName] || { instances: {} };
+        this.services[serviceName].instances[registered.id] = registered;
+        return registered;
+    }
+
+    // Renova o lease. Retorna a instância ou null se ela não está registrada.
+    heartbeat(serviceName, instanceId) {
+        const instance = this.instance(serviceName, instanceId);
+        if (!instance) return null;
+
+        const now = Date.now();
+        instance.lastHeartbeat = now;
+        instance.expiresAt = now + (instance.ttl || DEFAULT_TTL);
+        return instance;
+    }
+
+    // Sem instanceId remove todas as instâncias do serviço
+    unregister(serviceName, instanceId) {
+        const entry = this.services[serviceName];
+        if (!entry) return false;
+
+        if (instanceId) {
+            if (!entry.instances[instanceId]) return false;
+            delete entry.instances[instanceId];
+        } else {
+            entry.instances = {};
+        }
+
+        this.dropEmpty(serviceName);
+        return true;
+    }
+
+    // Sem instanceId vale para todas as instâncias do serviço.
+    // Não renova o lease: isso é papel do heartbeat da própria instância.
+    updateHealth(serviceName, healthy, instanceId) {
+        const instances = instanceId
+            ? [this.instance(serviceName, instanceId)].filter(Boolean)
+            : this.instances(serviceName);
+
+        instances.forEach(instance => {
+            instance.healthy = healthy;
+            instance.lastHealthCheck = Date.now();
+        });
+        return instances.length > 0;
+    }
+
+    // Instâncias de um processo da máquina `hostname` (cleanup na saída do processo)
+    removeByPid(pid, hostname = os.hostname()) {
+        const removed = [];
+
+        Object.entries(this.services).forEach(([serviceName, entry]) => {
+            Object.values(entry.instances).forEach(instance => {
+                if (instance.pid === pid && (instance.hostname || os.hostname()) === hostname) {
+                    delete entry.instances[instance.id];
+                    removed.push({ serviceName, instanceId: instance.id });
+                }
+            });
+            this.dropEmpty(serviceName);
+        });
+
+        return removed;
+    }
+
+    // Instâncias cujo lease expirou ou, quando rodam nesta máquina, cujo processo
+    // não existe mais (kill -9, crash): [{ serviceName, instance, reason }]
+    expired() {
+        const now = Date.now();
+        const expired = [];
+
+        Object.entries(this.services).forEach(([serviceName, entry]) => {
+            Object.values(entry.instances).forEach(instance => {
+                const local = this.isLocal(instance) && instance.pid && instance.pid !== process.pid;
+
+                if (RegistryState.expiresAt(instance) < now) {
+                    expired.push({ serviceName, instance, reason: 'ttl-expired' });
+                } else if (local && !isProcessAlive(instance.pid)) {
+                    expired.push({ serviceName, instance, reason: 'process-dead' });
+                }
+            });
+        });
+
+        return expired;
+    }
+
+    // Remove as instâncias expiradas e retorna os eventos de remoção
+    evictExpired() {
+        const at = new Date().toISOString();
+
+        const events = this.expired().map(({ serviceName, instance, reason }) => {
+            delete this.services[serviceName].instances[instance.id];
+            this.dropEmpty(serviceName);
+            log.warn('Instância removida do registry', { serviceName, instanceId: instance.id, reason, pid: instance.pid });
+
+            return {
+                type: 'evicted',
+                service: serviceName,
+                instanceId: instance.id,
+                url: instance.url,
+                pid: instance.pid,
+                reason,
+                lastHeartbeat: new Date(instance.lastHeartbeat || instance.registeredAt).toISOString(),
+                at,
+                by: process.pid
+            };
+        });
+
+        if (events.length > 0) {
+            this.evictions = [...this.evictions, ...events].slice(-MAX_EVICTIONS);
+        }
+        return events;
+    }
+
+    // Entradas antigas não têm expiresAt: o lease conta a partir do último sinal de vida
+    static expiresAt(instance) {
+        if (instance.expiresAt) return instance.expiresAt;
+        return (instance.lastHeartbeat || instance.lastHealthCheck || instance.registeredAt || 0) + DEFAULT_TTL;
+    }
+
+    isLocal(instance) {
+        return instance.hostname
+            ? instance.hostname === os.hostname()
+            : ['localhost', '127.0.0.1'].includes(instance.host);
+    }
+
+    dropEmpty(serviceName) {
+        const entry = this.services[serviceName];
+        if (entry && Object.keys(entry.instances).length === 0) {
+            delete this.services[serviceName];
+        }
+    }
+
+    toJSON() {
+        return { services: this.services, evictions: this.evictions };
+    }
+}
+
+RegistryState.DEFAULT_TTL = DEFAULT_TTL;
+
+module.exports = RegistryState;
@@ -0,0 +1,403 @@
+// shared/registry/ServiceRegistry.js
+// API do service registry usada pelos serviços e pelo gateway (ver shared/serviceRegistry.js).
+//
+// O estado fica em um store com a mesma interface nos dois modos:
+//   snapshot()                                 -> RegistryState sem as instâncias expiradas
+//   register(serviceName, instance)            -> instância registrada
+//   heartbeat(serviceName, instanceId)         -> instância ou null se não registrada
+//   unregister(serviceName, instanceId?)       -> boolean
+//   updateHealth(serviceName, healthy, id?)    -> boolean
+//   removeByPid(pid, hostname)                 -> [{ serviceName, instanceId }]
+//   clear(), close()
+// FileRegistryStore responde na hora; HttpRegistryStore responde às escritas com
+// Promises. Por isso register/heartbeat/unregister/updateHealth/cleanup retornam o
+// valor direto no modo arquivo e uma Promise no modo servidor (`await` serve nos dois).
+//
+// Escolha da instância (estratégias de balanceamento) e contagem de requisições em
+// andamento são locais a cada processo.
+const os = require('os');
+const RegistryState = require('./RegistryState');
+const { parseTags, hasSelector, matchesSelector, describeSelector } = require('./selectors');
+const log = require('../logging').child({ component: 'registry' });
+
+const STRATEGIES = ['round-robin', 'least-outstanding', 'random'];
+
+class ServiceRegistry {
+    constructor(store) {
+        this.store = store;
+        this.defaultStrategy = process.env.LB_STRATEGY || 'round-robin';
+        this.requireStrategy(this.defaultStrategy);
+        this.strategies = new Map();
+        this.roundRobin = new Map();
+        this.outstanding = new Map();
+        // Instâncias registradas por este processo (serviceName -> { instanceId, host, port, options }),
+        // para renovar o lease e registrar de novo se a instância tiver sido removida
+        this.localInstances = new Map();
+    }
+
+    // Aplica `onValue` ao resultado do store, seja ele direto ou uma Promise.
+    // Falhas de comunicação com o servidor de registry são logadas e viram `fallback`.
+    settle(result, onValue, fallback) {
+        if (result && typeof result.then === 'function') {
+            return result.then(onValue, error => {
+                log.error('Erro ao acessar o registry', { store: this.store.type, error });
+                return fallback;
+            });
+        }
+        return onValue(result);
+    }
+
+    // Registrar uma instância de um serviço. Várias instâncias do mesmo serviço
+    // (ex: product-service nas portas 3003 e 3013) convivem no registry.
+    // Retorna o id da instância (padrão host:porta).
+    // options.instanceId: id da instância; options.ttl: duração do lease em ms
+    // options.version: versão do serviço (ex: '2.0.0'), usada pelos seletores de discover()
+    // options.tags: ['canary', 'region=local'] ou 'canary,region=local'
+    // options.routes: rotas expostas (ex: ['GET /items', 'POST /items'])
+    // options.protocol: 'http' (padrão) ou 'https'
+    // options.metadata: dados livres
+    register(serviceName, host, port, options = {}) {
+        const instanceId = options.instanceId || `${host}:${port}`;
+        const protocol = options.protocol || 'http';
+        const instance = {
+            id: instanceId,
+            url: `${protocol}://${host}:${port}`,
+            host,
+            port,
+            protocol,
+            version: options.version || null,
+            tags: parseTags(options.tags),
+            routes: options.routes || [],
+            metadata: options.metadata || {},
+            hostname: os.hostname(),
+            pid: process.pid,
+            ttl: options.ttl || RegistryState.DEFAULT_TTL
+        };
+
+        this.localInstances.set(serviceName, { instanceId, host, port, options });
+
+        this.settle(this.store.register(serviceName, instance), registered => {
+            if (!registered) return;
+            log.info('Serviço registrado', {
+                serviceName,
+                instanceId,
+                url: instance.url,
+                version: instance.version,
+                tags: instance.tags,
+                pid: process.pid,
+                store: this.store.type
+            });
+        });
+        return instanceId;
+    }
+
+    // Renova o lease da instância (padrão: a registrada por este processo).
+    // Se ela já tiver sido removida por expiração, registra de novo.
+    heartbeat(serviceName, instanceId) {
+        const local = this.localInstances.get(serviceName);
+        const target = instanceId || (local && local.instanceId);
+        if (!target) return false;
+
+        return this.settle(this.store.heartbeat(serviceName, target), instance => {
+            if (instance) return true;
+
+            if (local && local.instanceId === target) {
+                log.warn('Lease expirou; registrando novamente', { serviceName, instanceId: target });
+                this.register(serviceName, local.host, local.port, local.options);
+                return true;
+            }
+            return false;
+        }, false);
+    }
+
+    // Remoções recentes (mais nova primeiro)
+    getEvictions(limit = 20) {
+        return this.store.snapshot().evictions.slice(-limit).reverse();
+    }
+
+    // Descobrir uma instância saudável de um serviço.
+    // options.strategy: 'round-robin' (padrão), 'least-outstanding' ou 'random'
+    // options.version / options.tags / options.protocol: seletor (ver selectors.js), ex:
+    //   discover('product-service', { version: '^2', tags: ['canary'] })
+    // options.exclude: ids de instâncias a evitar (ex: a que já falhou ou já está atendendo)
+    discover(serviceName, options = {}) {
+        const state = this.store.snapshot();
+        const instances = state.instances(serviceName);
+        if (instances.length === 0) {
+            log.warn('Serviço não encontrado no registry', { serviceName, registered: Object.keys(state.services) });
+            throw new Error(`Serviço não encontrado: ${serviceName}`);
+        }
+
+        const selector = describeSelector(options);
+        const candidates = hasSelector(options)
+            ? instances.filter(instance => matchesSelector(instance, options))
+            : instances;
+        if (candidates.length === 0) {
+            log.warn('Nenhuma instância atende ao seletor', { serviceName, selector, versions: this.versionsOf(instances) });
+            throw new Error(`Nenhuma instância de ${serviceName} atende ao seletor (${selector})`);
+        }
+
+        const healthy = candidates.filter(instance => instance.healthy);
+        if (healthy.length === 0) {
+            log.warn('Nenhuma instância saudável', { serviceName, selector: selector || undefined, instances: candidates.length });
+            throw new Error(`Serviço indisponível: ${serviceName}`);
+        }
+
+        const available = options.exclude
+            ? healthy.filter(instance => !options.exclude.includes(instance.id))
+            : healthy;
+        if (available.length === 0) {
+            throw new Error(`Nenhuma outra instância saudável de ${serviceName}`);
+        }
+
+        const strategy = options.strategy || this.strategies.get(serviceName) || this.defaultStrategy;
+        // Contadores de round-robin separados por seletor: canary e estável alternam cada um entre as suas instâncias
+        const instance = this.pick(selector ? `${serviceName} (${selector})` : serviceName, available, strategy, serviceName);
+
+        log.debug('Instância escolhida', {
+            serviceName,
+            instanceId: instance.id,
+            url: instance.url,
+            strategy,
+            selector: selector || undefined,
+            healthy: healthy.length,
+            instances: instances.length
+        });
+        return { ...instance, outstanding: this.outstandingFor(serviceName, instance.id) };
+    }
+
+    // Estratégia padrão de balanceamento para um serviço
+    setStrategy(serviceName, strategy) {
+        this.requireStrategy(strategy);
+        this.strategies.set(serviceName, strategy);
+    }
+
+    requireStrategy(strategy) {
+        if (!STRATEGIES.includes(strategy)) {
+            throw new Error(`Estratégia de balanceamento desconhecida: ${strategy} (use ${STRATEGIES.join(', ')})`);
+        }
+    }
+
+    // `rotation` separa os contadores de round-robin; `serviceName` identifica as requisições em andamento
+    pick(rotation, instances, strategy, serviceName = rotation) {
+        this.requireStrategy(strategy);
+
+        // Ordem estável para o round-robin não pular instâncias quando o registry muda
+        const ordered = [...instances].sort((a, b) => a.id.localeCompare(b.id));
+
+        switch (strategy) {
+            case 'random':
+                return ordered[Math.floor(Math.random() * ordered.length)];
+            case 'least-outstanding': {
+                // Empate: a que está há mais tempo sem ser escolhida (via round-robin)
+                const min = Math.min(...ordered.map(instance => this.outstandingFor(serviceName, instance.id)));
+                const candidates = ordered.filter(instance => this.outstandingFor(serviceName, instance.id) === min);
+                return this.nextRoundRobin(rotation, candidates);
+            }
+            case 'round-robin':
+            default:
+                return this.nextRoundRobin(rotation, ordered);
+        }
+    }
+
+    nextRoundRobin(rotation, instances) {
+        const counter = this.roundRobin.get(rotation) || 0;
+        this.roundRobin.set(rotation, counter + 1);
+        return instances[counter % instances.length];
+    }
+
+    versionsOf(instances) {
+        return Array.from(new Set(instances.map(instance => instance.version).filter(Boolean))).sort();
+    }
+
+    // Requisições em andamento por instância, contadas por quem chama os serviços
+    // (o gateway). Usado pela estratégia least-outstanding. Retorna a função que
+    // encerra a contagem.
+    startRequest(serviceName, instanceId) {
+        const key = `${serviceName}/${instanceId}`;
+        this.outstanding.set(key, (this.outstanding.get(key) || 0) + 1);
+
+        let released = false;
+        return () => {
+            if (released) return;
+            released = true;
+            const remaining = (this.outstanding.get(key) || 1) - 1;
+            if (remaining > 0) {
+                this.outstanding.set(key, remaining);
+            } else {
+                this.outstanding.delete(key);
+            }
+        };
+    }
+
+    outstandingFor(serviceName, instanceId) {
+        return this.outstanding.get(`${serviceName}/${instanceId}`) || 0;
+    }
+
+    // Listar todos os serviços com suas instâncias.
+    // url/healthy no nível do serviço mantêm a visão antiga (primeira instância saudável).
+    listServices() {
+        const state = this.store.snapshot();
+        const serviceList = {};
+
+        Object.keys(state.services).forEach(name => {
+            const instances = state.instances(name).map(instance => ({
+                id: instance.id,
+                url: instance.url,
+                healthy: instance.healthy,
+                version: instance.version || null,
+                tags: instance.tags || [],
+                protocol: instance.protocol || 'http',
+                routes: instance.routes || [],
+                metadata: instance.metadata || {},
+                registeredAt: new Date(instance.registeredAt).toISOString(),
+                lastHealthCheck: new Date(instance.lastHealthCheck).toISOString(),
+                lastHeartbeat: new Date(instance.lastHeartbeat || instance.registeredAt).toISOString(),
+                leaseExpiresAt: new Date(RegistryState.expiresAt(instance)).toISOString(),
+                leaseRemaining: Math.max(0, RegistryState.expiresAt(instance) - Date.now()),
+                uptime: Date.now() - instance.registeredAt,
+                pid: instance.pid,
+                hostname: instance.hostname,
+                outstanding: this.outstandingFor(name, instance.id)
+            }));
+            const primary = instances.find(instance => instance.healthy) || instances[0];
+
+            serviceList[name] = {
+                url: primary ? primary.url : null,
+                healthy: instances.some(instance => instance.healthy),
+                strategy: this.strategies.get(name) || this.defaultStrategy,
+                versions: this.versionsOf(instances),
+                instanceCount: instances.length,
+                healthyInstances: instances.filter(instance => instance.healthy).length,
+                instances
+            };
+        });
+
+        return serviceList;
+    }
+
+    // Remover uma instância. Sem instanceId remove a instância registrada por este
+    // processo ou, se não houver, todas as instâncias do serviço.
+    unregister(serviceName, instanceId) {
+        const local = this.localInstances.get(serviceName);
+        const target = instanceId || (local && local.instanceId);
+        if (local && local.instanceId === target) {
+            this.localInstances.delete(serviceName);
+        }
+
+        return this.settle(this.store.unregister(serviceName, target), removed => {
+            if (removed) {
+                log.info('Serviço removido', { serviceName, instanceId: target });
+            }
+            return removed;
+        }, false);
+    }
+
+    // Health check de uma instância. Sem instanceId vale para a instância deste
+    // processo ou, se não houver, para todas as instâncias do serviço.
+    // Não renova o lease: isso é papel do heartbeat da própria instância.
+    updateHealth(serviceName, healthy, instanceId) {
+        const local = this.localInstances.get(serviceName);
+        const target = instanceId || (local && local.instanceId);
+
+        return this.settle(this.store.updateHealth(serviceName, healthy, target), updated => {
+            if (!updated) return;
+            log.debug('Health check', { serviceName, instanceId: target, healthy });
+        });
+    }
+
+    // Health check de todas as instâncias
+    async performHealthChecks() {
+        const axios = require('axios');
+        const state = this.store.snapshot();
+        const checks = [];
+
+        Object.keys(state.services).forEach(serviceName => {
+            state.instances(serviceName).forEach(instance => checks.push({ serviceName, instance }));
+        });
+
+        log.debug('Executando health checks', { instances: checks.length, services: Object.keys(state.services).length });
+
+        for (const { serviceName, instance } of checks) {
+            try {
+                await axios.get(`${instance.url}/health`, {
+                    timeout: 5000,
+                    family: 4
+                });
+                await this.updateHealth(serviceName, true, instance.id);
+            } catch (error) {
+                log.warn('Health check falhou', { serviceName, instanceId: instance.id, error: error.message });
+                await this.updateHealth(serviceName, false, instance.id);
+            }
+        }
+    }
+
+    // Debug: listar serviços registrados
+    debugListServices() {
+        const state = this.store.snapshot();
+        log.debug('Serviços registrados', {
+            store: this.store.type,
+            instances: Object.keys(state.services).flatMap(name => state.instances(name).map(instance => ({
+                serviceName: name,
+                instanceId: instance.id,
+                url: instance.url,
+                healthy: instance.healthy,
+                pid: instance.pid
+            })))
+        });
+    }
+
+    // Verificar se um serviço existe
+    hasService(serviceName) {
+        return this.store.snapshot().instances(serviceName).length > 0;
+    }
+
+    // Obter estatísticas (contadas por instância)
+    getStats() {
+        const state = this.store.snapshot();
+        let total = 0;
+        let healthy = 0;
+        let unhealthy = 0;
+
+        Object.keys(state.services).forEach(name => {
+            state.instances(name).forEach(instance => {
+                total++;
+                if (instance.healthy) {
+                    healthy++;
+                } else {
+                    unhealthy++;
+                }
+            });
+        });
+
+        return { services: Object.keys(state.services).length, total, healthy, unhealthy };
+    }
+
+    // Limpar registry (útil para desenvolvimento)
+    clear() {
+        return this.settle(this.store.clear(), () => log.info('Registry limpo'));
+    }
+
+    // Cleanup na saída do processo: remove as instâncias deste PID
+    cleanup() {
+        return this.settle(this.store.removeByPid(process.pid, os.hostname()), removed => {
+            (removed || []).forEach(({ serviceName, instanceId }) => {
+                log.info('Removendo serviço na saída do processo', { serviceName, instanceId, pid: process.pid });
+            });
+            this.localInstances.clear();
+        });
+    }
+
+    // Encerramento do processo: remove as instâncias deste PID e para de acompanhar o
+    // registry. Quem trata SIGTERM/SIGINT aguarda antes de sair.
+    async close() {
+        if (this.closed) return;
+        this.closed = true;
+        await this.cleanup();
+        this.store.close();
+    }
+}
+
+ServiceRegistry.STRATEGIES = STRATEGIES;
+
+module.exports = ServiceRegistry;
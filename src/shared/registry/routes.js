@@ -0,0 +1,15 @@
+// shared/registry/routes.js
+// Rotas expostas por um app Express, para registrar no service registry.
+
+// ['GET /items', 'POST /items', 'GET /items/:id', ...] na ordem em que foram declaradas
+function listRoutes(app) {
+    const stack = (app._router && app._router.stack) || [];
+
+    return stack
+        .filter(layer => layer.route)
+        .flatMap(layer => Object.keys(layer.route.methods)
+            .filter(method => method !== '_all')
+            .map(method => `${method.toUpperCase()} ${layer.route.path}`));
+}
+
+module.exports = { listRoutes };
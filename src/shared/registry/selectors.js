@@ -0,0 +1,118 @@
+// shared/registry/selectors.js
+// Seletores de instância usados por discover():
+//   { version: '^2', tags: ['canary', 'region=local'], protocol: 'http' }
+//
+// `version` aceita faixas no estilo do npm: '2.1.0', '2', '2.x', '^2', '~2.1',
+// '>=1.2.0 <2', '^1 || ^2' e '*'. Todas as `tags` precisam estar na instância.
+
+// '2.1' -> { parts: [2, 1, 0], given: 2 }; 'x' e '*' encerram a parte informada
+function parseVersion(text) {
+    const match = /^v?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-[\w.]+)?$/.exec(String(text).trim());
+    if (!match) return null;
+
+    const parts = [];
+    for (const part of match.slice(1, 4)) {
+        if (part === undefined || /^[xX*]$/.test(part)) break;
+        parts.push(Number(part));
+    }
+    return { parts: [...parts, 0, 0, 0].slice(0, 3), given: parts.length };
+}
+
+function compare(a, b) {
+    for (let i = 0; i < 3; i++) {
+        if (a[i] !== b[i]) return a[i] - b[i];
+    }
+    return 0;
+}
+
+// Limite superior exclusivo ao incrementar a parte `position`: [2, 1, 3] e 0 -> [3, 0, 0]
+function bump(parts, position) {
+    return parts.map((part, i) => (i < position ? part : i === position ? part + 1 : 0));
+}
+
+function matchesComparator(version, comparator) {
+    const [, operator = '', rest] = /^(\^|~|>=|<=|>|<|=)?(.*)$/.exec(comparator);
+    const range = parseVersion(rest);
+    if (!range) {
+        throw new Error(`Faixa de versão inválida: ${comparator}`);
+    }
+    const { parts, given } = range;
+
+    switch (operator) {
+        case '^': {
+            // Primeira parte diferente de zero fixa a faixa: ^1.2 -> <2.0.0, ^0.2 -> <0.3.0
+            const fixed = parts.findIndex((part, i) => part !== 0 || i === given - 1);
+            const position = fixed === -1 ? 0 : Math.min(fixed, Math.max(given - 1, 0));
+            return compare(version, parts) >= 0 && compare(version, bump(parts, position)) < 0;
+        }
+        case '~':
+            return compare(version, parts) >= 0 && compare(version, bump(parts, given > 1 ? 1 : 0)) < 0;
+        case '>=':
+            return compare(version, parts) >= 0;
+        case '>':
+            return given < 3
+                ? compare(version, bump(parts, Math.max(given - 1, 0))) >= 0
+                : compare(version, parts) > 0;
+        case '<=':
+            return given < 3 && given > 0
+                ? compare(version, bump(parts, given - 1)) < 0
+                : compare(version, parts) <= 0;
+        case '<':
+            return compare(version, parts) < 0;
+        default:
+            // Versão parcial: '2' e '2.x' aceitam qualquer 2.y.z
+            return parts.slice(0, given).every((part, i) => version[i] === part);
+    }
+}
+
+function satisfies(version, range) {
+    if (range === undefined || range === null || String(range).trim() === '' || String(range).trim() === '*') {
+        return true;
+    }
+
+    const parsed = version && parseVersion(version);
+    if (!parsed || parsed.given === 0) return false;
+
+    return String(range).split('||').some(alternative => alternative
+        .trim()
+        .replace(/(\^|~|>=|<=|>|<|=)\s+/g, '$1')
+        .split(/\s+/)
+        .every(comparator => matchesComparator(parsed.parts, comparator)));
+}
+
+// Tags em texto ('canary,region=local', como em SERVICE_TAGS) ou lista
+function parseTags(tags) {
+    if (!tags) return [];
+    const list = Array.isArray(tags) ? tags : String(tags).split(',');
+    return list.map(tag => String(tag).trim()).filter(Boolean);
+}
+
+function hasSelector(selector = {}) {
+    return Boolean(selector.version || parseTags(selector.tags).length > 0 || selector.protocol);
+}
+
+function matchesSelector(instance, selector = {}) {
+    if (!satisfies(instance.version, selector.version)) return false;
+
+    const instanceTags = parseTags(instance.tags);
+    if (!parseTags(selector.tags).every(tag => instanceTags.includes(tag))) return false;
+
+    return !selector.protocol || (instance.protocol || 'http') === selector.protocol;
+}
+
+// Descrição curta para logs e mensagens: "version ^2, tags canary"
+function describeSelector(selector = {}) {
+    const parts = [];
+    if (selector.version) parts.push(`version ${selector.version}`);
+    if (parseTags(selector.tags).length > 0) parts.push(`tags ${parseTags(selector.tags).join(',')}`);
+    if (selector.protocol) parts.push(`protocol ${selector.protocol}`);
+    return parts.join(', ');
+}
+
+module.exports = {
+    satisfies,
+    parseTags,
+    hasSelector,
+    matchesSelector,
+    describeSelector
+};
@@ -0,0 +1,97 @@
+// shared/schemas/items.js
+// Schema e migrações da coleção de itens do product-service.
+// Usado pelo serviço (validação em create/update e migração ao iniciar)
+// e por scripts/migrate-collection.js.
+
+// "Grãos & Cereais" -> "graos-cereais"
+function slugify(text) {
+    return String(text)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+// Aceita a categoria como texto ("Alimentos") ou objeto ({ name, slug? })
+// e devolve sempre { name, slug }
+function normalizeCategory(category) {
+    if (category && typeof category === 'object' && category.name) {
+        return {
+            ...category,
+            name: String(category.name).trim(),
+            slug: category.slug ? slugify(category.slug) : slugify(category.name)
+        };
+    }
+    if (typeof category === 'string' && category.trim()) {
+        return { name: category.trim(), slug: slugify(category) };
+    }
+    return { name: 'Geral', slug: 'geral' };
+}
+
+const timestamp = { type: 'string', format: 'date-time' };
+const stringList = { type: 'array', items: { type: 'string' } };
+
+const schema = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    title: 'Item do catálogo',
+    type: 'object',
+    required: ['id', 'name', 'price', 'category', 'active'],
+    properties: {
+        id: { type: 'string', minLength: 1 },
+        name: { type: 'string', minLength: 1, maxLength: 200 },
+        description: { type: 'string' },
+        price: { type: 'number', minimum: 0 },
+        averagePrice: false, // substituído por price na migração 1
+        stock: { type: 'integer', minimum: 0 },
+        category: {
+            type: 'object',
+            required: ['name', 'slug'],
+            properties: {
+                name: { type: 'string', minLength: 1 },
+                slug: { type: 'string', pattern: '^[a-z0-9]+(-[a-z0-9]+)*$' }
+            }
+        },
+        brand: { type: 'string' },
+        unit: { type: 'string' },
+        barcode: { type: 'string' },
+        images: stringList,
+        tags: stringList,
+        specifications: { type: 'object' },
+        active: { type: 'boolean' },
+        featured: { type: 'boolean' },
+        metadata: { type: 'object' },
+        schemaVersion: { type: 'integer', minimum: 0 },
+        createdAt: timestamp,
+        updatedAt: timestamp
+    }
+};
+
+const migrations = [
+    {
+        version: 1,
+        name: 'normalize-category-price',
+        // Itens antigos (src/database/items.json) têm category em texto e averagePrice
+        up(item) {
+            item.category = normalizeCategory(item.category);
+
+            if (item.price === undefined && item.averagePrice !== undefined) {
+                item.price = item.averagePrice;
+            }
+            delete item.averagePrice;
+
+            if (typeof item.price === 'string' && item.price.trim() !== '' && !Number.isNaN(Number(item.price))) {
+                item.price = Number(item.price);
+            }
+
+            return item;
+        }
+    }
+];
+
+module.exports = {
+    schema,
+    migrations,
+    normalizeCategory,
+    slugify
+};
@@ -1,220 +1,36 @@
-// shared/serviceRegistry.js - VERSÃO COM ARQUIVO COMPARTILHADO
-const fs = require('fs');
-const path = require('path');
-
-class FileBasedServiceRegistry {
-    constructor() {
-        this.registryFile = path.join(__dirname, 'services-registry.json');
-        this.ensureRegistryFile();
-        console.log('File-based Service Registry inicializado:', this.registryFile);
-    }
-
-    ensureRegistryFile() {
-        if (!fs.existsSync(this.registryFile)) {
-            this.writeRegistry({});
-        }
-    }
-
-    readRegistry() {
-        try {
-            const data = fs.readFileSync(this.registryFile, 'utf8');
-            return JSON.parse(data);
-        } catch (error) {
-            console.error('Erro ao ler registry file:', error.message);
-            return {};
-        }
-    }
-
-    writeRegistry(services) {
-        try {
-            fs.writeFileSync(this.registryFile, JSON.stringify(services, null, 2));
-        } catch (error) {
-            console.error('Erro ao escrever registry file:', error.message);
-        }
-    }
-
-    // Registrar um serviço
-    register(serviceName, host, port) {
-        const services = this.readRegistry();
-        
-        const serviceInfo = {
-            url: `http://${host}:${port}`,
-            host,
-            port,
-            registeredAt: Date.now(),
-            lastHealthCheck: Date.now(),
-            healthy: true,
-            pid: process.pid
-        };
-        
-        services[serviceName] = serviceInfo;
-        
-        this.writeRegistry(services);
-        console.log(`Serviço registrado: ${serviceName} - ${serviceInfo.url} (PID: ${process.pid})`);
-        console.log(`Total de serviços: ${Object.keys(services).length}`);
-    }
-
-    // Descobrir um serviço
-    discover(serviceName) {
-        // FORÇAR RELOAD DO REGISTRY - FIX TEMPORÁRIO
-        this.services = null;
-        
-        const services = this.readRegistry();
-        console.log(`Procurando serviço: ${serviceName}`);
-        console.log(`Serviços disponíveis: ${Object.keys(services).join(', ')}`);
-        console.log(`Registry completo:`, JSON.stringify(services, null, 2));
-        
-        const service = services[serviceName];
-        if (!service) {
-            console.error(`Serviço não encontrado: ${serviceName}`);
-            console.error(`Serviços registrados:`, Object.keys(services));
-            throw new Error(`Serviço não encontrado: ${serviceName}`);
-        }
-        
-        if (!service.healthy) {
-            console.error(`Serviço indisponível: ${serviceName}`);
-            throw new Error(`Serviço indisponível: ${serviceName}`);
-        }
-        
-        console.log(`Serviço encontrado: ${serviceName} - ${service.url}`);
-        return service;
-    }
-
-    // Listar todos os serviços
-    listServices() {
-        const services = this.readRegistry();
-        const serviceList = {};
-        
-        Object.entries(services).forEach(([name, service]) => {
-            serviceList[name] = {
-                url: service.url,
-                healthy: service.healthy,
-                registeredAt: new Date(service.registeredAt).toISOString(),
-                uptime: Date.now() - service.registeredAt,
-                pid: service.pid
-            };
-        });
-        
-        return serviceList;
-    }
-
-    // Remover serviço
-    unregister(serviceName) {
-        const services = this.readRegistry();
-        if (services[serviceName]) {
-            delete services[serviceName];
-            this.writeRegistry(services);
-            console.log(`Serviço removido: ${serviceName}`);
-            return true;
-        }
-        return false;
-    }
-
-    // Health check de um serviço
-    updateHealth(serviceName, healthy) {
-        const services = this.readRegistry();
-        if (services[serviceName]) {
-            services[serviceName].healthy = healthy;
-            services[serviceName].lastHealthCheck = Date.now();
-            this.writeRegistry(services);
-            const status = healthy ? 'OK' : 'FAIL';
-            console.log(`Health check: ${serviceName} - ${status}`);
-        }
-    }
-
-    // Health check de todos os serviços
-    async performHealthChecks() {
-        const axios = require('axios');
-        const services = this.readRegistry();
-        
-        console.log(`Executando health checks de ${Object.keys(services).length} serviços...`);
-        
-        for (const [serviceName, service] of Object.entries(services)) {
-            try {
-                await axios.get(`${service.url}/health`, { 
-                    timeout: 5000,
-                    family: 4
-                });
-                this.updateHealth(serviceName, true);
-            } catch (error) {
-                console.error(`Health check falhou para ${serviceName}:`, error.message);
-                this.updateHealth(serviceName, false);
-            }
-        }
-    }
-
-    // Debug: listar serviços registrados
-    debugListServices() {
-        const services = this.readRegistry();
-        console.log('DEBUG - Serviços registrados:');
-        Object.entries(services).forEach(([name, service]) => {
-            console.log(`   ${name}: ${service.url} (${service.healthy ? 'healthy' : 'unhealthy'}) PID:${service.pid}`);
-        });
-    }
-
-    // Verificar se um serviço existe
-    hasService(serviceName) {
-        const services = this.readRegistry();
-        return services.hasOwnProperty(serviceName);
-    }
-
-    // Obter estatísticas
-    getStats() {
-        const services = this.readRegistry();
-        const total = Object.keys(services).length;
-        let healthy = 0;
-        let unhealthy = 0;
-
-        Object.values(services).forEach(service => {
-            if (service.healthy) {
-                healthy++;
-            } else {
-                unhealthy++;
-            }
-        });
-
-        return { total, healthy, unhealthy };
-    }
-
-    // Limpar registry (útil para desenvolvimento)
-    clear() {
-        this.writeRegistry({});
-        console.log('Registry limpo');
-    }
-
-    // Cleanup na saída do processo
-    cleanup() {
-        // Remove serviços deste PID ao sair
-        const services = this.readRegistry();
-        const currentPid = process.pid;
-        let changed = false;
-
-        Object.entries(services).forEach(([name, service]) => {
-            if (service.pid === currentPid) {
-                delete services[name];
-                changed = true;
-                console.log(`Removendo serviço ${name} do PID ${currentPid}`);
-            }
-        });
-
-        if (changed) {
-            this.writeRegistry(services);
-        }
-    }
+// shared/serviceRegistry.js
+// Singleton do service registry usado pelos serviços e pelo gateway.
+//
+// Com REGISTRY_URL (ex: http://localhost:3004) usa o servidor de registry
+// (registry-server/), o que permite descobrir serviços em outras máquinas ou
+// containers. Sem ela usa o arquivo compartilhado shared/services-registry.json,
+// que só funciona para processos na mesma máquina.
+const ServiceRegistry = require('./registry/ServiceRegistry');
+const FileRegistryStore = require('./registry/FileRegistryStore');
+const HttpRegistryStore = require('./registry/HttpRegistryStore');
+const log = require('./logging').child({ component: 'registry' });
+
+function createStore() {
+    if (process.env.REGISTRY_URL) {
+        log.info('Service registry via servidor', { url: process.env.REGISTRY_URL });
+        const store = new HttpRegistryStore(process.env.REGISTRY_URL);
+        // Já começa a acompanhar o registry para que a primeira descoberta encontre os serviços
+        store.watch();
+        return store;
+    }
+
+    log.info('Service registry em arquivo', { file: FileRegistryStore.defaultFile });
+    return new FileRegistryStore(FileRegistryStore.defaultFile);
 }
 
 // Criar instância singleton
-const registry = new FileBasedServiceRegistry();
+const registry = new ServiceRegistry(createStore());
 
-// Cleanup ao sair do processo
-process.on('exit', () => registry.cleanup());
-process.on('SIGINT', () => {
-    registry.cleanup();
-    process.exit(0);
-});
-process.on('SIGTERM', () => {
-    registry.cleanup();
-    process.exit(0);
+// Os sinais ficam com o processo, que aguarda registry.close() junto com os outros
+// recursos (tracer, rate limit) antes de sair. O 'exit' cobre as saídas sem sinal; no
+// modo servidor a requisição pode não sair ali, e o lease expira sozinho.
+process.on('exit', () => {
+    if (!registry.closed) registry.cleanup();
 });
 
-module.exports = registry;
\ No newline at end of file
+module.exports = registry;
@@ -0,0 +1,170 @@
+// shared/storage/JsonFileAdapter.js
+// Armazena a coleção em <coleção>.json (array de documentos) e o índice em
+// <coleção>_index.json, sempre com escrita atômica (temporário + fsync + rename).
+const fs = require('fs-extra');
+const path = require('path');
+const { CorruptedCollectionError } = require('../databaseErrors');
+
+// Temporários sendo escritos por este processo: outra instância da mesma coleção
+// abrindo agora não pode tomá-los por restos de uma queda
+const writing = new Set();
+let tempCounter = 0;
+
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+class JsonFileAdapter {
+    constructor({ dbPath, collectionName }) {
+        this.type = 'json';
+        this.durable = true;
+        this.dbPath = dbPath;
+        this.collectionName = collectionName;
+        this.filePath = path.join(dbPath, `${collectionName}.json`);
+        this.indexPath = path.join(dbPath, `${collectionName}_index.json`);
+        this.lockKey = path.resolve(this.filePath);
+    }
+
+    async init() {
+        // Criar diretório do banco se não existir
+        await fs.ensureDir(this.dbPath);
+
+        // Remover temporários deixados por uma escrita interrompida
+        await this.removeStaleTempFiles();
+
+        // Criar arquivo da coleção se não existir
+        if (!await fs.pathExists(this.filePath)) {
+            await this.atomicWriteJson(this.filePath, []);
+        }
+
+        // Criar índice se não existir
+        if (!await fs.pathExists(this.indexPath)) {
+            await this.atomicWriteJson(this.indexPath, {});
+        }
+    }
+
+    async load() {
+        let content;
+        try {
+            content = await fs.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        // Arquivo vazio ou JSON inválido indica escrita truncada: nunca tratar como coleção vazia
+        let documents;
+        try {
+            documents = JSON.parse(content);
+        } catch (error) {
+            throw new CorruptedCollectionError(this.collectionName, this.filePath, error);
+        }
+
+        if (!Array.isArray(documents)) {
+            throw new CorruptedCollectionError(this.collectionName, this.filePath);
+        }
+
+        return documents;
+    }
+
+    // O arquivo é sempre reescrito inteiro; `changes` só interessa a adapters por registro
+    async save(documents) {
+        await this.atomicWriteJson(this.filePath, documents);
+    }
+
+    // Identifica a versão do arquivo em disco (muda a cada escrita, inclusive de outro processo)
+    stamp() {
+        try {
+            const stats = fs.statSync(this.filePath);
+            return { mtimeMs: stats.mtimeMs, size: stats.size };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    watch(onChange) {
+        const fileName = path.basename(this.filePath);
+
+        try {
+            // As escritas atômicas trocam o arquivo via rename, então o diretório é observado
+            const watcher = fs.watch(this.dbPath, (eventType, changed) => {
+                if (!changed || changed === fileName) {
+                    onChange();
+                }
+            });
+            watcher.on('error', onChange);
+            watcher.unref();
+            return watcher;
+        } catch (error) {
+            fs.watchFile(this.filePath, { interval: 1000 }, onChange);
+            return { close: () => fs.unwatchFile(this.filePath, onChange) };
+        }
+    }
+
+    async loadIndex() {
+        try {
+            return await fs.readJson(this.indexPath);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async saveIndex(data) {
+        await this.atomicWriteJson(this.indexPath, data);
+    }
+
+    async close() {}
+
+    // Escreve em arquivo temporário, faz fsync e renomeia por cima do original,
+    // de modo que leitores vejam sempre a versão antiga ou a nova, nunca metade
+    async atomicWriteJson(filePath, data) {
+        const tempPath = `${filePath}.${process.pid}.${Date.now()}-${++tempCounter}.tmp`;
+        writing.add(tempPath);
+
+        try {
+            const handle = await fs.promises.open(tempPath, 'w');
+            try {
+                await handle.writeFile(JSON.stringify(data, null, 2));
+                await handle.sync();
+            } finally {
+                await handle.close();
+            }
+
+            try {
+                await fs.rename(tempPath, filePath);
+            } catch (error) {
+                await fs.remove(tempPath);
+                throw error;
+            }
+        } finally {
+            writing.delete(tempPath);
+        }
+    }
+
+    async removeStaleTempFiles() {
+        const files = await fs.readdir(this.dbPath);
+        const prefixes = [path.basename(this.filePath), path.basename(this.indexPath)];
+
+        for (const file of files) {
+            const prefix = prefixes.find(name => file.startsWith(`${name}.`));
+            if (!prefix || !file.endsWith('.tmp')) continue;
+
+            // Não apagar o temporário de outro processo que ainda está escrevendo
+            const pid = parseInt(file.slice(prefix.length + 1).split('.')[0], 10);
+            if (pid && pid !== process.pid && isProcessAlive(pid)) continue;
+
+            const tempPath = path.join(this.dbPath, file);
+            if (writing.has(tempPath)) continue;
+            await fs.remove(tempPath);
+        }
+    }
+}
+
+module.exports = JsonFileAdapter;
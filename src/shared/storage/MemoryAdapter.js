@@ -0,0 +1,49 @@
+// shared/storage/MemoryAdapter.js
+// Mantém a coleção apenas em memória. Útil em testes e para dados descartáveis.
+let instanceCount = 0;
+
+class MemoryAdapter {
+    constructor({ collectionName, documents = [] }) {
+        this.type = 'memory';
+        this.durable = false;
+        this.collectionName = collectionName;
+        this.lockKey = `memory:${collectionName}:${++instanceCount}`;
+
+        this.documents = JSON.parse(JSON.stringify(documents));
+        this.index = null;
+        this.revision = 0;
+    }
+
+    async init() {}
+
+    // Cópias, para que alterações de quem chamou não vazem para o armazenamento
+    async load() {
+        return JSON.parse(JSON.stringify(this.documents));
+    }
+
+    async save(documents) {
+        this.documents = JSON.parse(JSON.stringify(documents));
+        this.revision++;
+    }
+
+    stamp() {
+        return { revision: this.revision };
+    }
+
+    // Nenhum outro processo enxerga esta coleção
+    watch() {
+        return null;
+    }
+
+    async loadIndex() {
+        return this.index;
+    }
+
+    async saveIndex(data) {
+        this.index = data;
+    }
+
+    async close() {}
+}
+
+module.exports = MemoryAdapter;
@@ -0,0 +1,140 @@
+// shared/storage/SqliteAdapter.js
+// Armazena a coleção num banco SQLite embutido (<coleção>.sqlite), um documento
+// JSON por linha. As escritas alteram apenas as linhas afetadas, o que evita
+// reescrever catálogos grandes a cada mudança.
+// Requer o pacote opcional better-sqlite3.
+const fs = require('fs-extra');
+const path = require('path');
+const { DatabaseError, CorruptedCollectionError } = require('../databaseErrors');
+
+function loadDriver() {
+    try {
+        return require('better-sqlite3');
+    } catch (error) {
+        throw new DatabaseError('Adapter SQLite requer o pacote better-sqlite3 (npm install better-sqlite3)', {
+            code: 'ADAPTER_UNAVAILABLE'
+        });
+    }
+}
+
+class SqliteAdapter {
+    constructor({ dbPath, collectionName }) {
+        this.type = 'sqlite';
+        this.durable = true;
+        this.dbPath = dbPath;
+        this.collectionName = collectionName;
+        this.filePath = path.join(dbPath, `${collectionName}.sqlite`);
+        this.lockKey = path.resolve(this.filePath);
+        this.db = null;
+    }
+
+    async init() {
+        const Database = loadDriver();
+        await fs.ensureDir(this.dbPath);
+
+        this.db = new Database(this.filePath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS documents (
+                id TEXT PRIMARY KEY,
+                position INTEGER NOT NULL,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS documents_position ON documents (position);
+            CREATE TABLE IF NOT EXISTS meta (
+                key TEXT PRIMARY KEY,
+                value TEXT NOT NULL
+            );
+            INSERT OR IGNORE INTO meta (key, value) VALUES ('revision', '0');
+        `);
+
+        this.statements = {
+            all: this.db.prepare('SELECT data FROM documents ORDER BY position'),
+            insert: this.db.prepare('INSERT INTO documents (id, position, data) VALUES (?, (SELECT COALESCE(MAX(position), -1) + 1 FROM documents), ?)'),
+            insertAt: this.db.prepare('INSERT INTO documents (id, position, data) VALUES (?, ?, ?)'),
+            update: this.db.prepare('UPDATE documents SET data = ? WHERE id = ?'),
+            remove: this.db.prepare('DELETE FROM documents WHERE id = ?'),
+            clear: this.db.prepare('DELETE FROM documents'),
+            getMeta: this.db.prepare('SELECT value FROM meta WHERE key = ?'),
+            setMeta: this.db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value'),
+            bump: this.db.prepare("UPDATE meta SET value = CAST(value AS INTEGER) + 1 WHERE key = 'revision'")
+        };
+    }
+
+    async load() {
+        return this.statements.all.all().map(row => {
+            try {
+                return JSON.parse(row.data);
+            } catch (error) {
+                throw new CorruptedCollectionError(this.collectionName, this.filePath, error);
+            }
+        });
+    }
+
+    // Com `changes` ([{ op, id, doc }]) aplica só as linhas alteradas;
+    // sem elas (restauração, migração) substitui a coleção inteira
+    async save(documents, changes) {
+        const apply = this.db.transaction(() => {
+            if (changes) {
+                for (const change of changes) {
+                    if (change.op === 'create') {
+                        this.statements.insert.run(change.id, JSON.stringify(change.doc));
+                    } else if (change.op === 'update') {
+                        this.statements.update.run(JSON.stringify(change.doc), change.id);
+                    } else if (change.op === 'delete') {
+                        this.statements.remove.run(change.id);
+                    }
+                }
+            } else {
+                this.statements.clear.run();
+                documents.forEach((document, position) => {
+                    this.statements.insertAt.run(document.id, position, JSON.stringify(document));
+                });
+            }
+            this.statements.bump.run();
+        });
+
+        apply();
+    }
+
+    // Revisão gravada na mesma transação dos dados: muda a cada escrita de qualquer processo
+    stamp() {
+        const row = this.statements.getMeta.get('revision');
+        return { revision: row ? Number(row.value) : 0 };
+    }
+
+    watch(onChange) {
+        const baseName = path.basename(this.filePath);
+
+        try {
+            const watcher = fs.watch(this.dbPath, (eventType, changed) => {
+                if (!changed || changed.startsWith(baseName)) {
+                    onChange();
+                }
+            });
+            watcher.on('error', onChange);
+            watcher.unref();
+            return watcher;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async loadIndex() {
+        const row = this.statements.getMeta.get('index');
+        return row ? JSON.parse(row.value) : null;
+    }
+
+    async saveIndex(data) {
+        this.statements.setMeta.run('index', JSON.stringify(data));
+    }
+
+    async close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
+
+module.exports = SqliteAdapter;
@@ -0,0 +1,159 @@
+// shared/storage/conformance.js
+// Suíte de conformidade que todo adapter de armazenamento precisa passar.
+// Uso: storageConformanceSuite('json', dir => new JsonFileAdapter({ dbPath: dir, collectionName: 'items' }))
+// `options` vai para o describe, ex: { skip: 'motivo' } quando o adapter não está disponível.
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const JsonDatabase = require('../JsonDatabase');
+
+function storageConformanceSuite(name, createAdapter, options = {}) {
+    describe(`storage adapter: ${name}`, options, () => {
+        let dir;
+        let adapter;
+
+        beforeEach(async () => {
+            dir = await fs.mkdtemp(path.join(os.tmpdir(), `storage-${name}-`));
+            adapter = createAdapter(dir);
+            await adapter.init();
+        });
+
+        afterEach(async () => {
+            await adapter.close();
+            await fs.remove(dir);
+        });
+
+        it('expõe type, durable e lockKey', () => {
+            assert.equal(adapter.type, name);
+            assert.equal(typeof adapter.durable, 'boolean');
+            assert.ok(adapter.lockKey);
+        });
+
+        it('começa vazio', async () => {
+            assert.deepEqual(await adapter.load(), []);
+        });
+
+        it('grava e relê o estado completo preservando a ordem', async () => {
+            const documents = [{ id: 'b', n: 2 }, { id: 'a', n: 1 }, { id: 'c', nested: { ok: true } }];
+            await adapter.save(documents);
+            assert.deepEqual(await adapter.load(), documents);
+        });
+
+        it('aplica changes de create, update e delete', async () => {
+            await adapter.save([{ id: 'a', n: 1 }, { id: 'b', n: 2 }]);
+
+            const documents = [{ id: 'a', n: 10 }, { id: 'c', n: 3 }];
+            await adapter.save(documents, [
+                { op: 'update', id: 'a', doc: { id: 'a', n: 10 } },
+                { op: 'delete', id: 'b' },
+                { op: 'create', id: 'c', doc: { id: 'c', n: 3 } }
+            ]);
+
+            assert.deepEqual(await adapter.load(), documents);
+        });
+
+        it('não deixa alterações de quem chamou vazarem para o armazenamento', async () => {
+            const documents = [{ id: 'a', tags: ['x'] }];
+            await adapter.save(documents);
+
+            documents[0].tags.push('y');
+            const loaded = await adapter.load();
+            loaded[0].tags.push('z');
+
+            assert.deepEqual(await adapter.load(), [{ id: 'a', tags: ['x'] }]);
+        });
+
+        it('muda o stamp a cada escrita', async () => {
+            const before = JSON.stringify(adapter.stamp());
+            await adapter.save([{ id: 'a' }]);
+            const after = JSON.stringify(adapter.stamp());
+
+            assert.notEqual(after, before);
+            assert.equal(JSON.stringify(adapter.stamp()), after);
+        });
+
+        it('persiste o índice', async () => {
+            await adapter.saveIndex({ version: 2, ids: { a: 0 } });
+            assert.deepEqual(await adapter.loadIndex(), { version: 2, ids: { a: 0 } });
+        });
+
+        it('watch retorna um watcher fechável ou null', () => {
+            const watcher = adapter.watch(() => {});
+            if (watcher) {
+                assert.equal(typeof watcher.close, 'function');
+                watcher.close();
+            }
+        });
+
+        it('sobrevive à reabertura quando é durável', async t => {
+            if (!adapter.durable) {
+                t.skip('adapter não durável');
+                return;
+            }
+
+            await adapter.save([{ id: 'a', n: 1 }]);
+            await adapter.close();
+
+            adapter = createAdapter(dir);
+            await adapter.init();
+            assert.deepEqual(await adapter.load(), [{ id: 'a', n: 1 }]);
+        });
+
+        describe('JsonDatabase sobre o adapter', () => {
+            let db;
+
+            beforeEach(() => {
+                db = new JsonDatabase(dir, `facade_${name}`, {
+                    storage: createAdapter(path.join(dir, 'facade')),
+                    cache: true,
+                    indexes: [{ field: 'email', unique: true }, { field: 'role' }]
+                });
+            });
+
+            afterEach(async () => {
+                await db.close();
+            });
+
+            it('faz CRUD completo', async () => {
+                const created = await db.create({ email: 'a@x', role: 'user', metadata: { loginCount: 0 } });
+                assert.ok(created.id);
+
+                const updated = await db.update(created.id, {
+                    $set: { 'metadata.lastLogin': 'agora' },
+                    $inc: { 'metadata.loginCount': 1 }
+                });
+                assert.deepEqual(updated.metadata, { loginCount: 1, lastLogin: 'agora' });
+                assert.deepEqual(await db.findById(created.id), updated);
+
+                assert.equal(await db.delete(created.id), true);
+                assert.equal(await db.findById(created.id), null);
+                assert.equal(await db.count(), 0);
+            });
+
+            it('consulta por índices e operadores', async () => {
+                await db.create({ email: 'a@x', role: 'admin', price: 5 });
+                await db.create({ email: 'b@x', role: 'user', price: 8 });
+                await db.create({ email: 'c@x', role: 'user', price: 12 });
+
+                assert.equal(await db.count({ role: 'user' }), 2);
+                assert.deepEqual((await db.find({ price: { $gte: 5, $lte: 10 } })).map(doc => doc.email), ['a@x', 'b@x']);
+                assert.equal((await db.findOne({ $or: [{ email: 'z@x' }, { role: 'admin' }] })).email, 'a@x');
+            });
+
+            it('rejeita valores duplicados em índice único', async () => {
+                await db.create({ email: 'a@x' });
+                await assert.rejects(db.create({ email: 'a@x' }), JsonDatabase.UniqueConstraintError);
+            });
+
+            it('serializa escritas concorrentes', async () => {
+                const list = await db.create({ items: [] });
+                await Promise.all([1, 2, 3, 4, 5].map(n => db.update(list.id, { $push: { items: n } })));
+                assert.deepEqual((await db.findById(list.id)).items.sort(), [1, 2, 3, 4, 5]);
+            });
+        });
+    });
+}
+
+module.exports = storageConformanceSuite;
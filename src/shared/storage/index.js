@@ -0,0 +1,45 @@
+// shared/storage/index.js
+// Adapters de armazenamento do JsonDatabase. Todos implementam a mesma interface:
+//   init()                      prepara o armazenamento
+//   load()                      -> documentos na ordem da coleção
+//   save(documents, changes?)   grava o estado completo; `changes` ([{ op, id, doc }])
+//                               permite escrever só o que mudou
+//   stamp()                     versão atual dos dados (síncrono), muda a cada escrita
+//   watch(onChange)             avisa sobre escritas de outros processos (ou null)
+//   loadIndex() / saveIndex()   índice persistido da coleção
+//   close()
+// e expõem `type`, `durable` (sobrevive ao processo) e `lockKey`.
+const JsonFileAdapter = require('./JsonFileAdapter');
+const MemoryAdapter = require('./MemoryAdapter');
+const SqliteAdapter = require('./SqliteAdapter');
+const { DatabaseError } = require('../databaseErrors');
+
+const adapters = {
+    json: JsonFileAdapter,
+    memory: MemoryAdapter,
+    sqlite: SqliteAdapter
+};
+
+// `storage` pode ser o nome de um adapter ('json', 'sqlite', 'memory') ou uma instância pronta
+function createStorageAdapter(storage, options) {
+    if (storage && typeof storage === 'object') {
+        return storage;
+    }
+
+    const Adapter = adapters[storage || 'json'];
+    if (!Adapter) {
+        throw new DatabaseError(`Adapter de armazenamento desconhecido: ${storage}`, {
+            code: 'UNKNOWN_ADAPTER',
+            collection: options.collectionName
+        });
+    }
+
+    return new Adapter(options);
+}
+
+module.exports = {
+    createStorageAdapter,
+    JsonFileAdapter,
+    MemoryAdapter,
+    SqliteAdapter
+};
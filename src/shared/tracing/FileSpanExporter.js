@@ -0,0 +1,56 @@
+// shared/tracing/FileSpanExporter.js
+// Spans em JSON, um por linha, anexados a um arquivo local. Por padrão todos os
+// processos da máquina escrevem no mesmo arquivo, então um trace que passa pelo
+// gateway e por vários serviços fica inteiro em um lugar só:
+//   grep <trace-id> traces/spans.jsonl
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+class FileSpanExporter {
+    constructor({ file } = {}) {
+        this.type = 'file';
+        this.file = file || path.join(__dirname, '..', '..', 'traces', 'spans.jsonl');
+        this.ready = null;
+    }
+
+    // Uma escrita por lote: linhas de processos diferentes não se misturam
+    async export(spans) {
+        if (!this.ready) {
+            this.ready = fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+        }
+        await this.ready;
+        await fs.promises.appendFile(this.file, spans.map(span => `${JSON.stringify(span)}\n`).join(''));
+    }
+
+    // Spans do trace `id` (ou com esse X-Request-Id), na ordem em que começaram
+    async find(id) {
+        const found = [];
+        let input;
+        try {
+            input = fs.createReadStream(this.file, { encoding: 'utf8' });
+            for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+                if (!line.includes(id)) continue;
+                try {
+                    const span = JSON.parse(line);
+                    if (span.traceId === id || span.attributes['request.id'] === id) {
+                        found.push(span);
+                    }
+                } catch (error) {
+                    // Linha cortada por uma escrita interrompida
+                }
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        return found.sort((a, b) => a.start.localeCompare(b.start));
+    }
+
+    stats() {
+        return { type: this.type, file: this.file };
+    }
+
+    async close() {}
+}
+
+module.exports = FileSpanExporter;
@@ -0,0 +1,87 @@
+// shared/tracing/OtlpHttpSpanExporter.js
+// Envia os spans para um coletor OpenTelemetry (Jaeger, Tempo, otel-collector...)
+// por OTLP/HTTP com corpo JSON: POST <endpoint>/v1/traces.
+// Um lote recusado ou com o coletor fora do ar é descartado (e registrado no log);
+// o rastreamento nunca atrasa nem derruba as requisições.
+const axios = require('axios');
+
+const SPAN_KINDS = { internal: 1, server: 2, client: 3, producer: 4, consumer: 5 };
+const STATUS_CODES = { unset: 0, ok: 1, error: 2 };
+
+// OTEL_EXPORTER_OTLP_HEADERS: "api-key=abc,x-tenant=loja"
+function parseHeaders(value) {
+    return Object.fromEntries(String(value || '')
+        .split(',')
+        .map(pair => pair.split('='))
+        .filter(([name, headerValue]) => name && name.trim() && headerValue !== undefined)
+        .map(([name, ...rest]) => [name.trim(), decodeURIComponent(rest.join('=').trim())]));
+}
+
+function attributeValue(value) {
+    if (typeof value === 'boolean') return { boolValue: value };
+    if (typeof value === 'number') {
+        return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+    }
+    return { stringValue: String(value) };
+}
+
+function attributeList(attributes) {
+    return Object.entries(attributes).map(([key, value]) => ({ key, value: attributeValue(value) }));
+}
+
+class OtlpHttpSpanExporter {
+    constructor({ endpoint, headers, timeout = 5000 } = {}) {
+        this.type = 'otlp';
+        this.url = `${(endpoint || 'http://localhost:4318').replace(/\/+$/, '')}/v1/traces`;
+        this.headers = typeof headers === 'string' ? parseHeaders(headers) : (headers || {});
+        this.timeout = timeout;
+    }
+
+    async export(spans) {
+        await axios.post(this.url, this.payload(spans), {
+            timeout: this.timeout,
+            headers: { ...this.headers, 'content-type': 'application/json' }
+        });
+    }
+
+    // ExportTraceServiceRequest: um resourceSpans por serviço
+    payload(spans) {
+        const byService = new Map();
+        spans.forEach(span => {
+            if (!byService.has(span.tracer.service)) byService.set(span.tracer.service, []);
+            byService.get(span.tracer.service).push(span);
+        });
+
+        return {
+            resourceSpans: [...byService].map(([service, serviceSpans]) => ({
+                resource: { attributes: attributeList({ 'service.name': service }) },
+                scopeSpans: [{
+                    scope: { name: 'shared/tracing' },
+                    spans: serviceSpans.map(span => {
+                        const start = BigInt(span.startTime) * 1000000n;
+                        return {
+                            traceId: span.traceId,
+                            spanId: span.spanId,
+                            parentSpanId: span.parentSpanId || undefined,
+                            traceState: span.tracestate,
+                            name: span.name,
+                            kind: SPAN_KINDS[span.kind],
+                            startTimeUnixNano: String(start),
+                            endTimeUnixNano: String(start + span.duration),
+                            attributes: attributeList(span.attributes),
+                            status: { code: STATUS_CODES[span.status.code], message: span.status.message }
+                        };
+                    })
+                }]
+            }))
+        };
+    }
+
+    stats() {
+        return { type: this.type, url: this.url };
+    }
+
+    async close() {}
+}
+
+module.exports = OtlpHttpSpanExporter;
@@ -0,0 +1,85 @@
+// shared/tracing/Span.js
+// Uma operação medida dentro de um trace: a requisição recebida por um serviço
+// (kind 'server') ou uma chamada feita a outro serviço (kind 'client').
+// end() é idempotente e entrega o span ao tracer, que o exporta em lote.
+const traceContext = require('./traceContext');
+
+const KINDS = ['internal', 'server', 'client', 'producer', 'consumer'];
+
+class Span {
+    constructor(tracer, name, { kind = 'internal', parent = null, attributes = {} } = {}) {
+        if (!KINDS.includes(kind)) {
+            throw new Error(`Tipo de span desconhecido: ${kind} (use ${KINDS.join(', ')})`);
+        }
+
+        this.tracer = tracer;
+        this.name = name;
+        this.kind = kind;
+        this.traceId = parent ? parent.traceId : traceContext.newTraceId();
+        this.spanId = traceContext.newSpanId();
+        this.parentSpanId = parent ? parent.spanId : null;
+        this.sampled = parent ? parent.sampled : tracer.sample();
+        this.tracestate = parent ? parent.tracestate : undefined;
+        this.attributes = { ...attributes };
+        this.status = { code: 'unset' };
+
+        this.startTime = Date.now();
+        this.startedAt = process.hrtime.bigint();
+        this.duration = null;
+    }
+
+    setAttribute(name, value) {
+        if (value !== undefined && value !== null) {
+            this.attributes[name] = value;
+        }
+        return this;
+    }
+
+    setAttributes(attributes) {
+        Object.entries(attributes).forEach(([name, value]) => this.setAttribute(name, value));
+        return this;
+    }
+
+    setError(error) {
+        this.status = { code: 'error', message: error && error.message ? error.message : String(error) };
+        return this;
+    }
+
+    get ended() {
+        return this.duration !== null;
+    }
+
+    end() {
+        if (this.ended) return;
+        this.duration = process.hrtime.bigint() - this.startedAt;
+        this.tracer.record(this);
+    }
+
+    // Contexto a repassar nas chamadas feitas dentro deste span
+    headers() {
+        const headers = { traceparent: traceContext.format(this) };
+        if (this.tracestate) {
+            headers.tracestate = this.tracestate;
+        }
+        return headers;
+    }
+
+    toJSON() {
+        return {
+            traceId: this.traceId,
+            spanId: this.spanId,
+            parentSpanId: this.parentSpanId,
+            name: this.name,
+            kind: this.kind,
+            service: this.tracer.service,
+            start: new Date(this.startTime).toISOString(),
+            durationMs: this.duration === null ? null : Number(this.duration) / 1e6,
+            status: this.status,
+            attributes: this.attributes
+        };
+    }
+}
+
+Span.KINDS = KINDS;
+
+module.exports = Span;
@@ -0,0 +1,100 @@
+// shared/tracing/Tracer.js
+// Cria os spans de um serviço e exporta os terminados em lotes, a cada
+// `flushInterval` ms ou quando juntam `batchSize`. Sem exportador (TRACING_EXPORTER=none)
+// os ids continuam sendo gerados e propagados, só não são gravados.
+//
+// A amostragem é decidida na raiz do trace (`sampleRate`, 0 a 1) e seguida pelos
+// demais serviços pela flag do traceparent. Com o exportador lento ou fora do ar a fila
+// para em `maxQueue` spans e os novos são descartados.
+const Span = require('./Span');
+const log = require('../logging').child({ component: 'tracing' });
+
+class Tracer {
+    constructor(service, { exporter = null, sampleRate = 1, flushInterval = 1000, batchSize = 200, maxQueue = 2000 } = {}) {
+        this.service = service;
+        this.exporter = exporter;
+        this.sampleRate = sampleRate;
+        this.batchSize = batchSize;
+        this.maxQueue = maxQueue;
+        this.queue = [];
+        this.exporting = null;
+        this.exported = 0;
+        this.dropped = 0;
+        this.failures = 0;
+
+        if (this.exporter) {
+            this.flushTimer = setInterval(() => this.flush(), flushInterval);
+            this.flushTimer.unref();
+        }
+    }
+
+    // `parent`: span deste processo ou contexto recebido ({ traceId, spanId, sampled })
+    startSpan(name, options = {}) {
+        return new Span(this, name, options);
+    }
+
+    sample() {
+        return this.sampleRate >= 1 || Math.random() < this.sampleRate;
+    }
+
+    record(span) {
+        if (!this.exporter || !span.sampled) return;
+        if (this.queue.length >= this.maxQueue) {
+            this.dropped++;
+            return;
+        }
+
+        this.queue.push(span);
+        if (this.queue.length >= this.batchSize) {
+            this.flush();
+        }
+    }
+
+    // Um lote por vez; a Promise termina quando a fila esvaziou (ou o lote falhou)
+    flush() {
+        if (!this.exporting && this.queue.length > 0) {
+            const batch = this.queue.splice(0, this.batchSize);
+            this.exporting = this.exporter.export(batch)
+                .then(() => {
+                    this.exported += batch.length;
+                    this.failures = 0;
+                })
+                .catch(error => {
+                    this.dropped += batch.length;
+                    // Uma mensagem por sequência de falhas, não uma por lote
+                    if (this.failures++ === 0) {
+                        log.warn('Falha ao exportar spans; descartando até o exportador voltar', {
+                            exporter: this.exporter.type,
+                            spans: batch.length,
+                            error: error.message
+                        });
+                    }
+                })
+                .finally(() => {
+                    this.exporting = null;
+                });
+        }
+        return this.exporting ? this.exporting.then(() => this.flush()) : Promise.resolve();
+    }
+
+    stats() {
+        return {
+            service: this.service,
+            exporter: this.exporter ? this.exporter.stats() : { type: 'none' },
+            sampleRate: this.sampleRate,
+            queued: this.queue.length,
+            exported: this.exported,
+            dropped: this.dropped
+        };
+    }
+
+    async close() {
+        clearInterval(this.flushTimer);
+        await this.flush();
+        if (this.exporter) {
+            await this.exporter.close();
+        }
+    }
+}
+
+module.exports = Tracer;
@@ -0,0 +1,134 @@
+// shared/tracing/index.js
+// Rastreamento distribuído com W3C Trace Context (header traceparent).
+//
+// O gateway abre o trace (ou continua o do cliente) e cada serviço registra um span
+// 'server' para a requisição recebida (middleware) e um span 'client' para cada chamada
+// que faz a outro serviço (traced), repassando traceparent e X-Request-Id. Toda resposta
+// leva o X-Request-Id: o informado pelo cliente ou, sem ele, o trace id.
+//
+// Exportadores (TRACING_EXPORTER):
+//   file (padrão) - JSON por linha em TRACING_FILE (traces/spans.jsonl)
+//   otlp          - OTLP/HTTP JSON para OTEL_EXPORTER_OTLP_ENDPOINT (http://localhost:4318)
+//   none          - só propagação, nada é gravado
+const traceContext = require('./traceContext');
+const Span = require('./Span');
+const Tracer = require('./Tracer');
+const FileSpanExporter = require('./FileSpanExporter');
+const OtlpHttpSpanExporter = require('./OtlpHttpSpanExporter');
+
+const HEADER = 'traceparent';
+const STATE_HEADER = 'tracestate';
+const REQUEST_ID_HEADER = 'x-request-id';
+
+const exporters = {
+    file: env => new FileSpanExporter({ file: env.TRACING_FILE }),
+    otlp: env => new OtlpHttpSpanExporter({
+        endpoint: env.OTEL_EXPORTER_OTLP_ENDPOINT,
+        headers: env.OTEL_EXPORTER_OTLP_HEADERS
+    }),
+    none: () => null
+};
+
+function createTracer(service, env = process.env) {
+    const type = env.TRACING_EXPORTER || 'file';
+    if (!exporters[type]) {
+        throw new Error(`Exportador de traces desconhecido: ${type} (use ${Object.keys(exporters).join(', ')})`);
+    }
+
+    const sampleRate = parseFloat(env.TRACING_SAMPLE_RATE);
+    return new Tracer(service, {
+        exporter: exporters[type](env),
+        sampleRate: Number.isFinite(sampleRate) ? Math.min(1, Math.max(0, sampleRate)) : 1,
+        flushInterval: parseInt(env.TRACING_FLUSH_MS) || 1000
+    });
+}
+
+// Span 'server' da requisição (req.span) e id da requisição (req.id, devolvido no X-Request-Id)
+function middleware(tracer) {
+    return (req, res, next) => {
+        const parent = traceContext.parse(req.headers[HEADER]);
+        if (parent && req.headers[STATE_HEADER]) {
+            parent.tracestate = String(req.headers[STATE_HEADER]);
+        }
+
+        const span = tracer.startSpan(`${req.method} ${req.path}`, {
+            kind: 'server',
+            parent,
+            attributes: { 'http.method': req.method, 'http.target': req.originalUrl }
+        });
+        req.span = span;
+        req.id = traceContext.requestId(req.headers[REQUEST_ID_HEADER]) || span.traceId;
+        span.setAttribute('request.id', req.id);
+        res.setHeader('X-Request-Id', req.id);
+
+        // 'close' sem 'finish': o cliente desconectou antes do fim da resposta
+        const end = () => {
+            if (span.ended) return;
+            if (req.route) {
+                span.name = `${req.method} ${req.baseUrl}${req.route.path}`;
+                span.setAttribute('http.route', `${req.baseUrl}${req.route.path}`);
+            }
+            span.setAttributes({
+                'http.status_code': res.statusCode,
+                'enduser.id': req.user ? req.user.id : null
+            });
+            if (!res.writableFinished) {
+                span.setAttribute('http.aborted', true);
+            }
+            if (res.statusCode >= 500) {
+                span.setError(`HTTP ${res.statusCode}`);
+            }
+            span.end();
+        };
+        res.once('finish', end);
+        res.once('close', end);
+        next();
+    };
+}
+
+// Chamada a outro serviço feita durante `req`, em um span 'client' filho do span da
+// requisição. `call(headers)` recebe os headers de propagação e devolve a resposta do
+// axios. Sem requisição (tarefas de fundo, como o polling de revogações) não há span.
+async function traced(req, name, attributes, call) {
+    const parent = req && req.span;
+    if (!parent) return call({});
+
+    const span = parent.tracer.startSpan(name, {
+        kind: 'client',
+        parent,
+        attributes: { ...attributes, 'request.id': req.id }
+    });
+    try {
+        const response = await call({ ...span.headers(), [REQUEST_ID_HEADER]: req.id });
+        span.setAttribute('http.status_code', response.status);
+        if (response.status >= 500) {
+            span.setError(`HTTP ${response.status}`);
+        }
+        return response;
+    } catch (error) {
+        if (error.code === 'ERR_CANCELED') {
+            // Chamada cancelada de propósito (hedge): não é falha
+            span.setAttribute('cancelled', true);
+        } else {
+            span.setAttribute('http.status_code', error.response ? error.response.status : null);
+            span.setError(error);
+        }
+        throw error;
+    } finally {
+        span.end();
+    }
+}
+
+module.exports = {
+    HEADER,
+    STATE_HEADER,
+    REQUEST_ID_HEADER,
+    createTracer,
+    middleware,
+    traced,
+    traceContext,
+    Span,
+    Tracer,
+    FileSpanExporter,
+    OtlpHttpSpanExporter
+};
@@ -0,0 +1,60 @@
+// shared/tracing/traceContext.js
+// Contexto de rastreamento W3C Trace Context (https://www.w3.org/TR/trace-context/):
+//   traceparent: 00-<trace-id, 32 hex>-<span-id do chamador, 16 hex>-<flags, 01 = amostrado>
+//   tracestate:  dados de fornecedores, repassados sem alteração
+// e o X-Request-Id devolvido ao cliente.
+const crypto = require('crypto');
+
+const TRACEPARENT = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(?:-.*)?$/;
+const INVALID_TRACE_ID = '0'.repeat(32);
+const INVALID_SPAN_ID = '0'.repeat(16);
+
+// X-Request-Id aceito do cliente: curto e sem caracteres que quebrem logs ou headers
+const REQUEST_ID = /^[\w.:@-]{1,128}$/;
+
+function randomHex(bytes, invalid) {
+    let id;
+    do {
+        id = crypto.randomBytes(bytes).toString('hex');
+    } while (id === invalid);
+    return id;
+}
+
+function newTraceId() {
+    return randomHex(16, INVALID_TRACE_ID);
+}
+
+function newSpanId() {
+    return randomHex(8, INVALID_SPAN_ID);
+}
+
+// { traceId, spanId, sampled } do header ou null se ausente ou inválido
+function parse(header) {
+    const match = TRACEPARENT.exec(String(header || '').trim().toLowerCase());
+    if (!match) return null;
+
+    const [, version, traceId, spanId, flags] = match;
+    // Versão ff é proibida; a 00 não tem campos extras
+    if (version === 'ff' || (version === '00' && match[0].length !== 55)) return null;
+    if (traceId === INVALID_TRACE_ID || spanId === INVALID_SPAN_ID) return null;
+
+    return { traceId, spanId, sampled: (parseInt(flags, 16) & 1) === 1 };
+}
+
+function format({ traceId, spanId, sampled }) {
+    return `00-${traceId}-${spanId}-${sampled ? '01' : '00'}`;
+}
+
+// Id informado pelo cliente, se for aceitável
+function requestId(header) {
+    const value = String(header || '').trim();
+    return REQUEST_ID.test(value) ? value : null;
+}
+
+module.exports = {
+    newTraceId,
+    newSpanId,
+    parse,
+    format,
+    requestId
+};